@@ -0,0 +1,135 @@
+const fs = require('fs');
+const { USER_ROLES } = require('../utils/constants');
+
+// Permissions are "<resource>:<action>" with an optional ":<scope>" suffix.
+// ":any" grants the action on every document, ":own" only on documents the
+// user owns (see checkOwnership). A trailing "*" matches any remainder, so
+// "room:*" covers "room:pricing:write" and "*" covers everything.
+
+const GUEST_PERMISSIONS = [
+  'room:read',
+  'room:rate',
+  'booking:create',
+  'booking:read:own',
+  'booking:update:own',
+  'booking:cancel:own',
+  'booking:pay:own',
+  'booking:group:read:own',
+  'booking:group:update:own',
+  'booking:group:cancel:own',
+  'event:read',
+  'event:register',
+  'banquet:read',
+  'banquet:reservation:read:own',
+  'banquet:quotation:read:own'
+];
+
+const STAFF_PERMISSIONS = [
+  ...GUEST_PERMISSIONS,
+  'room:statistics:read',
+  'room:availability:read',
+  'room:maintenance:read',
+  'room:maintenance:write',
+  'booking:read:any',
+  'booking:update:any',
+  'booking:status:write',
+  'booking:room:assign',
+  'booking:pay:any',
+  'booking:payment:write:any',
+  'booking:folio:write:any',
+  'booking:invoice:issue:any',
+  'booking:group:read:any',
+  'booking:group:update:any',
+  'booking:group:write',
+  'banquet:reservation:read:any',
+  'banquet:reservation:write',
+  'banquet:quotation:read:any',
+  'banquet:quotation:write',
+  'cancellation-policy:read',
+  'tax-rule:read',
+  'promo-code:read',
+  'event:create',
+  'event:update:own',
+  'event:delete:own',
+  'event:participants:read',
+  'event:attendance:write',
+  'event:invoice:read',
+  'event:invoice:issue'
+];
+
+const MANAGER_PERMISSIONS = [
+  ...STAFF_PERMISSIONS,
+  'room:revenue:read',
+  'room:pricing:read',
+  'room:pricing:write',
+  'booking:cancel:any',
+  'booking:refund:write:any',
+  'booking:invoice:credit:any',
+  'booking:group:cancel:any',
+  'banquet:package:write',
+  'cancellation-policy:write',
+  'tax-rule:write',
+  'tax:report:read',
+  'promo-code:write',
+  'promo-code:report:read',
+  'event:update:any',
+  'event:delete:any',
+  'event:invoice:credit'
+];
+
+const DEFAULT_ROLE_PERMISSIONS = {
+  [USER_ROLES.GUEST]: GUEST_PERMISSIONS,
+  [USER_ROLES.STAFF]: STAFF_PERMISSIONS,
+  [USER_ROLES.MANAGER]: MANAGER_PERMISSIONS,
+  [USER_ROLES.ADMIN]: ['*']
+};
+
+let rolePermissions = { ...DEFAULT_ROLE_PERMISSIONS };
+
+// Replace the permissions of the given roles; roles not in the map keep theirs
+const configurePermissions = (overrides = {}) => {
+  Object.keys(overrides).forEach(role => {
+    if (!Array.isArray(overrides[role])) {
+      throw new Error(`Permissions for role "${role}" must be an array`);
+    }
+    rolePermissions[role] = [...overrides[role]];
+  });
+  return rolePermissions;
+};
+
+// Restore the built-in role-to-permission map
+const resetPermissions = () => {
+  rolePermissions = { ...DEFAULT_ROLE_PERMISSIONS };
+  return rolePermissions;
+};
+
+const getRolePermissions = (role) => rolePermissions[role] || [];
+
+const matches = (granted, permission) => {
+  if (granted === '*' || granted === permission) return true;
+  if (granted.endsWith('*')) {
+    return permission.startsWith(granted.slice(0, -1));
+  }
+  return false;
+};
+
+// Check if a role grants a permission.
+// A permission without a scope is also granted by its ":any" form.
+const roleHasPermission = (role, permission) => {
+  const granted = getRolePermissions(role);
+  return granted.some(grant => matches(grant, permission) || matches(grant, `${permission}:any`));
+};
+
+// Overrides from a JSON file, e.g. PERMISSIONS_FILE=./config/permissions.json
+// containing { "staff": ["room:read", "booking:*"] }
+if (process.env.PERMISSIONS_FILE) {
+  configurePermissions(JSON.parse(fs.readFileSync(process.env.PERMISSIONS_FILE, 'utf8')));
+}
+
+module.exports = {
+  DEFAULT_ROLE_PERMISSIONS,
+  configurePermissions,
+  resetPermissions,
+  getRolePermissions,
+  roleHasPermission
+};
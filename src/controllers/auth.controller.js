@@ -1,20 +1,41 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const User = require('../models/user.model');
+const Session = require('../models/session.model');
 const { AppError } = require('../middleware/errorHandler');
 const { logger } = require('../utils/logger');
+const email = require('../utils/email');
+const { USER_ROLES } = require('../utils/constants');
 
-// Generate JWT Token
-const signToken = (id) => {
+// Generate a short-lived access token bound to a session
+const signToken = (id, sessionId) => {
   return jwt.sign(
-    { id },
+    { id, sid: sessionId },
     process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRES_IN }
+    { expiresIn: process.env.JWT_EXPIRES_IN || '15m' }
   );
 };
 
-// Create and send token response
-const createSendToken = (user, statusCode, res) => {
-  const token = signToken(user._id);
+// Start a server-side session and return its refresh token
+const createSession = async (user, req) => {
+  const refreshTokenDays = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS, 10) || 30;
+
+  const session = new Session({
+    user: user._id,
+    userAgent: req.get('user-agent'),
+    ipAddress: req.ip,
+    expiresAt: Date.now() + refreshTokenDays * 24 * 60 * 60 * 1000
+  });
+  const refreshToken = session.createRefreshToken();
+  await session.save();
+
+  return { session, refreshToken };
+};
+
+// Create a session and send the token response
+const createSendToken = async (user, statusCode, req, res) => {
+  const { session, refreshToken } = await createSession(user, req);
+  const token = signToken(user._id, session._id);
 
   // Remove password from output
   user.password = undefined;
@@ -22,13 +43,17 @@ const createSendToken = (user, statusCode, res) => {
   res.status(statusCode).json({
     status: 'success',
     token: `Bearer ${token}`,
+    refreshToken,
     data: {
       user
     }
   });
 };
 
+exports.createSendToken = createSendToken;
+
 // Register new user
+// Public registration only creates guest accounts; staff accounts come from invitations
 exports.register = async (req, res, next) => {
   try {
     const {
@@ -36,7 +61,6 @@ exports.register = async (req, res, next) => {
       lastName,
       email,
       password,
-      role,
       phoneNumber,
       address
     } = req.body;
@@ -53,14 +77,14 @@ exports.register = async (req, res, next) => {
       lastName,
       email,
       password,
-      role,
+      role: USER_ROLES.GUEST,
       phoneNumber,
       address
     });
 
     logger.info(`New user registered: ${newUser.email}`);
 
-    createSendToken(newUser, 201, res);
+    await createSendToken(newUser, 201, req, res);
   } catch (error) {
     logger.error('Error in register:', error);
     next(new AppError('Error registering user', 500));
@@ -84,99 +108,260 @@ exports.login = async (req, res, next) => {
       return next(new AppError('Incorrect email or password', 401));
     }
 
+    if (!user.isActive) {
+      return next(new AppError('This account has been deactivated', 401));
+    }
+
     logger.info(`User logged in: ${user.email}`);
 
-    createSendToken(user, 200, res);
+    await createSendToken(user, 200, req, res);
   } catch (error) {
     logger.error('Error in login:', error);
     next(new AppError('Error logging in', 500));
   }
 };
 
-// Protect routes middleware
-exports.protect = async (req, res, next) => {
+// Forgot password
+exports.forgotPassword = async (req, res, next) => {
   try {
-    // Get token from header
-    let token;
-    if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-      token = req.headers.authorization.split(' ')[1];
+    const { email: userEmail } = req.body;
+
+    if (!userEmail) {
+      return next(new AppError('Please provide your email address', 400));
+    }
+
+    // Find user by email
+    const user = await User.findOne({ email: userEmail });
+    if (!user) {
+      return next(new AppError('No user found with that email address', 404));
+    }
+
+    // Generate reset token
+    const resetToken = user.createPasswordResetToken();
+    await user.save({ validateBeforeSave: false });
+
+    const baseUrl = process.env.CLIENT_URL || `${req.protocol}://${req.get('host')}`;
+    const resetURL = `${baseUrl}/reset-password?token=${resetToken}`;
+
+    try {
+      await email.sendEmail({
+        to: user.email,
+        subject: 'Your password reset link',
+        text: `Hi ${user.firstName},\n\nWe received a request to reset your password. ` +
+          `Use the link below to choose a new one. It is valid for a short time and can only be used once.\n\n` +
+          `${resetURL}\n\nIf you did not request this, you can ignore this email.`
+      });
+    } catch (error) {
+      user.passwordResetToken = undefined;
+      user.passwordResetExpires = undefined;
+      await user.save({ validateBeforeSave: false });
+
+      logger.error('Error sending password reset email:', error);
+      return next(new AppError('There was an error sending the email. Try again later.', 500));
     }
 
-    if (!token) {
-      return next(new AppError('Please log in to access this resource', 401));
+    logger.info(`Password reset requested for user: ${user.email}`);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Password reset instructions sent to email'
+    });
+  } catch (error) {
+    logger.error('Error in forgotPassword:', error);
+    next(new AppError('Error processing password reset', 500));
+  }
+};
+
+// Reset password
+exports.resetPassword = async (req, res, next) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return next(new AppError('Please provide the reset token and a new password', 400));
     }
 
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    // Find the user with a matching, unexpired token
+    const hashedToken = crypto
+      .createHash('sha256')
+      .update(token)
+      .digest('hex');
+
+    const user = await User.findOne({
+      passwordResetToken: hashedToken,
+      passwordResetExpires: { $gt: Date.now() }
+    });
 
-    // Check if user still exists
-    const user = await User.findById(decoded.id);
     if (!user) {
-      return next(new AppError('User no longer exists', 401));
+      return next(new AppError('Token is invalid or has expired', 400));
     }
 
-    // Grant access to protected route
-    req.user = user;
-    next();
+    // Update the password and consume the token
+    user.password = password;
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save();
+
+    // Sign out everywhere, the new session is created below
+    await Session.revokeAllForUser(user._id, 'password-reset');
+
+    logger.info(`Password reset for user: ${user.email}`);
+
+    // Log the user in
+    await createSendToken(user, 200, req, res);
   } catch (error) {
-    logger.error('Error in protect middleware:', error);
-    next(new AppError('Authentication failed', 401));
+    if (error.name === 'ValidationError') {
+      return next(new AppError(error.message, 400));
+    }
+    logger.error('Error in resetPassword:', error);
+    next(new AppError('Error resetting password', 500));
   }
 };
 
-// Restrict to certain roles
-exports.restrictTo = (...roles) => {
-  return (req, res, next) => {
-    if (!roles.includes(req.user.role)) {
-      return next(new AppError('You do not have permission to perform this action', 403));
+// Exchange a refresh token for a new access token, rotating the refresh token
+exports.refreshToken = async (req, res, next) => {
+  try {
+    const parsed = Session.parseRefreshToken(req.body.refreshToken);
+    if (!parsed) {
+      return next(new AppError('Please provide a valid refresh token', 400));
+    }
+
+    const tokenHash = Session.hashToken(parsed.secret);
+    const { secret, hash } = Session.generateSecret();
+
+    // Rotate atomically so a refresh token can only be exchanged once
+    const session = await Session.findOneAndUpdate(
+      {
+        _id: parsed.sessionId,
+        token: tokenHash,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+      },
+      {
+        $set: { token: hash, lastUsedAt: new Date() },
+        $push: { previousTokens: tokenHash }
+      },
+      { new: true }
+    );
+
+    if (!session) {
+      // A rotated token coming back means it was stolen or replayed: kill the session
+      const reused = await Session.findOneAndUpdate(
+        { _id: parsed.sessionId, previousTokens: tokenHash, revokedAt: null },
+        { revokedAt: new Date(), revokedReason: 'refresh-token-reuse' }
+      );
+
+      if (reused) {
+        logger.warn(`Refresh token reuse detected for session ${reused._id} of user ${reused.user}`);
+      }
+
+      return next(new AppError('Invalid or expired refresh token. Please log in again.', 401));
+    }
+
+    const user = await User.findById(session.user);
+    if (!user || !user.isActive) {
+      session.revokedAt = new Date();
+      session.revokedReason = 'user-unavailable';
+      await session.save();
+      return next(new AppError('User no longer exists or has been deactivated', 401));
     }
-    next();
-  };
+
+    const token = signToken(user._id, session._id);
+
+    res.status(200).json({
+      status: 'success',
+      token: `Bearer ${token}`,
+      refreshToken: `${session._id}.${secret}`
+    });
+  } catch (error) {
+    logger.error('Error in refreshToken:', error);
+    next(new AppError('Error refreshing token', 500));
+  }
 };
 
-// Forgot password
-exports.forgotPassword = async (req, res, next) => {
+// Logout by revoking the current session
+exports.logout = async (req, res, next) => {
   try {
-    const { email } = req.body;
+    await Session.updateOne(
+      { _id: req.session._id, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: 'logout' }
+    );
 
-    // Find user by email
-    const user = await User.findOne({ email });
-    if (!user) {
-      return next(new AppError('No user found with that email address', 404));
+    logger.info(`User logged out: ${req.user.email}`);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    logger.error('Error in logout:', error);
+    next(new AppError('Error logging out', 500));
+  }
+};
+
+// List the logged-in user's active sessions
+exports.getMySessions = async (req, res, next) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort('-lastUsedAt');
+
+    res.status(200).json({
+      status: 'success',
+      results: sessions.length,
+      data: sessions.map(session => ({
+        ...session.toJSON(),
+        isCurrent: session._id.equals(req.session._id)
+      }))
+    });
+  } catch (error) {
+    logger.error('Error in getMySessions:', error);
+    next(new AppError('Error fetching sessions', 500));
+  }
+};
+
+// Revoke one of the logged-in user's sessions
+exports.revokeMySession = async (req, res, next) => {
+  try {
+    const session = await Session.findOneAndUpdate(
+      { _id: req.params.id, user: req.user._id, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: 'revoked-by-user' },
+      { new: true }
+    );
+
+    if (!session) {
+      return next(new AppError('Session not found', 404));
     }
 
-    // Generate reset token
-    // Note: This would typically involve sending an email with a reset link
-    // For this example, we'll just return a success message
-    logger.info(`Password reset requested for user: ${email}`);
+    logger.info(`Session ${session._id} revoked by user ${req.user._id}`);
 
     res.status(200).json({
       status: 'success',
-      message: 'Password reset instructions sent to email'
+      data: session
     });
   } catch (error) {
-    logger.error('Error in forgotPassword:', error);
-    next(new AppError('Error processing password reset', 500));
+    logger.error('Error in revokeMySession:', error);
+    next(new AppError('Error revoking session', 500));
   }
 };
 
-// Reset password
-exports.resetPassword = async (req, res, next) => {
+// Revoke all of the logged-in user's sessions, including the current one
+exports.revokeAllMySessions = async (req, res, next) => {
   try {
-    const { token, password } = req.body;
+    const result = await Session.revokeAllForUser(req.user._id, 'revoked-by-user');
 
-    // In a real application, you would:
-    // 1. Verify the reset token
-    // 2. Find the user with the valid token
-    // 3. Update the password
-    // 4. Log the user in
+    logger.info(`All sessions revoked by user ${req.user._id}`);
 
     res.status(200).json({
       status: 'success',
-      message: 'Password successfully reset'
+      data: {
+        revoked: result.modifiedCount
+      }
     });
   } catch (error) {
-    logger.error('Error in resetPassword:', error);
-    next(new AppError('Error resetting password', 500));
+    logger.error('Error in revokeAllMySessions:', error);
+    next(new AppError('Error revoking sessions', 500));
   }
-}; 
\ No newline at end of file
+};
@@ -1,7 +1,7 @@
 const Banquet = require('../models/banquet.model');
 const { logger } = require('../utils/logger');
 const Event = require('../models/event.model');
-const { EVENT_LOCATION, EVENT_STATUS } = require('../utils/constants');
+const { EVENT_STATUS } = require('../utils/constants');
 
 exports.getBanquets = async (req, res) => {
     try {
@@ -72,13 +72,16 @@ exports.getBanquet = async (req, res) => {
 
 exports.updateBanquet = async (req, res) => {
     try {
-        const banquet = await Banquet.findByIdAndUpdate(req.params.id, req.body, { new: true });
+        const banquet = await Banquet.findById(req.params.id);
         if (!banquet) {
             return res.status(404).json({
                 status: 'error',
                 message: 'Banquet not found'
             });
         }
+        // Save rather than findByIdAndUpdate so the layouts are validated
+        banquet.set(req.body);
+        await banquet.save();
         logger.info(`Banquet updated with ID: ${banquet._id}`);
         res.status(200).json({
             status: 'success',
@@ -121,7 +124,16 @@ exports.deleteBanquet = async (req, res) => {
 exports.getBanquetEvents = async (req, res) => {
     try {
         const banquet = await Banquet.findById(req.params.id);
-        const events = await Event.find({ location: EVENT_LOCATION.BANQUET_HALL, status: EVENT_STATUS.CONFIRMED });
+        if (!banquet) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Banquet not found'
+            });
+        }
+        const events = await Event.find({
+            'location.location_id': banquet._id,
+            status: EVENT_STATUS.CONFIRMED
+        }).sort('startDate');
         res.status(200).json({
             status: 'success',
             data: {
@@ -0,0 +1,136 @@
+const BanquetPackage = require('../models/banquetPackage.model');
+const BanquetQuotation = require('../models/banquetQuotation.model');
+const { AppError } = require('../middleware/errorHandler');
+const { logger } = require('../utils/logger');
+
+const PACKAGE_FIELDS = [
+  'banquet',
+  'name',
+  'description',
+  'pricePerPlate',
+  'minimumGuarantee',
+  'menu',
+  'includedItems',
+  'extras',
+  'isActive'
+];
+
+const pickPackageFields = (body) =>
+  PACKAGE_FIELDS.reduce((fields, key) => {
+    if (body[key] !== undefined) fields[key] = body[key];
+    return fields;
+  }, {});
+
+// List packages, filtered by hall and whether they are still sold
+exports.getPackages = async (req, res, next) => {
+  try {
+    const filter = {};
+    if (req.query.banquet) filter.banquet = req.query.banquet;
+    if (req.query.isActive !== undefined) {
+      filter.isActive = req.query.isActive === 'true';
+    }
+
+    const packages = await BanquetPackage.find(filter).sort('pricePerPlate');
+
+    res.status(200).json({
+      status: 'success',
+      results: packages.length,
+      data: packages
+    });
+  } catch (error) {
+    logger.error('Error in getPackages:', error);
+    next(new AppError('Error fetching banquet packages', 500));
+  }
+};
+
+// Get a single package
+exports.getPackage = async (req, res, next) => {
+  try {
+    const pkg = await BanquetPackage.findById(req.params.packageId);
+
+    if (!pkg) {
+      return next(new AppError('Banquet package not found', 404));
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: pkg
+    });
+  } catch (error) {
+    logger.error('Error in getPackage:', error);
+    next(new AppError('Error fetching banquet package', 500));
+  }
+};
+
+// Create a package
+exports.createPackage = async (req, res, next) => {
+  try {
+    const pkg = await BanquetPackage.create({
+      ...pickPackageFields(req.body),
+      createdBy: req.user._id
+    });
+
+    logger.info(`Banquet package created: ${pkg.name}`);
+    res.status(201).json({
+      status: 'success',
+      data: pkg
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return next(new AppError(error.message, 400));
+    }
+    logger.error('Error in createPackage:', error);
+    next(new AppError('Error creating banquet package', 500));
+  }
+};
+
+// Update a package. Quotations keep the prices they were quoted with.
+exports.updatePackage = async (req, res, next) => {
+  try {
+    const pkg = await BanquetPackage.findById(req.params.packageId);
+
+    if (!pkg) {
+      return next(new AppError('Banquet package not found', 404));
+    }
+
+    pkg.set(pickPackageFields(req.body));
+    await pkg.save();
+
+    logger.info(`Banquet package updated: ${pkg.name}`);
+    res.status(200).json({
+      status: 'success',
+      data: pkg
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return next(new AppError(error.message, 400));
+    }
+    logger.error('Error in updatePackage:', error);
+    next(new AppError('Error updating banquet package', 500));
+  }
+};
+
+// Delete a package that was never quoted; quoted packages are deactivated instead
+exports.deletePackage = async (req, res, next) => {
+  try {
+    const quoted = await BanquetQuotation.exists({ package: req.params.packageId });
+    if (quoted) {
+      return next(new AppError('This package has been quoted. Set isActive to false instead.', 400));
+    }
+
+    const pkg = await BanquetPackage.findByIdAndDelete(req.params.packageId);
+
+    if (!pkg) {
+      return next(new AppError('Banquet package not found', 404));
+    }
+
+    logger.info(`Banquet package deleted: ${pkg.name}`);
+    res.status(204).json({
+      status: 'success',
+      data: null
+    });
+  } catch (error) {
+    logger.error('Error in deletePackage:', error);
+    next(new AppError('Error deleting banquet package', 500));
+  }
+};
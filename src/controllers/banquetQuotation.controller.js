@@ -0,0 +1,147 @@
+const BanquetQuotation = require('../models/banquetQuotation.model');
+const { AppError } = require('../middleware/errorHandler');
+const { logger } = require('../utils/logger');
+const {
+  createQuotation,
+  reviseQuotation,
+  sendQuotation,
+  acceptQuotation,
+  convertQuotation
+} = require('../services/banquetQuotation.service');
+
+// List quotations, filtered by hall, status and event date range
+exports.getQuotations = async (req, res, next) => {
+  try {
+    const filter = {};
+    if (req.query.banquet) filter.banquet = req.query.banquet;
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.startDate) filter.endTime = { $gt: new Date(req.query.startDate) };
+    if (req.query.endDate) filter.startTime = { $lt: new Date(req.query.endDate) };
+
+    const quotations = await BanquetQuotation.find(filter)
+      .select('-revisions')
+      .sort('startTime');
+
+    res.status(200).json({
+      status: 'success',
+      results: quotations.length,
+      data: quotations
+    });
+  } catch (error) {
+    logger.error(`Error fetching banquet quotations: ${error.message}`);
+    next(new AppError('Error fetching banquet quotations', 500));
+  }
+};
+
+// Get one quotation with its version history (loaded by checkOwnership)
+exports.getQuotation = (req, res) => {
+  res.status(200).json({
+    status: 'success',
+    data: req.doc
+  });
+};
+
+// Start a draft quotation
+exports.createQuotation = async (req, res, next) => {
+  try {
+    const quotation = await createQuotation(req.body, { actor: req.user._id });
+
+    logger.info(`Banquet quotation created with ID: ${quotation._id}`);
+    res.status(201).json({
+      status: 'success',
+      data: quotation
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    if (error.name === 'ValidationError') {
+      return next(new AppError(error.message, 400));
+    }
+    logger.error(`Error creating banquet quotation: ${error.message}`);
+    next(new AppError('Error creating banquet quotation', 500));
+  }
+};
+
+// Revise a quotation; `revisionNote` says what changed
+exports.updateQuotation = async (req, res, next) => {
+  try {
+    const { revisionNote, ...updates } = req.body;
+    const quotation = await reviseQuotation(req.doc, updates, {
+      actor: req.user._id,
+      note: revisionNote
+    });
+
+    logger.info(`Banquet quotation ${quotation._id} revised to version ${quotation.version}`);
+    res.status(200).json({
+      status: 'success',
+      data: quotation
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    if (error.name === 'ValidationError') {
+      return next(new AppError(error.message, 400));
+    }
+    logger.error(`Error revising banquet quotation: ${error.message}`);
+    next(new AppError('Error revising banquet quotation', 500));
+  }
+};
+
+// Mark a draft quotation as sent to the client
+exports.sendQuotation = async (req, res, next) => {
+  try {
+    const quotation = await sendQuotation(req.doc);
+
+    logger.info(`Banquet quotation sent: ${quotation._id}`);
+    res.status(200).json({
+      status: 'success',
+      data: quotation
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error(`Error sending banquet quotation: ${error.message}`);
+    next(new AppError('Error sending banquet quotation', 500));
+  }
+};
+
+// Record the client's acceptance, reserving the hall
+exports.acceptQuotation = async (req, res, next) => {
+  try {
+    const quotation = await acceptQuotation(req.doc, { actor: req.user._id });
+
+    logger.info(`Banquet quotation accepted: ${quotation._id}`);
+    res.status(200).json({
+      status: 'success',
+      data: quotation
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error(`Error accepting banquet quotation: ${error.message}`);
+    next(new AppError('Error accepting banquet quotation', 500));
+  }
+};
+
+// Confirm the hall reservation of an accepted quotation
+exports.convertQuotation = async (req, res, next) => {
+  try {
+    const quotation = await convertQuotation(req.doc);
+
+    logger.info(`Banquet quotation converted: ${quotation._id}`);
+    res.status(200).json({
+      status: 'success',
+      data: quotation
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error(`Error converting banquet quotation: ${error.message}`);
+    next(new AppError('Error converting banquet quotation', 500));
+  }
+};
@@ -0,0 +1,175 @@
+const mongoose = require('mongoose');
+const Banquet = require('../models/banquet.model');
+const BanquetReservation = require('../models/banquetReservation.model');
+const { AppError } = require('../middleware/errorHandler');
+const { logger } = require('../utils/logger');
+const {
+  createReservation,
+  updateReservation,
+  changeReservationStatus,
+  getHallCalendar,
+  searchHalls
+} = require('../services/banquetReservation.service');
+const { BANQUET_RESERVATION_STATUS } = require('../utils/constants');
+
+// List reservations, filtered by hall, status and a date range
+exports.getReservations = async (req, res, next) => {
+  try {
+    const filter = {};
+    if (req.query.banquet) filter.banquet = req.query.banquet;
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.startDate) filter.blockedUntil = { $gt: new Date(req.query.startDate) };
+    if (req.query.endDate) filter.blockedFrom = { $lt: new Date(req.query.endDate) };
+
+    const reservations = await BanquetReservation.find(filter).sort('startTime');
+
+    res.status(200).json({
+      status: 'success',
+      results: reservations.length,
+      data: reservations
+    });
+  } catch (error) {
+    logger.error(`Error fetching banquet reservations: ${error.message}`);
+    next(new AppError('Error fetching banquet reservations', 500));
+  }
+};
+
+// Get one reservation (loaded by checkOwnership)
+exports.getReservation = (req, res) => {
+  res.status(200).json({
+    status: 'success',
+    data: req.doc
+  });
+};
+
+// Book a hall for a time slot
+exports.createReservation = async (req, res, next) => {
+  try {
+    const reservation = await createReservation(req.body, { actor: req.user._id });
+
+    logger.info(`Banquet reservation created with ID: ${reservation._id}`);
+    res.status(201).json({
+      status: 'success',
+      data: reservation
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    if (error.name === 'ValidationError') {
+      return next(new AppError(error.message, 400));
+    }
+    logger.error(`Error creating banquet reservation: ${error.message}`);
+    next(new AppError('Error creating banquet reservation', 500));
+  }
+};
+
+// Change the slot, headcount or details of a reservation
+exports.updateReservation = async (req, res, next) => {
+  try {
+    const reservation = await updateReservation(req.doc, req.body);
+
+    logger.info(`Banquet reservation updated: ${reservation._id}`);
+    res.status(200).json({
+      status: 'success',
+      data: reservation
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    if (error.name === 'ValidationError') {
+      return next(new AppError(error.message, 400));
+    }
+    logger.error(`Error updating banquet reservation: ${error.message}`);
+    next(new AppError('Error updating banquet reservation', 500));
+  }
+};
+
+// Turn a tentative hold into a confirmed reservation
+exports.confirmReservation = async (req, res, next) => {
+  try {
+    const reservation = await changeReservationStatus(req.doc, BANQUET_RESERVATION_STATUS.CONFIRMED);
+
+    logger.info(`Banquet reservation confirmed: ${reservation._id}`);
+    res.status(200).json({
+      status: 'success',
+      data: reservation
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error(`Error confirming banquet reservation: ${error.message}`);
+    next(new AppError('Error confirming banquet reservation', 500));
+  }
+};
+
+// Release the hall
+exports.releaseReservation = async (req, res, next) => {
+  try {
+    const reservation = await changeReservationStatus(req.doc, BANQUET_RESERVATION_STATUS.RELEASED, {
+      reason: req.body.reason
+    });
+
+    logger.info(`Banquet reservation released: ${reservation._id}`);
+    res.status(200).json({
+      status: 'success',
+      data: reservation
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error(`Error releasing banquet reservation: ${error.message}`);
+    next(new AppError('Error releasing banquet reservation', 500));
+  }
+};
+
+// What occupies a hall each day between `start` and `end`
+exports.getBanquetAvailability = async (req, res, next) => {
+  try {
+    const { start, end } = req.query;
+    if (!start || !end) {
+      return next(new AppError('Please provide start and end dates', 400));
+    }
+
+    const banquet = mongoose.isValidObjectId(req.params.id) && await Banquet.findById(req.params.id);
+    if (!banquet) {
+      return next(new AppError('Banquet hall not found', 404));
+    }
+
+    const calendar = await getHallCalendar(banquet, { start, end });
+
+    res.status(200).json({
+      status: 'success',
+      data: calendar
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error(`Error building hall availability: ${error.message}`);
+    next(new AppError('Error building hall availability', 500));
+  }
+};
+
+// Halls that fit `headcount` guests in a `layout` and are free on `date`
+// (or between `startTime` and `endTime`)
+exports.searchBanquets = async (req, res, next) => {
+  try {
+    const halls = await searchHalls(req.query);
+
+    res.status(200).json({
+      status: 'success',
+      results: halls.length,
+      data: halls
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error(`Error searching banquet halls: ${error.message}`);
+    next(new AppError('Error searching banquet halls', 500));
+  }
+};
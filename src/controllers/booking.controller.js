@@ -1,40 +1,243 @@
+const mongoose = require('mongoose');
 const Booking = require('../models/booking.model');
 const Room = require('../models/room.model');
+const { hasPermission } = require('../middleware/auth');
+const { AppError } = require('../middleware/errorHandler');
 const { logger } = require('../utils/logger');
+const { BOOKING_STATUS, TAX_CATEGORY } = require('../utils/constants');
+const {
+  validateStayDates,
+  assertRoomBookable,
+  formatNight
+} = require('../services/reservation.service');
+const {
+  reserveRoomNights,
+  releaseRoomNights,
+  unassignRoomNights
+} = require('../services/inventory.service');
+const {
+  roundCurrency,
+  priceStay,
+  priceAddOns,
+  toPriceBreakdown
+} = require('../services/pricing.service');
+const {
+  normaliseGuests,
+  assertRoomFits,
+  priceRoomType,
+  buildQuote,
+  signQuoteToken,
+  verifyQuoteToken
+} = require('../services/quote.service');
+const { assertTransition, transitionBooking } = require('../services/bookingStatus.service');
+const { assignRoom, autoAssignRooms } = require('../services/roomAssignment.service');
+const {
+  quoteCancellation,
+  cancelBookingWithRefund,
+  retryCancellationRefund
+} = require('../services/cancellation.service');
+const {
+  addOnEntries,
+  postEntries,
+  postBookingCharges,
+  postModificationCharges
+} = require('../services/folio.service');
+const { calculateItemTaxes, calculateBookingTaxes, combineTaxes } = require('../services/tax.service');
+const {
+  findPromoCode,
+  assertPromoEligible,
+  applyPromoDiscount,
+  applyPromoCode,
+  toBookingPromo,
+  redeemPromoCode,
+  releasePromoRedemption,
+  updatePromoRedemption
+} = require('../services/promo.service');
+const PromoCode = require('../models/promoCode.model');
+const Folio = require('../models/folio.model');
+const Invoice = require('../models/invoice.model');
+const Payment = require('../models/payment.model');
+
+// Fields the generic update may change; everything else has its own endpoint
+const UPDATABLE_FIELDS = ['specialRequests', 'roomPreferences'];
+
+// Fields a booking modification may change
+const MODIFIABLE_FIELDS = ['checkIn', 'checkOut', 'room', 'numberOfGuests', 'addOns'];
+const MODIFIABLE_STATUSES = [BOOKING_STATUS.PENDING, BOOKING_STATUS.CONFIRMED];
+
+// Add-ons can be ordered until check-out, in-house stays included
+const ADD_ON_STATUSES = [...MODIFIABLE_STATUSES, BOOKING_STATUS.CHECKED_IN];
+
+// Preview the price of a stay without creating a booking
+exports.getBookingQuote = async (req, res, next) => {
+  try {
+    const quote = await buildQuote(req.body);
+    const quoteToken = signQuoteToken(quote);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        ...quote,
+        quoteToken
+      }
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error(`Error creating booking quote: ${error.message}`);
+    next(new AppError('Error creating booking quote', 500));
+  }
+};
+
+// Create a new booking for a specific `room`, or for a `roomType` with the
+// room assigned closer to arrival
+exports.createBooking = async (req, res, next) => {
+  const bookingId = new mongoose.Types.ObjectId();
+  let nightsReserved = false;
+  let promoRedeemed = false;
+  let bookingCreated = false;
 
-// Create a new booking
-exports.createBooking = async (req, res) => {
   try {
+    const { checkIn, checkOut, numberOfGuests, specialRequests, ratePlan, roomPreferences } = req.body;
+
+    // A valid quote token fixes the price for its short validity window
+    const quote = req.body.quoteToken
+      ? verifyQuoteToken(req.body.quoteToken, req.body)
+      : null;
+
+    validateStayDates(checkIn, checkOut);
+
     // Check room availability
-    const room = await Room.findById(req.body.room);
-    if (!room) {
-      return res.status(404).json({ message: 'Room not found' });
+    const roomId = req.body.room || (quote && quote.room);
+    let room = null;
+    let roomType;
+    if (roomId) {
+      room = await Room.findById(roomId);
+      if (!room) {
+        return next(new AppError('Room not found', 404));
+      }
+      assertRoomBookable(room, checkIn, checkOut);
+      assertRoomFits(room, normaliseGuests(numberOfGuests));
+      roomType = room.type;
+    } else {
+      roomType = req.body.roomType || (quote && quote.roomType);
+      if (!roomType) {
+        return next(new AppError('Please provide a room or a room type', 400));
+      }
+    }
+
+    // Hold the room-nights first; the unique indexes reject double bookings
+    // and more bookings of a type than it has rooms
+    await reserveRoomNights({
+      room: room ? room._id : undefined,
+      roomType,
+      booking: bookingId,
+      checkIn,
+      checkOut
+    });
+    nightsReserved = true;
+
+    // Price each night with seasonal rates and discounts, or take the quoted price
+    let stayPrice;
+    let addOnPrice;
+    let taxes;
+    let promo = null;
+    if (quote) {
+      stayPrice = {
+        nights: quote.nights,
+        subtotal: quote.roomSubtotal,
+        discountTotal: quote.discountTotal,
+        promoDiscountTotal: quote.promoDiscountTotal,
+        total: quote.roomTotal
+      };
+      addOnPrice = { lines: quote.addOns, total: quote.addOnTotal };
+      taxes = { lines: quote.taxes, total: quote.taxTotal };
+      if (quote.promo) {
+        promo = await findPromoCode(quote.promo.code);
+      }
+    } else {
+      // A room type is priced at its cheapest room that fits the guests
+      let pricedRoom = room;
+      if (room) {
+        stayPrice = priceStay(room, checkIn, checkOut);
+      } else {
+        ({ room: pricedRoom, stayPrice } = await priceRoomType(
+          roomType,
+          normaliseGuests(numberOfGuests),
+          checkIn,
+          checkOut,
+          { booking: bookingId }
+        ));
+      }
+      if (req.body.promoCode) {
+        ({ promo, stayPrice } = await applyPromoCode(req.body.promoCode, {
+          room: pricedRoom,
+          stayPrice,
+          guest: req.user._id
+        }));
+      }
+      addOnPrice = priceAddOns(req.body.addOns);
+      taxes = await calculateBookingTaxes({ nights: stayPrice.nights, addOns: addOnPrice.lines, checkIn });
     }
 
-    // Calculate total price
-    const checkIn = new Date(req.body.checkIn);
-    const checkOut = new Date(req.body.checkOut);
-    const numberOfNights = Math.ceil((checkOut - checkIn) / (1000 * 60 * 60 * 24));
-    const totalPrice = numberOfNights * room.pricePerNight;
+    const totalPrice = roundCurrency(stayPrice.total + addOnPrice.total + taxes.total);
+
+    if (promo) {
+      await redeemPromoCode(promo, {
+        booking: bookingId,
+        guest: req.user._id,
+        discountAmount: stayPrice.promoDiscountTotal,
+        bookingTotal: totalPrice
+      });
+      promoRedeemed = true;
+    }
 
     // Create booking with calculated total price
     const booking = await Booking.create({
-      ...req.body,
-      guest: req.user._id, // Assuming user is authenticated
-      totalPrice
+      _id: bookingId,
+      guest: req.user._id,
+      roomType,
+      room: room ? room._id : undefined,
+      roomPreferences,
+      checkIn,
+      checkOut,
+      numberOfGuests,
+      specialRequests,
+      ratePlan,
+      addOns: addOnPrice.lines.map(({ service, price, quantity }) => ({ service, price, quantity })),
+      totalPrice,
+      taxes: taxes.lines,
+      taxTotal: taxes.total,
+      priceBreakdown: toPriceBreakdown(stayPrice),
+      promo: promo ? toBookingPromo(promo, stayPrice.promoDiscountTotal) : undefined,
+      statusHistory: [{ to: BOOKING_STATUS.PENDING, changedBy: req.user._id }]
     });
+    bookingCreated = true;
 
-    logger.info(`New booking created with ID: ${booking._id}`);
+    await postBookingCharges(booking, { actor: req.user._id, roomNumber: room && room.roomNumber });
+
+    logger.info(`New booking created with ID: ${booking._id}${quote ? ' from quote' : ''}`);
     res.status(201).json({
       status: 'success',
       data: booking
     });
   } catch (error) {
+    if (bookingCreated) {
+      await Booking.deleteOne({ _id: bookingId });
+    }
+    if (promoRedeemed) {
+      await releasePromoRedemption(bookingId);
+    }
+    if (nightsReserved) {
+      await releaseRoomNights(bookingId);
+    }
+
+    if (error.isOperational) {
+      return next(error);
+    }
     logger.error(`Error creating booking: ${error.message}`);
-    res.status(400).json({
-      status: 'error',
-      message: error.message
-    });
+    next(new AppError(error.message, 400));
   }
 };
 
@@ -43,6 +246,11 @@ exports.getAllBookings = async (req, res) => {
   try {
     let query = Booking.find();
 
+    // Users who can't read every booking only see their own
+    if (!hasPermission(req.user, 'booking:read:any')) {
+      query = query.find({ guest: req.user._id });
+    }
+
     // Filter by status
     if (req.query.status) {
       query = query.find({ status: req.query.status });
@@ -105,12 +313,24 @@ exports.getBooking = async (req, res) => {
   }
 };
 
-// Update booking
-exports.updateBooking = async (req, res) => {
+// Update booking details that don't affect price or availability
+exports.updateBooking = async (req, res, next) => {
   try {
+    const rejected = Object.keys(req.body).filter(key => !UPDATABLE_FIELDS.includes(key));
+    if (rejected.some(key => MODIFIABLE_FIELDS.includes(key))) {
+      return next(new AppError('Use the booking modification endpoint to change dates, room, guests or add-ons', 400));
+    }
+    if (rejected.length > 0) {
+      return next(new AppError(`These fields cannot be updated: ${rejected.join(', ')}`, 400));
+    }
+
+    const update = Object.fromEntries(UPDATABLE_FIELDS
+      .filter(field => req.body[field] !== undefined)
+      .map(field => [field, req.body[field]]));
+
     const booking = await Booking.findByIdAndUpdate(
       req.params.id,
-      req.body,
+      update,
       {
         new: true,
         runValidators: true
@@ -118,10 +338,7 @@ exports.updateBooking = async (req, res) => {
     );
 
     if (!booking) {
-      return res.status(404).json({
-        status: 'error',
-        message: 'Booking not found'
-      });
+      return next(new AppError('Booking not found', 404));
     }
 
     logger.info(`Booking updated with ID: ${booking._id}`);
@@ -131,25 +348,255 @@ exports.updateBooking = async (req, res) => {
     });
   } catch (error) {
     logger.error(`Error updating booking: ${error.message}`);
-    res.status(400).json({
-      status: 'error',
-      message: error.message
-    });
+    next(new AppError(error.message, 400));
   }
 };
 
-// Delete booking
-exports.deleteBooking = async (req, res) => {
+// Change dates, room, guests or add-ons; re-checks availability and reprices the booking
+exports.modifyBooking = async (req, res, next) => {
+  const existing = req.doc;
+  const previous = {
+    room: existing.room ? existing.room._id : null,
+    roomType: existing.roomType || existing.room.type,
+    checkIn: existing.checkIn,
+    checkOut: existing.checkOut,
+    numberOfGuests: normaliseGuests(existing.numberOfGuests),
+    addOns: existing.addOns.map(({ service, price, quantity }) => ({ service, price, quantity }))
+  };
+  let nightsMoved = false;
+
   try {
-    const booking = await Booking.findByIdAndDelete(req.params.id);
-    
+    if (!MODIFIABLE_STATUSES.includes(existing.status)) {
+      return next(new AppError(`A ${existing.status} booking cannot be modified`, 400));
+    }
+
+    const rejected = Object.keys(req.body).filter(key => !MODIFIABLE_FIELDS.includes(key));
+    if (rejected.length > 0) {
+      return next(new AppError(`These fields cannot be modified: ${rejected.join(', ')}`, 400));
+    }
+
+    if (Object.keys(req.body).length === 0) {
+      return next(new AppError(`Please provide at least one of: ${MODIFIABLE_FIELDS.join(', ')}`, 400));
+    }
+
+    const checkIn = req.body.checkIn ? new Date(req.body.checkIn) : previous.checkIn;
+    const checkOut = req.body.checkOut ? new Date(req.body.checkOut) : previous.checkOut;
+    validateStayDates(checkIn, checkOut);
+
+    // Bookings without a room yet stay with their room type
+    const roomId = req.body.room || previous.room;
+    let room = null;
+    if (roomId) {
+      room = await Room.findById(roomId);
+      if (!room) {
+        return next(new AppError('Room not found', 404));
+      }
+    }
+    const roomType = room ? room.type : previous.roomType;
+
+    const numberOfGuests = normaliseGuests(req.body.numberOfGuests || previous.numberOfGuests);
+    if (room) {
+      assertRoomFits(room, numberOfGuests);
+    }
+
+    // A room type is priced at a room that fits the guests, so new guests reprice it
+    const guestsChanged = JSON.stringify(numberOfGuests) !== JSON.stringify(previous.numberOfGuests);
+    const stayChanged =
+      (room ? !room._id.equals(previous.room) : guestsChanged) ||
+      checkIn.getTime() !== previous.checkIn.getTime() ||
+      checkOut.getTime() !== previous.checkOut.getTime();
+
+    // Only a changed stay is repriced; otherwise the original nightly rates stand
+    let stayPrice = null;
+    if (stayChanged) {
+      if (room) {
+        assertRoomBookable(room, checkIn, checkOut);
+      }
+      await reserveRoomNights({
+        room: room ? room._id : undefined,
+        roomType,
+        booking: existing._id,
+        checkIn,
+        checkOut
+      });
+      nightsMoved = true;
+
+      let pricedRoom = room;
+      if (room) {
+        stayPrice = priceStay(room, checkIn, checkOut);
+      } else {
+        ({ room: pricedRoom, stayPrice } = await priceRoomType(
+          roomType,
+          numberOfGuests,
+          checkIn,
+          checkOut,
+          { booking: existing._id }
+        ));
+      }
+
+      // The promo code the booking was made with carries over to the new stay
+      if (existing.promo && existing.promo.code) {
+        const promo = (await PromoCode.findById(existing.promo.promoCode)) || existing.promo;
+        assertPromoEligible(promo, {
+          roomType: pricedRoom.type,
+          numberOfNights: stayPrice.numberOfNights,
+          at: existing.createdAt,
+          checkUsage: false
+        });
+        stayPrice = applyPromoDiscount(promo, stayPrice);
+      }
+    }
+
+    const previousAddOnTotal = roundCurrency(
+      previous.addOns.reduce((sum, addOn) => sum + addOn.price * addOn.quantity, 0)
+    );
+    const addOnPrice = req.body.addOns
+      ? priceAddOns(req.body.addOns)
+      : { lines: previous.addOns, total: previousAddOnTotal };
+    const addOns = addOnPrice.lines.map(({ service, price, quantity }) => ({ service, price, quantity }));
+
+    const stayTotal = stayPrice
+      ? stayPrice.total
+      : roundCurrency(existing.totalPrice - previousAddOnTotal - (existing.taxTotal || 0));
+
+    // Taxes follow the (possibly repriced) nights and the new add-ons
+    const nights = stayPrice
+      ? stayPrice.nights
+      : ((existing.priceBreakdown && existing.priceBreakdown.nights) || []);
+    const taxes = await calculateBookingTaxes({ nights, addOns: addOnPrice.lines, checkIn });
+
+    const newTotal = roundCurrency(stayTotal + addOnPrice.total + taxes.total);
+    const priceDifference = roundCurrency(newTotal - existing.totalPrice);
+
+    const modified = {
+      room: room ? room._id : null,
+      checkIn,
+      checkOut,
+      numberOfGuests,
+      addOns
+    };
+    const display = {
+      room: value => value && value.toString(),
+      checkIn: formatNight,
+      checkOut: formatNight
+    };
+    const changes = MODIFIABLE_FIELDS
+      .map(field => {
+        const format = display[field] || (value => value);
+        return { field, from: format(previous[field]), to: format(modified[field]) };
+      })
+      .filter(change => JSON.stringify(change.from) !== JSON.stringify(change.to));
+
+    if (changes.length === 0) {
+      return next(new AppError('The requested modification does not change the booking', 400));
+    }
+
+    // Only apply if the booking wasn't cancelled or checked in meanwhile
+    const booking = await Booking.findOneAndUpdate(
+      { _id: existing._id, status: { $in: MODIFIABLE_STATUSES } },
+      {
+        $set: {
+          ...modified,
+          roomType,
+          totalPrice: newTotal,
+          taxes: taxes.lines,
+          taxTotal: taxes.total,
+          ...(stayPrice && { priceBreakdown: toPriceBreakdown(stayPrice) }),
+          ...(stayPrice && existing.promo && existing.promo.code && {
+            'promo.discountAmount': stayPrice.promoDiscountTotal
+          })
+        },
+        $push: {
+          modifications: {
+            modifiedAt: new Date(),
+            modifiedBy: req.user._id,
+            changes,
+            previousTotal: existing.totalPrice,
+            newTotal,
+            priceDifference,
+            amountDue: Math.max(priceDifference, 0),
+            refundDue: Math.max(-priceDifference, 0)
+          }
+        }
+      },
+      {
+        new: true,
+        runValidators: true
+      }
+    );
+
     if (!booking) {
-      return res.status(404).json({
-        status: 'error',
-        message: 'Booking not found'
+      throw new AppError('Booking status changed while it was being modified. Please try again.', 409);
+    }
+
+    if (booking.promo && booking.promo.code) {
+      await updatePromoRedemption(booking._id, {
+        discountAmount: booking.promo.discountAmount,
+        bookingTotal: newTotal
       });
     }
 
+    await postModificationCharges(booking, {
+      previousTotal: existing.totalPrice,
+      previousTaxes: existing.taxes
+    }, { actor: req.user._id });
+
+    logger.info(`Booking modified with ID: ${booking._id}, price difference ${priceDifference}`);
+    res.status(200).json({
+      status: 'success',
+      data: booking
+    });
+  } catch (error) {
+    // Put the original nights back
+    if (nightsMoved) {
+      try {
+        await reserveRoomNights({
+          room: previous.room || undefined,
+          roomType: previous.roomType,
+          booking: existing._id,
+          checkIn: previous.checkIn,
+          checkOut: previous.checkOut
+        });
+        if (!previous.room) {
+          await unassignRoomNights(existing._id);
+        }
+      } catch (restoreError) {
+        logger.error(`Error restoring nights for booking ${existing._id}: ${restoreError.message}`);
+      }
+    }
+
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error(`Error modifying booking: ${error.message}`);
+    next(new AppError(error.message, 400));
+  }
+};
+
+// Delete a booking that never took money, with its room nights, promo use and folio
+exports.deleteBooking = async (req, res, next) => {
+  try {
+    const booking = mongoose.isValidObjectId(req.params.id) && await Booking.findById(req.params.id);
+
+    if (!booking) {
+      return next(new AppError('Booking not found', 404));
+    }
+
+    // Money taken or invoiced must stay on record; such bookings are cancelled instead
+    const [folio, invoiced, paymentStarted] = await Promise.all([
+      Folio.findOne({ booking: booking._id }),
+      Invoice.exists({ booking: booking._id }),
+      Payment.exists({ booking: booking._id })
+    ]);
+    if ((folio && (folio.paymentsTotal > 0 || folio.refundsTotal > 0)) || invoiced || paymentStarted) {
+      return next(new AppError('This booking has payments or invoices and cannot be deleted. Cancel it instead.', 400));
+    }
+
+    await Booking.deleteOne({ _id: booking._id });
+    await releaseRoomNights(booking._id);
+    await releasePromoRedemption(booking._id);
+    await Folio.deleteOne({ booking: booking._id });
+
     logger.info(`Booking deleted with ID: ${booking._id}`);
     res.status(204).json({
       status: 'success',
@@ -157,30 +604,29 @@ exports.deleteBooking = async (req, res) => {
     });
   } catch (error) {
     logger.error(`Error deleting booking: ${error.message}`);
-    res.status(400).json({
-      status: 'error',
-      message: error.message
-    });
+    next(new AppError(error.message, 400));
   }
 };
 
-// Update booking status
-exports.updateBookingStatus = async (req, res) => {
+// Update booking status. Cancelling goes through the cancellation policy,
+// like PATCH /:id/cancel, so the folio is settled and the refund made.
+exports.updateBookingStatus = async (req, res, next) => {
   try {
-    const { status } = req.body;
-    const booking = await Booking.findByIdAndUpdate(
-      req.params.id,
-      { status },
-      {
-        new: true,
-        runValidators: true
+    const { status, note } = req.body;
+    let booking;
+    if (status === BOOKING_STATUS.CANCELLED) {
+      const existing = await Booking.findById(req.params.id);
+      if (!existing) {
+        return next(new AppError('Booking not found', 404));
       }
-    );
-
-    if (!booking) {
-      return res.status(404).json({
-        status: 'error',
-        message: 'Booking not found'
+      ({ booking } = await cancelBookingWithRefund(existing, {
+        reason: note,
+        actor: req.user._id
+      }));
+    } else {
+      booking = await transitionBooking(req.params.id, status, {
+        actor: req.user._id,
+        note
       });
     }
 
@@ -190,91 +636,124 @@ exports.updateBookingStatus = async (req, res) => {
       data: booking
     });
   } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
     logger.error(`Error updating booking status: ${error.message}`);
-    res.status(400).json({
-      status: 'error',
-      message: error.message
-    });
+    next(new AppError(error.message, 400));
   }
 };
 
-// Cancel booking
-exports.cancelBooking = async (req, res) => {
+// Assign a room to a booking: the `room` given, or the best free room of its type
+exports.assignBookingRoom = async (req, res, next) => {
   try {
-    const booking = await Booking.findByIdAndUpdate(
-      req.params.id,
-      {
-        status: 'cancelled',
-        cancellation: {
-          date: new Date(),
-          reason: req.body.reason,
-          refundAmount: req.body.refundAmount
-        }
-      },
-      {
-        new: true,
-        runValidators: true
-      }
-    );
-
+    const booking = await Booking.findById(req.params.id);
     if (!booking) {
-      return res.status(404).json({
-        status: 'error',
-        message: 'Booking not found'
-      });
+      return next(new AppError('Booking not found', 404));
     }
 
-    logger.info(`Booking cancelled with ID: ${booking._id}`);
+    const updated = await assignRoom(booking, {
+      room: req.body.room,
+      actor: req.user._id
+    });
+
     res.status(200).json({
       status: 'success',
-      data: booking
+      data: updated
     });
   } catch (error) {
-    logger.error(`Error cancelling booking: ${error.message}`);
-    res.status(400).json({
-      status: 'error',
-      message: error.message
-    });
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error(`Error assigning room: ${error.message}`);
+    next(new AppError(error.message, 400));
   }
 };
 
-// Update payment status and details
-exports.updatePayment = async (req, res) => {
+// Assign rooms to every unassigned booking arriving within `days`
+exports.assignBookingRooms = async (req, res, next) => {
   try {
-    const { paymentStatus, paymentDetails } = req.body;
-    const booking = await Booking.findByIdAndUpdate(
-      req.params.id,
-      {
-        paymentStatus,
-        paymentDetails: {
-          ...paymentDetails,
-          paidAt: new Date()
-        }
-      },
-      {
-        new: true,
-        runValidators: true
+    const days = req.body.days === undefined ? undefined : parseInt(req.body.days, 10);
+    if (days !== undefined && !(days >= 0)) {
+      return next(new AppError('Days must be a number of days from today', 400));
+    }
+
+    const results = await autoAssignRooms({ days, actor: req.user._id });
+
+    res.status(200).json({
+      status: 'success',
+      results: results.length,
+      data: {
+        assigned: results.filter(result => !result.error),
+        unassigned: results.filter(result => result.error)
       }
-    );
+    });
+  } catch (error) {
+    logger.error(`Error assigning rooms: ${error.message}`);
+    next(new AppError('Error assigning rooms', 500));
+  }
+};
 
-    if (!booking) {
-      return res.status(404).json({
-        status: 'error',
-        message: 'Booking not found'
-      });
+// Preview the refund for cancelling a booking now
+exports.getCancellationPreview = async (req, res, next) => {
+  try {
+    const booking = req.doc;
+
+    assertTransition(booking.status, BOOKING_STATUS.CANCELLED);
+
+    const preview = await quoteCancellation(booking);
+
+    res.status(200).json({
+      status: 'success',
+      data: preview
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
     }
+    logger.error(`Error previewing cancellation: ${error.message}`);
+    next(new AppError(error.message, 400));
+  }
+};
+
+// Cancel booking. The refund comes from the cancellation policy, never the request.
+exports.cancelBooking = async (req, res, next) => {
+  try {
+    const { booking, refund } = await cancelBookingWithRefund(req.doc, {
+      reason: req.body.reason,
+      actor: req.user._id
+    });
 
-    logger.info(`Payment updated for booking ID: ${booking._id}`);
+    logger.info(`Booking cancelled with ID: ${booking._id}, refund ${refund.refundAmount}`);
     res.status(200).json({
       status: 'success',
       data: booking
     });
   } catch (error) {
-    logger.error(`Error updating payment: ${error.message}`);
-    res.status(400).json({
-      status: 'error',
-      message: error.message
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error(`Error cancelling booking: ${error.message}`);
+    next(new AppError(error.message, 400));
+  }
+};
+
+// Try again to refund a cancelled booking whose refund the gateway failed
+exports.retryCancellationRefund = async (req, res, next) => {
+  try {
+    const booking = await retryCancellationRefund(req.doc, { actor: req.user._id });
+
+    logger.info(`Cancellation refund of booking ${booking._id} retried: ${booking.cancellation.refundStatus}`);
+    res.status(200).json({
+      status: 'success',
+      data: booking
     });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error(`Error retrying cancellation refund: ${error.message}`);
+    next(new AppError(error.message, 400));
   }
 };
 
@@ -314,13 +793,36 @@ exports.addSpecialRequests = async (req, res) => {
 };
 
 // Add add-ons to booking
-exports.addAddOns = async (req, res) => {
+exports.addAddOns = async (req, res, next) => {
   try {
-    const booking = await Booking.findByIdAndUpdate(
-      req.params.id,
+    if (!ADD_ON_STATUSES.includes(req.doc.status)) {
+      return next(new AppError(`Add-ons cannot be added to a ${req.doc.status} booking`, 400));
+    }
+
+    // Prices come from the add-on catalogue, not the request
+    const addOnPrice = priceAddOns(req.body.addOns);
+    const addOns = addOnPrice.lines.map(({ service, price, quantity }) => ({ service, price, quantity }));
+    const addOnTaxes = await calculateItemTaxes(TAX_CATEGORY.ADD_ON, addOnPrice.lines, new Date(req.doc.checkIn));
+    const taxes = combineTaxes({ lines: req.doc.taxes || [] }, addOnTaxes);
+
+    // Only apply if the status and price this was worked out from still hold,
+    // so concurrent changes can't lose tax lines
+    const booking = await Booking.findOneAndUpdate(
       {
-        $push: { addOns: { $each: req.body.addOns } },
-        $inc: { totalPrice: req.body.addOns.reduce((acc, addon) => acc + (addon.price * addon.quantity), 0) }
+        _id: req.doc._id,
+        status: req.doc.status,
+        totalPrice: req.doc.totalPrice,
+        taxTotal: req.doc.taxTotal
+      },
+      {
+        $push: {
+          addOns: { $each: addOns }
+        },
+        $set: {
+          taxes: taxes.lines,
+          taxTotal: taxes.total
+        },
+        $inc: { totalPrice: roundCurrency(addOnPrice.total + addOnTaxes.total) }
       },
       {
         new: true,
@@ -329,22 +831,21 @@ exports.addAddOns = async (req, res) => {
     );
 
     if (!booking) {
-      return res.status(404).json({
-        status: 'error',
-        message: 'Booking not found'
-      });
+      return next(new AppError('The booking changed meanwhile. Please try again.', 409));
     }
 
+    await postEntries(booking, addOnEntries(addOns, addOnTaxes.lines), { actor: req.user._id });
+
     logger.info(`Add-ons added to booking ID: ${booking._id}`);
     res.status(200).json({
       status: 'success',
       data: booking
     });
   } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
     logger.error(`Error adding add-ons: ${error.message}`);
-    res.status(400).json({
-      status: 'error',
-      message: error.message
-    });
+    next(new AppError(error.message, 400));
   }
-}; 
\ No newline at end of file
+};
@@ -0,0 +1,137 @@
+const CancellationPolicy = require('../models/cancellationPolicy.model');
+const { AppError } = require('../middleware/errorHandler');
+const { logger } = require('../utils/logger');
+
+const POLICY_FIELDS = ['name', 'description', 'tiers', 'ratePlans', 'roomTypes', 'isDefault', 'isActive'];
+
+const pickPolicyFields = (body) =>
+  POLICY_FIELDS.reduce((fields, key) => {
+    if (body[key] !== undefined) fields[key] = body[key];
+    return fields;
+  }, {});
+
+// Only one policy can be the default
+const clearOtherDefaults = (policy) => {
+  if (!policy.isDefault) return null;
+  return CancellationPolicy.updateMany(
+    { _id: { $ne: policy._id }, isDefault: true },
+    { isDefault: false }
+  );
+};
+
+// List cancellation policies
+exports.getAllPolicies = async (req, res, next) => {
+  try {
+    const filter = {};
+
+    if (req.query.roomType) {
+      filter.roomTypes = req.query.roomType;
+    }
+
+    if (req.query.ratePlan) {
+      filter.ratePlans = req.query.ratePlan.toLowerCase();
+    }
+
+    if (req.query.isActive !== undefined) {
+      filter.isActive = req.query.isActive === 'true';
+    }
+
+    const policies = await CancellationPolicy.find(filter).sort('name');
+
+    res.status(200).json({
+      status: 'success',
+      results: policies.length,
+      data: policies
+    });
+  } catch (error) {
+    logger.error('Error in getAllPolicies:', error);
+    next(new AppError('Error fetching cancellation policies', 500));
+  }
+};
+
+// Get a single cancellation policy
+exports.getPolicy = async (req, res, next) => {
+  try {
+    const policy = await CancellationPolicy.findById(req.params.id);
+
+    if (!policy) {
+      return next(new AppError('Cancellation policy not found', 404));
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: policy
+    });
+  } catch (error) {
+    logger.error('Error in getPolicy:', error);
+    next(new AppError('Error fetching cancellation policy', 500));
+  }
+};
+
+// Create a cancellation policy
+exports.createPolicy = async (req, res, next) => {
+  try {
+    const policy = await CancellationPolicy.create(pickPolicyFields(req.body));
+    await clearOtherDefaults(policy);
+
+    logger.info(`Cancellation policy created: ${policy.name}`);
+    res.status(201).json({
+      status: 'success',
+      data: policy
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.code === 11000) {
+      return next(new AppError(error.message, 400));
+    }
+    logger.error('Error in createPolicy:', error);
+    next(new AppError('Error creating cancellation policy', 500));
+  }
+};
+
+// Update a cancellation policy
+exports.updatePolicy = async (req, res, next) => {
+  try {
+    const policy = await CancellationPolicy.findById(req.params.id);
+
+    if (!policy) {
+      return next(new AppError('Cancellation policy not found', 404));
+    }
+
+    // Save rather than findByIdAndUpdate so the tiers are validated and sorted
+    policy.set(pickPolicyFields(req.body));
+    await policy.save();
+    await clearOtherDefaults(policy);
+
+    logger.info(`Cancellation policy updated: ${policy.name}`);
+    res.status(200).json({
+      status: 'success',
+      data: policy
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.code === 11000) {
+      return next(new AppError(error.message, 400));
+    }
+    logger.error('Error in updatePolicy:', error);
+    next(new AppError('Error updating cancellation policy', 500));
+  }
+};
+
+// Delete a cancellation policy. Cancelled bookings keep their own copy of it.
+exports.deletePolicy = async (req, res, next) => {
+  try {
+    const policy = await CancellationPolicy.findByIdAndDelete(req.params.id);
+
+    if (!policy) {
+      return next(new AppError('Cancellation policy not found', 404));
+    }
+
+    logger.info(`Cancellation policy deleted: ${policy.name}`);
+    res.status(204).json({
+      status: 'success',
+      data: null
+    });
+  } catch (error) {
+    logger.error('Error in deletePolicy:', error);
+    next(new AppError('Error deleting cancellation policy', 500));
+  }
+};
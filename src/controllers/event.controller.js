@@ -0,0 +1,698 @@
+const mongoose = require('mongoose');
+const Event = require('../models/event.model');
+const { AppError } = require('../middleware/errorHandler');
+const { logger } = require('../utils/logger');
+const { priceEvents } = require('../services/tax.service');
+const { saveEvent } = require('../services/banquetReservation.service');
+const eventSeries = require('../services/eventSeries.service');
+const eventWaitlist = require('../services/eventWaitlist.service');
+const { EVENT_PARTICIPANT_STATUS } = require('../utils/constants');
+
+const { OPEN_STATUSES, activeParticipantCount } = eventWaitlist;
+
+// Fields that are managed by the registration, waitlist and occurrence endpoints, not by updates
+const PROTECTED_FIELDS = [
+  'participants',
+  'waitlist',
+  'organizer',
+  'paymentStatus',
+  'series',
+  'occurrenceDate',
+  'isCustomized'
+];
+
+// Guest ids of participants and the waitlist aren't shown publicly
+const PRIVATE_FIELDS = '-participants.guest -waitlist.guest';
+
+// Event as JSON with its ticket price including taxes and fees
+const withPricing = (event, pricing) => ({
+  ...event.toJSON(),
+  pricing: pricing.get(event._id.toString())
+});
+
+const removeProtectedFields = (body) => {
+  const data = { ...body };
+  PROTECTED_FIELDS.forEach(field => delete data[field]);
+  return data;
+};
+
+// Get all events with filtering, sorting, and pagination. Recurring events
+// are listed once; their occurrences are listed by getOccurrences.
+exports.getAllEvents = async (req, res, next) => {
+  try {
+    const filter = { series: null };
+
+    if (req.query.type) {
+      filter.type = req.query.type;
+    }
+
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    // Comma separated list, matches events with any of the tags
+    if (req.query.tags) {
+      filter.tags = { $in: req.query.tags.split(',').map(tag => tag.trim()) };
+    }
+
+    // Events that overlap the requested date range
+    if (req.query.startDate || req.query.endDate) {
+      const start = req.query.startDate ? new Date(req.query.startDate) : null;
+      const end = req.query.endDate ? new Date(req.query.endDate) : null;
+
+      if ((start && isNaN(start.getTime())) || (end && isNaN(end.getTime()))) {
+        return next(new AppError('Invalid date format. Please use YYYY-MM-DD format', 400));
+      }
+
+      if (start) filter.endDate = { $gte: start };
+      if (end) filter.startDate = { $lte: end };
+    }
+
+    // Sorting
+    const sortBy = req.query.sort ? req.query.sort.split(',').join(' ') : 'startDate';
+
+    // Pagination
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 10;
+    const skip = (page - 1) * limit;
+
+    const [events, total] = await Promise.all([
+      Event.find(filter).select(PRIVATE_FIELDS).sort(sortBy).skip(skip).limit(limit),
+      Event.countDocuments(filter)
+    ]);
+    const pricing = await priceEvents(events);
+
+    res.status(200).json({
+      status: 'success',
+      results: events.length,
+      total,
+      data: events.map(event => withPricing(event, pricing))
+    });
+  } catch (error) {
+    logger.error('Error in getAllEvents:', error);
+    next(new AppError('Error fetching events', 500));
+  }
+};
+
+// Get single event by ID
+exports.getEvent = async (req, res, next) => {
+  try {
+    const event = await Event.findById(req.params.id).select(PRIVATE_FIELDS);
+
+    if (!event) {
+      return next(new AppError('Event not found', 404));
+    }
+
+    const pricing = await priceEvents([event]);
+
+    res.status(200).json({
+      status: 'success',
+      data: withPricing(event, pricing)
+    });
+  } catch (error) {
+    logger.error('Error in getEvent:', error);
+    next(new AppError('Error fetching event', 500));
+  }
+};
+
+// Create new event; an event in a banquet hall needs the hall free
+exports.createEvent = async (req, res, next) => {
+  try {
+    const newEvent = await saveEvent(new Event({
+      ...removeProtectedFields(req.body),
+      organizer: req.user._id
+    }));
+
+    logger.info(`New event created with ID: ${newEvent._id}`);
+
+    res.status(201).json({
+      status: 'success',
+      data: newEvent
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    if (error.name === 'ValidationError') {
+      return next(new AppError(error.message, 400));
+    }
+    logger.error('Error in createEvent:', error);
+    next(new AppError('Error creating event', 500));
+  }
+};
+
+// Update event (organizer or event:update:any). Changes to a series apply
+// to its occurrences that weren't changed on their own.
+exports.updateEvent = async (req, res, next) => {
+  try {
+    // Loaded by checkOwnership, which also checks organizer permissions
+    const event = req.doc;
+
+    const updated = await eventSeries.updateEvent(event, removeProtectedFields(req.body));
+
+    logger.info(`Event updated: ${event._id}`);
+
+    res.status(200).json({
+      status: 'success',
+      data: updated
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    if (error.name === 'ValidationError') {
+      return next(new AppError(error.message, 400));
+    }
+    logger.error('Error in updateEvent:', error);
+    next(new AppError('Error updating event', 500));
+  }
+};
+
+// Delete event (organizer or event:delete:any). Deleting a series deletes its
+// occurrences; deleting an occurrence skips its day in the series.
+exports.deleteEvent = async (req, res, next) => {
+  try {
+    // Loaded by checkOwnership, which also checks organizer permissions
+    const event = req.doc;
+
+    await eventSeries.deleteEvent(event);
+
+    logger.info(`Event deleted: ${event._id}`);
+
+    res.status(204).json({
+      status: 'success',
+      data: null
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error('Error in deleteEvent:', error);
+    next(new AppError('Error deleting event', 500));
+  }
+};
+
+// Register the logged-in guest for an event. Once the event is full (or
+// guests are waiting for a spot) guests join the waitlist instead.
+exports.registerForEvent = async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return next(new AppError('Event not found', 404));
+    }
+
+    const listing = await Event.findById(req.params.id).select('price startDate isRecurring');
+    if (!listing) {
+      return next(new AppError('Event not found', 404));
+    }
+    if (listing.isRecurring) {
+      return next(new AppError('This is a recurring event. Please register for one of its occurrences.', 400));
+    }
+    const { price, taxes, total } = (await priceEvents([listing])).get(listing._id.toString());
+
+    // Single atomic update, so concurrent registrations can't exceed capacity
+    const event = await Event.findOneAndUpdate(
+      {
+        _id: req.params.id,
+        isRecurring: { $ne: true },
+        status: { $in: OPEN_STATUSES },
+        startDate: { $gt: new Date() },
+        participants: {
+          $not: {
+            $elemMatch: {
+              guest: req.user._id,
+              status: { $ne: EVENT_PARTICIPANT_STATUS.CANCELLED }
+            }
+          }
+        },
+        // Freed spots belong to the waitlist
+        'waitlist.0': { $exists: false },
+        $expr: { $lt: [activeParticipantCount, '$capacity'] }
+      },
+      {
+        $push: {
+          participants: {
+            guest: req.user._id,
+            registeredAt: new Date(),
+            status: EVENT_PARTICIPANT_STATUS.REGISTERED,
+            price,
+            taxes,
+            amountDue: total
+          }
+        }
+      },
+      { new: true }
+    );
+
+    if (!event) {
+      // Work out why the registration was refused
+      const existing = await Event.findById(req.params.id);
+
+      if (!existing) {
+        return next(new AppError('Event not found', 404));
+      }
+
+      if (!OPEN_STATUSES.includes(existing.status) || existing.startDate <= new Date()) {
+        return next(new AppError('This event is not open for registration', 400));
+      }
+
+      const alreadyRegistered = existing.participants.some(participant =>
+        participant.guest.toString() === req.user._id.toString() &&
+        participant.status !== EVENT_PARTICIPANT_STATUS.CANCELLED
+      );
+
+      if (alreadyRegistered) {
+        return next(new AppError('You are already registered for this event', 400));
+      }
+
+      return next(new AppError(
+        'This event is fully booked. Join the waitlist to be offered a spot when one frees up.',
+        409,
+        { waitlistLength: existing.waitlistLength }
+      ));
+    }
+
+    logger.info(`User ${req.user._id} registered for event ${event._id}`);
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        eventId: event._id,
+        availableSpots: event.availableSpots,
+        registration: event.participants[event.participants.length - 1]
+      }
+    });
+  } catch (error) {
+    logger.error('Error in registerForEvent:', error);
+    next(new AppError('Error registering for event', 500));
+  }
+};
+
+// Cancel the logged-in guest's registration (or turn down an offered spot).
+// The spot goes to the next guest on the waitlist.
+exports.unregisterFromEvent = async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return next(new AppError('Event not found', 404));
+    }
+
+    const event = await Event.findOneAndUpdate(
+      {
+        _id: req.params.id,
+        participants: {
+          $elemMatch: {
+            guest: req.user._id,
+            status: { $in: [EVENT_PARTICIPANT_STATUS.REGISTERED, EVENT_PARTICIPANT_STATUS.OFFERED] }
+          }
+        }
+      },
+      { $set: { 'participants.$.status': EVENT_PARTICIPANT_STATUS.CANCELLED } },
+      { new: true }
+    );
+
+    if (!event) {
+      return next(new AppError('No active registration found for this event', 404));
+    }
+
+    logger.info(`User ${req.user._id} unregistered from event ${event._id}`);
+
+    // The cancellation stands even if the promotion fails; the next
+    // cancellation or the offer expiry job picks the waitlist up again
+    let promoted = [];
+    try {
+      promoted = await eventWaitlist.promoteFromWaitlist(event._id);
+    } catch (error) {
+      logger.error(`Error promoting from the waitlist of event ${event._id}:`, error);
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        eventId: event._id,
+        availableSpots: Math.max(event.availableSpots - promoted.length, 0)
+      }
+    });
+  } catch (error) {
+    logger.error('Error in unregisterFromEvent:', error);
+    next(new AppError('Error cancelling event registration', 500));
+  }
+};
+
+// Get participants of an event (organizer and staff)
+exports.getParticipants = async (req, res, next) => {
+  try {
+    const event = await Event.findById(req.params.id).populate({
+      path: 'participants.guest',
+      select: 'firstName lastName email phoneNumber'
+    });
+
+    if (!event) {
+      return next(new AppError('Event not found', 404));
+    }
+
+    let participants = event.participants;
+    if (req.query.status) {
+      participants = participants.filter(participant => participant.status === req.query.status);
+    }
+
+    res.status(200).json({
+      status: 'success',
+      results: participants.length,
+      data: {
+        capacity: event.capacity,
+        availableSpots: event.availableSpots,
+        participants
+      }
+    });
+  } catch (error) {
+    logger.error('Error in getParticipants:', error);
+    next(new AppError('Error fetching participants', 500));
+  }
+};
+
+// Mark registered participants as attended
+exports.markAttendance = async (req, res, next) => {
+  try {
+    const { guests } = req.body;
+
+    if (!Array.isArray(guests) || guests.length === 0) {
+      return next(new AppError('Please provide an array of guest IDs', 400));
+    }
+
+    if (!guests.every(id => mongoose.isValidObjectId(id))) {
+      return next(new AppError('Invalid guest ID', 400));
+    }
+
+    const event = await Event.findById(req.params.id);
+
+    if (!event) {
+      return next(new AppError('Event not found', 404));
+    }
+
+    const guestIds = guests.map(id => new mongoose.Types.ObjectId(id));
+
+    await Event.updateOne(
+      { _id: event._id },
+      { $set: { 'participants.$[participant].status': EVENT_PARTICIPANT_STATUS.ATTENDED } },
+      {
+        arrayFilters: [{
+          'participant.guest': { $in: guestIds },
+          'participant.status': EVENT_PARTICIPANT_STATUS.REGISTERED
+        }]
+      }
+    );
+
+    const updated = await Event.findById(event._id);
+    const attended = updated.participants.filter(participant =>
+      participant.status === EVENT_PARTICIPANT_STATUS.ATTENDED &&
+      guests.includes(participant.guest.toString())
+    );
+
+    logger.info(`Attendance marked for ${attended.length} participants of event ${event._id}`);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        attended: attended.map(participant => participant.guest),
+        notMarked: guests.filter(id => !attended.some(participant => participant.guest.toString() === id))
+      }
+    });
+  } catch (error) {
+    logger.error('Error in markAttendance:', error);
+    next(new AppError('Error marking attendance', 500));
+  }
+};
+
+// Join the waitlist of a full event; spots that free up go to the guests
+// waiting, in order
+exports.joinWaitlist = async (req, res, next) => {
+  try {
+    const { event, position } = await eventWaitlist.joinWaitlist(req.params.id, req.user._id);
+
+    logger.info(`User ${req.user._id} joined the waitlist of event ${event._id}`);
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        eventId: event._id,
+        position,
+        waitlistLength: event.waitlistLength
+      }
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error('Error in joinWaitlist:', error);
+    next(new AppError('Error joining the waitlist', 500));
+  }
+};
+
+// Leave the waitlist of an event
+exports.leaveWaitlist = async (req, res, next) => {
+  try {
+    await eventWaitlist.leaveWaitlist(req.params.id, req.user._id);
+
+    logger.info(`User ${req.user._id} left the waitlist of event ${req.params.id}`);
+
+    res.status(204).json({
+      status: 'success',
+      data: null
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error('Error in leaveWaitlist:', error);
+    next(new AppError('Error leaving the waitlist', 500));
+  }
+};
+
+// Claim a spot offered from the waitlist of a paid event, before its deadline
+exports.claimWaitlistSpot = async (req, res, next) => {
+  try {
+    const { event, registration } = await eventWaitlist.claimSpot(req.params.id, req.user._id);
+
+    logger.info(`User ${req.user._id} claimed a spot for event ${event._id}`);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        eventId: event._id,
+        registration
+      }
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error('Error in claimWaitlistSpot:', error);
+    next(new AppError('Error claiming the spot', 500));
+  }
+};
+
+// The waitlist in order, with the spots offered and waiting to be claimed.
+// The event is loaded by checkOwnership.
+exports.getWaitlist = async (req, res, next) => {
+  try {
+    const event = await req.doc.populate([
+      { path: 'waitlist.guest', select: 'firstName lastName email phoneNumber' },
+      { path: 'participants.guest', select: 'firstName lastName email phoneNumber' }
+    ]);
+
+    res.status(200).json({
+      status: 'success',
+      results: event.waitlist.length,
+      data: {
+        capacity: event.capacity,
+        availableSpots: event.availableSpots,
+        waitlist: event.waitlist.map((entry, index) => ({
+          position: index + 1,
+          guest: entry.guest,
+          joinedAt: entry.joinedAt
+        })),
+        offers: event.participants.filter(participant =>
+          participant.status === EVENT_PARTICIPANT_STATUS.OFFERED
+        )
+      }
+    });
+  } catch (error) {
+    logger.error('Error in getWaitlist:', error);
+    next(new AppError('Error fetching the waitlist', 500));
+  }
+};
+
+// Reorder the waitlist; `guests` lists every waiting guest id in the new order
+exports.reorderWaitlist = async (req, res, next) => {
+  try {
+    const event = await eventWaitlist.reorderWaitlist(req.doc, req.body.guests);
+
+    logger.info(`Waitlist of event ${event._id} reordered by ${req.user._id}`);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        waitlist: event.waitlist.map((entry, index) => ({
+          position: index + 1,
+          guest: entry.guest,
+          joinedAt: entry.joinedAt
+        }))
+      }
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error('Error in reorderWaitlist:', error);
+    next(new AppError('Error reordering the waitlist', 500));
+  }
+};
+
+// Events and occurrences of recurring events between `startDate` and `endDate`
+exports.getOccurrences = async (req, res, next) => {
+  try {
+    const occurrences = await eventSeries.listOccurrences(req.query);
+
+    res.status(200).json({
+      status: 'success',
+      results: occurrences.length,
+      data: occurrences
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error('Error in getOccurrences:', error);
+    next(new AppError('Error fetching occurrences', 500));
+  }
+};
+
+// Occurrences of one series between `startDate` and `endDate`
+exports.getSeriesOccurrences = async (req, res, next) => {
+  try {
+    const series = await eventSeries.findSeries(req.params.id);
+    const occurrences = await eventSeries.listOccurrences({
+      startDate: req.query.startDate,
+      endDate: req.query.endDate,
+      status: req.query.status,
+      series: series._id
+    });
+
+    res.status(200).json({
+      status: 'success',
+      results: occurrences.length,
+      data: occurrences
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error('Error in getSeriesOccurrences:', error);
+    next(new AppError('Error fetching occurrences', 500));
+  }
+};
+
+// One occurrence of a series, by the day it's on (YYYY-MM-DD)
+exports.getOccurrence = async (req, res, next) => {
+  try {
+    const series = await eventSeries.findSeries(req.params.id);
+    const occurrence = await eventSeries.getOccurrence(series, req.params.date);
+    // Stored occurrences are documents, the others plain objects
+    const data = occurrence.toJSON ? occurrence.toJSON() : occurrence;
+    const pricing = await priceEvents([{ _id: req.params.date, startDate: data.startDate, price: data.price }]);
+
+    res.status(200).json({
+      status: 'success',
+      data: { ...data, pricing: pricing.get(req.params.date) }
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error('Error in getOccurrence:', error);
+    next(new AppError('Error fetching occurrence', 500));
+  }
+};
+
+// Change one occurrence, e.g. move it or cancel it with `status: cancelled`.
+// The series is loaded by checkOwnership.
+exports.updateOccurrence = async (req, res, next) => {
+  try {
+    const occurrence = await eventSeries.materializeOccurrence(req.doc, req.params.date);
+    const updated = await eventSeries.updateEvent(occurrence, removeProtectedFields(req.body));
+
+    logger.info(`Occurrence ${req.params.date} of event ${req.doc._id} updated`);
+
+    res.status(200).json({
+      status: 'success',
+      data: updated
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    if (error.name === 'ValidationError') {
+      return next(new AppError(error.message, 400));
+    }
+    logger.error('Error in updateOccurrence:', error);
+    next(new AppError('Error updating occurrence', 500));
+  }
+};
+
+// Skip one day of a series (loaded by checkOwnership)
+exports.skipOccurrence = async (req, res, next) => {
+  try {
+    await eventSeries.skipOccurrence(req.doc, req.params.date);
+
+    logger.info(`Occurrence ${req.params.date} of event ${req.doc._id} skipped`);
+
+    res.status(204).json({
+      status: 'success',
+      data: null
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error('Error in skipOccurrence:', error);
+    next(new AppError('Error skipping occurrence', 500));
+  }
+};
+
+// Register for one occurrence of a series; the occurrence keeps its own
+// registrations and capacity
+exports.registerForOccurrence = async (req, res, next) => {
+  try {
+    const series = await eventSeries.findSeries(req.params.id);
+    const occurrence = await eventSeries.materializeOccurrence(series, req.params.date);
+
+    req.params.id = occurrence._id.toString();
+    return exports.registerForEvent(req, res, next);
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error('Error in registerForOccurrence:', error);
+    next(new AppError('Error registering for event', 500));
+  }
+};
+
+// Cancel the logged-in guest's registration for one occurrence
+exports.unregisterFromOccurrence = async (req, res, next) => {
+  try {
+    const series = await eventSeries.findSeries(req.params.id);
+    const occurrence = await Event.findOne({ series: series._id, occurrenceDate: req.params.date }).select('_id');
+
+    if (!occurrence) {
+      return next(new AppError('No active registration found for this event', 404));
+    }
+
+    req.params.id = occurrence._id.toString();
+    return exports.unregisterFromEvent(req, res, next);
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error('Error in unregisterFromOccurrence:', error);
+    next(new AppError('Error cancelling event registration', 500));
+  }
+};
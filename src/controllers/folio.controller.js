@@ -0,0 +1,132 @@
+const { AppError } = require('../middleware/errorHandler');
+const { logger } = require('../utils/logger');
+const { FOLIO_ENTRY_TYPE, FOLIO_CHARGE_CATEGORY } = require('../utils/constants');
+const { getFolio, postEntries, postGroupEntries } = require('../services/folio.service');
+const { getGroupAccount } = require('../services/group.service');
+
+// Categories staff can post by hand; room, add-on and tax charges are posted by the booking flow
+const MANUAL_CHARGE_CATEGORIES = [FOLIO_CHARGE_CATEGORY.SERVICE, FOLIO_CHARGE_CATEGORY.ADJUSTMENT];
+
+const sendFolio = (res, statusCode, folio) => {
+  res.status(statusCode).json({
+    status: 'success',
+    data: folio
+  });
+};
+
+// Get a booking's folio with running balances
+exports.getBookingFolio = async (req, res, next) => {
+  try {
+    const folio = await getFolio(req.doc._id);
+
+    if (!folio) {
+      return next(new AppError('No folio entries for this booking yet', 404));
+    }
+
+    sendFolio(res, 200, folio);
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error(`Error fetching folio: ${error.message}`);
+    next(new AppError(error.message, 400));
+  }
+};
+
+// Validate a hand-posted charge and turn it into a folio entry
+const buildManualCharge = ({ description, amount, quantity = 1, category = FOLIO_CHARGE_CATEGORY.SERVICE }) => {
+  if (!MANUAL_CHARGE_CATEGORIES.includes(category)) {
+    throw new AppError(`Charge category must be one of: ${MANUAL_CHARGE_CATEGORIES.join(', ')}`, 400);
+  }
+
+  if (!description || typeof amount !== 'number' || amount === 0) {
+    throw new AppError('Please provide a description and a non-zero amount', 400);
+  }
+
+  // Only adjustments may credit the guest
+  if (category === FOLIO_CHARGE_CATEGORY.SERVICE && amount < 0) {
+    throw new AppError('Service charges must be positive; use an adjustment to credit the guest', 400);
+  }
+
+  return {
+    type: FOLIO_ENTRY_TYPE.CHARGE,
+    category,
+    description,
+    quantity,
+    amount: amount * quantity
+  };
+};
+
+// Post an extra service charge or an adjustment (staff)
+exports.addFolioCharge = async (req, res, next) => {
+  try {
+    const charge = buildManualCharge(req.body);
+    const folio = await postEntries(req.doc, [charge], { actor: req.user._id });
+
+    logger.info(`Folio charge of ${charge.amount} posted to booking ${req.doc._id}`);
+    sendFolio(res, 201, folio);
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error(`Error posting charge: ${error.message}`);
+    next(new AppError(error.message, 400));
+  }
+};
+
+// Get a group's master folio together with each room's balance
+exports.getGroupFolio = async (req, res, next) => {
+  try {
+    const account = await getGroupAccount(req.doc);
+
+    sendFolio(res, 200, account);
+  } catch (error) {
+    logger.error(`Error fetching group folio: ${error.message}`);
+    next(new AppError('Error fetching group folio', 500));
+  }
+};
+
+// Post a charge to a group's master folio (staff)
+exports.addGroupFolioCharge = async (req, res, next) => {
+  try {
+    const charge = buildManualCharge(req.body);
+    const folio = await postGroupEntries(req.doc, [charge], { actor: req.user._id });
+
+    logger.info(`Folio charge of ${charge.amount} posted to group ${req.doc._id}`);
+    sendFolio(res, 201, folio);
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error(`Error posting group charge: ${error.message}`);
+    next(new AppError(error.message, 400));
+  }
+};
+
+// Record a payment made to a group's master folio, e.g. a bank transfer (staff)
+exports.addGroupPayment = async (req, res, next) => {
+  try {
+    const { amount, method, transactionId } = req.body;
+
+    if (typeof amount !== 'number' || !(amount > 0)) {
+      return next(new AppError('Payment amount must be greater than zero', 400));
+    }
+
+    const folio = await postGroupEntries(req.doc, [{
+      type: FOLIO_ENTRY_TYPE.PAYMENT,
+      description: `Payment${method ? ` by ${method}` : ''}`,
+      amount,
+      method,
+      transactionId
+    }], { actor: req.user._id });
+
+    logger.info(`Payment of ${amount} recorded for group ${req.doc._id}`);
+    sendFolio(res, 201, folio);
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error(`Error recording group payment: ${error.message}`);
+    next(new AppError(error.message, 400));
+  }
+};
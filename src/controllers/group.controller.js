@@ -0,0 +1,180 @@
+const GroupReservation = require('../models/groupReservation.model');
+const User = require('../models/user.model');
+const { hasPermission } = require('../middleware/auth');
+const { AppError } = require('../middleware/errorHandler');
+const { logger } = require('../utils/logger');
+const { GROUP_STATUS } = require('../utils/constants');
+const {
+  getGroupBookings,
+  addGroupRooms,
+  createGroupReservation,
+  confirmGroupBookings,
+  cancelGroupBookings,
+  updateRoomingList,
+  releaseUnclaimedRooms
+} = require('../services/group.service');
+
+const sendGroup = async (res, statusCode, group, extra = {}) => {
+  const bookings = await getGroupBookings(group._id);
+  res.status(statusCode).json({
+    status: 'success',
+    data: {
+      ...group.toJSON(),
+      bookings,
+      ...extra
+    }
+  });
+};
+
+// Create a group reservation and book its rooms (staff).
+// The lead guest owns every room booking; defaults to the current user.
+exports.createGroup = async (req, res, next) => {
+  try {
+    const leadGuest = await User.findById(req.body.leadGuest || req.user._id);
+    if (!leadGuest) {
+      return next(new AppError('Lead guest not found', 404));
+    }
+
+    const { group, bookings } = await createGroupReservation({
+      name: req.body.name,
+      leadGuest: leadGuest._id,
+      checkIn: req.body.checkIn,
+      checkOut: req.body.checkOut,
+      cutoffDate: req.body.cutoffDate,
+      notes: req.body.notes,
+      rooms: req.body.rooms
+    }, { actor: req.user._id });
+
+    logger.info(`Group reservation ${group._id} created with ${bookings.length} rooms`);
+    await sendGroup(res, 201, group);
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error(`Error creating group reservation: ${error.message}`);
+    next(new AppError(error.message, 400));
+  }
+};
+
+// List group reservations; lead guests only see their own
+exports.getAllGroups = async (req, res, next) => {
+  try {
+    const filter = {};
+
+    if (!hasPermission(req.user, 'booking:group:read:any')) {
+      filter.leadGuest = req.user._id;
+    }
+
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    const groups = await GroupReservation.find(filter).sort('checkIn');
+
+    res.status(200).json({
+      status: 'success',
+      results: groups.length,
+      data: groups
+    });
+  } catch (error) {
+    logger.error(`Error fetching group reservations: ${error.message}`);
+    next(new AppError('Error fetching group reservations', 500));
+  }
+};
+
+// Get a group reservation with its room bookings
+exports.getGroup = async (req, res, next) => {
+  try {
+    await sendGroup(res, 200, req.doc);
+  } catch (error) {
+    logger.error(`Error fetching group reservation: ${error.message}`);
+    next(new AppError('Error fetching group reservation', 500));
+  }
+};
+
+// Book more rooms for a group (staff)
+exports.addRooms = async (req, res, next) => {
+  try {
+    if (req.doc.status === GROUP_STATUS.CANCELLED) {
+      return next(new AppError('Rooms cannot be added to a cancelled group', 400));
+    }
+
+    const { group, bookings } = await addGroupRooms(req.doc, req.body.rooms, { actor: req.user._id });
+
+    logger.info(`${bookings.length} rooms added to group ${group._id}`);
+    await sendGroup(res, 201, group);
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error(`Error adding group rooms: ${error.message}`);
+    next(new AppError(error.message, 400));
+  }
+};
+
+// Confirm every pending room of a group, or the `bookings` listed (staff)
+exports.confirmGroup = async (req, res, next) => {
+  try {
+    const { group, results } = await confirmGroupBookings(req.doc, req.body.bookings, { actor: req.user._id });
+
+    logger.info(`Group ${group._id} confirmation: ${results.filter(result => !result.error).length} rooms confirmed`);
+    await sendGroup(res, 200, group, { results });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error(`Error confirming group: ${error.message}`);
+    next(new AppError(error.message, 400));
+  }
+};
+
+// Cancel every room of a group that hasn't checked in, or the `bookings` listed.
+// Each room is refunded according to its cancellation policy.
+exports.cancelGroup = async (req, res, next) => {
+  try {
+    const { group, results } = await cancelGroupBookings(req.doc, req.body.bookings, {
+      reason: req.body.reason,
+      actor: req.user._id
+    });
+
+    logger.info(`Group ${group._id} cancellation: ${results.filter(result => !result.error).length} rooms cancelled`);
+    await sendGroup(res, 200, group, { results });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error(`Error cancelling group: ${error.message}`);
+    next(new AppError(error.message, 400));
+  }
+};
+
+// Name the guests of the group's rooms: `entries` of { booking, guestName, guestEmail }
+exports.updateRoomingList = async (req, res, next) => {
+  try {
+    const group = await updateRoomingList(req.doc, req.body.entries);
+
+    logger.info(`Rooming list updated for group ${group._id}`);
+    await sendGroup(res, 200, group);
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error(`Error updating rooming list: ${error.message}`);
+    next(new AppError(error.message, 400));
+  }
+};
+
+// Release rooms without a guest on the rooming list now rather than at the cutoff (staff)
+exports.releaseRooms = async (req, res, next) => {
+  try {
+    const { group, results } = await releaseUnclaimedRooms(req.doc, { actor: req.user._id });
+
+    await sendGroup(res, 200, group, { results });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error(`Error releasing group rooms: ${error.message}`);
+    next(new AppError(error.message, 400));
+  }
+};
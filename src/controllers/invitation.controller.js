@@ -0,0 +1,212 @@
+const Invitation = require('../models/invitation.model');
+const User = require('../models/user.model');
+const { AppError } = require('../middleware/errorHandler');
+const { logger } = require('../utils/logger');
+const email = require('../utils/email');
+const { STAFF_ROLES, INVITATION_STATUS } = require('../utils/constants');
+const { createSendToken } = require('./auth.controller');
+
+// Create an invitation and email it (admin)
+exports.createInvitation = async (req, res, next) => {
+  try {
+    const { email: inviteeEmail, role } = req.body;
+
+    if (!inviteeEmail || !role) {
+      return next(new AppError('Please provide an email and a role', 400));
+    }
+
+    if (!STAFF_ROLES.includes(role)) {
+      return next(new AppError(`Invitations can only be created for: ${STAFF_ROLES.join(', ')}`, 400));
+    }
+
+    const existingUser = await User.findOne({ email: inviteeEmail.toLowerCase() });
+    if (existingUser) {
+      return next(new AppError('Email already registered', 400));
+    }
+
+    // Only the latest invitation for an email can be accepted
+    await Invitation.updateMany(
+      { email: inviteeEmail.toLowerCase(), status: INVITATION_STATUS.PENDING },
+      {
+        status: INVITATION_STATUS.REVOKED,
+        revokedAt: new Date(),
+        revokedBy: req.user._id
+      }
+    );
+
+    const invitation = new Invitation({
+      email: inviteeEmail,
+      role,
+      invitedBy: req.user._id
+    });
+    const invitationToken = invitation.createInvitationToken();
+    await invitation.save();
+
+    const baseUrl = process.env.CLIENT_URL || `${req.protocol}://${req.get('host')}`;
+    const acceptURL = `${baseUrl}/accept-invitation?token=${invitationToken}`;
+
+    try {
+      await email.sendEmail({
+        to: invitation.email,
+        subject: 'You have been invited to Resort 360',
+        text: `Hi,\n\n${req.user.firstName} ${req.user.lastName} invited you to join Resort 360 as ${role}. ` +
+          `Use the link below to set your password and activate your account. ` +
+          `The link expires on ${invitation.expiresAt.toUTCString()} and can only be used once.\n\n${acceptURL}`
+      });
+    } catch (error) {
+      await invitation.deleteOne();
+
+      logger.error('Error sending invitation email:', error);
+      return next(new AppError('There was an error sending the invitation email. Try again later.', 500));
+    }
+
+    logger.info(`Invitation created for ${invitation.email} as ${role} by ${req.user._id}`);
+
+    invitation.token = undefined;
+
+    res.status(201).json({
+      status: 'success',
+      data: invitation
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return next(new AppError(error.message, 400));
+    }
+    logger.error('Error in createInvitation:', error);
+    next(new AppError('Error creating invitation', 500));
+  }
+};
+
+// List invitations (admin)
+exports.getInvitations = async (req, res, next) => {
+  try {
+    const filter = {};
+
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    if (req.query.email) {
+      filter.email = req.query.email.toLowerCase();
+    }
+
+    const invitations = await Invitation.find(filter)
+      .sort('-createdAt')
+      .populate({
+        path: 'invitedBy',
+        select: 'firstName lastName email'
+      });
+
+    res.status(200).json({
+      status: 'success',
+      results: invitations.length,
+      data: invitations
+    });
+  } catch (error) {
+    logger.error('Error in getInvitations:', error);
+    next(new AppError('Error fetching invitations', 500));
+  }
+};
+
+// Revoke a pending invitation (admin)
+exports.revokeInvitation = async (req, res, next) => {
+  try {
+    const invitation = await Invitation.findById(req.params.id);
+
+    if (!invitation) {
+      return next(new AppError('Invitation not found', 404));
+    }
+
+    if (invitation.status !== INVITATION_STATUS.PENDING) {
+      return next(new AppError(`Invitation is already ${invitation.status}`, 400));
+    }
+
+    invitation.status = INVITATION_STATUS.REVOKED;
+    invitation.revokedAt = new Date();
+    invitation.revokedBy = req.user._id;
+    await invitation.save();
+
+    logger.info(`Invitation revoked: ${invitation._id}`);
+
+    res.status(200).json({
+      status: 'success',
+      data: invitation
+    });
+  } catch (error) {
+    logger.error('Error in revokeInvitation:', error);
+    next(new AppError('Error revoking invitation', 500));
+  }
+};
+
+// Accept an invitation, create the account and log the user in
+exports.acceptInvitation = async (req, res, next) => {
+  try {
+    const {
+      token,
+      firstName,
+      lastName,
+      password,
+      phoneNumber,
+      address
+    } = req.body;
+
+    if (!token || !password) {
+      return next(new AppError('Please provide the invitation token and a password', 400));
+    }
+
+    // Claim the invitation atomically so it can only be used once
+    const invitation = await Invitation.findOneAndUpdate(
+      {
+        token: Invitation.hashToken(token),
+        status: INVITATION_STATUS.PENDING,
+        expiresAt: { $gt: new Date() }
+      },
+      {
+        status: INVITATION_STATUS.ACCEPTED,
+        acceptedAt: new Date()
+      },
+      { new: true }
+    );
+
+    if (!invitation) {
+      return next(new AppError('Invitation is invalid or has expired', 400));
+    }
+
+    let newUser;
+    try {
+      newUser = await User.create({
+        firstName,
+        lastName,
+        email: invitation.email,
+        password,
+        role: invitation.role,
+        phoneNumber,
+        address
+      });
+    } catch (error) {
+      // Give the invitation back so the invitee can try again
+      await Invitation.updateOne(
+        { _id: invitation._id },
+        { status: INVITATION_STATUS.PENDING, $unset: { acceptedAt: 1 } }
+      );
+
+      if (error.name === 'ValidationError') {
+        return next(new AppError(error.message, 400));
+      }
+      if (error.code === 11000) {
+        return next(new AppError('Email already registered', 400));
+      }
+      throw error;
+    }
+
+    invitation.acceptedBy = newUser._id;
+    await invitation.save();
+
+    logger.info(`Invitation accepted: ${newUser.email} joined as ${newUser.role}`);
+
+    await createSendToken(newUser, 201, req, res);
+  } catch (error) {
+    logger.error('Error in acceptInvitation:', error);
+    next(new AppError('Error accepting invitation', 500));
+  }
+};
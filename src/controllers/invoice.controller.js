@@ -0,0 +1,285 @@
+const mongoose = require('mongoose');
+const Event = require('../models/event.model');
+const { AppError } = require('../middleware/errorHandler');
+const { logger } = require('../utils/logger');
+const email = require('../utils/email');
+const {
+  getBookingInvoices,
+  getEventInvoices,
+  getCurrentInvoice,
+  getCurrentEventInvoice,
+  getBookingInvoice,
+  getEventInvoice,
+  issueInvoice,
+  issueEventInvoice,
+  issueCreditNote,
+  getPaymentReceipt,
+  renderInvoiceHtml,
+  renderInvoicePdf,
+  renderReceiptHtml,
+  renderReceiptPdf
+} = require('../services/invoice.service');
+
+const INVOICE_FORMATS = ['pdf', 'html', 'json'];
+
+const parseFormat = (req) => {
+  const format = (req.query.format || 'pdf').toLowerCase();
+  if (!INVOICE_FORMATS.includes(format)) {
+    throw new AppError(`Format must be one of: ${INVOICE_FORMATS.join(', ')}`, 400);
+  }
+  return format;
+};
+
+// Send a document as JSON, HTML or a PDF download
+const sendDocument = async (res, document, format, { renderHtml, renderPdf }) => {
+  if (format === 'json') {
+    return res.status(200).json({
+      status: 'success',
+      data: document
+    });
+  }
+
+  if (format === 'html') {
+    return res.status(200).type('html').send(renderHtml(document));
+  }
+
+  const pdf = await renderPdf(document);
+  res.status(200)
+    .type('application/pdf')
+    .set('Content-Disposition', `attachment; filename="${document.number}.pdf"`)
+    .send(pdf);
+};
+
+const sendInvoice = (res, invoice, format) =>
+  sendDocument(res, invoice, format, { renderHtml: renderInvoiceHtml, renderPdf: renderInvoicePdf });
+
+// Event and registered guest of an event invoice route; guests only get their own
+const loadEventRegistration = async (req) => {
+  const event = mongoose.isValidObjectId(req.params.id) && await Event.findById(req.params.id);
+  if (!event) {
+    throw new AppError('Event not found', 404);
+  }
+
+  const guestId = req.params.guestId || req.user._id;
+  if (!mongoose.isValidObjectId(guestId)) {
+    throw new AppError('Invalid guest ID', 400);
+  }
+
+  return { event, guestId };
+};
+
+// Download the booking's invoice as PDF (default), HTML or JSON. Until staff
+// issue it (or the guest checks out) this is a pro-forma from the folio.
+exports.getBookingInvoice = async (req, res, next) => {
+  try {
+    const format = parseFormat(req);
+    const invoice = await getBookingInvoice(req.doc);
+
+    await sendInvoice(res, invoice, format);
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error(`Error generating invoice: ${error.message}`);
+    next(new AppError('Error generating invoice', 500));
+  }
+};
+
+// Issue the booking's invoice from its folio as it is now (staff)
+exports.issueBookingInvoice = async (req, res, next) => {
+  try {
+    const invoice = await issueInvoice(req.doc, { actor: req.user._id });
+
+    logger.info(`Invoice ${invoice.number} issued for booking ${req.doc._id}`);
+    res.status(201).json({
+      status: 'success',
+      data: invoice
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error(`Error issuing invoice: ${error.message}`);
+    next(new AppError('Error issuing invoice', 500));
+  }
+};
+
+// List every invoice and credit note issued for a booking
+exports.getBookingInvoiceHistory = async (req, res, next) => {
+  try {
+    const invoices = await getBookingInvoices(req.doc._id);
+
+    res.status(200).json({
+      status: 'success',
+      results: invoices.length,
+      data: invoices
+    });
+  } catch (error) {
+    logger.error(`Error fetching invoices: ${error.message}`);
+    next(new AppError('Error fetching invoices', 500));
+  }
+};
+
+// Cancel the current invoice with a credit note; a new invoice can then be issued
+exports.createCreditNote = async (req, res, next) => {
+  try {
+    const invoice = await getCurrentInvoice(req.doc._id);
+    if (!invoice) {
+      return next(new AppError('This booking has no open invoice to credit', 404));
+    }
+
+    const creditNote = await issueCreditNote(invoice, {
+      reason: req.body.reason,
+      actor: req.user._id
+    });
+
+    logger.info(`Credit note ${creditNote.number} issued for invoice ${invoice.number}`);
+    res.status(201).json({
+      status: 'success',
+      data: creditNote
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error(`Error issuing credit note: ${error.message}`);
+    next(new AppError('Error issuing credit note', 500));
+  }
+};
+
+// Email the booking's invoice (or pro-forma) to the guest as HTML with the PDF attached
+exports.emailBookingInvoice = async (req, res, next) => {
+  try {
+    const invoice = await getBookingInvoice(req.doc);
+
+    if (!invoice.billTo.email) {
+      return next(new AppError('The guest has no email address', 400));
+    }
+
+    const title = invoice.proForma ? 'pro-forma invoice' : `invoice ${invoice.number}`;
+    await email.sendEmail({
+      to: invoice.billTo.email,
+      subject: `Your ${title}`,
+      text: `Hi ${invoice.billTo.name},\n\nPlease find attached the ${title} for your stay.`,
+      html: renderInvoiceHtml(invoice),
+      attachments: [{
+        filename: `${invoice.number}.pdf`,
+        content: await renderInvoicePdf(invoice),
+        contentType: 'application/pdf'
+      }]
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: `The ${title} was sent to ${invoice.billTo.email}`
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error(`Error emailing invoice: ${error.message}`);
+    next(new AppError('There was an error sending the invoice. Try again later.', 500));
+  }
+};
+
+// Receipt for one payment or refund on the booking's folio
+exports.getPaymentReceipt = async (req, res, next) => {
+  try {
+    const format = parseFormat(req);
+    const receipt = await getPaymentReceipt(req.doc, req.params.entryId);
+
+    await sendDocument(res, receipt, format, { renderHtml: renderReceiptHtml, renderPdf: renderReceiptPdf });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error(`Error generating receipt: ${error.message}`);
+    next(new AppError('Error generating receipt', 500));
+  }
+};
+
+// Download the invoice of an event registration: the logged-in guest's own,
+// or (staff) the guest in the URL. A pro-forma until it is issued.
+exports.getEventInvoice = async (req, res, next) => {
+  try {
+    const format = parseFormat(req);
+    const { event, guestId } = await loadEventRegistration(req);
+    const invoice = await getEventInvoice(event, guestId);
+
+    await sendInvoice(res, invoice, format);
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error(`Error generating event invoice: ${error.message}`);
+    next(new AppError('Error generating invoice', 500));
+  }
+};
+
+// Issue the invoice of a guest's event registration (staff)
+exports.issueEventInvoice = async (req, res, next) => {
+  try {
+    const { event, guestId } = await loadEventRegistration(req);
+    const invoice = await issueEventInvoice(event, guestId, { actor: req.user._id });
+
+    logger.info(`Invoice ${invoice.number} issued for guest ${guestId} of event ${event._id}`);
+    res.status(201).json({
+      status: 'success',
+      data: invoice
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error(`Error issuing event invoice: ${error.message}`);
+    next(new AppError('Error issuing invoice', 500));
+  }
+};
+
+// List every invoice and credit note of a guest's event registration
+exports.getEventInvoiceHistory = async (req, res, next) => {
+  try {
+    const { event, guestId } = await loadEventRegistration(req);
+    const invoices = await getEventInvoices(event._id, guestId);
+
+    res.status(200).json({
+      status: 'success',
+      results: invoices.length,
+      data: invoices
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error(`Error fetching event invoices: ${error.message}`);
+    next(new AppError('Error fetching invoices', 500));
+  }
+};
+
+// Cancel a guest's current event invoice with a credit note
+exports.createEventCreditNote = async (req, res, next) => {
+  try {
+    const { event, guestId } = await loadEventRegistration(req);
+    const invoice = await getCurrentEventInvoice(event._id, guestId);
+    if (!invoice) {
+      return next(new AppError('This registration has no open invoice to credit', 404));
+    }
+
+    const creditNote = await issueCreditNote(invoice, {
+      reason: req.body.reason,
+      actor: req.user._id
+    });
+
+    logger.info(`Credit note ${creditNote.number} issued for invoice ${invoice.number}`);
+    res.status(201).json({
+      status: 'success',
+      data: creditNote
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error(`Error issuing event credit note: ${error.message}`);
+    next(new AppError('Error issuing credit note', 500));
+  }
+};
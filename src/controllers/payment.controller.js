@@ -0,0 +1,143 @@
+const Payment = require('../models/payment.model');
+const { AppError } = require('../middleware/errorHandler');
+const { logger } = require('../utils/logger');
+const { getFolio, recordPayment } = require('../services/folio.service');
+const { getPaymentProvider } = require('../services/paymentGateway.service');
+const {
+  createBookingPaymentIntent,
+  capturePayment,
+  chargeBooking,
+  refundBooking,
+  handleWebhookEvent
+} = require('../services/payment.service');
+
+// Payment methods taken without the gateway
+const OFFLINE_PAYMENT_METHODS = ['cash'];
+
+// Start a card payment for a booking; defaults to the outstanding balance
+exports.createPaymentIntent = async (req, res, next) => {
+  try {
+    let { amount } = req.body;
+
+    if (amount === undefined) {
+      const folio = await getFolio(req.doc._id);
+      amount = folio ? folio.balance : req.doc.totalPrice;
+    }
+
+    const { payment, clientSecret } = await createBookingPaymentIntent(req.doc, {
+      amount,
+      paymentMethod: req.body.paymentMethod,
+      actor: req.user._id
+    });
+
+    logger.info(`Payment intent ${payment.intentId} created for booking ${req.doc._id}`);
+    res.status(201).json({
+      status: 'success',
+      data: {
+        payment,
+        clientSecret
+      }
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error(`Error creating payment intent: ${error.message}`);
+    next(new AppError(error.message, 400));
+  }
+};
+
+// Capture an authorised card payment (staff)
+exports.capturePayment = async (req, res, next) => {
+  try {
+    const payment = await Payment.findOne({ _id: req.params.paymentId, booking: req.doc._id });
+
+    if (!payment) {
+      return next(new AppError('Payment not found', 404));
+    }
+
+    const captured = await capturePayment(payment, { actor: req.user._id });
+
+    logger.info(`Payment ${payment.intentId} captured for booking ${req.doc._id}`);
+    res.status(200).json({
+      status: 'success',
+      data: captured
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error(`Error capturing payment: ${error.message}`);
+    next(new AppError(error.message, 400));
+  }
+};
+
+// Take a payment at the desk (staff). Cards go through the payment gateway.
+exports.addPayment = async (req, res, next) => {
+  try {
+    const { amount, method = 'card', paymentMethod, description } = req.body;
+
+    if (OFFLINE_PAYMENT_METHODS.includes(method)) {
+      await recordPayment(req.doc, { amount, method, description }, { actor: req.user._id });
+    } else {
+      await chargeBooking(req.doc, { amount, paymentMethod, actor: req.user._id });
+    }
+
+    logger.info(`Payment of ${amount} by ${method} recorded for booking ${req.doc._id}`);
+    res.status(201).json({
+      status: 'success',
+      data: await getFolio(req.doc._id)
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error(`Error recording payment: ${error.message}`);
+    next(new AppError(error.message, 400));
+  }
+};
+
+// Refund a booking through the gateway (manager)
+exports.addRefund = async (req, res, next) => {
+  try {
+    const { amount, description } = req.body;
+
+    await refundBooking(req.doc, amount, { actor: req.user._id, description });
+
+    logger.info(`Refund of ${amount} issued for booking ${req.doc._id}`);
+    res.status(201).json({
+      status: 'success',
+      data: await getFolio(req.doc._id)
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error(`Error issuing refund: ${error.message}`);
+    next(new AppError(error.message, 400));
+  }
+};
+
+// Payment provider webhook. The signature is checked against the raw request body.
+exports.handleWebhook = async (req, res, next) => {
+  try {
+    const event = getPaymentProvider().verifyWebhookSignature(
+      req.rawBody ? req.rawBody.toString('utf8') : '',
+      req.get('x-payment-signature')
+    );
+
+    const { duplicate } = await handleWebhookEvent(event);
+
+    logger.info(`Payment webhook ${event.type} (${event.id})${duplicate ? ' already processed' : ''}`);
+    res.status(200).json({
+      status: 'success',
+      data: { received: true, duplicate }
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error(`Error handling payment webhook: ${error.message}`);
+    next(new AppError('Error handling payment webhook', 500));
+  }
+};
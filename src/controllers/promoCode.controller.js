@@ -0,0 +1,172 @@
+const PromoCode = require('../models/promoCode.model');
+const { AppError } = require('../middleware/errorHandler');
+const { logger } = require('../utils/logger');
+const { getPromoStats } = require('../services/promo.service');
+
+// timesRedeemed is kept by redemptions, not set by hand
+const PROMO_CODE_FIELDS = [
+  'code',
+  'description',
+  'discountType',
+  'value',
+  'maxDiscount',
+  'validFrom',
+  'validUntil',
+  'minimumStay',
+  'roomTypes',
+  'stackable',
+  'usageLimit',
+  'perGuestLimit',
+  'isActive'
+];
+
+const pickPromoCodeFields = (body) =>
+  PROMO_CODE_FIELDS.reduce((fields, key) => {
+    if (body[key] !== undefined) fields[key] = body[key];
+    return fields;
+  }, {});
+
+// List promo codes
+exports.getAllPromoCodes = async (req, res, next) => {
+  try {
+    const filter = {};
+
+    if (req.query.isActive !== undefined) {
+      filter.isActive = req.query.isActive === 'true';
+    }
+
+    if (req.query.roomType) {
+      filter.roomTypes = req.query.roomType;
+    }
+
+    const promoCodes = await PromoCode.find(filter).sort('code');
+
+    res.status(200).json({
+      status: 'success',
+      results: promoCodes.length,
+      data: promoCodes
+    });
+  } catch (error) {
+    logger.error('Error in getAllPromoCodes:', error);
+    next(new AppError('Error fetching promo codes', 500));
+  }
+};
+
+// Get a single promo code
+exports.getPromoCode = async (req, res, next) => {
+  try {
+    const promoCode = await PromoCode.findById(req.params.id);
+
+    if (!promoCode) {
+      return next(new AppError('Promo code not found', 404));
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: promoCode
+    });
+  } catch (error) {
+    logger.error('Error in getPromoCode:', error);
+    next(new AppError('Error fetching promo code', 500));
+  }
+};
+
+// Create a promo code
+exports.createPromoCode = async (req, res, next) => {
+  try {
+    const promoCode = await PromoCode.create({
+      ...pickPromoCodeFields(req.body),
+      createdBy: req.user._id
+    });
+
+    logger.info(`Promo code created: ${promoCode.code}`);
+    res.status(201).json({
+      status: 'success',
+      data: promoCode
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.code === 11000) {
+      return next(new AppError(error.message, 400));
+    }
+    logger.error('Error in createPromoCode:', error);
+    next(new AppError('Error creating promo code', 500));
+  }
+};
+
+// Update a promo code. Bookings keep the discount they were priced with.
+exports.updatePromoCode = async (req, res, next) => {
+  try {
+    const promoCode = await PromoCode.findById(req.params.id);
+
+    if (!promoCode) {
+      return next(new AppError('Promo code not found', 404));
+    }
+
+    promoCode.set(pickPromoCodeFields(req.body));
+    await promoCode.save();
+
+    logger.info(`Promo code updated: ${promoCode.code}`);
+    res.status(200).json({
+      status: 'success',
+      data: promoCode
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.code === 11000) {
+      return next(new AppError(error.message, 400));
+    }
+    logger.error('Error in updatePromoCode:', error);
+    next(new AppError('Error updating promo code', 500));
+  }
+};
+
+// Delete a promo code that was never redeemed; used codes can only be deactivated
+exports.deletePromoCode = async (req, res, next) => {
+  try {
+    const promoCode = await PromoCode.findById(req.params.id);
+
+    if (!promoCode) {
+      return next(new AppError('Promo code not found', 404));
+    }
+
+    if (promoCode.timesRedeemed > 0) {
+      return next(new AppError('This promo code has been redeemed. Deactivate it instead.', 400));
+    }
+
+    await promoCode.deleteOne();
+
+    logger.info(`Promo code deleted: ${promoCode.code}`);
+    res.status(204).json({
+      status: 'success',
+      data: null
+    });
+  } catch (error) {
+    logger.error('Error in deletePromoCode:', error);
+    next(new AppError('Error deleting promo code', 500));
+  }
+};
+
+// Usage statistics per code, optionally for redemptions between two dates
+exports.getPromoCodeStats = async (req, res, next) => {
+  try {
+    const startDate = req.query.startDate ? new Date(req.query.startDate) : undefined;
+    const endDate = req.query.endDate ? new Date(req.query.endDate) : undefined;
+
+    if ((startDate && isNaN(startDate.getTime())) || (endDate && isNaN(endDate.getTime()))) {
+      return next(new AppError('Invalid date format. Please use YYYY-MM-DD format', 400));
+    }
+
+    // The end date is inclusive
+    if (endDate) endDate.setUTCHours(23, 59, 59, 999);
+
+    const stats = await getPromoStats({ startDate, endDate });
+
+    res.status(200).json({
+      status: 'success',
+      results: stats.length,
+      data: stats
+    });
+  } catch (error) {
+    logger.error('Error in getPromoCodeStats:', error);
+    next(new AppError('Error fetching promo code statistics', 500));
+  }
+};
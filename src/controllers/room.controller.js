@@ -2,6 +2,9 @@ const Room = require('../models/room.model');
 const Booking = require('../models/booking.model');
 const { AppError } = require('../middleware/errorHandler');
 const { logger } = require('../utils/logger');
+const { priceStay } = require('../services/pricing.service');
+const { getAvailabilityCalendar } = require('../services/availability.service');
+const { BOOKING_STATUS } = require('../utils/constants');
 
 // Get all rooms with filtering, sorting, and pagination
 exports.getAllRooms = async (req, res, next) => {
@@ -62,9 +65,17 @@ exports.getAllRooms = async (req, res, next) => {
     query = query.skip(skip).limit(limit);
 
     // Execute query
-    const rooms = await query;
+    let rooms = await query;
     const total = await Room.countDocuments(queryObj);
 
+    // Price the requested stay for every room
+    if (req.query.checkIn && req.query.checkOut) {
+      rooms = rooms.map(room => ({
+        ...room.toJSON(),
+        quote: priceStay(room, req.query.checkIn, req.query.checkOut)
+      }));
+    }
+
     res.status(200).json({
       status: 'success',
       results: rooms.length,
@@ -168,6 +179,42 @@ exports.deleteRoom = async (req, res, next) => {
   }
 };
 
+// Get a price quote for a stay in a room
+exports.getRoomQuote = async (req, res, next) => {
+  try {
+    const { checkIn, checkOut } = req.query;
+
+    if (!checkIn || !checkOut) {
+      return next(new AppError('Please provide check-in and check-out dates', 400));
+    }
+
+    const start = new Date(checkIn);
+    const end = new Date(checkOut);
+
+    if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+      return next(new AppError('Invalid date format. Please use YYYY-MM-DD format', 400));
+    }
+
+    if (start >= end) {
+      return next(new AppError('Check-in date must be before check-out date', 400));
+    }
+
+    const room = await Room.findById(req.params.id);
+
+    if (!room) {
+      return next(new AppError('Room not found', 404));
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: priceStay(room, start, end)
+    });
+  } catch (error) {
+    logger.error('Error in getRoomQuote:', error);
+    next(new AppError('Error calculating room quote', 500));
+  }
+};
+
 // Get room availability
 exports.checkRoomAvailability = async (req, res, next) => {
   try {
@@ -183,16 +230,14 @@ exports.checkRoomAvailability = async (req, res, next) => {
       return next(new AppError('Room not found', 404));
     }
 
-    // Check if room is available for the given dates
+    // Check if room is available for the given dates; a stay ending on the
+    // start date doesn't overlap, and cancelled bookings don't hold the room
     const bookings = await room.populate({
       path: 'bookings',
       match: {
-        $or: [
-          {
-            checkIn: { $lte: new Date(endDate) },
-            checkOut: { $gte: new Date(startDate) }
-          }
-        ]
+        status: { $ne: BOOKING_STATUS.CANCELLED },
+        checkIn: { $lt: new Date(endDate) },
+        checkOut: { $gt: new Date(startDate) }
       }
     });
 
@@ -211,6 +256,37 @@ exports.checkRoomAvailability = async (req, res, next) => {
   }
 };
 
+// Front desk tape chart: every room's status night by night from start to end
+exports.getAvailabilityCalendar = async (req, res, next) => {
+  try {
+    const { start, end, type } = req.query;
+    if (!start || !end) {
+      return next(new AppError('Please provide start and end dates', 400));
+    }
+
+    let floor;
+    if (req.query.floor !== undefined) {
+      floor = parseInt(req.query.floor, 10);
+      if (isNaN(floor)) {
+        return next(new AppError('Floor must be a number', 400));
+      }
+    }
+
+    const calendar = await getAvailabilityCalendar({ start, end, type, floor });
+
+    res.status(200).json({
+      status: 'success',
+      data: calendar
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+    logger.error(`Error building availability calendar: ${error.message}`);
+    next(new AppError('Error building availability calendar', 500));
+  }
+};
+
 // Get room statistics and analytics
 exports.getRoomStatistics = async (req, res, next) => {
   try {
@@ -253,8 +329,7 @@ exports.getRoomStatistics = async (req, res, next) => {
     let totalOccupiedDays = 0;
 
     bookings.forEach(booking => {
-      const roomId = booking.room._id.toString();
-      const roomType = booking.room.type;
+      const roomType = booking.room ? booking.room.type : booking.roomType;
       const bookingDays = Math.ceil((booking.checkOut - booking.checkIn) / (1000 * 60 * 60 * 24));
       const revenue = booking.totalAmount;
 
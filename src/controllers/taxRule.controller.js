@@ -0,0 +1,172 @@
+const TaxRule = require('../models/taxRule.model');
+const { AppError } = require('../middleware/errorHandler');
+const { logger } = require('../utils/logger');
+const { REPORT_INTERVALS, getTaxReport } = require('../services/tax.service');
+
+const TAX_RULE_FIELDS = [
+  'name',
+  'kind',
+  'calculation',
+  'percentage',
+  'amount',
+  'slabs',
+  'categories',
+  'effectiveFrom',
+  'effectiveTo',
+  'isActive'
+];
+
+const pickTaxRuleFields = (body) =>
+  TAX_RULE_FIELDS.reduce((fields, key) => {
+    if (body[key] !== undefined) fields[key] = body[key];
+    return fields;
+  }, {});
+
+// List tax and fee rules
+exports.getAllTaxRules = async (req, res, next) => {
+  try {
+    const filter = {};
+
+    if (req.query.category) {
+      filter.categories = req.query.category;
+    }
+
+    if (req.query.kind) {
+      filter.kind = req.query.kind;
+    }
+
+    if (req.query.isActive !== undefined) {
+      filter.isActive = req.query.isActive === 'true';
+    }
+
+    const rules = await TaxRule.find(filter).sort('name');
+
+    res.status(200).json({
+      status: 'success',
+      results: rules.length,
+      data: rules
+    });
+  } catch (error) {
+    logger.error('Error in getAllTaxRules:', error);
+    next(new AppError('Error fetching tax rules', 500));
+  }
+};
+
+// Get a single tax rule
+exports.getTaxRule = async (req, res, next) => {
+  try {
+    const rule = await TaxRule.findById(req.params.id);
+
+    if (!rule) {
+      return next(new AppError('Tax rule not found', 404));
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: rule
+    });
+  } catch (error) {
+    logger.error('Error in getTaxRule:', error);
+    next(new AppError('Error fetching tax rule', 500));
+  }
+};
+
+// Create a tax rule
+exports.createTaxRule = async (req, res, next) => {
+  try {
+    const rule = await TaxRule.create(pickTaxRuleFields(req.body));
+
+    logger.info(`Tax rule created: ${rule.name}`);
+    res.status(201).json({
+      status: 'success',
+      data: rule
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return next(new AppError(error.message, 400));
+    }
+    logger.error('Error in createTaxRule:', error);
+    next(new AppError('Error creating tax rule', 500));
+  }
+};
+
+// Update a tax rule. Charges already posted keep the amounts they were made with.
+exports.updateTaxRule = async (req, res, next) => {
+  try {
+    const rule = await TaxRule.findById(req.params.id);
+
+    if (!rule) {
+      return next(new AppError('Tax rule not found', 404));
+    }
+
+    // Save rather than findByIdAndUpdate so the calculation fields are validated together
+    rule.set(pickTaxRuleFields(req.body));
+    await rule.save();
+
+    logger.info(`Tax rule updated: ${rule.name}`);
+    res.status(200).json({
+      status: 'success',
+      data: rule
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return next(new AppError(error.message, 400));
+    }
+    logger.error('Error in updateTaxRule:', error);
+    next(new AppError('Error updating tax rule', 500));
+  }
+};
+
+// Delete a tax rule
+exports.deleteTaxRule = async (req, res, next) => {
+  try {
+    const rule = await TaxRule.findByIdAndDelete(req.params.id);
+
+    if (!rule) {
+      return next(new AppError('Tax rule not found', 404));
+    }
+
+    logger.info(`Tax rule deleted: ${rule.name}`);
+    res.status(204).json({
+      status: 'success',
+      data: null
+    });
+  } catch (error) {
+    logger.error('Error in deleteTaxRule:', error);
+    next(new AppError('Error deleting tax rule', 500));
+  }
+};
+
+// Taxes and fees collected per period between two dates
+exports.getTaxReport = async (req, res, next) => {
+  try {
+    const { startDate, endDate, interval = 'month' } = req.query;
+
+    if (!startDate || !endDate) {
+      return next(new AppError('Please provide startDate and endDate', 400));
+    }
+
+    const start = new Date(startDate);
+    const end = new Date(endDate);
+    if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+      return next(new AppError('Invalid date format. Please use YYYY-MM-DD format', 400));
+    }
+
+    if (!REPORT_INTERVALS[interval]) {
+      return next(new AppError(`Interval must be one of: ${Object.keys(REPORT_INTERVALS).join(', ')}`, 400));
+    }
+
+    // The end date is inclusive
+    end.setUTCHours(23, 59, 59, 999);
+
+    const report = await getTaxReport({ startDate: start, endDate: end, interval });
+
+    res.status(200).json({
+      status: 'success',
+      data: report
+    });
+  } catch (error) {
+    logger.error('Error in getTaxReport:', error);
+    next(new AppError('Error generating tax report', 500));
+  }
+};
@@ -0,0 +1,357 @@
+const User = require('../models/user.model');
+const Session = require('../models/session.model');
+const { AppError, toClientError } = require('../middleware/errorHandler');
+const { logger } = require('../utils/logger');
+const { USER_ROLES } = require('../utils/constants');
+const { createSendToken } = require('./auth.controller');
+
+// Fields a user may change on their own profile
+const PROFILE_FIELDS = ['firstName', 'lastName', 'phoneNumber', 'address'];
+
+// Keep only the allowed fields of an object
+const filterObj = (obj, allowedFields) => {
+  const newObj = {};
+  Object.keys(obj).forEach(key => {
+    if (allowedFields.includes(key)) {
+      newObj[key] = obj[key];
+    }
+  });
+  return newObj;
+};
+
+// Escape user input before using it in a regular expression
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Get all users with filtering, search and pagination (admin)
+exports.getAllUsers = async (req, res, next) => {
+  try {
+    const filter = {};
+
+    if (req.query.role) {
+      filter.role = req.query.role;
+    }
+
+    if (req.query.isActive !== undefined) {
+      filter.isActive = req.query.isActive === 'true';
+    }
+
+    if (req.query.search) {
+      const pattern = new RegExp(escapeRegex(req.query.search), 'i');
+      filter.$or = [
+        { firstName: pattern },
+        { lastName: pattern },
+        { email: pattern }
+      ];
+    }
+
+    // Pagination
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 10;
+    const skip = (page - 1) * limit;
+
+    const [users, total] = await Promise.all([
+      User.find(filter).sort('-createdAt').skip(skip).limit(limit),
+      User.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      status: 'success',
+      results: users.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      data: users
+    });
+  } catch (error) {
+    logger.error('Error in getAllUsers:', error);
+    next(new AppError('Error fetching users', 500));
+  }
+};
+
+// Get single user by ID (admin)
+exports.getUser = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return next(new AppError('User not found', 404));
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: user
+    });
+  } catch (error) {
+    const clientError = toClientError(error);
+    if (clientError) {
+      return next(clientError);
+    }
+    logger.error('Error in getUser:', error);
+    next(new AppError('Error fetching user', 500));
+  }
+};
+
+// Update a user's profile or active flag (admin)
+exports.updateUser = async (req, res, next) => {
+  try {
+    const updates = filterObj(req.body, [...PROFILE_FIELDS, 'email', 'isActive']);
+
+    const user = await User.findByIdAndUpdate(req.params.id, updates, {
+      new: true,
+      runValidators: true
+    });
+
+    if (!user) {
+      return next(new AppError('User not found', 404));
+    }
+
+    if (updates.isActive === false) {
+      await Session.revokeAllForUser(user._id, 'user-deactivated');
+    }
+
+    logger.info(`User updated: ${user._id}`);
+
+    res.status(200).json({
+      status: 'success',
+      data: user
+    });
+  } catch (error) {
+    const clientError = toClientError(error);
+    if (clientError) {
+      return next(clientError);
+    }
+    logger.error('Error in updateUser:', error);
+    next(new AppError('Error updating user', 500));
+  }
+};
+
+// Change a user's role (admin)
+exports.updateUserRole = async (req, res, next) => {
+  try {
+    const { role } = req.body;
+
+    if (!Object.values(USER_ROLES).includes(role)) {
+      return next(new AppError(`Role must be one of: ${Object.values(USER_ROLES).join(', ')}`, 400));
+    }
+
+    if (req.params.id === req.user.id) {
+      return next(new AppError('You cannot change your own role', 400));
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { role },
+      {
+        new: true,
+        runValidators: true
+      }
+    );
+
+    if (!user) {
+      return next(new AppError('User not found', 404));
+    }
+
+    logger.info(`Role of user ${user._id} changed to ${role} by ${req.user._id}`);
+
+    res.status(200).json({
+      status: 'success',
+      data: user
+    });
+  } catch (error) {
+    const clientError = toClientError(error);
+    if (clientError) {
+      return next(clientError);
+    }
+    logger.error('Error in updateUserRole:', error);
+    next(new AppError('Error updating user role', 500));
+  }
+};
+
+// Deactivate a user (admin)
+exports.deactivateUser = async (req, res, next) => {
+  try {
+    if (req.params.id === req.user.id) {
+      return next(new AppError('You cannot deactivate your own account here', 400));
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { isActive: false },
+      { new: true }
+    );
+
+    if (!user) {
+      return next(new AppError('User not found', 404));
+    }
+
+    await Session.revokeAllForUser(user._id, 'user-deactivated');
+
+    logger.info(`User deactivated: ${user._id}`);
+
+    res.status(204).json({
+      status: 'success',
+      data: null
+    });
+  } catch (error) {
+    const clientError = toClientError(error);
+    if (clientError) {
+      return next(clientError);
+    }
+    logger.error('Error in deactivateUser:', error);
+    next(new AppError('Error deactivating user', 500));
+  }
+};
+
+// List a user's active sessions (admin)
+exports.getUserSessions = async (req, res, next) => {
+  try {
+    const sessions = await Session.find({
+      user: req.params.id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort('-lastUsedAt');
+
+    res.status(200).json({
+      status: 'success',
+      results: sessions.length,
+      data: sessions
+    });
+  } catch (error) {
+    logger.error('Error in getUserSessions:', error);
+    next(new AppError('Error fetching sessions', 500));
+  }
+};
+
+// Revoke one session of a user (admin)
+exports.revokeUserSession = async (req, res, next) => {
+  try {
+    const session = await Session.findOneAndUpdate(
+      { _id: req.params.sessionId, user: req.params.id, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: 'revoked-by-admin' },
+      { new: true }
+    );
+
+    if (!session) {
+      return next(new AppError('Session not found', 404));
+    }
+
+    logger.info(`Session ${session._id} of user ${req.params.id} revoked by ${req.user._id}`);
+
+    res.status(200).json({
+      status: 'success',
+      data: session
+    });
+  } catch (error) {
+    logger.error('Error in revokeUserSession:', error);
+    next(new AppError('Error revoking session', 500));
+  }
+};
+
+// Revoke all sessions of a user (admin)
+exports.revokeUserSessions = async (req, res, next) => {
+  try {
+    const result = await Session.revokeAllForUser(req.params.id, 'revoked-by-admin');
+
+    logger.info(`All sessions of user ${req.params.id} revoked by ${req.user._id}`);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        revoked: result.modifiedCount
+      }
+    });
+  } catch (error) {
+    logger.error('Error in revokeUserSessions:', error);
+    next(new AppError('Error revoking sessions', 500));
+  }
+};
+
+// Get the logged-in user's profile
+exports.getMe = (req, res) => {
+  res.status(200).json({
+    status: 'success',
+    data: req.user
+  });
+};
+
+// Update the logged-in user's profile
+exports.updateMe = async (req, res, next) => {
+  try {
+    if (req.body.password) {
+      return next(new AppError('This route is not for password updates. Please use /me/password', 400));
+    }
+
+    const updates = filterObj(req.body, PROFILE_FIELDS);
+
+    const user = await User.findByIdAndUpdate(req.user._id, updates, {
+      new: true,
+      runValidators: true
+    });
+
+    logger.info(`User updated own profile: ${user._id}`);
+
+    res.status(200).json({
+      status: 'success',
+      data: user
+    });
+  } catch (error) {
+    const clientError = toClientError(error);
+    if (clientError) {
+      return next(clientError);
+    }
+    logger.error('Error in updateMe:', error);
+    next(new AppError('Error updating profile', 500));
+  }
+};
+
+// Change the logged-in user's password
+exports.updateMyPassword = async (req, res, next) => {
+  try {
+    const { currentPassword, password } = req.body;
+
+    if (!currentPassword || !password) {
+      return next(new AppError('Please provide your current password and a new password', 400));
+    }
+
+    const user = await User.findById(req.user._id).select('+password');
+
+    if (!(await user.comparePassword(currentPassword))) {
+      return next(new AppError('Your current password is wrong', 401));
+    }
+
+    user.password = password;
+    await user.save();
+
+    // Sign out everywhere, the new session is created below
+    await Session.revokeAllForUser(user._id, 'password-changed');
+
+    logger.info(`User changed password: ${user._id}`);
+
+    // Log the user in again, since older tokens are now invalid
+    await createSendToken(user, 200, req, res);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return next(new AppError(error.message, 400));
+    }
+    logger.error('Error in updateMyPassword:', error);
+    next(new AppError('Error updating password', 500));
+  }
+};
+
+// Deactivate the logged-in user's account
+exports.deactivateMe = async (req, res, next) => {
+  try {
+    await User.findByIdAndUpdate(req.user._id, { isActive: false });
+    await Session.revokeAllForUser(req.user._id, 'user-deactivated');
+
+    logger.info(`User deactivated own account: ${req.user._id}`);
+
+    res.status(204).json({
+      status: 'success',
+      data: null
+    });
+  } catch (error) {
+    logger.error('Error in deactivateMe:', error);
+    next(new AppError('Error deactivating account', 500));
+  }
+};
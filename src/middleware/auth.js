@@ -1,7 +1,16 @@
 const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const User = require('../models/user.model');
+const Session = require('../models/session.model');
+const { AppError } = require('./errorHandler');
 const { logger } = require('../utils/logger');
-const { USER_ROLES } = require('../utils/constants');
+const { roleHasPermission } = require('../config/permissions');
+
+// Check if a user's role grants a permission
+const hasPermission = (user, permission) =>
+  Boolean(user) && roleHasPermission(user.role, permission);
+
+exports.hasPermission = hasPermission;
 
 // Protect routes - Authentication middleware
 exports.protect = async (req, res, next) => {
@@ -16,83 +25,94 @@ exports.protect = async (req, res, next) => {
     }
 
     if (!token) {
-      return res.status(401).json({
-        status: 'error',
-        message: 'You are not logged in. Please log in to get access.'
-      });
+      return next(new AppError('You are not logged in. Please log in to get access.', 401));
     }
 
     // 2) Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    let decoded;
+    try {
+      decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+      return next(new AppError('Invalid or expired token. Please log in again.', 401));
+    }
 
-    // 3) Check if user still exists
+    // 3) Check if user still exists and is active
     const user = await User.findById(decoded.id);
     if (!user) {
-      return res.status(401).json({
-        status: 'error',
-        message: 'The user belonging to this token no longer exists.'
-      });
+      return next(new AppError('The user belonging to this token no longer exists.', 401));
+    }
+
+    if (!user.isActive) {
+      return next(new AppError('This account has been deactivated.', 401));
     }
 
     // 4) Check if user changed password after token was issued
     if (user.passwordChangedAfter(decoded.iat)) {
-      return res.status(401).json({
-        status: 'error',
-        message: 'User recently changed password! Please log in again.'
-      });
+      return next(new AppError('User recently changed password! Please log in again.', 401));
+    }
+
+    // 5) Check if the session behind the token is still active
+    const session = decoded.sid && await Session.findById(decoded.sid);
+    if (!session || !session.isActive) {
+      return next(new AppError('Your session has ended. Please log in again.', 401));
     }
 
     // Grant access to protected route
     req.user = user;
+    req.session = session;
     next();
   } catch (error) {
     logger.error(`Authentication error: ${error.message}`);
-    return res.status(401).json({
-      status: 'error',
-      message: 'Invalid token or authentication failed'
-    });
+    next(new AppError('Authentication failed', 401));
   }
 };
 
-// Restrict to certain roles - Authorization middleware
-exports.restrictTo = (...roles) => {
+// Require at least one of the given permissions - Authorization middleware
+exports.authorize = (...permissions) => {
   return (req, res, next) => {
-    if (!roles.includes(req.user.role)) {
-      return res.status(403).json({
-        status: 'error',
-        message: 'You do not have permission to perform this action'
-      });
+    if (!permissions.some(permission => hasPermission(req.user, permission))) {
+      return next(new AppError('You do not have permission to perform this action', 403));
     }
     next();
   };
 };
 
-// Optional: Check if user owns the resource
-exports.checkOwnership = (Model) => async (req, res, next) => {
-  try {
-    const doc = await Model.findById(req.params.id);
-    
-    if (!doc) {
-      return res.status(404).json({
-        status: 'error',
-        message: 'Document not found'
-      });
-    }
+// Get the id behind a reference, whether or not it is populated
+const refId = (value) => (value && value._id ? value._id : value);
 
-    // Check if the logged-in user is the owner of the document
-    if (doc.guest.toString() !== req.user.id && req.user.role !== USER_ROLES.ADMIN) {
-      return res.status(403).json({
-        status: 'error',
-        message: 'You do not have permission to perform this action on this booking'
-      });
-    }
+// Check that the user may act on a document.
+// Users with "<permission>:any" pass for every document, users with
+// "<permission>:own" only when one of ownerFields points at them.
+// The loaded document is stored on req.doc for the handler.
+exports.checkOwnership = (Model, { permission, ownerFields = ['guest'], param = 'id' }) =>
+  async (req, res, next) => {
+    try {
+      if (!mongoose.isValidObjectId(req.params[param])) {
+        return next(new AppError(`${Model.modelName} not found`, 404));
+      }
 
-    next();
-  } catch (error) {
-    logger.error(`Ownership check error: ${error.message}`);
-    return res.status(400).json({
-      status: 'error',
-      message: error.message
-    });
-  }
-}; 
\ No newline at end of file
+      const doc = await Model.findById(req.params[param]);
+
+      if (!doc) {
+        return next(new AppError(`${Model.modelName} not found`, 404));
+      }
+
+      if (!hasPermission(req.user, `${permission}:any`)) {
+        const fields = Array.isArray(ownerFields) ? ownerFields : [ownerFields];
+        const isOwner = fields.some(field => {
+          const owner = refId(doc.get(field));
+          return owner && owner.toString() === req.user._id.toString();
+        });
+
+        if (!isOwner || !hasPermission(req.user, `${permission}:own`)) {
+          return next(new AppError('You do not have permission to perform this action', 403));
+        }
+      }
+
+      req.doc = doc;
+      next();
+    } catch (error) {
+      logger.error(`Ownership check error: ${error.message}`);
+      next(new AppError('Error checking permissions', 500));
+    }
+  };
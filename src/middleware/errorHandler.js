@@ -1,17 +1,51 @@
 const { logger } = require('../utils/logger');
 
 class AppError extends Error {
-  constructor(message, statusCode) {
+  // details is optional extra data for the client, e.g. conflicting dates
+  constructor(message, statusCode, details) {
     super(message);
     this.statusCode = statusCode;
     this.status = `${statusCode}`.startsWith('4') ? 'fail' : 'error';
     this.isOperational = true;
+    this.details = details;
 
     Error.captureStackTrace(this, this.constructor);
   }
 }
 
+const DUPLICATE_KEY = 11000;
+
+// Database errors caused by the request (a malformed id, a value that must be
+// unique, a failed validator) as client errors; null for anything else
+const toClientError = (err) => {
+  if (err.name === 'CastError') {
+    return new AppError(`Invalid ${err.path}: ${err.value}`, 400);
+  }
+
+  if (err.code === DUPLICATE_KEY) {
+    const fields = Object.keys(err.keyValue || err.keyPattern || {});
+    return new AppError(
+      fields.length > 0 ? `This ${fields.join(', ')} is already in use` : 'This value is already in use',
+      409,
+      { fields }
+    );
+  }
+
+  if (err.name === 'ValidationError') {
+    const errors = Object.fromEntries(
+      Object.entries(err.errors || {}).map(([path, error]) => [path, error.message])
+    );
+    return new AppError(`Invalid input data. ${Object.values(errors).join('. ')}`, 400, { errors });
+  }
+
+  return null;
+};
+
 const errorHandler = (err, req, res, next) => {
+  if (!err.isOperational) {
+    err = toClientError(err) || err;
+  }
+
   err.statusCode = err.statusCode || 500;
   err.status = err.status || 'error';
 
@@ -27,6 +61,7 @@ const errorHandler = (err, req, res, next) => {
       status: err.status,
       error: err,
       message: err.message,
+      details: err.details,
       stack: err.stack
     });
   } else {
@@ -38,7 +73,8 @@ const errorHandler = (err, req, res, next) => {
     if (err.isOperational) {
       res.status(err.statusCode).json({
         status: err.status,
-        message: err.message
+        message: err.message,
+        details: err.details
       });
     } else {
       res.status(500).json({
@@ -50,4 +86,5 @@ const errorHandler = (err, req, res, next) => {
 };
 
 module.exports = errorHandler;
-module.exports.AppError = AppError; 
\ No newline at end of file
+module.exports.AppError = AppError;
+module.exports.toClientError = toClientError; 
\ No newline at end of file
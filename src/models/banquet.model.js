@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { SEATING_LAYOUT } = require('../utils/constants');
 
 const banquetSchema = new mongoose.Schema({
   name: {
@@ -10,18 +11,57 @@ const banquetSchema = new mongoose.Schema({
     type: String,
     required: [true, 'Banquet description is required']
   },
+  // Capacity when no layout is chosen
   seatingCapacity: {
     type: Number,
     required: [true, 'Seating capacity is required']
   },
+  // Layouts the hall can be set up in, with the guests each one seats and
+  // the time it takes to set up
+  layouts: [{
+    _id: false,
+    style: {
+      type: String,
+      required: [true, 'Layout style is required'],
+      enum: Object.values(SEATING_LAYOUT)
+    },
+    capacity: {
+      type: Number,
+      required: [true, 'Layout capacity is required'],
+      min: 1
+    },
+    setupMinutes: {
+      type: Number,
+      default: 0,
+      min: 0
+    }
+  }],
   images: [{
     url: String,
     caption: String
-  }]
+  }],
+  // Held while a reservation or event is being placed in the hall's schedule
+  scheduleLockedUntil: {
+    type: Date,
+    select: false
+  },
+  // Identifies the request holding the lock, so only it releases the lock
+  scheduleLockToken: {
+    type: String,
+    select: false
+  }
 }, {
   timestamps: true
 });
 
+banquetSchema.pre('validate', function(next) {
+  const styles = this.layouts.map(layout => layout.style);
+  if (new Set(styles).size !== styles.length) {
+    this.invalidate('layouts', 'Each layout style can only be listed once');
+  }
+  next();
+});
+
 const Banquet = mongoose.model('Banquet', banquetSchema);
 
 module.exports = Banquet;
\ No newline at end of file
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+const { BANQUET_EXTRA_CATEGORY, BANQUET_EXTRA_PRICING } = require('../utils/constants');
+
+// Something a quotation can add on top of the package, e.g. decor or AV
+const extraSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Extra name is required'],
+    trim: true
+  },
+  description: String,
+  category: {
+    type: String,
+    enum: Object.values(BANQUET_EXTRA_CATEGORY),
+    default: BANQUET_EXTRA_CATEGORY.OTHER
+  },
+  price: {
+    type: Number,
+    required: [true, 'Extra price is required'],
+    min: 0
+  },
+  pricing: {
+    type: String,
+    enum: Object.values(BANQUET_EXTRA_PRICING),
+    default: BANQUET_EXTRA_PRICING.FLAT
+  }
+});
+
+// A catering package sold with a banquet hall, priced per plate
+const banquetPackageSchema = new mongoose.Schema({
+  banquet: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Banquet',
+    required: [true, 'Package must belong to a banquet hall']
+  },
+  name: {
+    type: String,
+    required: [true, 'Package name is required'],
+    trim: true
+  },
+  description: String,
+  pricePerPlate: {
+    type: Number,
+    required: [true, 'Price per plate is required'],
+    min: 0
+  },
+  // Plates charged even when fewer guests come
+  minimumGuarantee: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  menu: [{
+    _id: false,
+    course: {
+      type: String,
+      required: [true, 'Menu course is required'],
+      trim: true
+    },
+    items: [String]
+  }],
+  // Part of the per-plate price, e.g. "Welcome drink" or "Dance floor"
+  includedItems: [String],
+  extras: [extraSchema],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+banquetPackageSchema.index({ banquet: 1, isActive: 1 });
+
+const BanquetPackage = mongoose.model('BanquetPackage', banquetPackageSchema);
+
+module.exports = BanquetPackage;
@@ -0,0 +1,194 @@
+const mongoose = require('mongoose');
+const { BANQUET_QUOTATION_STATUS, BANQUET_EXTRA_PRICING, SEATING_LAYOUT } = require('../utils/constants');
+
+// When part of the price is due. daysBeforeEvent null means on acceptance.
+const depositTermSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    required: [true, 'Deposit label is required'],
+    trim: true
+  },
+  percentage: {
+    type: Number,
+    required: [true, 'Deposit percentage is required'],
+    min: 0,
+    max: 100
+  },
+  daysBeforeEvent: {
+    type: Number,
+    min: 0,
+    default: null
+  }
+}, { _id: false });
+
+// A price offer for a hall, a time slot, a package and a headcount. Each
+// revision keeps a copy of the previous version.
+const banquetQuotationSchema = new mongoose.Schema({
+  banquet: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Banquet',
+    required: [true, 'Quotation must be for a banquet hall']
+  },
+  package: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'BanquetPackage',
+    required: [true, 'Quotation must have a package']
+  },
+  title: {
+    type: String,
+    required: [true, 'Quotation title is required'],
+    trim: true
+  },
+  client: {
+    name: {
+      type: String,
+      required: [true, 'Client name is required'],
+      trim: true
+    },
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true
+    },
+    phone: String,
+    guest: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User'
+    }
+  },
+  startTime: {
+    type: Date,
+    required: [true, 'Start time is required']
+  },
+  endTime: {
+    type: Date,
+    required: [true, 'End time is required']
+  },
+  layout: {
+    type: String,
+    enum: Object.values(SEATING_LAYOUT)
+  },
+  // Defaults to the layout's setup time when the hall is reserved
+  setupMinutes: {
+    type: Number,
+    min: 0
+  },
+  teardownMinutes: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  headcount: {
+    type: Number,
+    required: [true, 'Headcount is required'],
+    min: 1
+  },
+  // Package extras chosen for this quotation, priced when quoted
+  extras: [{
+    _id: false,
+    extra: mongoose.Schema.ObjectId,
+    name: String,
+    category: String,
+    pricing: {
+      type: String,
+      enum: Object.values(BANQUET_EXTRA_PRICING)
+    },
+    price: Number,
+    quantity: {
+      type: Number,
+      default: 1,
+      min: 1
+    },
+    amount: Number
+  }],
+  pricing: {
+    pricePerPlate: Number,
+    // Headcount, or the package's minimum guarantee when that is higher
+    plates: Number,
+    food: Number,
+    extras: Number,
+    subtotal: Number,
+    taxes: [{
+      _id: false,
+      taxRule: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'TaxRule'
+      },
+      name: String,
+      kind: String,
+      category: String,
+      amount: Number
+    }],
+    taxTotal: Number,
+    total: Number
+  },
+  depositTerms: [depositTermSchema],
+  // Filled in on acceptance from depositTerms
+  depositSchedule: [{
+    _id: false,
+    label: String,
+    percentage: Number,
+    amount: Number,
+    dueDate: Date
+  }],
+  validUntil: Date,
+  notes: String,
+  status: {
+    type: String,
+    enum: Object.values(BANQUET_QUOTATION_STATUS),
+    default: BANQUET_QUOTATION_STATUS.DRAFT
+  },
+  version: {
+    type: Number,
+    default: 1
+  },
+  // Earlier versions, oldest first
+  revisions: [{
+    _id: false,
+    version: Number,
+    quote: mongoose.Schema.Types.Mixed,
+    revisedAt: Date,
+    revisedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User'
+    },
+    note: String
+  }],
+  reservation: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'BanquetReservation'
+  },
+  sentAt: Date,
+  acceptedAt: Date,
+  convertedAt: Date,
+  createdBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+banquetQuotationSchema.pre('validate', function(next) {
+  if (this.startTime && this.endTime && this.endTime <= this.startTime) {
+    this.invalidate('endTime', 'End time must be after start time');
+  }
+
+  if (this.depositTerms.length > 0) {
+    const total = this.depositTerms.reduce((sum, term) => sum + term.percentage, 0);
+    if (Math.abs(total - 100) > 0.001) {
+      this.invalidate('depositTerms', 'Deposit percentages must add up to 100');
+    }
+  }
+
+  next();
+});
+
+// Indexes
+banquetQuotationSchema.index({ banquet: 1, startTime: 1 });
+banquetQuotationSchema.index({ status: 1 });
+banquetQuotationSchema.index({ 'client.guest': 1 });
+
+const BanquetQuotation = mongoose.model('BanquetQuotation', banquetQuotationSchema);
+
+module.exports = BanquetQuotation;
@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+const moment = require('moment');
+const { BANQUET_RESERVATION_STATUS, SEATING_LAYOUT } = require('../utils/constants');
+
+// A banquet hall booked for a time slot. The hall is blocked from the
+// start of setup until the end of teardown.
+const banquetReservationSchema = new mongoose.Schema({
+  banquet: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Banquet',
+    required: [true, 'Reservation must be for a banquet hall']
+  },
+  title: {
+    type: String,
+    required: [true, 'Reservation title is required'],
+    trim: true
+  },
+  // Who the hall is booked for
+  client: {
+    name: {
+      type: String,
+      required: [true, 'Client name is required'],
+      trim: true
+    },
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true
+    },
+    phone: String,
+    guest: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User'
+    }
+  },
+  startTime: {
+    type: Date,
+    required: [true, 'Start time is required']
+  },
+  endTime: {
+    type: Date,
+    required: [true, 'End time is required']
+  },
+  // One of the hall's layouts; the headcount is checked against its capacity
+  layout: {
+    type: String,
+    enum: Object.values(SEATING_LAYOUT)
+  },
+  // Defaults to the layout's setup time
+  setupMinutes: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  teardownMinutes: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Start of setup and end of teardown, kept in sync for overlap queries
+  blockedFrom: Date,
+  blockedUntil: Date,
+  expectedHeadcount: {
+    type: Number,
+    required: [true, 'Expected headcount is required'],
+    min: 1
+  },
+  status: {
+    type: String,
+    enum: Object.values(BANQUET_RESERVATION_STATUS),
+    default: BANQUET_RESERVATION_STATUS.TENTATIVE
+  },
+  confirmedAt: Date,
+  releasedAt: Date,
+  releaseReason: String,
+  notes: String,
+  // The accepted quotation the reservation was made from
+  quotation: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'BanquetQuotation'
+  },
+  createdBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+banquetReservationSchema.pre('validate', function(next) {
+  if (this.startTime && this.endTime && this.endTime <= this.startTime) {
+    this.invalidate('endTime', 'End time must be after start time');
+  }
+
+  if (this.startTime) {
+    this.blockedFrom = moment(this.startTime).subtract(this.setupMinutes || 0, 'minutes').toDate();
+  }
+  if (this.endTime) {
+    this.blockedUntil = moment(this.endTime).add(this.teardownMinutes || 0, 'minutes').toDate();
+  }
+
+  next();
+});
+
+// Indexes
+banquetReservationSchema.index({ banquet: 1, blockedFrom: 1, blockedUntil: 1 });
+banquetReservationSchema.index({ status: 1 });
+
+const BanquetReservation = mongoose.model('BanquetReservation', banquetReservationSchema);
+
+module.exports = BanquetReservation;
@@ -1,6 +1,11 @@
 const mongoose = require('mongoose');
 const moment = require('moment');
-const { BOOKING_STATUS, PAYMENT_STATUS } = require('../utils/constants');
+const {
+  BOOKING_STATUS,
+  PAYMENT_STATUS,
+  ROOM_TYPE,
+  CANCELLATION_REFUND_STATUS
+} = require('../utils/constants');
 
 
 const bookingSchema = new mongoose.Schema({
@@ -9,10 +14,28 @@ const bookingSchema = new mongoose.Schema({
     ref: 'User',
     required: [true, 'Booking must belong to a guest']
   },
+  // Room type the stay was sold as; checked against the type's inventory
+  roomType: {
+    type: String,
+    enum: Object.values(ROOM_TYPE)
+  },
+  // Not set until a room is assigned when booking by room type
   room: {
     type: mongoose.Schema.ObjectId,
-    ref: 'Room',
-    required: [true, 'Booking must be for a room']
+    ref: 'Room'
+  },
+  roomAssignedAt: Date,
+  roomAssignedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  // What the guest asked for; honoured where possible when a room is assigned
+  roomPreferences: {
+    floor: Number,
+    specialFeatures: [{
+      type: String,
+      trim: true
+    }]
   },
   checkIn: {
     type: Date,
@@ -33,15 +56,95 @@ const bookingSchema = new mongoose.Schema({
       default: 0
     }
   },
+  // Group reservation the booking is part of
+  group: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'GroupReservation'
+  },
+  // Rate plan the stay was sold under; picks the cancellation policy
+  ratePlan: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  // Room, add-ons, taxes and fees
   totalPrice: {
     type: Number,
     required: [true, 'Total price is required']
   },
+  // Tax and fee lines included in totalPrice
+  taxes: [{
+    _id: false,
+    taxRule: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'TaxRule'
+    },
+    name: String,
+    kind: String,
+    category: String,
+    amount: Number
+  }],
+  taxTotal: {
+    type: Number,
+    default: 0
+  },
+  // Per-night pricing captured when the stay was priced
+  priceBreakdown: {
+    nights: [{
+      _id: false,
+      date: String,
+      rate: Number,
+      seasonalPrice: Number,
+      discountType: String,
+      discountPercentage: Number,
+      discountAmount: Number,
+      promoDiscount: Number,
+      price: Number
+    }],
+    subtotal: Number,
+    discountTotal: Number,
+    promoDiscountTotal: Number
+  },
+  // Promo code the stay was priced with
+  promo: {
+    promoCode: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'PromoCode'
+    },
+    code: String,
+    discountType: String,
+    value: Number,
+    maxDiscount: Number,
+    stackable: Boolean,
+    discountAmount: Number
+  },
   status: {
     type: String,
     enum: Object.values(BOOKING_STATUS),
     default: BOOKING_STATUS.PENDING
   },
+  // Every status change, oldest first
+  statusHistory: [{
+    _id: false,
+    from: {
+      type: String,
+      enum: Object.values(BOOKING_STATUS)
+    },
+    to: {
+      type: String,
+      enum: Object.values(BOOKING_STATUS),
+      required: true
+    },
+    changedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User'
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    },
+    note: String
+  }],
   paymentStatus: {
     type: String,
     enum: Object.values(PAYMENT_STATUS),
@@ -70,10 +173,59 @@ const bookingSchema = new mongoose.Schema({
       default: 1
     }
   }],
+  // Date, room, guest and add-on changes made after booking, oldest first
+  modifications: [{
+    modifiedAt: {
+      type: Date,
+      default: Date.now
+    },
+    modifiedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User'
+    },
+    changes: [{
+      _id: false,
+      field: String,
+      from: mongoose.Schema.Types.Mixed,
+      to: mongoose.Schema.Types.Mixed
+    }],
+    previousTotal: Number,
+    newTotal: Number,
+    // Positive when the guest owes more, negative when they get money back
+    priceDifference: Number,
+    amountDue: Number,
+    refundDue: Number
+  }],
   cancellation: {
     date: Date,
     reason: String,
-    refundAmount: Number
+    // Copy of the policy as it was when the booking was cancelled
+    policy: {
+      id: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'CancellationPolicy'
+      },
+      name: String,
+      tiers: [{
+        _id: false,
+        daysBeforeCheckIn: Number,
+        refundPercentage: Number
+      }]
+    },
+    daysBeforeCheckIn: Number,
+    refundPercentage: Number,
+    paidAmount: Number,
+    refundAmount: Number,
+    penaltyAmount: Number,
+    // Progress of the refund; unset when nothing is owed
+    refundStatus: {
+      type: String,
+      enum: Object.values(CANCELLATION_REFUND_STATUS)
+    },
+    refundedAmount: Number,
+    refundAttempts: Number,
+    refundAttemptedAt: Date,
+    refundError: String
   }
 }, {
   timestamps: true,
@@ -85,6 +237,16 @@ const bookingSchema = new mongoose.Schema({
 bookingSchema.index({ guest: 1, checkIn: 1 });
 bookingSchema.index({ room: 1, checkIn: 1 });
 bookingSchema.index({ status: 1 });
+bookingSchema.index({ group: 1 });
+bookingSchema.index({ roomType: 1, checkIn: 1 });
+bookingSchema.index({ 'cancellation.refundStatus': 1 });
+
+bookingSchema.pre('validate', function(next) {
+  if (!this.room && !this.roomType) {
+    return next(new Error('Booking must be for a room or a room type'));
+  }
+  next();
+});
 
 // Virtual property for number of nights
 bookingSchema.virtual('numberOfNights').get(function() {
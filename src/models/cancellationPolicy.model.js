@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+// A refund step: cancelling at least `daysBeforeCheckIn` days before
+// check-in refunds `refundPercentage` of the amount paid
+const cancellationTierSchema = new mongoose.Schema({
+  daysBeforeCheckIn: {
+    type: Number,
+    required: [true, 'Days before check-in is required'],
+    min: 0
+  },
+  refundPercentage: {
+    type: Number,
+    required: [true, 'Refund percentage is required'],
+    min: 0,
+    max: 100
+  }
+}, { _id: false });
+
+const cancellationPolicySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Policy name is required'],
+    unique: true,
+    trim: true
+  },
+  description: String,
+  // Cancelling later than every tier is non-refundable
+  tiers: {
+    type: [cancellationTierSchema],
+    validate: {
+      validator: tiers => new Set(tiers.map(tier => tier.daysBeforeCheckIn)).size === tiers.length,
+      message: 'Each tier must use a different number of days before check-in'
+    }
+  },
+  // Bookings on one of these rate plans use this policy
+  ratePlans: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  // Otherwise bookings for one of these room types do
+  roomTypes: [{
+    type: String,
+    enum: ['standard', 'deluxe', 'suite', 'presidential']
+  }],
+  // Used when nothing more specific matches
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Keep tiers ordered from the earliest cancellation to the latest
+cancellationPolicySchema.pre('save', function(next) {
+  if (this.isModified('tiers')) {
+    this.tiers.sort((a, b) => b.daysBeforeCheckIn - a.daysBeforeCheckIn);
+  }
+  next();
+});
+
+// Indexes
+cancellationPolicySchema.index({ ratePlans: 1 });
+cancellationPolicySchema.index({ roomTypes: 1 });
+
+const CancellationPolicy = mongoose.model('CancellationPolicy', cancellationPolicySchema);
+
+module.exports = CancellationPolicy;
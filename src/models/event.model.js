@@ -1,5 +1,13 @@
 const mongoose = require('mongoose');
-const { EVENT_LOCATION, EVENT_TYPE, EVENT_STATUS, EVENT_PAYMENT_STATUS, EVENT_PARTICIPANT_STATUS } = require('../utils/constants');
+const {
+  EVENT_LOCATION,
+  SEATING_LAYOUT,
+  EVENT_TYPE,
+  EVENT_STATUS,
+  EVENT_PAYMENT_STATUS,
+  EVENT_PARTICIPANT_STATUS,
+  RECURRENCE_FREQUENCY
+} = require('../utils/constants');
 
 const eventSchema = new mongoose.Schema({
   title: {
@@ -33,7 +41,14 @@ const eventSchema = new mongoose.Schema({
     location_id: {
       type: mongoose.Schema.ObjectId,
       required: [true, 'Event location is required']
-    }
+    },
+    // Banquet hall layout; capacity must fit it
+    layout: {
+      type: String,
+      enum: Object.values(SEATING_LAYOUT)
+    },
+    // Start of the hall's setup, before startDate when the layout takes time to set up
+    blockedFrom: Date
   },
   capacity: {
     type: Number,
@@ -57,6 +72,41 @@ const eventSchema = new mongoose.Schema({
       type: String,
       enum: Object.values(EVENT_PARTICIPANT_STATUS),
       default: EVENT_PARTICIPANT_STATUS.REGISTERED
+    },
+    // Ticket price and taxes at the time of registration
+    price: {
+      type: Number,
+      default: 0
+    },
+    taxes: [{
+      _id: false,
+      taxRule: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'TaxRule'
+      },
+      name: String,
+      kind: String,
+      category: String,
+      amount: Number
+    }],
+    amountDue: {
+      type: Number,
+      default: 0
+    },
+    // Set for offered spots; the offer lapses to the next guest after it
+    claimDeadline: Date,
+    promotedAt: Date
+  }],
+  // Guests waiting for a spot, first in line first
+  waitlist: [{
+    _id: false,
+    guest: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User'
+    },
+    joinedAt: {
+      type: Date,
+      default: Date.now
     }
   }],
   organizer: {
@@ -84,6 +134,8 @@ const eventSchema = new mongoose.Schema({
   tags: [{
     type: String
   }],
+  // A recurring event is a series: startDate/endDate are its first
+  // occurrence and the others are worked out from recurringPattern
   isRecurring: {
     type: Boolean,
     default: false
@@ -91,9 +143,26 @@ const eventSchema = new mongoose.Schema({
   recurringPattern: {
     frequency: {
       type: String,
-      enum: ['daily', 'weekly', 'monthly'],
+      enum: Object.values(RECURRENCE_FREQUENCY),
     },
-    endDate: Date
+    endDate: Date,
+    // Days (YYYY-MM-DD) the series skips
+    exceptions: [{
+      type: String,
+      match: [/^\d{4}-\d{2}-\d{2}$/, 'Exceptions must be dates in YYYY-MM-DD format']
+    }]
+  },
+  // Occurrences of a series are only stored once someone registers or they
+  // are changed on their own; occurrenceDate is the day the series put them on
+  series: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Event'
+  },
+  occurrenceDate: String,
+  // Changed on its own, so changes to the series no longer apply to it
+  isCustomized: {
+    type: Boolean,
+    default: false
   }
 }, {
   timestamps: true,
@@ -105,15 +174,52 @@ const eventSchema = new mongoose.Schema({
 eventSchema.index({ startDate: 1 });
 eventSchema.index({ type: 1 });
 eventSchema.index({ status: 1 });
+eventSchema.index({ 'location.location_id': 1, startDate: 1 });
+
+eventSchema.index({ tags: 1 });
+eventSchema.index({ isRecurring: 1, startDate: 1 });
+eventSchema.index({ 'participants.status': 1, 'participants.claimDeadline': 1 });
+eventSchema.index(
+  { series: 1, occurrenceDate: 1 },
+  { unique: true, partialFilterExpression: { series: { $exists: true } } }
+);
+
+eventSchema.pre('validate', function(next) {
+  if (this.startDate && this.endDate && this.endDate < this.startDate) {
+    this.invalidate('endDate', 'End date must be after the start date');
+  }
+
+  if (this.isRecurring) {
+    if (this.series) {
+      this.invalidate('isRecurring', 'An occurrence of a series cannot recur itself');
+    }
+    if (!this.recurringPattern || !this.recurringPattern.frequency) {
+      this.invalidate('recurringPattern.frequency', 'A recurring event needs a frequency');
+    }
+    if (this.recurringPattern && this.recurringPattern.endDate && this.recurringPattern.endDate < this.startDate) {
+      this.invalidate('recurringPattern.endDate', 'The series must end after its first occurrence');
+    }
+  }
+
+  next();
+});
 
-// Virtual for number of participants
+// Virtual for number of participants (cancelled registrations don't count)
 eventSchema.virtual('numberOfParticipants').get(function() {
-  return this.participants.length;
+  if (!this.participants) return 0;
+  return this.participants.filter(
+    participant => participant.status !== EVENT_PARTICIPANT_STATUS.CANCELLED
+  ).length;
+});
+
+// Virtual for number of guests on the waitlist
+eventSchema.virtual('waitlistLength').get(function() {
+  return this.waitlist ? this.waitlist.length : 0;
 });
 
 // Virtual for available spots
 eventSchema.virtual('availableSpots').get(function() {
-  return this.capacity - this.participants.length;
+  return Math.max(this.capacity - this.numberOfParticipants, 0);
 });
 
 // Middleware to populate organizer details
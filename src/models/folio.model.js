@@ -0,0 +1,128 @@
+const mongoose = require('mongoose');
+const { roundCurrency } = require('../services/pricing.service');
+const { FOLIO_ENTRY_TYPE, FOLIO_CHARGE_CATEGORY } = require('../utils/constants');
+
+const folioEntrySchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true,
+    enum: Object.values(FOLIO_ENTRY_TYPE)
+  },
+  // Only charges have a category
+  category: {
+    type: String,
+    enum: Object.values(FOLIO_CHARGE_CATEGORY)
+  },
+  description: {
+    type: String,
+    required: [true, 'Entry description is required']
+  },
+  // Payments and refunds are always positive; a negative charge is a credit
+  amount: {
+    type: Number,
+    required: [true, 'Entry amount is required']
+  },
+  quantity: {
+    type: Number,
+    default: 1
+  },
+  // Night the charge is for, when it is a room charge
+  date: Date,
+  // Rule behind a tax or fee charge
+  taxRule: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'TaxRule'
+  },
+  method: String,
+  transactionId: String,
+  // Balance right after this entry was posted
+  balanceAfter: Number,
+  postedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  postedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Ledger of everything charged to and paid for a booking, or for a group
+// reservation as a whole (its master account)
+const folioSchema = new mongoose.Schema({
+  booking: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Booking',
+    unique: true,
+    sparse: true
+  },
+  group: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'GroupReservation',
+    unique: true,
+    sparse: true
+  },
+  guest: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  entries: [folioEntrySchema],
+  chargesTotal: {
+    type: Number,
+    default: 0
+  },
+  paymentsTotal: {
+    type: Number,
+    default: 0
+  },
+  refundsTotal: {
+    type: Number,
+    default: 0
+  },
+  // What the guest still owes; negative when they are owed money
+  balance: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true,
+  optimisticConcurrency: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Money the guest has paid and not been refunded
+folioSchema.virtual('netPaid').get(function() {
+  return roundCurrency(this.paymentsTotal - this.refundsTotal);
+});
+
+folioSchema.pre('validate', function(next) {
+  if (!this.booking === !this.group) {
+    this.invalidate('booking', 'A folio belongs to either a booking or a group');
+  }
+  next();
+});
+
+// Recalculate totals and running balances from the entries
+folioSchema.pre('save', function(next) {
+  let charges = 0;
+  let payments = 0;
+  let refunds = 0;
+
+  this.entries.forEach(entry => {
+    if (entry.type === FOLIO_ENTRY_TYPE.CHARGE) charges += entry.amount;
+    if (entry.type === FOLIO_ENTRY_TYPE.PAYMENT) payments += entry.amount;
+    if (entry.type === FOLIO_ENTRY_TYPE.REFUND) refunds += entry.amount;
+    entry.balanceAfter = roundCurrency(charges - payments + refunds);
+  });
+
+  this.chargesTotal = roundCurrency(charges);
+  this.paymentsTotal = roundCurrency(payments);
+  this.refundsTotal = roundCurrency(refunds);
+  this.balance = roundCurrency(charges - payments + refunds);
+  next();
+});
+
+const Folio = mongoose.model('Folio', folioSchema);
+
+module.exports = Folio;
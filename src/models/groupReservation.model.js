@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+const { GROUP_STATUS } = require('../utils/constants');
+
+// A room of the group and the guest staying in it. Rooms without a guest
+// name by the cutoff date are released.
+const roomingListEntrySchema = new mongoose.Schema({
+  booking: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Booking',
+    required: true
+  },
+  room: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Room',
+    required: true
+  },
+  guestName: {
+    type: String,
+    trim: true
+  },
+  guestEmail: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  assignedAt: Date
+}, { _id: false });
+
+// Several room bookings made together, e.g. for a wedding or a conference
+const groupReservationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Group name is required'],
+    trim: true
+  },
+  // Owns every room booking of the group
+  leadGuest: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Group must have a lead guest']
+  },
+  // Default stay for the group's rooms
+  checkIn: {
+    type: Date,
+    required: [true, 'Check-in date is required']
+  },
+  checkOut: {
+    type: Date,
+    required: [true, 'Check-out date is required']
+  },
+  cutoffDate: {
+    type: Date,
+    required: [true, 'Cutoff date is required']
+  },
+  roomingList: [roomingListEntrySchema],
+  status: {
+    type: String,
+    enum: Object.values(GROUP_STATUS),
+    default: GROUP_STATUS.PENDING
+  },
+  // When unclaimed rooms were released at the cutoff
+  roomsReleasedAt: Date,
+  notes: String,
+  createdBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+groupReservationSchema.pre('validate', function(next) {
+  if (this.checkIn && this.checkOut && this.checkOut <= this.checkIn) {
+    this.invalidate('checkOut', 'Check-out date must be after check-in date');
+  }
+
+  if (this.cutoffDate && this.checkIn && this.cutoffDate > this.checkIn) {
+    this.invalidate('cutoffDate', 'Cutoff date must be on or before check-in');
+  }
+
+  next();
+});
+
+// Indexes
+groupReservationSchema.index({ leadGuest: 1 });
+groupReservationSchema.index({ cutoffDate: 1, roomsReleasedAt: 1 });
+
+// Populate lead guest details
+groupReservationSchema.pre(/^find/, function(next) {
+  this.populate({
+    path: 'leadGuest',
+    select: 'firstName lastName email phoneNumber'
+  });
+  next();
+});
+
+const GroupReservation = mongoose.model('GroupReservation', groupReservationSchema);
+
+module.exports = GroupReservation;
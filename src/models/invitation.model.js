@@ -0,0 +1,81 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { STAFF_ROLES, INVITATION_STATUS } = require('../utils/constants');
+
+const invitationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true
+  },
+  role: {
+    type: String,
+    required: [true, 'Role is required'],
+    enum: STAFF_ROLES
+  },
+  token: {
+    type: String,
+    required: true,
+    select: false
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: Object.values(INVITATION_STATUS),
+    default: INVITATION_STATUS.PENDING
+  },
+  invitedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  acceptedAt: Date,
+  acceptedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  revokedAt: Date,
+  revokedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for faster queries
+invitationSchema.index({ token: 1 });
+invitationSchema.index({ email: 1, status: 1 });
+
+// Virtual for whether a pending invitation can no longer be accepted
+invitationSchema.virtual('isExpired').get(function() {
+  return this.status === INVITATION_STATUS.PENDING && this.expiresAt <= new Date();
+});
+
+// Hash an invitation token the same way it is stored
+invitationSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Generate a single-use invitation token.
+// Only the SHA-256 hash is stored; the plain token is returned for the email.
+invitationSchema.methods.createInvitationToken = function() {
+  const invitationToken = crypto.randomBytes(32).toString('hex');
+
+  this.token = this.constructor.hashToken(invitationToken);
+
+  const expiresInHours = parseInt(process.env.INVITATION_EXPIRES_HOURS, 10) || 72;
+  this.expiresAt = Date.now() + expiresInHours * 60 * 60 * 1000;
+
+  return invitationToken;
+};
+
+const Invitation = mongoose.model('Invitation', invitationSchema);
+
+module.exports = Invitation;
@@ -0,0 +1,143 @@
+const mongoose = require('mongoose');
+const { INVOICE_TYPE } = require('../utils/constants');
+
+const invoiceLineSchema = new mongoose.Schema({
+  description: String,
+  category: String,
+  date: Date,
+  quantity: Number,
+  amount: Number
+}, { _id: false });
+
+const invoicePaymentSchema = new mongoose.Schema({
+  type: String,
+  description: String,
+  method: String,
+  transactionId: String,
+  date: Date,
+  amount: Number
+}, { _id: false });
+
+// An issued invoice or credit note, for a booking or for a guest's event
+// registration. Once saved it never changes: corrections are made by issuing
+// a credit note and a new invoice.
+const invoiceSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: Object.values(INVOICE_TYPE),
+    default: INVOICE_TYPE.INVOICE
+  },
+  property: {
+    type: String,
+    required: true
+  },
+  // Position in the property's series for this type, starting at 1 with no gaps
+  sequence: {
+    type: Number,
+    required: true
+  },
+  number: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  booking: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Booking'
+  },
+  // Event registration invoices: the event and the registered guest
+  event: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Event'
+  },
+  guest: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  // Documents of this type issued for the booking (or registration) so far, counting this one
+  revision: {
+    type: Number,
+    required: true
+  },
+  // The invoice a credit note cancels
+  originalInvoice: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Invoice'
+  },
+  reason: String,
+  billTo: {
+    name: String,
+    email: String
+  },
+  stay: {
+    roomNumber: String,
+    checkIn: Date,
+    checkOut: Date
+  },
+  eventDetails: {
+    title: String,
+    startDate: Date,
+    endDate: Date
+  },
+  currency: String,
+  lines: [invoiceLineSchema],
+  payments: [invoicePaymentSchema],
+  subtotal: Number,
+  taxTotal: Number,
+  total: Number,
+  amountPaid: Number,
+  balanceDue: Number,
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  issuedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes. The unique series index keeps numbering gap-free under concurrency,
+// the revision indexes stop two requests issuing the same invoice twice.
+invoiceSchema.index({ property: 1, type: 1, sequence: 1 }, { unique: true });
+invoiceSchema.index(
+  { booking: 1, type: 1, revision: 1 },
+  { unique: true, partialFilterExpression: { booking: { $exists: true } } }
+);
+invoiceSchema.index(
+  { event: 1, guest: 1, type: 1, revision: 1 },
+  { unique: true, partialFilterExpression: { event: { $exists: true } } }
+);
+invoiceSchema.index({ originalInvoice: 1 }, { unique: true, sparse: true });
+
+const immutable = function(next) {
+  next(new Error('Issued invoices cannot be changed; issue a credit note instead'));
+};
+
+invoiceSchema.pre('validate', function(next) {
+  if (!this.booking === !this.event) {
+    this.invalidate('booking', 'An invoice is for either a booking or an event registration');
+  }
+  if (this.event && !this.guest) {
+    this.invalidate('guest', 'An event invoice must name the registered guest');
+  }
+  next();
+});
+
+invoiceSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return immutable(next);
+  }
+  next();
+});
+
+invoiceSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  immutable
+);
+
+const Invoice = mongoose.model('Invoice', invoiceSchema);
+
+module.exports = Invoice;
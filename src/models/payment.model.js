@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+const { GATEWAY_PAYMENT_STATUS } = require('../utils/constants');
+
+// A payment taken for a booking through the payment gateway
+const paymentSchema = new mongoose.Schema({
+  booking: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Booking',
+    required: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  intentId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  transactionId: String,
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: String,
+  method: String,
+  status: {
+    type: String,
+    enum: Object.values(GATEWAY_PAYMENT_STATUS),
+    default: GATEWAY_PAYMENT_STATUS.PENDING
+  },
+  capturedAmount: {
+    type: Number,
+    default: 0
+  },
+  refundedAmount: {
+    type: Number,
+    default: 0
+  },
+  refunds: [{
+    _id: false,
+    refundId: String,
+    amount: Number,
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  failureReason: String,
+  createdBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+paymentSchema.index({ booking: 1, createdAt: -1 });
+
+const Payment = mongoose.model('Payment', paymentSchema);
+
+module.exports = Payment;
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// Webhook events already handled, so provider retries are only applied once
+const paymentEventSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true
+  },
+  eventId: {
+    type: String,
+    required: true
+  },
+  type: String
+}, {
+  timestamps: true
+});
+
+// Indexes
+paymentEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+
+const PaymentEvent = mongoose.model('PaymentEvent', paymentEventSchema);
+
+module.exports = PaymentEvent;
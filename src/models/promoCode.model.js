@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+const { PROMO_DISCOUNT_TYPE, ROOM_TYPE } = require('../utils/constants');
+
+const promoCodeSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Promo code is required'],
+    unique: true,
+    trim: true,
+    uppercase: true
+  },
+  description: String,
+  discountType: {
+    type: String,
+    required: [true, 'Discount type is required'],
+    enum: Object.values(PROMO_DISCOUNT_TYPE)
+  },
+  // Percentage off the room total, or a fixed amount off it
+  value: {
+    type: Number,
+    required: [true, 'Discount value is required'],
+    min: 0
+  },
+  // Upper limit for percentage discounts
+  maxDiscount: {
+    type: Number,
+    min: 0
+  },
+  // Bookings can use the code between these dates
+  validFrom: Date,
+  validUntil: Date,
+  minimumStay: {
+    type: Number,
+    min: 1
+  },
+  // Empty means every room type
+  roomTypes: [{
+    type: String,
+    enum: Object.values(ROOM_TYPE)
+  }],
+  // Whether it applies on top of the room's own discounts; if not, the room's
+  // discounts are dropped and the code only applies when that's cheaper
+  stackable: {
+    type: Boolean,
+    default: false
+  },
+  // Total uses across all guests; unlimited when not set
+  usageLimit: {
+    type: Number,
+    min: 1
+  },
+  perGuestLimit: {
+    type: Number,
+    min: 1,
+    default: 1
+  },
+  timesRedeemed: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+promoCodeSchema.pre('validate', function(next) {
+  if (this.discountType === PROMO_DISCOUNT_TYPE.PERCENTAGE && this.value > 100) {
+    this.invalidate('value', 'A percentage discount cannot exceed 100');
+  }
+
+  if (this.validFrom && this.validUntil && this.validUntil < this.validFrom) {
+    this.invalidate('validUntil', 'validUntil must be after validFrom');
+  }
+
+  next();
+});
+
+const PromoCode = mongoose.model('PromoCode', promoCodeSchema);
+
+module.exports = PromoCode;
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const { PROMO_REDEMPTION_STATUS } = require('../utils/constants');
+
+// One use of a promo code by a booking
+const promoRedemptionSchema = new mongoose.Schema({
+  promoCode: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'PromoCode',
+    required: true
+  },
+  code: {
+    type: String,
+    required: true
+  },
+  booking: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Booking',
+    required: true,
+    unique: true
+  },
+  guest: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  discountAmount: {
+    type: Number,
+    required: true
+  },
+  // Booking total after the discount
+  bookingTotal: Number,
+  // Which of the guest's allowed uses of the code this is (1 to perGuestLimit)
+  slot: {
+    type: Number,
+    min: 1
+  },
+  status: {
+    type: String,
+    enum: Object.values(PROMO_REDEMPTION_STATUS),
+    default: PROMO_REDEMPTION_STATUS.REDEEMED
+  },
+  releasedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+promoRedemptionSchema.index({ promoCode: 1, guest: 1, status: 1 });
+// A guest's redeemed uses of a code each hold their own slot
+promoRedemptionSchema.index(
+  { promoCode: 1, guest: 1, slot: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { status: PROMO_REDEMPTION_STATUS.REDEEMED, slot: { $exists: true } }
+  }
+);
+
+const PromoRedemption = mongoose.model('PromoRedemption', promoRedemptionSchema);
+
+module.exports = PromoRedemption;
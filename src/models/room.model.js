@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { priceNight } = require('../services/pricing.service');
+const { ROOM_TYPE } = require('../utils/constants');
 
 const maintenanceRecordSchema = new mongoose.Schema({
   type: {
@@ -46,8 +48,8 @@ const roomSchema = new mongoose.Schema({
   type: {
     type: String,
     required: [true, 'Room type is required'],
-    enum: ['standard', 'deluxe', 'suite', 'presidential'],
-    default: 'standard'
+    enum: Object.values(ROOM_TYPE),
+    default: ROOM_TYPE.STANDARD
   },
   capacity: {
     adults: {
@@ -85,6 +87,10 @@ const roomSchema = new mongoose.Schema({
     validFrom: Date,
     validUntil: Date,
     minimumStay: Number,
+    // Early-bird: book at least this many days ahead (default 30)
+    minimumLeadDays: Number,
+    // Last-minute: book at most this many days ahead (default 3)
+    maximumLeadDays: Number,
     description: String
   }],
   amenities: [{
@@ -190,28 +196,12 @@ roomSchema.virtual('bookings', {
   localField: '_id'
 });
 
-// Virtual for current price (considering seasonal pricing and discounts)
+// Virtual for current price: tonight's rate for a one-night stay booked now
 roomSchema.virtual('currentPrice').get(function() {
-  const now = new Date();
-  
-  // Check seasonal pricing
-  const currentSeasonalPrice = this.seasonalPricing.find(
-    pricing => now >= pricing.startDate && now <= pricing.endDate
-  );
-  
-  // Get base price (either seasonal or regular)
-  let currentPrice = currentSeasonalPrice ? currentSeasonalPrice.price : this.pricePerNight;
-  
-  // Apply active discounts
-  const activeDiscount = this.discounts.find(
-    discount => now >= discount.validFrom && now <= discount.validUntil
-  );
-  
-  if (activeDiscount) {
-    currentPrice = currentPrice * (1 - activeDiscount.percentage / 100);
-  }
-  
-  return currentPrice;
+  const tonight = new Date();
+  tonight.setUTCHours(0, 0, 0, 0);
+
+  return priceNight(this, tonight, { leadDays: 0, stayLength: 1 }).price;
 });
 
 // Method to update occupancy statistics
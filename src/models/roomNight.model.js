@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// One document per booking per night, holding one unit of the room type's
+// inventory (a numbered slot) and, once the booking has a room, that room.
+// The unique indexes make MongoDB reject a second booking for the same
+// room-night and more bookings of a type than there are slots, which keeps
+// concurrent booking requests from double booking or overselling.
+const roomNightSchema = new mongoose.Schema({
+  roomType: {
+    type: String,
+    required: true
+  },
+  // Not set until a room is assigned
+  room: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Room'
+  },
+  // Midnight UTC of the night's date
+  night: {
+    type: Date,
+    required: true
+  },
+  // 0 .. (sellable rooms of the type that night - 1)
+  slot: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  booking: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Booking',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+roomNightSchema.index(
+  { room: 1, night: 1 },
+  { unique: true, partialFilterExpression: { room: { $exists: true } } }
+);
+roomNightSchema.index({ roomType: 1, night: 1, slot: 1 }, { unique: true });
+roomNightSchema.index({ booking: 1 });
+roomNightSchema.index({ night: 1 });
+
+const RoomNight = mongoose.model('RoomNight', roomNightSchema);
+
+module.exports = RoomNight;
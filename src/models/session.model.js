@@ -0,0 +1,93 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Session must belong to a user']
+  },
+  // Hash of the current refresh token
+  token: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // Hashes of refresh tokens that were already rotated; presenting one again means reuse
+  previousTokens: {
+    type: [String],
+    select: false
+  },
+  userAgent: String,
+  ipAddress: String,
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: String
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for faster queries
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Let MongoDB remove sessions once they expire
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for whether the session can still be used
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Hash a refresh token secret the same way it is stored
+sessionSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Refresh tokens look like "<sessionId>.<secret>"
+sessionSchema.statics.parseRefreshToken = function(refreshToken) {
+  if (typeof refreshToken !== 'string') return null;
+
+  const [sessionId, secret] = refreshToken.split('.');
+  if (!secret || !mongoose.isValidObjectId(sessionId)) return null;
+
+  return { sessionId, secret };
+};
+
+// Generate a random refresh token secret together with its hash
+sessionSchema.statics.generateSecret = function() {
+  const secret = crypto.randomBytes(40).toString('hex');
+  return { secret, hash: this.hashToken(secret) };
+};
+
+// Generate the first refresh token for this session.
+// Only the hash is stored; the plain refresh token is returned to the client.
+sessionSchema.methods.createRefreshToken = function() {
+  const { secret, hash } = this.constructor.generateSecret();
+  this.token = hash;
+  return `${this._id}.${secret}`;
+};
+
+// Revoke every active session of a user, optionally keeping one
+sessionSchema.statics.revokeAllForUser = function(userId, reason, exceptSessionId) {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+
+  return this.updateMany(filter, {
+    revokedAt: new Date(),
+    revokedReason: reason
+  });
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+const { TAX_CATEGORY, TAX_KIND, TAX_CALCULATION } = require('../utils/constants');
+
+// Percentage charged when the unit price (nightly rate for rooms) falls in [minRate, maxRate)
+const taxSlabSchema = new mongoose.Schema({
+  minRate: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  maxRate: Number,
+  percentage: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, { _id: false });
+
+const taxRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Tax rule name is required'],
+    trim: true
+  },
+  kind: {
+    type: String,
+    enum: Object.values(TAX_KIND),
+    default: TAX_KIND.TAX
+  },
+  calculation: {
+    type: String,
+    required: [true, 'Calculation is required'],
+    enum: Object.values(TAX_CALCULATION)
+  },
+  // For percentage rules
+  percentage: {
+    type: Number,
+    min: 0
+  },
+  // For flat-per-night (room nights only) and flat-per-unit rules
+  amount: {
+    type: Number,
+    min: 0
+  },
+  // For slab rules
+  slabs: [taxSlabSchema],
+  categories: {
+    type: [{
+      type: String,
+      enum: Object.values(TAX_CATEGORY)
+    }],
+    validate: {
+      validator: categories => categories.length > 0,
+      message: 'A tax rule must apply to at least one category'
+    }
+  },
+  effectiveFrom: Date,
+  effectiveTo: Date,
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Field each calculation reads its amount from
+const CALCULATION_FIELDS = {
+  [TAX_CALCULATION.PERCENTAGE]: 'percentage',
+  [TAX_CALCULATION.FLAT_PER_NIGHT]: 'amount',
+  [TAX_CALCULATION.FLAT_PER_UNIT]: 'amount',
+  [TAX_CALCULATION.SLAB]: 'slabs'
+};
+
+// Make sure each calculation has what it needs
+taxRuleSchema.pre('validate', function(next) {
+  const field = CALCULATION_FIELDS[this.calculation];
+  const value = field && this.get(field);
+
+  if (field && (value === undefined || value === null || (Array.isArray(value) && value.length === 0))) {
+    this.invalidate(field, `A ${this.calculation} rule needs ${field}`);
+  }
+
+  if (this.effectiveFrom && this.effectiveTo && this.effectiveTo < this.effectiveFrom) {
+    this.invalidate('effectiveTo', 'effectiveTo must be after effectiveFrom');
+  }
+
+  next();
+});
+
+// Indexes
+taxRuleSchema.index({ categories: 1, isActive: 1 });
+
+const TaxRule = mongoose.model('TaxRule', taxRuleSchema);
+
+module.exports = TaxRule;
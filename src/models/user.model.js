@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const { ALL_ROLES, USER_ROLES } = require('../utils/constants');
@@ -46,6 +47,15 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  passwordChangedAt: Date,
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -65,6 +75,15 @@ userSchema.pre('save', async function(next) {
   next();
 });
 
+// Record when the password changed so tokens issued before it are rejected
+userSchema.pre('save', function(next) {
+  if (!this.isModified('password') || this.isNew) return next();
+
+  // Subtract a second so the token issued right after the change stays valid
+  this.passwordChangedAt = Date.now() - 1000;
+  next();
+});
+
 // Compare password method
 userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
@@ -82,6 +101,22 @@ userSchema.methods.passwordChangedAfter = function(JWTTimestamp) {
   return false;
 };
 
+// Generate a single-use password reset token.
+// Only the SHA-256 hash is stored; the plain token is returned for the email.
+userSchema.methods.createPasswordResetToken = function() {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+
+  this.passwordResetToken = crypto
+    .createHash('sha256')
+    .update(resetToken)
+    .digest('hex');
+
+  const expiresInMinutes = parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES, 10) || 10;
+  this.passwordResetExpires = Date.now() + expiresInMinutes * 60 * 1000;
+
+  return resetToken;
+};
+
 const User = mongoose.model('User', userSchema);
 
 module.exports = User; 
\ No newline at end of file
@@ -4,12 +4,29 @@ const {
   register,
   login,
   forgotPassword,
-  resetPassword
+  resetPassword,
+  refreshToken,
+  logout,
+  getMySessions,
+  revokeMySession,
+  revokeAllMySessions
 } = require('../controllers/auth.controller');
 
+// Middleware to protect routes
+const { protect } = require('../middleware/auth');
+
 router.post('/register', register);
 router.post('/login', login);
 router.post('/forgot-password', forgotPassword);
 router.post('/reset-password', resetPassword);
+router.post('/refresh', refreshToken);
+
+// Session management
+router.post('/logout', protect, logout);
+router
+  .route('/sessions')
+  .get(protect, getMySessions)
+  .delete(protect, revokeAllMySessions);
+router.delete('/sessions/:id', protect, revokeMySession);
 
-module.exports = router; 
\ No newline at end of file
+module.exports = router;
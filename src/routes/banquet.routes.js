@@ -6,23 +6,38 @@ const {
     createBanquet,
     getBanquet,
     updateBanquet,
-    deleteBanquet
+    deleteBanquet,
+    getBanquetEvents
 } = require('../controllers/banquet.controller');
+const { getBanquetAvailability, searchBanquets } = require('../controllers/banquetReservation.controller');
+const reservationRoutes = require('./banquetReservation.routes');
+const packageRoutes = require('./banquetPackage.routes');
+const quotationRoutes = require('./banquetQuotation.routes');
 
 // Middleware to protect routes
-const { protect, restrictTo } = require('../middleware/auth');
-const { USER_ROLES } = require('../utils/constants');
+const { protect, authorize } = require('../middleware/auth');
             
+// Hall reservations, catering packages and quotations
+router.use('/reservations', reservationRoutes);
+router.use('/packages', packageRoutes);
+router.use('/quotations', quotationRoutes);
+
+// Halls that fit a headcount and layout on a date
+router.get('/search', protect, authorize('banquet:read'), searchBanquets);
+
 // Basic CRUD routes
 router
   .route('/')
-  .get(protect, getBanquets)
-  .post(protect, restrictTo(USER_ROLES.ADMIN), createBanquet);
+  .get(protect, authorize('banquet:read'), getBanquets)
+  .post(protect, authorize('banquet:write'), createBanquet);
 
 router
   .route('/:id')
-  .get(protect, getBanquet)
-  .patch(protect, restrictTo(USER_ROLES.ADMIN), updateBanquet)
-  .delete(protect, restrictTo(USER_ROLES.ADMIN), deleteBanquet);
+  .get(protect, authorize('banquet:read'), getBanquet)
+  .patch(protect, authorize('banquet:write'), updateBanquet)
+  .delete(protect, authorize('banquet:write'), deleteBanquet);
+
+router.get('/:id/events', protect, authorize('banquet:read'), getBanquetEvents);
+router.get('/:id/availability', protect, authorize('banquet:read'), getBanquetAvailability);
 
 module.exports = router;
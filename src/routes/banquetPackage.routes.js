@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getPackages,
+  getPackage,
+  createPackage,
+  updatePackage,
+  deletePackage
+} = require('../controllers/banquetPackage.controller');
+
+// Middleware to protect routes
+const { protect, authorize } = require('../middleware/auth');
+
+router.use(protect);
+
+router
+  .route('/')
+  .get(authorize('banquet:read'), getPackages)
+  .post(authorize('banquet:package:write'), createPackage);
+
+router
+  .route('/:packageId')
+  .get(authorize('banquet:read'), getPackage)
+  .patch(authorize('banquet:package:write'), updatePackage)
+  .delete(authorize('banquet:package:write'), deletePackage);
+
+module.exports = router;
@@ -0,0 +1,52 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getQuotations,
+  getQuotation,
+  createQuotation,
+  updateQuotation,
+  sendQuotation,
+  acceptQuotation,
+  convertQuotation
+} = require('../controllers/banquetQuotation.controller');
+
+// Middleware to protect routes
+const { protect, authorize, checkOwnership } = require('../middleware/auth');
+const BanquetQuotation = require('../models/banquetQuotation.model');
+
+// Clients with an account own their quotations
+const ownQuotation = (permission) =>
+  checkOwnership(BanquetQuotation, { permission, ownerFields: ['client.guest'], param: 'quotationId' });
+
+router.use(protect);
+
+router
+  .route('/')
+  .get(authorize('banquet:quotation:read:any'), getQuotations)
+  .post(authorize('banquet:quotation:write'), createQuotation);
+
+router
+  .route('/:quotationId')
+  .get(ownQuotation('banquet:quotation:read'), getQuotation)
+  .patch(authorize('banquet:quotation:write'), ownQuotation('banquet:quotation:read'), updateQuotation);
+
+router.patch(
+  '/:quotationId/send',
+  authorize('banquet:quotation:write'),
+  ownQuotation('banquet:quotation:read'),
+  sendQuotation
+);
+router.patch(
+  '/:quotationId/accept',
+  authorize('banquet:quotation:write'),
+  ownQuotation('banquet:quotation:read'),
+  acceptQuotation
+);
+router.patch(
+  '/:quotationId/convert',
+  authorize('banquet:quotation:write'),
+  ownQuotation('banquet:quotation:read'),
+  convertQuotation
+);
+
+module.exports = router;
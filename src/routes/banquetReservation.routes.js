@@ -0,0 +1,45 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getReservations,
+  getReservation,
+  createReservation,
+  updateReservation,
+  confirmReservation,
+  releaseReservation
+} = require('../controllers/banquetReservation.controller');
+
+// Middleware to protect routes
+const { protect, authorize, checkOwnership } = require('../middleware/auth');
+const BanquetReservation = require('../models/banquetReservation.model');
+
+// Clients with an account own their reservations
+const ownReservation = (permission) =>
+  checkOwnership(BanquetReservation, { permission, ownerFields: ['client.guest'], param: 'reservationId' });
+
+router.use(protect);
+
+router
+  .route('/')
+  .get(authorize('banquet:reservation:read:any'), getReservations)
+  .post(authorize('banquet:reservation:write'), createReservation);
+
+router
+  .route('/:reservationId')
+  .get(ownReservation('banquet:reservation:read'), getReservation)
+  .patch(authorize('banquet:reservation:write'), ownReservation('banquet:reservation:read'), updateReservation);
+
+router.patch(
+  '/:reservationId/confirm',
+  authorize('banquet:reservation:write'),
+  ownReservation('banquet:reservation:read'),
+  confirmReservation
+);
+router.patch(
+  '/:reservationId/release',
+  authorize('banquet:reservation:write'),
+  ownReservation('banquet:reservation:read'),
+  releaseReservation
+);
+
+module.exports = router;
@@ -1,50 +1,150 @@
 const express = require('express');
 const router = express.Router();
 const {
+  getBookingQuote,
   createBooking,
   getAllBookings,
   getBooking,
   updateBooking,
+  modifyBooking,
   deleteBooking,
   updateBookingStatus,
+  getCancellationPreview,
   cancelBooking,
-  updatePayment,
+  retryCancellationRefund,
+  assignBookingRoom,
+  assignBookingRooms,
   addSpecialRequests,
   addAddOns
 } = require('../controllers/booking.controller');
+const { getBookingFolio, addFolioCharge } = require('../controllers/folio.controller');
+const {
+  createPaymentIntent,
+  capturePayment,
+  addPayment,
+  addRefund
+} = require('../controllers/payment.controller');
+const {
+  getBookingInvoice,
+  issueBookingInvoice,
+  getBookingInvoiceHistory,
+  createCreditNote,
+  emailBookingInvoice,
+  getPaymentReceipt
+} = require('../controllers/invoice.controller');
 
 // Middleware to protect routes
-const { protect, restrictTo, checkOwnership } = require('../middleware/auth');
-const { USER_ROLES, STAFF_ROLES } = require('../utils/constants');
+const { protect, authorize, checkOwnership } = require('../middleware/auth');
 const Booking = require('../models/booking.model');
+const groupRoutes = require('./group.routes');
+
+// Price preview, nothing is saved
+router.post('/quote', getBookingQuote);
+
+// Group reservations holding several room bookings
+router.use('/groups', groupRoutes);
+
+// Assign rooms to upcoming arrivals booked by room type
+router.post('/assign-rooms', protect, authorize('booking:room:assign'), assignBookingRooms);
 
 // Basic CRUD routes
 router
   .route('/')
   .get(protect, getAllBookings)
-  .post(protect, createBooking);
+  .post(protect, authorize('booking:create'), createBooking);
 
 router
   .route('/:id')
-  .get(protect, checkOwnership(Booking), getBooking)
-  .patch(protect, checkOwnership(Booking), updateBooking)
-  .delete(protect, restrictTo(USER_ROLES.ADMIN), deleteBooking);
+  .get(protect, checkOwnership(Booking, { permission: 'booking:read' }), getBooking)
+  .patch(protect, checkOwnership(Booking, { permission: 'booking:update' }), updateBooking)
+  .delete(protect, authorize('booking:delete'), deleteBooking);
 
 // Additional booking management routes
 router.patch(
   '/:id/status',
   protect,
-  restrictTo(...STAFF_ROLES),
+  authorize('booking:status:write'),
   updateBookingStatus
 );
-router.patch('/:id/cancel', protect, checkOwnership(Booking), cancelBooking);
 router.patch(
-  '/:id/payment',
+  '/:id/modify',
+  protect,
+  checkOwnership(Booking, { permission: 'booking:update' }),
+  modifyBooking
+);
+router.patch('/:id/assign-room', protect, authorize('booking:room:assign'), assignBookingRoom);
+router.get(
+  '/:id/cancellation-preview',
+  protect,
+  checkOwnership(Booking, { permission: 'booking:cancel' }),
+  getCancellationPreview
+);
+router.patch('/:id/cancel', protect, checkOwnership(Booking, { permission: 'booking:cancel' }), cancelBooking);
+router.post(
+  '/:id/cancellation/refund',
+  protect,
+  checkOwnership(Booking, { permission: 'booking:refund:write' }),
+  retryCancellationRefund
+);
+router.patch('/:id/special-requests', protect, checkOwnership(Booking, { permission: 'booking:update' }), addSpecialRequests);
+router.patch('/:id/add-ons', protect, checkOwnership(Booking, { permission: 'booking:update' }), addAddOns);
+
+// Folio, payments and refunds
+router.get('/:id/folio', protect, checkOwnership(Booking, { permission: 'booking:read' }), getBookingFolio);
+router.post(
+  '/:id/folio/charges',
+  protect,
+  checkOwnership(Booking, { permission: 'booking:folio:write' }),
+  addFolioCharge
+);
+router.post(
+  '/:id/payments',
+  protect,
+  checkOwnership(Booking, { permission: 'booking:payment:write' }),
+  addPayment
+);
+router.post(
+  '/:id/payments/intents',
+  protect,
+  checkOwnership(Booking, { permission: 'booking:pay' }),
+  createPaymentIntent
+);
+router.post(
+  '/:id/payments/:paymentId/capture',
+  protect,
+  checkOwnership(Booking, { permission: 'booking:payment:write' }),
+  capturePayment
+);
+router.post(
+  '/:id/refunds',
+  protect,
+  checkOwnership(Booking, { permission: 'booking:refund:write' }),
+  addRefund
+);
+router.get(
+  '/:id/payments/:entryId/receipt',
+  protect,
+  checkOwnership(Booking, { permission: 'booking:read' }),
+  getPaymentReceipt
+);
+
+// Invoices and credit notes
+router
+  .route('/:id/invoice')
+  .get(protect, checkOwnership(Booking, { permission: 'booking:read' }), getBookingInvoice)
+  .post(protect, checkOwnership(Booking, { permission: 'booking:invoice:issue' }), issueBookingInvoice);
+router.post(
+  '/:id/invoice/email',
+  protect,
+  checkOwnership(Booking, { permission: 'booking:read' }),
+  emailBookingInvoice
+);
+router.post(
+  '/:id/invoice/credit-note',
   protect,
-  restrictTo(...STAFF_ROLES),
-  updatePayment
+  checkOwnership(Booking, { permission: 'booking:invoice:credit' }),
+  createCreditNote
 );
-router.patch('/:id/special-requests', protect, checkOwnership(Booking), addSpecialRequests);
-router.patch('/:id/add-ons', protect, checkOwnership(Booking), addAddOns);
+router.get('/:id/invoices', protect, checkOwnership(Booking, { permission: 'booking:read' }), getBookingInvoiceHistory);
 
-module.exports = router; 
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getAllPolicies,
+  getPolicy,
+  createPolicy,
+  updatePolicy,
+  deletePolicy
+} = require('../controllers/cancellationPolicy.controller');
+
+// Middleware to protect routes
+const { protect, authorize } = require('../middleware/auth');
+
+router.use(protect);
+
+router
+  .route('/')
+  .get(authorize('cancellation-policy:read'), getAllPolicies)
+  .post(authorize('cancellation-policy:write'), createPolicy);
+
+router
+  .route('/:id')
+  .get(authorize('cancellation-policy:read'), getPolicy)
+  .patch(authorize('cancellation-policy:write'), updatePolicy)
+  .delete(authorize('cancellation-policy:write'), deletePolicy);
+
+module.exports = router;
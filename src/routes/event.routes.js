@@ -1,4 +1,101 @@
 const express = require('express');
 const router = express.Router();
+const {
+  getAllEvents,
+  getEvent,
+  createEvent,
+  updateEvent,
+  deleteEvent,
+  registerForEvent,
+  unregisterFromEvent,
+  getParticipants,
+  markAttendance,
+  joinWaitlist,
+  leaveWaitlist,
+  claimWaitlistSpot,
+  getWaitlist,
+  reorderWaitlist,
+  getOccurrences,
+  getSeriesOccurrences,
+  getOccurrence,
+  updateOccurrence,
+  skipOccurrence,
+  registerForOccurrence,
+  unregisterFromOccurrence
+} = require('../controllers/event.controller');
 
-module.exports = router; 
\ No newline at end of file
+const {
+  getEventInvoice,
+  issueEventInvoice,
+  getEventInvoiceHistory,
+  createEventCreditNote
+} = require('../controllers/invoice.controller');
+
+// Middleware to protect routes
+const { protect, authorize, checkOwnership } = require('../middleware/auth');
+const Event = require('../models/event.model');
+
+// Public routes
+router.get('/', getAllEvents);
+router.get('/occurrences', getOccurrences);
+router.get('/:id', getEvent);
+router.get('/:id/occurrences', getSeriesOccurrences);
+router.get('/:id/occurrences/:date', getOccurrence);
+
+// Protected routes (require authentication)
+router.use(protect);
+
+// Guest registration
+router
+  .route('/:id/register')
+  .post(authorize('event:register'), registerForEvent)
+  .delete(authorize('event:register'), unregisterFromEvent);
+
+router
+  .route('/:id/occurrences/:date/register')
+  .post(authorize('event:register'), registerForOccurrence)
+  .delete(authorize('event:register'), unregisterFromOccurrence);
+
+// Waitlist of a full event: guests join and leave it, organizers see and reorder it
+router
+  .route('/:id/waitlist')
+  .get(checkOwnership(Event, { permission: 'event:update', ownerFields: 'organizer' }), getWaitlist)
+  .post(authorize('event:register'), joinWaitlist)
+  .patch(checkOwnership(Event, { permission: 'event:update', ownerFields: 'organizer' }), reorderWaitlist)
+  .delete(authorize('event:register'), leaveWaitlist);
+
+router.post('/:id/waitlist/claim', authorize('event:register'), claimWaitlistSpot);
+
+// Invoice of the logged-in guest's registration
+router.get('/:id/invoice', authorize('event:register'), getEventInvoice);
+
+// Organizer and staff routes
+router.post('/', authorize('event:create'), createEvent);
+
+router
+  .route('/:id')
+  .patch(checkOwnership(Event, { permission: 'event:update', ownerFields: 'organizer' }), updateEvent)
+  .delete(checkOwnership(Event, { permission: 'event:delete', ownerFields: 'organizer' }), deleteEvent);
+
+// Change, cancel or skip one occurrence of a series
+router
+  .route('/:id/occurrences/:date')
+  .patch(checkOwnership(Event, { permission: 'event:update', ownerFields: 'organizer' }), updateOccurrence)
+  .delete(checkOwnership(Event, { permission: 'event:update', ownerFields: 'organizer' }), skipOccurrence);
+
+router.get('/:id/participants', authorize('event:participants:read'), getParticipants);
+router.patch('/:id/attendance', authorize('event:attendance:write'), markAttendance);
+
+// Invoices of a guest's registration
+router
+  .route('/:id/participants/:guestId/invoice')
+  .get(authorize('event:invoice:read'), getEventInvoice)
+  .post(authorize('event:invoice:issue'), issueEventInvoice);
+router.get('/:id/participants/:guestId/invoices', authorize('event:invoice:read'), getEventInvoiceHistory);
+router.post(
+  '/:id/participants/:guestId/invoice/credit-note',
+  authorize('event:invoice:credit'),
+  createEventCreditNote
+);
+
+module.exports = router;
@@ -0,0 +1,42 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createGroup,
+  getAllGroups,
+  getGroup,
+  addRooms,
+  confirmGroup,
+  cancelGroup,
+  updateRoomingList,
+  releaseRooms
+} = require('../controllers/group.controller');
+const { getGroupFolio, addGroupFolioCharge, addGroupPayment } = require('../controllers/folio.controller');
+
+// Middleware to protect routes
+const { protect, authorize, checkOwnership } = require('../middleware/auth');
+const GroupReservation = require('../models/groupReservation.model');
+
+// Lead guests own their group
+const ownGroup = (permission) =>
+  checkOwnership(GroupReservation, { permission, ownerFields: ['leadGuest'], param: 'groupId' });
+
+router.use(protect);
+
+router
+  .route('/')
+  .get(getAllGroups)
+  .post(authorize('booking:group:write'), createGroup);
+
+router.get('/:groupId', ownGroup('booking:group:read'), getGroup);
+router.post('/:groupId/rooms', authorize('booking:group:write'), ownGroup('booking:group:read'), addRooms);
+router.patch('/:groupId/confirm', authorize('booking:group:write'), ownGroup('booking:group:read'), confirmGroup);
+router.patch('/:groupId/cancel', ownGroup('booking:group:cancel'), cancelGroup);
+router.patch('/:groupId/rooming-list', ownGroup('booking:group:update'), updateRoomingList);
+router.post('/:groupId/release', authorize('booking:group:write'), ownGroup('booking:group:read'), releaseRooms);
+
+// Group master folio
+router.get('/:groupId/folio', ownGroup('booking:group:read'), getGroupFolio);
+router.post('/:groupId/folio/charges', authorize('booking:group:write'), ownGroup('booking:group:read'), addGroupFolioCharge);
+router.post('/:groupId/folio/payments', authorize('booking:group:write'), ownGroup('booking:group:read'), addGroupPayment);
+
+module.exports = router;
@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createInvitation,
+  getInvitations,
+  revokeInvitation,
+  acceptInvitation
+} = require('../controllers/invitation.controller');
+
+// Middleware to protect routes
+const { protect, authorize } = require('../middleware/auth');
+
+// Public route for the invitee
+router.post('/accept', acceptInvitation);
+
+// Invitation management
+router.use(protect, authorize('invitation:manage'));
+
+router
+  .route('/')
+  .get(getInvitations)
+  .post(createInvitation);
+
+router.delete('/:id', revokeInvitation);
+
+module.exports = router;
@@ -0,0 +1,8 @@
+const express = require('express');
+const router = express.Router();
+const { handleWebhook } = require('../controllers/payment.controller');
+
+// Called by the payment provider; authenticated by its signature
+router.post('/webhook', handleWebhook);
+
+module.exports = router;
@@ -0,0 +1,30 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getAllPromoCodes,
+  getPromoCode,
+  createPromoCode,
+  updatePromoCode,
+  deletePromoCode,
+  getPromoCodeStats
+} = require('../controllers/promoCode.controller');
+
+// Middleware to protect routes
+const { protect, authorize } = require('../middleware/auth');
+
+router.use(protect);
+
+router.get('/stats', authorize('promo-code:report:read'), getPromoCodeStats);
+
+router
+  .route('/')
+  .get(authorize('promo-code:read'), getAllPromoCodes)
+  .post(authorize('promo-code:write'), createPromoCode);
+
+router
+  .route('/:id')
+  .get(authorize('promo-code:read'), getPromoCode)
+  .patch(authorize('promo-code:write'), updatePromoCode)
+  .delete(authorize('promo-code:write'), deletePromoCode);
+
+module.exports = router;
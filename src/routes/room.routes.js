@@ -26,47 +26,53 @@ const {
   updateRoom,
   deleteRoom,
   checkRoomAvailability,
+  getAvailabilityCalendar,
+  getRoomQuote,
   getRoomStatistics,
   bulkUpdateRooms,
 } = require('../controllers/room.controller');
-const { protect, restrictTo } = require('../controllers/auth.controller');
+const { protect, authorize } = require('../middleware/auth');
+
+// Front desk availability calendar
+router.get('/availability/calendar', protect, authorize('room:availability:read'), getAvailabilityCalendar);
 
 // Public routes
 router.get('/', getAllRooms);
 router.get('/:id', getRoomById);
 router.get('/:id/availability', checkRoomAvailability);
+router.get('/:id/quote', getRoomQuote);
 
 // Protected routes (require authentication)
 router.use(protect);
 
 // Guest accessible routes
-router.get('/:id/ratings', getRoomRatings);
-router.post('/:id/ratings', addRoomRating);
+router.get('/:id/ratings', authorize('room:read'), getRoomRatings);
+router.post('/:id/ratings', authorize('room:rate'), addRoomRating);
 
-// Statistics routes (restricted to staff and above)
-router.get('/statistics', restrictTo('staff', 'manager', 'admin'), getRoomStatistics);
-router.get('/statistics/occupancy', restrictTo('staff', 'manager', 'admin'), getRoomOccupancyStats);
-router.get('/statistics/revenue', restrictTo('manager', 'admin'), getRoomRevenueStats);
+// Statistics routes
+router.get('/statistics', authorize('room:statistics:read'), getRoomStatistics);
+router.get('/statistics/occupancy', authorize('room:statistics:read'), getRoomOccupancyStats);
+router.get('/statistics/revenue', authorize('room:revenue:read'), getRoomRevenueStats);
 
-// Maintenance routes (restricted to staff and above)
-router.get('/maintenance/scheduled', restrictTo('staff', 'manager', 'admin'), getScheduledMaintenance);
-router.post('/:roomId/maintenance', restrictTo('staff', 'manager', 'admin'), manageRoomMaintenance);
-router.patch('/:roomId/maintenance/:maintenanceId', restrictTo('staff', 'manager', 'admin'), updateMaintenance);
-router.get('/:roomId/maintenance/history', restrictTo('staff', 'manager', 'admin'), getMaintenanceHistory);
+// Maintenance routes
+router.get('/maintenance/scheduled', authorize('room:maintenance:read'), getScheduledMaintenance);
+router.post('/:roomId/maintenance', authorize('room:maintenance:write'), manageRoomMaintenance);
+router.patch('/:roomId/maintenance/:maintenanceId', authorize('room:maintenance:write'), updateMaintenance);
+router.get('/:roomId/maintenance/history', authorize('room:maintenance:read'), getMaintenanceHistory);
 
-// Pricing routes (restricted to manager and admin)
-router.get('/pricing/seasonal', restrictTo('manager', 'admin'), getSeasonalPricing);
-router.post('/pricing/seasonal', restrictTo('manager', 'admin'), addSeasonalPricing);
-router.patch('/pricing/seasonal/:id', restrictTo('manager', 'admin'), updateSeasonalPricing);
-router.delete('/pricing/seasonal/:id', restrictTo('manager', 'admin'), deleteSeasonalPricing);
+// Pricing routes
+router.get('/pricing/seasonal', authorize('room:pricing:read'), getSeasonalPricing);
+router.post('/pricing/seasonal', authorize('room:pricing:write'), addSeasonalPricing);
+router.patch('/pricing/seasonal/:id', authorize('room:pricing:write'), updateSeasonalPricing);
+router.delete('/pricing/seasonal/:id', authorize('room:pricing:write'), deleteSeasonalPricing);
 
-router.get('/pricing/discounts', restrictTo('manager', 'admin'), getDiscounts);
-router.post('/pricing/discounts', restrictTo('manager', 'admin'), addDiscount);
-router.patch('/pricing/discounts/:id', restrictTo('manager', 'admin'), updateDiscount);
-router.delete('/pricing/discounts/:id', restrictTo('manager', 'admin'), deleteDiscount);
+router.get('/pricing/discounts', authorize('room:pricing:read'), getDiscounts);
+router.post('/pricing/discounts', authorize('room:pricing:write'), addDiscount);
+router.patch('/pricing/discounts/:id', authorize('room:pricing:write'), updateDiscount);
+router.delete('/pricing/discounts/:id', authorize('room:pricing:write'), deleteDiscount);
 
-// Admin only routes
-router.use(restrictTo('admin'));
+// Room administration
+router.use(authorize('room:write'));
 router.post('/create', createRoom);
 router.patch('/update/:id', updateRoom);
 router.delete('/delete/:id', deleteRoom);
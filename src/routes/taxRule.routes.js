@@ -0,0 +1,30 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getAllTaxRules,
+  getTaxRule,
+  createTaxRule,
+  updateTaxRule,
+  deleteTaxRule,
+  getTaxReport
+} = require('../controllers/taxRule.controller');
+
+// Middleware to protect routes
+const { protect, authorize } = require('../middleware/auth');
+
+router.use(protect);
+
+router.get('/report', authorize('tax:report:read'), getTaxReport);
+
+router
+  .route('/')
+  .get(authorize('tax-rule:read'), getAllTaxRules)
+  .post(authorize('tax-rule:write'), createTaxRule);
+
+router
+  .route('/:id')
+  .get(authorize('tax-rule:read'), getTaxRule)
+  .patch(authorize('tax-rule:write'), updateTaxRule)
+  .delete(authorize('tax-rule:write'), deleteTaxRule);
+
+module.exports = router;
@@ -1,4 +1,49 @@
 const express = require('express');
 const router = express.Router();
+const {
+  getAllUsers,
+  getUser,
+  updateUser,
+  updateUserRole,
+  deactivateUser,
+  getUserSessions,
+  revokeUserSession,
+  revokeUserSessions,
+  getMe,
+  updateMe,
+  updateMyPassword,
+  deactivateMe
+} = require('../controllers/user.controller');
 
-module.exports = router; 
\ No newline at end of file
+// Middleware to protect routes
+const { protect, authorize } = require('../middleware/auth');
+
+// All user routes require authentication
+router.use(protect);
+
+// Own profile
+router
+  .route('/me')
+  .get(getMe)
+  .patch(updateMe)
+  .delete(deactivateMe);
+router.patch('/me/password', updateMyPassword);
+
+// User administration
+router.get('/', authorize('user:read:any'), getAllUsers);
+
+router
+  .route('/:id')
+  .get(authorize('user:read:any'), getUser)
+  .patch(authorize('user:write:any'), updateUser)
+  .delete(authorize('user:write:any'), deactivateUser);
+
+router.patch('/:id/role', authorize('user:role:write'), updateUserRole);
+
+router
+  .route('/:id/sessions')
+  .get(authorize('user:sessions:manage'), getUserSessions)
+  .delete(authorize('user:sessions:manage'), revokeUserSessions);
+router.delete('/:id/sessions/:sessionId', authorize('user:sessions:manage'), revokeUserSession);
+
+module.exports = router;
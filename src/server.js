@@ -21,13 +21,39 @@ const bookingRoutes = require('./routes/booking.routes');
 const eventRoutes = require('./routes/event.routes');
 const userRoutes = require('./routes/user.routes');
 const banquetRoutes = require('./routes/banquet.routes');
+const invitationRoutes = require('./routes/invitation.routes');
+const cancellationPolicyRoutes = require('./routes/cancellationPolicy.routes');
+const taxRuleRoutes = require('./routes/taxRule.routes');
+const promoCodeRoutes = require('./routes/promoCode.routes');
+const paymentRoutes = require('./routes/payment.routes');
+const { releaseExpiredGroups } = require('./services/group.service');
+const { autoAssignRooms } = require('./services/roomAssignment.service');
+const { expireOffers } = require('./services/eventWaitlist.service');
+const { retryPendingRefunds } = require('./services/cancellation.service');
+
+// How often unclaimed group rooms past their cutoff are released
+const GROUP_RELEASE_INTERVAL_MS = 60 * 60 * 1000;
+
+// How often upcoming arrivals booked by room type get a room
+const ROOM_ASSIGNMENT_INTERVAL_MS = 60 * 60 * 1000;
+
+// How often cancellation refunds the payment gateway failed are tried again
+const REFUND_RETRY_INTERVAL_MS = 15 * 60 * 1000;
+
+// How often event spots offered from a waitlist and not claimed in time move on
+const WAITLIST_EXPIRY_INTERVAL_MS = 5 * 60 * 1000;
 
 // Create Express app
 const app = express();
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+// Keep the raw body around for webhook signature checks
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Connect to MongoDB
@@ -50,6 +76,11 @@ app.use('/api/bookings', bookingRoutes);
 app.use('/api/events', eventRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/banquets', banquetRoutes);
+app.use('/api/invitations', invitationRoutes);
+app.use('/api/cancellation-policies', cancellationPolicyRoutes);
+app.use('/api/tax-rules', taxRuleRoutes);
+app.use('/api/promo-codes', promoCodeRoutes);
+app.use('/api/payments', paymentRoutes);
 
 // Error handling
 app.use(errorHandler);
@@ -60,6 +91,22 @@ if (process.env.NODE_ENV !== 'test') {
   app.listen(PORT, () => {
     logger.info(`Server is running on port ${PORT}`);
   });
+
+  setInterval(() => {
+    releaseExpiredGroups().catch(error => logger.error(`Error releasing group rooms: ${error.message}`));
+  }, GROUP_RELEASE_INTERVAL_MS);
+
+  setInterval(() => {
+    autoAssignRooms().catch(error => logger.error(`Error assigning rooms: ${error.message}`));
+  }, ROOM_ASSIGNMENT_INTERVAL_MS);
+
+  setInterval(() => {
+    expireOffers().catch(error => logger.error(`Error expiring waitlist offers: ${error.message}`));
+  }, WAITLIST_EXPIRY_INTERVAL_MS);
+
+  setInterval(() => {
+    retryPendingRefunds().catch(error => logger.error(`Error retrying refunds: ${error.message}`));
+  }, REFUND_RETRY_INTERVAL_MS);
 }
 
 module.exports = app; 
\ No newline at end of file
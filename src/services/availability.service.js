@@ -0,0 +1,173 @@
+const moment = require('moment');
+const Room = require('../models/room.model');
+const Booking = require('../models/booking.model');
+const RoomNight = require('../models/roomNight.model');
+const { AppError } = require('../middleware/errorHandler');
+const {
+  BLOCKING_MAINTENANCE_STATUSES,
+  getStayNights,
+  isRoomInService,
+  isUnderMaintenance,
+  formatNight
+} = require('./reservation.service');
+
+// Longest range the calendar returns in one request
+const MAX_CALENDAR_NIGHTS = 93;
+
+// Status of a room on one night of the calendar
+const CALENDAR_STATUS = {
+  FREE: 'free',
+  BOOKED: 'booked',
+  MAINTENANCE: 'maintenance',
+  OUT_OF_ORDER: 'out-of-order'
+};
+
+// Nights from `start` to `end`, both included
+const getCalendarNights = (start, end) => {
+  const from = moment.utc(start, 'YYYY-MM-DD', true);
+  const to = moment.utc(end, 'YYYY-MM-DD', true);
+
+  if (!from.isValid() || !to.isValid()) {
+    throw new AppError('Please provide start and end dates in YYYY-MM-DD format', 400);
+  }
+  if (to.isBefore(from)) {
+    throw new AppError('End date must be on or after the start date', 400);
+  }
+
+  const nights = getStayNights(from.toDate(), to.clone().add(1, 'day').toDate());
+  if (nights.length > MAX_CALENDAR_NIGHTS) {
+    throw new AppError(`The calendar covers at most ${MAX_CALENDAR_NIGHTS} nights`, 400);
+  }
+
+  return nights;
+};
+
+const guestName = (guest) => (guest ? `${guest.firstName} ${guest.lastName}` : undefined);
+
+// Tape chart of rooms night by night, with per-type counts of rooms left.
+// Everything comes from three queries whatever the size of the range.
+const getAvailabilityCalendar = async ({ start, end, type, floor }) => {
+  const nights = getCalendarNights(start, end);
+  const first = nights[0];
+  const last = nights[nights.length - 1];
+
+  const roomFilter = {};
+  if (type) roomFilter.type = type;
+
+  const [rooms, roomNights] = await Promise.all([
+    Room.find(roomFilter)
+      .select('roomNumber type floor status isActive maintenanceHistory')
+      .lean(),
+    RoomNight.find({
+      night: { $gte: first, $lte: last },
+      ...(type && { roomType: type })
+    }).lean()
+  ]);
+
+  const bookingIds = [...new Set(roomNights.map(roomNight => roomNight.booking.toString()))];
+  const bookings = await Booking.find({ _id: { $in: bookingIds } })
+    .select('guest room status')
+    .lean();
+  const bookingsById = new Map(bookings.map(booking => [booking._id.toString(), booking]));
+
+  // Room-nights held by assigned bookings, keyed by room and night
+  const heldByRoom = new Map();
+  // Room-nights held per type and night, assigned or not
+  const heldByType = new Map();
+  roomNights.forEach(roomNight => {
+    const nightKey = roomNight.night.getTime();
+    const typeKey = `${roomNight.roomType}:${nightKey}`;
+    const counts = heldByType.get(typeKey) || { held: 0, unassigned: 0 };
+    counts.held += 1;
+    if (roomNight.room) {
+      heldByRoom.set(`${roomNight.room}:${nightKey}`, roomNight.booking.toString());
+    } else {
+      counts.unassigned += 1;
+    }
+    heldByType.set(typeKey, counts);
+  });
+
+  const typeCounts = new Map();
+  const roomRows = [];
+
+  rooms
+    .sort((a, b) => a.roomNumber.localeCompare(b.roomNumber, undefined, { numeric: true }))
+    .forEach(room => {
+      const inService = isRoomInService(room);
+      if (!typeCounts.has(room.type)) {
+        typeCounts.set(room.type, nights.map(() => ({ rooms: 0, sellable: 0 })));
+      }
+      // Only maintenance overlapping the range matters
+      const maintenance = {
+        maintenanceHistory: (room.maintenanceHistory || []).filter(record =>
+          BLOCKING_MAINTENANCE_STATUSES.includes(record.status) &&
+          record.startDate <= moment.utc(last).endOf('day').toDate() &&
+          record.endDate > first
+        )
+      };
+
+      const cells = nights.map((night, index) => {
+        const bookingId = heldByRoom.get(`${room._id}:${night.getTime()}`);
+        const blocked = !inService || isUnderMaintenance(maintenance, night);
+
+        // Per-type counts include every room of the type, whatever the floor filter
+        const counts = typeCounts.get(room.type)[index];
+        counts.rooms += 1;
+        if (!blocked) counts.sellable += 1;
+
+        if (bookingId) {
+          const booking = bookingsById.get(bookingId);
+          return {
+            status: CALENDAR_STATUS.BOOKED,
+            booking: bookingId,
+            bookingStatus: booking && booking.status,
+            guest: booking && guestName(booking.guest)
+          };
+        }
+        if (!inService) return { status: CALENDAR_STATUS.OUT_OF_ORDER };
+        if (blocked) return { status: CALENDAR_STATUS.MAINTENANCE };
+        return { status: CALENDAR_STATUS.FREE };
+      });
+
+      if (floor === undefined || room.floor === floor) {
+        roomRows.push({
+          id: room._id,
+          roomNumber: room.roomNumber,
+          type: room.type,
+          floor: room.floor,
+          nights: cells
+        });
+      }
+    });
+
+  const types = [...typeCounts.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([roomType, counts]) => ({
+      type: roomType,
+      nights: counts.map((count, index) => {
+        const held = heldByType.get(`${roomType}:${nights[index].getTime()}`) || { held: 0, unassigned: 0 };
+        return {
+          rooms: count.rooms,
+          sellable: count.sellable,
+          booked: held.held,
+          unassigned: held.unassigned,
+          available: Math.max(count.sellable - held.held, 0)
+        };
+      })
+    }));
+
+  return {
+    start: formatNight(first),
+    end: formatNight(last),
+    nights: nights.map(formatNight),
+    rooms: roomRows,
+    types
+  };
+};
+
+module.exports = {
+  CALENDAR_STATUS,
+  MAX_CALENDAR_NIGHTS,
+  getCalendarNights,
+  getAvailabilityCalendar
+};
@@ -0,0 +1,293 @@
+const mongoose = require('mongoose');
+const moment = require('moment');
+const BanquetPackage = require('../models/banquetPackage.model');
+const BanquetQuotation = require('../models/banquetQuotation.model');
+const BanquetReservation = require('../models/banquetReservation.model');
+const { AppError } = require('../middleware/errorHandler');
+const { roundCurrency } = require('./pricing.service');
+const { calculateItemTaxes } = require('./tax.service');
+const {
+  findBanquet,
+  assertHeadcountFits,
+  createReservation,
+  changeReservationStatus
+} = require('./banquetReservation.service');
+const {
+  BANQUET_QUOTATION_STATUS,
+  BANQUET_QUOTATION_STATUS_TRANSITIONS,
+  BANQUET_RESERVATION_STATUS,
+  BANQUET_EXTRA_PRICING,
+  DEFAULT_BANQUET_DEPOSIT_TERMS,
+  TAX_CATEGORY
+} = require('../utils/constants');
+
+// Fields that make up what is quoted; a revision may change any of them
+const QUOTED_FIELDS = [
+  'banquet',
+  'package',
+  'title',
+  'client',
+  'startTime',
+  'endTime',
+  'layout',
+  'setupMinutes',
+  'teardownMinutes',
+  'headcount',
+  'extras',
+  'depositTerms',
+  'validUntil',
+  'notes'
+];
+
+// Quotations that can still be revised
+const REVISABLE_STATUSES = [BANQUET_QUOTATION_STATUS.DRAFT, BANQUET_QUOTATION_STATUS.SENT];
+
+const pickQuotedFields = (source) =>
+  QUOTED_FIELDS.reduce((fields, key) => {
+    if (source[key] !== undefined) fields[key] = source[key];
+    return fields;
+  }, {});
+
+const assertTransition = (from, to) => {
+  if (!(BANQUET_QUOTATION_STATUS_TRANSITIONS[from] || []).includes(to)) {
+    throw new AppError(
+      `Cannot change quotation status from ${from} to ${to}`,
+      400,
+      { from, to, allowed: BANQUET_QUOTATION_STATUS_TRANSITIONS[from] || [] }
+    );
+  }
+};
+
+// Apply an update only if nobody changed the quotation since it was loaded
+const updateIfUnchanged = async (quotation, update) => {
+  const updated = await BanquetQuotation.findOneAndUpdate(
+    { _id: quotation._id, status: quotation.status, version: quotation.version },
+    update,
+    { new: true }
+  );
+
+  if (!updated) {
+    throw new AppError('Quotation was changed by another request. Please try again.', 409);
+  }
+
+  return updated;
+};
+
+// Price the package, extras and taxes of a quotation. The package must be an
+// active package of the quoted hall and the hall (in the quoted layout) must
+// seat the headcount.
+const priceQuotation = async (quotation) => {
+  const banquet = await findBanquet(quotation.banquet);
+  assertHeadcountFits(banquet, quotation.headcount, quotation.layout);
+
+  const pkg = mongoose.isValidObjectId(quotation.package) && await BanquetPackage.findOne({
+    _id: quotation.package,
+    banquet: banquet._id,
+    isActive: true
+  });
+  if (!pkg) {
+    throw new AppError('Package not found for this banquet hall', 400);
+  }
+
+  const extras = quotation.extras.map(selected => {
+    const extra = selected.extra && pkg.extras.id(selected.extra);
+    if (!extra) {
+      throw new AppError(`Extra ${selected.extra} is not offered with ${pkg.name}`, 400);
+    }
+    const quantity = selected.quantity || 1;
+    const units = extra.pricing === BANQUET_EXTRA_PRICING.PER_GUEST ? quotation.headcount : 1;
+    return {
+      extra: extra._id,
+      name: extra.name,
+      category: extra.category,
+      pricing: extra.pricing,
+      price: extra.price,
+      quantity,
+      amount: roundCurrency(extra.price * units * quantity)
+    };
+  });
+
+  const plates = Math.max(quotation.headcount, pkg.minimumGuarantee);
+  const food = roundCurrency(pkg.pricePerPlate * plates);
+  const extrasTotal = roundCurrency(extras.reduce((sum, extra) => sum + extra.amount, 0));
+  const subtotal = roundCurrency(food + extrasTotal);
+
+  const taxes = await calculateItemTaxes(TAX_CATEGORY.BANQUET, [
+    { price: pkg.pricePerPlate, quantity: plates },
+    ...extras.map(extra => ({ price: extra.amount }))
+  ], quotation.startTime);
+
+  quotation.extras = extras;
+  quotation.pricing = {
+    pricePerPlate: pkg.pricePerPlate,
+    plates,
+    food,
+    extras: extrasTotal,
+    subtotal,
+    taxes: taxes.lines,
+    taxTotal: taxes.total,
+    total: roundCurrency(subtotal + taxes.total)
+  };
+
+  return quotation;
+};
+
+// Amounts and due dates of the deposits, from the quotation's terms or the
+// default ones. The last deposit takes the rounding difference.
+const buildDepositSchedule = (quotation, acceptedAt = new Date()) => {
+  const terms = quotation.depositTerms.length > 0 ? quotation.depositTerms : DEFAULT_BANQUET_DEPOSIT_TERMS;
+  const total = quotation.pricing.total;
+  let scheduled = 0;
+
+  return terms.map((term, index) => {
+    const amount = index === terms.length - 1
+      ? roundCurrency(total - scheduled)
+      : roundCurrency(total * term.percentage / 100);
+    scheduled = roundCurrency(scheduled + amount);
+
+    const dueDate = term.daysBeforeEvent === null || term.daysBeforeEvent === undefined
+      ? acceptedAt
+      : moment(quotation.startTime).subtract(term.daysBeforeEvent, 'days').toDate();
+
+    return {
+      label: term.label,
+      percentage: term.percentage,
+      amount,
+      dueDate: dueDate < acceptedAt ? acceptedAt : dueDate
+    };
+  });
+};
+
+// Start a draft quotation
+const createQuotation = async (data, { actor } = {}) => {
+  const quotation = new BanquetQuotation({
+    ...pickQuotedFields(data),
+    createdBy: actor
+  });
+  await quotation.validate();
+  await priceQuotation(quotation);
+
+  return quotation.save();
+};
+
+// Change a draft or sent quotation. The current version goes to the history
+// and the quotation goes back to draft as the next version.
+const reviseQuotation = async (quotation, updates, { actor, note } = {}) => {
+  if (!REVISABLE_STATUSES.includes(quotation.status)) {
+    throw new AppError(`A ${quotation.status} quotation cannot be revised`, 400);
+  }
+
+  const rejected = Object.keys(updates).filter(key => !QUOTED_FIELDS.includes(key));
+  if (rejected.length > 0) {
+    throw new AppError(`These fields cannot be updated: ${rejected.join(', ')}`, 400);
+  }
+
+  const current = quotation.toObject();
+  const revision = {
+    version: current.version,
+    quote: {
+      ...pickQuotedFields(current),
+      pricing: current.pricing,
+      status: current.status,
+      sentAt: current.sentAt
+    },
+    revisedAt: new Date(),
+    revisedBy: actor,
+    note
+  };
+
+  const draft = new BanquetQuotation({ ...pickQuotedFields(current), ...updates });
+  await draft.validate();
+  await priceQuotation(draft);
+
+  return updateIfUnchanged(quotation, {
+    $set: {
+      ...pickQuotedFields(draft.toObject()),
+      pricing: draft.pricing,
+      status: BANQUET_QUOTATION_STATUS.DRAFT,
+      version: quotation.version + 1
+    },
+    $unset: { sentAt: 1 },
+    $push: { revisions: revision }
+  });
+};
+
+// Mark a draft as sent to the client
+const sendQuotation = async (quotation) => {
+  assertTransition(quotation.status, BANQUET_QUOTATION_STATUS.SENT);
+
+  return updateIfUnchanged(quotation, {
+    status: BANQUET_QUOTATION_STATUS.SENT,
+    sentAt: new Date()
+  });
+};
+
+// Record the client's acceptance: the hall is reserved (tentative) for the
+// quoted slot and the deposit schedule is set
+const acceptQuotation = async (quotation, { actor } = {}) => {
+  assertTransition(quotation.status, BANQUET_QUOTATION_STATUS.ACCEPTED);
+
+  const acceptedAt = new Date();
+  if (quotation.validUntil && quotation.validUntil < acceptedAt) {
+    throw new AppError('This quotation has expired. Revise it to quote again.', 400);
+  }
+
+  const reservation = await createReservation({
+    banquet: quotation.banquet,
+    title: quotation.title,
+    client: quotation.client,
+    startTime: quotation.startTime,
+    endTime: quotation.endTime,
+    layout: quotation.layout,
+    setupMinutes: quotation.setupMinutes,
+    teardownMinutes: quotation.teardownMinutes,
+    expectedHeadcount: quotation.headcount,
+    notes: quotation.notes
+  }, { actor, quotation: quotation._id });
+
+  try {
+    return await updateIfUnchanged(quotation, {
+      status: BANQUET_QUOTATION_STATUS.ACCEPTED,
+      acceptedAt,
+      reservation: reservation._id,
+      depositSchedule: buildDepositSchedule(quotation, acceptedAt)
+    });
+  } catch (error) {
+    // Don't keep the hall for a quotation that wasn't accepted
+    await changeReservationStatus(reservation, BANQUET_RESERVATION_STATUS.RELEASED, {
+      reason: 'Quotation was not accepted'
+    });
+    throw error;
+  }
+};
+
+// Turn an accepted quotation into a confirmed hall reservation
+const convertQuotation = async (quotation) => {
+  assertTransition(quotation.status, BANQUET_QUOTATION_STATUS.CONVERTED);
+
+  const reservation = await BanquetReservation.findById(quotation.reservation);
+  if (!reservation || reservation.status === BANQUET_RESERVATION_STATUS.RELEASED) {
+    throw new AppError('The hall reservation of this quotation was released', 400);
+  }
+
+  if (reservation.status === BANQUET_RESERVATION_STATUS.TENTATIVE) {
+    await changeReservationStatus(reservation, BANQUET_RESERVATION_STATUS.CONFIRMED);
+  }
+
+  return updateIfUnchanged(quotation, {
+    status: BANQUET_QUOTATION_STATUS.CONVERTED,
+    convertedAt: new Date()
+  });
+};
+
+module.exports = {
+  QUOTED_FIELDS,
+  REVISABLE_STATUSES,
+  priceQuotation,
+  buildDepositSchedule,
+  createQuotation,
+  reviseQuotation,
+  sendQuotation,
+  acceptQuotation,
+  convertQuotation
+};
@@ -0,0 +1,449 @@
+const mongoose = require('mongoose');
+const moment = require('moment');
+const Banquet = require('../models/banquet.model');
+const BanquetReservation = require('../models/banquetReservation.model');
+const Event = require('../models/event.model');
+const { AppError } = require('../middleware/errorHandler');
+const { getCalendarNights } = require('./availability.service');
+const { formatNight } = require('./reservation.service');
+const { expandOccurrences, formatOccurrenceDate } = require('./recurrence.service');
+const {
+  BANQUET_RESERVATION_STATUS,
+  BANQUET_RESERVATION_STATUS_TRANSITIONS,
+  EVENT_LOCATION,
+  EVENT_STATUS,
+  SEATING_LAYOUT
+} = require('../utils/constants');
+
+// Reservations that keep the hall blocked
+const BLOCKING_STATUSES = [BANQUET_RESERVATION_STATUS.TENTATIVE, BANQUET_RESERVATION_STATUS.CONFIRMED];
+
+// A schedule lock left behind by a crashed request expires after this
+const SCHEDULE_LOCK_MS = 10 * 1000;
+
+// Series without an end date are checked against the hall this far ahead
+const SERIES_CHECK_DAYS = 365;
+
+// Fields a reservation update may change
+const UPDATABLE_FIELDS = [
+  'title',
+  'client',
+  'startTime',
+  'endTime',
+  'layout',
+  'setupMinutes',
+  'teardownMinutes',
+  'expectedHeadcount',
+  'notes'
+];
+
+const findBanquet = async (banquetId) => {
+  const banquet = mongoose.isValidObjectId(banquetId) && await Banquet.findById(banquetId);
+  if (!banquet) {
+    throw new AppError('Banquet hall not found', 404);
+  }
+  return banquet;
+};
+
+// Run `fn` while holding the hall's schedule lock, so two requests can't
+// both find the same slot free and book it. A request that outlives its lock
+// only releases it while it still holds it.
+const withScheduleLock = async (banquetId, fn) => {
+  const now = new Date();
+  const token = new mongoose.Types.ObjectId().toString();
+  const locked = await Banquet.findOneAndUpdate(
+    {
+      _id: banquetId,
+      $or: [{ scheduleLockedUntil: null }, { scheduleLockedUntil: { $lte: now } }]
+    },
+    {
+      scheduleLockedUntil: new Date(now.getTime() + SCHEDULE_LOCK_MS),
+      scheduleLockToken: token
+    }
+  );
+
+  if (!locked) {
+    throw new AppError('The hall schedule is being updated. Please try again.', 409);
+  }
+
+  try {
+    return await fn();
+  } finally {
+    await Banquet.updateOne(
+      { _id: banquetId, scheduleLockToken: token },
+      { $unset: { scheduleLockedUntil: 1, scheduleLockToken: 1 } }
+    );
+  }
+};
+
+// Time a hall event needs for setup before it starts, in milliseconds
+const setupTime = (event) => (event.location.blockedFrom ? event.startDate - event.location.blockedFrom : 0);
+
+// Reservations and events that occupy a hall at some point between two times.
+// Reservations block the hall including setup and teardown, events from the
+// start of their layout's setup. Occurrences of recurring series count whether
+// they are stored or not. `series` leaves out a series with its occurrences,
+// or only its occurrence on `occurrenceDate`.
+const findHallBookings = async (banquetId, from, until, { reservation, event, series, occurrenceDate } = {}) => {
+  const hallEvents = {
+    'location.location_id': banquetId,
+    status: { $ne: EVENT_STATUS.CANCELLED },
+    $or: [
+      { 'location.blockedFrom': { $lt: until } },
+      // Events saved before layouts had setup times
+      { 'location.blockedFrom': null, startDate: { $lt: until } }
+    ]
+  };
+  const wholeSeries = series && !occurrenceDate;
+
+  const [reservations, events, seriesList] = await Promise.all([
+    BanquetReservation.find({
+      banquet: banquetId,
+      status: { $in: BLOCKING_STATUSES },
+      blockedFrom: { $lt: until },
+      blockedUntil: { $gt: from },
+      ...(reservation && { _id: { $ne: reservation } })
+    }),
+    Event.find({
+      ...hallEvents,
+      isRecurring: { $ne: true },
+      endDate: { $gt: from },
+      ...(event && { _id: { $ne: event } }),
+      ...(wholeSeries && { series: { $ne: series } })
+    }).select('title status startDate endDate location'),
+    Event.find({
+      ...hallEvents,
+      isRecurring: true,
+      ...(wholeSeries && { _id: { $ne: series } })
+    }).select('title status startDate endDate location isRecurring recurringPattern')
+  ]);
+
+  // Stored occurrences are in `events` already (or cancelled); the series
+  // only adds the ones that aren't stored
+  const earliest = Math.min(...seriesList.map(item => from - (item.endDate - item.startDate) - setupTime(item)));
+  const stored = seriesList.length === 0 ? [] : await Event.find({
+    series: { $in: seriesList.map(item => item._id) },
+    occurrenceDate: { $gte: formatOccurrenceDate(earliest) }
+  }).select('series occurrenceDate');
+  const storedDates = new Set(stored.map(item => `${item.series}:${item.occurrenceDate}`));
+
+  const occurrences = seriesList.flatMap(item => {
+    const setup = setupTime(item);
+    return expandOccurrences(item, from, new Date(until.getTime() + setup))
+      .filter(occurrence =>
+        !storedDates.has(`${item._id}:${occurrence.date}`) &&
+        !(series && occurrence.date === occurrenceDate && item._id.equals(series))
+      )
+      .map(occurrence => ({
+        kind: 'event',
+        id: item._id,
+        occurrenceDate: occurrence.date,
+        title: item.title,
+        status: item.status,
+        from: new Date(occurrence.startDate - setup),
+        until: occurrence.endDate
+      }));
+  });
+
+  return [
+    ...reservations.map(item => ({
+      kind: 'reservation',
+      id: item._id,
+      title: item.title,
+      status: item.status,
+      from: item.blockedFrom,
+      until: item.blockedUntil
+    })),
+    ...events.map(item => ({
+      kind: 'event',
+      id: item._id,
+      title: item.title,
+      status: item.status,
+      from: item.location.blockedFrom || item.startDate,
+      until: item.endDate
+    })),
+    ...occurrences
+  ].sort((a, b) => a.from - b.from);
+};
+
+// Throw a 409 listing whatever already occupies the hall in that window
+const assertHallFree = async (banquetId, from, until, exclude) => {
+  const conflicts = await findHallBookings(banquetId, from, until, exclude);
+  if (conflicts.length > 0) {
+    throw new AppError('The hall is already booked for this time', 409, { conflicts });
+  }
+};
+
+// Throw a 409 listing what clashes with the coming occurrences of a series,
+// up to its end or SERIES_CHECK_DAYS ahead
+const assertHallFreeForSeries = async (banquetId, series) => {
+  const checkFrom = moment.max(moment.utc(series.startDate), moment.utc());
+  const horizon = checkFrom.clone().add(SERIES_CHECK_DAYS, 'days');
+  const lastDay = series.recurringPattern.endDate
+    ? moment.min(moment.utc(series.recurringPattern.endDate).endOf('day'), horizon)
+    : horizon;
+
+  const occurrences = expandOccurrences(series, checkFrom.toDate(), lastDay.toDate());
+  if (occurrences.length === 0) return;
+
+  const setup = setupTime(series);
+  const bookings = await findHallBookings(
+    banquetId,
+    new Date(occurrences[0].startDate - setup),
+    occurrences[occurrences.length - 1].endDate,
+    { series: series._id }
+  );
+  const conflicts = bookings.filter(booking => occurrences.some(occurrence =>
+    booking.from < occurrence.endDate && booking.until > new Date(occurrence.startDate - setup)
+  ));
+
+  if (conflicts.length > 0) {
+    throw new AppError('The hall is already booked for some occurrences of this series', 409, { conflicts });
+  }
+};
+
+// The hall's layout of a style, or null when no style is given
+const findLayout = (banquet, style) => {
+  if (!style) return null;
+
+  const layout = banquet.layouts.find(candidate => candidate.style === style);
+  if (!layout) {
+    throw new AppError(`${banquet.name} cannot be set up in ${style} style`, 400);
+  }
+  return layout;
+};
+
+// Check the headcount against the layout's capacity, or the hall's seating
+// capacity without a layout. Returns the layout.
+const assertHeadcountFits = (banquet, headcount, style) => {
+  const layout = findLayout(banquet, style);
+  const capacity = layout ? layout.capacity : banquet.seatingCapacity;
+
+  if (headcount > capacity) {
+    throw new AppError(
+      layout ? `${banquet.name} seats ${capacity} guests in ${style} style` : `${banquet.name} seats ${capacity} guests`,
+      400
+    );
+  }
+  return layout;
+};
+
+// Book a hall for a time slot; held as tentative unless created confirmed
+const createReservation = async (data, { actor, quotation } = {}) => {
+  const banquet = await findBanquet(data.banquet);
+  const layout = findLayout(banquet, data.layout);
+
+  const confirmed = data.status === BANQUET_RESERVATION_STATUS.CONFIRMED;
+  const reservation = new BanquetReservation({
+    ...Object.fromEntries(UPDATABLE_FIELDS.map(field => [field, data[field]])),
+    setupMinutes: data.setupMinutes ?? (layout ? layout.setupMinutes : undefined),
+    banquet: banquet._id,
+    status: confirmed ? BANQUET_RESERVATION_STATUS.CONFIRMED : BANQUET_RESERVATION_STATUS.TENTATIVE,
+    confirmedAt: confirmed ? new Date() : undefined,
+    quotation,
+    createdBy: actor
+  });
+  await reservation.validate();
+  assertHeadcountFits(banquet, reservation.expectedHeadcount, reservation.layout);
+
+  return withScheduleLock(banquet._id, async () => {
+    await assertHallFree(banquet._id, reservation.blockedFrom, reservation.blockedUntil);
+    return reservation.save();
+  });
+};
+
+// Change the slot, headcount or details of a reservation that still holds the hall
+const updateReservation = async (reservation, updates) => {
+  if (!BLOCKING_STATUSES.includes(reservation.status)) {
+    throw new AppError(`A ${reservation.status} reservation cannot be changed`, 400);
+  }
+
+  const rejected = Object.keys(updates).filter(key => !UPDATABLE_FIELDS.includes(key));
+  if (rejected.length > 0) {
+    throw new AppError(`These fields cannot be updated: ${rejected.join(', ')}`, 400);
+  }
+
+  const banquet = await findBanquet(reservation.banquet);
+
+  // A new layout brings its own setup time unless one is given
+  const layout = updates.layout !== undefined && findLayout(banquet, updates.layout);
+  reservation.set({
+    ...(layout && updates.setupMinutes === undefined && { setupMinutes: layout.setupMinutes }),
+    ...updates
+  });
+  await reservation.validate();
+  assertHeadcountFits(banquet, reservation.expectedHeadcount, reservation.layout);
+
+  return withScheduleLock(banquet._id, async () => {
+    await assertHallFree(banquet._id, reservation.blockedFrom, reservation.blockedUntil, {
+      reservation: reservation._id
+    });
+    return reservation.save();
+  });
+};
+
+// Confirm or release a reservation. Released reservations free the hall.
+const changeReservationStatus = async (reservation, to, { reason } = {}) => {
+  const from = reservation.status;
+  if (!(BANQUET_RESERVATION_STATUS_TRANSITIONS[from] || []).includes(to)) {
+    throw new AppError(
+      `Cannot change reservation status from ${from} to ${to}`,
+      400,
+      { from, to, allowed: BANQUET_RESERVATION_STATUS_TRANSITIONS[from] || [] }
+    );
+  }
+
+  const update = to === BANQUET_RESERVATION_STATUS.CONFIRMED
+    ? { status: to, confirmedAt: new Date() }
+    : { status: to, releasedAt: new Date(), releaseReason: reason };
+
+  // Only apply if nobody else changed the status meanwhile
+  const updated = await BanquetReservation.findOneAndUpdate(
+    { _id: reservation._id, status: from },
+    update,
+    { new: true }
+  );
+
+  if (!updated) {
+    throw new AppError('Reservation status was changed by another request. Please try again.', 409);
+  }
+
+  return updated;
+};
+
+// Save an event, checking first that its hall seats the event's capacity and
+// is free from the start of setup to the end of the event, or of each
+// occurrence for a series. Events elsewhere are saved as they are.
+const saveEvent = async (event) => {
+  await event.validate();
+
+  const hallId = event.location && event.location.location_id;
+  const banquet = hallId && await Banquet.findById(hallId);
+  if (!banquet) {
+    if (event.location && event.location.name === EVENT_LOCATION.BANQUET_HALL) {
+      throw new AppError('Banquet hall not found', 400);
+    }
+    return event.save();
+  }
+
+  if (event.status === EVENT_STATUS.CANCELLED) {
+    return event.save();
+  }
+
+  const layout = assertHeadcountFits(banquet, event.capacity, event.location.layout);
+  event.location.blockedFrom = moment(event.startDate)
+    .subtract(layout ? layout.setupMinutes : 0, 'minutes')
+    .toDate();
+
+  return withScheduleLock(banquet._id, async () => {
+    if (event.isRecurring) {
+      await assertHallFreeForSeries(banquet._id, event);
+    } else {
+      await assertHallFree(banquet._id, event.location.blockedFrom, event.endDate, {
+        event: event._id,
+        ...(event.series && { series: event.series, occurrenceDate: event.occurrenceDate })
+      });
+    }
+    return event.save();
+  });
+};
+
+// Day by day view of a hall between two dates (both included): what occupies
+// it each day and whether the day is completely free
+const getHallCalendar = async (banquet, { start, end }) => {
+  const days = getCalendarNights(start, end);
+  const from = days[0];
+  const until = moment.utc(days[days.length - 1]).add(1, 'day').toDate();
+
+  const bookings = await findHallBookings(banquet._id, from, until);
+
+  return {
+    banquet: {
+      id: banquet._id,
+      name: banquet.name,
+      seatingCapacity: banquet.seatingCapacity
+    },
+    start: formatNight(from),
+    end: formatNight(days[days.length - 1]),
+    days: days.map(day => {
+      const dayEnd = moment.utc(day).add(1, 'day').toDate();
+      const busy = bookings.filter(booking => booking.from < dayEnd && booking.until > day);
+      return {
+        date: formatNight(day),
+        isFree: busy.length === 0,
+        busy
+      };
+    })
+  };
+};
+
+// Halls that seat `headcount` guests, in the `layout` style when one is given,
+// and are free for the whole of `date` or from setup at `startTime` until
+// `endTime`. Smallest fitting halls come first.
+const searchHalls = async ({ headcount, layout, date, startTime, endTime }) => {
+  const guests = Number(headcount);
+  if (!Number.isInteger(guests) || guests < 1) {
+    throw new AppError('headcount must be a positive whole number', 400);
+  }
+  if (layout && !Object.values(SEATING_LAYOUT).includes(layout)) {
+    throw new AppError(`layout must be one of: ${Object.values(SEATING_LAYOUT).join(', ')}`, 400);
+  }
+
+  let from;
+  let until;
+  if (date) {
+    const day = moment.utc(date, 'YYYY-MM-DD', true);
+    if (!day.isValid()) {
+      throw new AppError('date must be a valid date (YYYY-MM-DD)', 400);
+    }
+    from = day.toDate();
+    until = day.add(1, 'day').toDate();
+  } else {
+    from = new Date(startTime);
+    until = new Date(endTime);
+    if (!startTime || !endTime || isNaN(from) || isNaN(until) || until <= from) {
+      throw new AppError('Please provide a date, or a startTime before an endTime', 400);
+    }
+  }
+
+  const banquets = await Banquet.find(layout
+    ? { layouts: { $elemMatch: { style: layout, capacity: { $gte: guests } } } }
+    : { seatingCapacity: { $gte: guests } });
+
+  const halls = await Promise.all(banquets.map(async (banquet) => {
+    const hallLayout = findLayout(banquet, layout);
+    // A whole day already includes the setup
+    const setupFrom = hallLayout && !date
+      ? moment(from).subtract(hallLayout.setupMinutes, 'minutes').toDate()
+      : from;
+    const busy = await findHallBookings(banquet._id, setupFrom, until);
+
+    return {
+      id: banquet._id,
+      name: banquet.name,
+      capacity: hallLayout ? hallLayout.capacity : banquet.seatingCapacity,
+      layout: hallLayout,
+      isFree: busy.length === 0
+    };
+  }));
+
+  return halls
+    .filter(hall => hall.isFree)
+    .map(({ isFree, ...hall }) => hall)
+    .sort((a, b) => a.capacity - b.capacity || a.name.localeCompare(b.name));
+};
+
+module.exports = {
+  BLOCKING_STATUSES,
+  UPDATABLE_FIELDS,
+  findBanquet,
+  findLayout,
+  assertHeadcountFits,
+  findHallBookings,
+  createReservation,
+  updateReservation,
+  changeReservationStatus,
+  saveEvent,
+  getHallCalendar,
+  searchHalls
+};
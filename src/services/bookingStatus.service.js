@@ -0,0 +1,117 @@
+const Booking = require('../models/booking.model');
+const Room = require('../models/room.model');
+const { AppError } = require('../middleware/errorHandler');
+const { releaseRoomNights } = require('./inventory.service');
+const { releasePromoRedemption } = require('./promo.service');
+const { getCurrentInvoice, issueInvoice } = require('./invoice.service');
+const { logger } = require('../utils/logger');
+const { BOOKING_STATUS, BOOKING_STATUS_TRANSITIONS } = require('../utils/constants');
+
+const canTransition = (from, to) =>
+  (BOOKING_STATUS_TRANSITIONS[from] || []).includes(to);
+
+// Throw a 400 explaining which moves are allowed from the current status
+const assertTransition = (from, to) => {
+  if (!Object.values(BOOKING_STATUS).includes(to)) {
+    throw new AppError(`Invalid booking status: ${to}`, 400);
+  }
+
+  if (!canTransition(from, to)) {
+    const allowed = BOOKING_STATUS_TRANSITIONS[from] || [];
+    throw new AppError(
+      `Cannot change booking status from ${from} to ${to}`,
+      400,
+      { from, to, allowed }
+    );
+  }
+};
+
+// Check-out closes the folio, so the guest gets the invoice then unless staff
+// already issued one. A failure doesn't undo the check-out; staff can issue it.
+const issueCheckoutInvoice = async (booking, actor) => {
+  try {
+    if (!(await getCurrentInvoice(booking._id))) {
+      await issueInvoice(booking, { actor });
+    }
+  } catch (error) {
+    logger.error(`Error issuing the check-out invoice of booking ${booking._id}: ${error.message}`);
+  }
+};
+
+// Room, promo code and invoice side effects of a status change
+const applySideEffects = async (booking, to, { actor } = {}) => {
+  const roomId = booking.room && (booking.room._id || booking.room);
+
+  switch (to) {
+    case BOOKING_STATUS.CANCELLED:
+      await releaseRoomNights(booking._id);
+      await releasePromoRedemption(booking._id);
+      break;
+    case BOOKING_STATUS.CHECKED_IN:
+      await Room.findByIdAndUpdate(roomId, { status: 'occupied' });
+      break;
+    case BOOKING_STATUS.CHECKED_OUT: {
+      const room = roomId && await Room.findById(roomId);
+      if (room) {
+        room.status = 'available';
+        await room.updateOccupancyStats();
+      }
+      await issueCheckoutInvoice(booking, actor);
+      break;
+    }
+    default:
+      break;
+  }
+};
+
+// Move a booking to a new status, record who did it and apply side effects.
+// `update` holds extra fields to set in the same write (e.g. cancellation details).
+const transitionBooking = async (bookingId, to, { actor, note, update = {} } = {}) => {
+  const booking = await Booking.findById(bookingId);
+  if (!booking) {
+    throw new AppError('Booking not found', 404);
+  }
+
+  const from = booking.status;
+  assertTransition(from, to);
+
+  // Bookings made by room type need a room before the guest can check in
+  if (to === BOOKING_STATUS.CHECKED_IN && !booking.room) {
+    throw new AppError('Assign a room to this booking before checking in', 400);
+  }
+
+  // Only apply the change if nobody else moved the booking in the meantime
+  const updated = await Booking.findOneAndUpdate(
+    { _id: booking._id, status: from },
+    {
+      $set: { ...update, status: to },
+      $push: {
+        statusHistory: {
+          from,
+          to,
+          changedBy: actor,
+          changedAt: new Date(),
+          note
+        }
+      }
+    },
+    {
+      new: true,
+      runValidators: true
+    }
+  );
+
+  if (!updated) {
+    throw new AppError('Booking status was changed by another request. Please try again.', 409);
+  }
+
+  await applySideEffects(updated, to, { actor });
+
+  return updated;
+};
+
+module.exports = {
+  canTransition,
+  assertTransition,
+  transitionBooking
+};
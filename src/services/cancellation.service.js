@@ -0,0 +1,221 @@
+const moment = require('moment');
+const Booking = require('../models/booking.model');
+const CancellationPolicy = require('../models/cancellationPolicy.model');
+const { AppError } = require('../middleware/errorHandler');
+const { logger } = require('../utils/logger');
+const { roundCurrency } = require('./pricing.service');
+const { transitionBooking } = require('./bookingStatus.service');
+const { settleCancellation } = require('./folio.service');
+const { refundBooking } = require('./payment.service');
+const { BOOKING_STATUS, CANCELLATION_REFUND_STATUS } = require('../utils/constants');
+
+// A refund still processing after this long is taken to have been
+// interrupted and is tried again
+const STALE_REFUND_MINUTES = 15;
+
+// Used when no policy has been configured for a booking
+const FALLBACK_POLICY = {
+  name: 'Standard',
+  tiers: [
+    { daysBeforeCheckIn: 7, refundPercentage: 100 },
+    { daysBeforeCheckIn: 2, refundPercentage: 50 }
+  ]
+};
+
+// Most specific active policy: rate plan, then room type, then the default
+const findPolicyForBooking = async (booking) => {
+  const roomType = (booking.room && booking.room.type) || booking.roomType;
+
+  const candidates = await CancellationPolicy.find({
+    isActive: true,
+    $or: [
+      ...(booking.ratePlan ? [{ ratePlans: booking.ratePlan }] : []),
+      ...(roomType ? [{ roomTypes: roomType }] : []),
+      { isDefault: true }
+    ]
+  });
+
+  return (
+    candidates.find(policy => booking.ratePlan && policy.ratePlans.includes(booking.ratePlan)) ||
+    candidates.find(policy => roomType && policy.roomTypes.includes(roomType)) ||
+    candidates.find(policy => policy.isDefault) ||
+    FALLBACK_POLICY
+  );
+};
+
+// Whole days left until check-in, never negative
+const getDaysBeforeCheckIn = (checkIn, cancelledAt = new Date()) =>
+  Math.max(moment.utc(checkIn).diff(moment.utc(cancelledAt), 'days'), 0);
+
+// First tier whose notice period is met; tiers are checked from the longest notice down
+const findTier = (policy, daysBeforeCheckIn) =>
+  [...policy.tiers]
+    .sort((a, b) => b.daysBeforeCheckIn - a.daysBeforeCheckIn)
+    .find(tier => daysBeforeCheckIn >= tier.daysBeforeCheckIn);
+
+// Work out the refund for cancelling a booking now, from what was actually paid
+const calculateRefund = (booking, policy, cancelledAt = new Date()) => {
+  const daysBeforeCheckIn = getDaysBeforeCheckIn(booking.checkIn, cancelledAt);
+  const tier = findTier(policy, daysBeforeCheckIn);
+  const refundPercentage = tier ? tier.refundPercentage : 0;
+  const paidAmount = (booking.paymentDetails && booking.paymentDetails.paidAmount) || 0;
+  const refundAmount = roundCurrency(paidAmount * refundPercentage / 100);
+
+  return {
+    policy: {
+      id: policy._id,
+      name: policy.name,
+      tiers: policy.tiers.map(({ daysBeforeCheckIn: days, refundPercentage: percentage }) => ({
+        daysBeforeCheckIn: days,
+        refundPercentage: percentage
+      }))
+    },
+    daysBeforeCheckIn,
+    refundPercentage,
+    paidAmount,
+    refundAmount,
+    penaltyAmount: roundCurrency(paidAmount - refundAmount)
+  };
+};
+
+// Find the booking's policy and price its cancellation
+const quoteCancellation = async (booking, cancelledAt = new Date()) => {
+  const policy = await findPolicyForBooking(booking);
+  return calculateRefund(booking, policy, cancelledAt);
+};
+
+// Refund what a cancelled booking is still owed. Only one caller at a time
+// gets to refund; when the gateway fails the refund stays pending (with what
+// did go through) for the retry job or staff to try again. Returns the
+// booking, or null when no refund was pending.
+const processCancellationRefund = async (bookingId, { actor } = {}) => {
+  const now = new Date();
+  const booking = await Booking.findOneAndUpdate(
+    {
+      _id: bookingId,
+      $or: [
+        { 'cancellation.refundStatus': CANCELLATION_REFUND_STATUS.PENDING },
+        {
+          'cancellation.refundStatus': CANCELLATION_REFUND_STATUS.PROCESSING,
+          'cancellation.refundAttemptedAt': { $lt: moment(now).subtract(STALE_REFUND_MINUTES, 'minutes').toDate() }
+        }
+      ]
+    },
+    {
+      $set: {
+        'cancellation.refundStatus': CANCELLATION_REFUND_STATUS.PROCESSING,
+        'cancellation.refundAttemptedAt': now
+      },
+      $inc: { 'cancellation.refundAttempts': 1 }
+    },
+    { new: true }
+  );
+
+  if (!booking) {
+    return null;
+  }
+
+  const { refundAmount, refundedAmount = 0 } = booking.cancellation;
+  const remaining = roundCurrency(refundAmount - refundedAmount);
+
+  try {
+    if (remaining > 0) {
+      await refundBooking(booking, remaining, { actor, description: 'Cancellation refund' });
+    }
+
+    return await Booking.findByIdAndUpdate(booking._id, {
+      $set: {
+        'cancellation.refundStatus': CANCELLATION_REFUND_STATUS.REFUNDED,
+        'cancellation.refundedAmount': refundAmount
+      },
+      $unset: { 'cancellation.refundError': 1 }
+    }, { new: true });
+  } catch (error) {
+    logger.error(`Error refunding cancelled booking ${booking._id}: ${error.message}`);
+
+    return Booking.findByIdAndUpdate(booking._id, {
+      $set: {
+        'cancellation.refundStatus': CANCELLATION_REFUND_STATUS.PENDING,
+        'cancellation.refundedAmount': roundCurrency(refundedAmount + (error.refundedAmount || 0)),
+        'cancellation.refundError': error.message
+      }
+    }, { new: true });
+  }
+};
+
+// Retry the refund of a cancelled booking (staff)
+const retryCancellationRefund = async (booking, { actor } = {}) => {
+  const refunded = await processCancellationRefund(booking._id, { actor });
+
+  if (!refunded) {
+    throw new AppError('This booking has no pending cancellation refund', 400);
+  }
+
+  return refunded;
+};
+
+// Retry every pending cancellation refund (and ones interrupted mid-way)
+const retryPendingRefunds = async () => {
+  const bookings = await Booking.find({
+    'cancellation.refundStatus': { $in: [CANCELLATION_REFUND_STATUS.PENDING, CANCELLATION_REFUND_STATUS.PROCESSING] }
+  }).select('_id');
+
+  for (const booking of bookings) {
+    try {
+      await processCancellationRefund(booking._id);
+    } catch (error) {
+      logger.error(`Error retrying refund of booking ${booking._id}: ${error.message}`);
+    }
+  }
+
+  return bookings.length;
+};
+
+// Cancel a booking: keep the policy's penalty and refund the rest of what was paid.
+// With `waivePenalty` (e.g. rooms the hotel releases) everything paid is refunded.
+// The refund is recorded as pending with the cancellation, so a gateway
+// failure leaves it to be retried instead of lost.
+const cancelBookingWithRefund = async (booking, { reason, actor, waivePenalty = false } = {}) => {
+  const cancelledAt = new Date();
+  let refund = await quoteCancellation(booking, cancelledAt);
+  if (waivePenalty) {
+    refund = { ...refund, refundPercentage: 100, refundAmount: refund.paidAmount, penaltyAmount: 0 };
+  }
+
+  const cancelled = await transitionBooking(booking._id, BOOKING_STATUS.CANCELLED, {
+    actor,
+    note: reason,
+    update: {
+      cancellation: {
+        date: cancelledAt,
+        reason,
+        ...refund,
+        ...(refund.refundAmount > 0 && {
+          refundStatus: CANCELLATION_REFUND_STATUS.PENDING,
+          refundedAmount: 0,
+          refundAttempts: 0
+        })
+      }
+    }
+  });
+
+  await settleCancellation(cancelled, refund, { actor });
+  if (refund.refundAmount > 0) {
+    const refunded = await processCancellationRefund(cancelled._id, { actor });
+    return { booking: refunded || await Booking.findById(cancelled._id), refund };
+  }
+
+  return { booking: cancelled, refund };
+};
+
+module.exports = {
+  FALLBACK_POLICY,
+  findPolicyForBooking,
+  getDaysBeforeCheckIn,
+  calculateRefund,
+  quoteCancellation,
+  processCancellationRefund,
+  retryCancellationRefund,
+  retryPendingRefunds,
+  cancelBookingWithRefund
+};
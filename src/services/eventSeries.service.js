@@ -0,0 +1,339 @@
+const mongoose = require('mongoose');
+const moment = require('moment');
+const Event = require('../models/event.model');
+const { AppError } = require('../middleware/errorHandler');
+const { priceEvents } = require('./tax.service');
+const { saveEvent } = require('./banquetReservation.service');
+const { expandOccurrences, findOccurrence } = require('./recurrence.service');
+const { promoteFromWaitlist } = require('./eventWaitlist.service');
+const { EVENT_STATUS } = require('../utils/constants');
+
+// Longest range occurrences can be listed for, in days
+const MAX_OCCURRENCE_RANGE_DAYS = 366;
+
+// Fields an occurrence copies from its series. Changes to the series pass them
+// on to stored occurrences that weren't changed on their own.
+const SERIES_FIELDS = [
+  'title',
+  'description',
+  'type',
+  'location',
+  'capacity',
+  'price',
+  'requirements',
+  'tags',
+  'images',
+  'status',
+  'organizer'
+];
+
+// Fields that belong to the series, not to one occurrence
+const RECURRENCE_FIELDS = ['isRecurring', 'recurringPattern'];
+
+const pickSeriesFields = (series) => {
+  const source = series.toObject({ depopulate: true });
+  return SERIES_FIELDS.reduce((fields, key) => {
+    if (source[key] !== undefined) fields[key] = source[key];
+    return fields;
+  }, {});
+};
+
+// Days from `startDate` to `endDate` (YYYY-MM-DD, both included)
+const parseRange = (startDate, endDate) => {
+  const from = moment.utc(startDate, 'YYYY-MM-DD', true);
+  const to = moment.utc(endDate, 'YYYY-MM-DD', true);
+
+  if (!from.isValid() || !to.isValid()) {
+    throw new AppError('Please provide startDate and endDate in YYYY-MM-DD format', 400);
+  }
+  if (to.isBefore(from)) {
+    throw new AppError('endDate must be on or after startDate', 400);
+  }
+  if (to.diff(from, 'days') >= MAX_OCCURRENCE_RANGE_DAYS) {
+    throw new AppError(`Occurrences can be listed for at most ${MAX_OCCURRENCE_RANGE_DAYS} days`, 400);
+  }
+
+  return { from: from.toDate(), until: to.add(1, 'day').toDate() };
+};
+
+// An occurrence that isn't stored, as it would look in the listing
+const virtualOccurrence = (series, occurrence) => {
+  const {
+    _id, id, participants, waitlist, isRecurring, recurringPattern, createdAt, updatedAt, ...fields
+  } = series.toJSON();
+  return {
+    ...fields,
+    series: series._id,
+    occurrenceDate: occurrence.date,
+    startDate: occurrence.startDate,
+    endDate: occurrence.endDate,
+    numberOfParticipants: 0,
+    waitlistLength: 0,
+    availableSpots: series.capacity
+  };
+};
+
+// Events and occurrences of series between two days, with their ticket
+// pricing. Occurrences nobody registered for aren't stored; they are worked
+// out from the series here. Pass `series` to list one series only.
+const listOccurrences = async ({ startDate, endDate, type, status, tags, series }) => {
+  const { from, until } = parseRange(startDate, endDate);
+
+  const filter = {};
+  if (type) filter.type = type;
+  // Comma separated list, matches events with any of the tags
+  if (tags) filter.tags = { $in: tags.split(',').map(tag => tag.trim()) };
+
+  const [events, seriesList] = await Promise.all([
+    Event.find({
+      ...filter,
+      isRecurring: { $ne: true },
+      startDate: { $lt: until },
+      endDate: { $gt: from },
+      ...(series && { series })
+    }).select('-participants.guest -waitlist.guest'),
+    Event.find({
+      ...filter,
+      isRecurring: true,
+      startDate: { $lt: until },
+      ...(series && { _id: series })
+    }).select('-participants -waitlist')
+  ]);
+
+  // Stored occurrences replace the series' version of them, even when they
+  // were moved out of the range
+  const stored = seriesList.length === 0 ? [] : await Event.find({
+    series: { $in: seriesList.map(item => item._id) },
+    occurrenceDate: {
+      $gte: moment.utc(from).subtract(1, 'day').format('YYYY-MM-DD'),
+      $lt: moment.utc(until).format('YYYY-MM-DD')
+    }
+  }).select('series occurrenceDate');
+  const storedDates = new Set(stored.map(item => `${item.series}:${item.occurrenceDate}`));
+
+  const items = [
+    ...events.map(event => ({
+      key: event._id.toString(),
+      startDate: event.startDate,
+      price: event.price,
+      data: event.toJSON()
+    })),
+    ...seriesList.flatMap(item => expandOccurrences(item, from, until)
+      .filter(occurrence => !storedDates.has(`${item._id}:${occurrence.date}`))
+      .map(occurrence => ({
+        key: `${item._id}:${occurrence.date}`,
+        startDate: occurrence.startDate,
+        price: item.price,
+        data: virtualOccurrence(item, occurrence)
+      })))
+  ]
+    .filter(item => !status || item.data.status === status)
+    .sort((a, b) => a.startDate - b.startDate);
+
+  const pricing = await priceEvents(items.map(item => ({ _id: item.key, startDate: item.startDate, price: item.price })));
+
+  return items.map(item => ({ ...item.data, pricing: pricing.get(item.key) }));
+};
+
+// The series an id points at
+const findSeries = async (seriesId) => {
+  const series = mongoose.isValidObjectId(seriesId) && await Event.findById(seriesId);
+  if (!series || !series.isRecurring) {
+    throw new AppError('Event series not found', 404);
+  }
+  return series;
+};
+
+// One occurrence of a series: the stored event, or the series' version of it
+const getOccurrence = async (series, date) => {
+  const stored = await Event.findOne({ series: series._id, occurrenceDate: date })
+    .select('-participants.guest -waitlist.guest');
+  if (stored) return stored;
+
+  const occurrence = findOccurrence(series, date);
+  if (!occurrence) {
+    throw new AppError(`${series.title} has no occurrence on ${date}`, 404);
+  }
+  return virtualOccurrence(series, occurrence);
+};
+
+// Store an occurrence so it can take registrations or changes of its own
+const materializeOccurrence = async (series, date) => {
+  const stored = await Event.findOne({ series: series._id, occurrenceDate: date });
+  if (stored) return stored;
+
+  const occurrence = findOccurrence(series, date);
+  if (!occurrence) {
+    throw new AppError(`${series.title} has no occurrence on ${date}`, 404);
+  }
+
+  try {
+    return await saveEvent(new Event({
+      ...pickSeriesFields(series),
+      startDate: occurrence.startDate,
+      endDate: occurrence.endDate,
+      series: series._id,
+      occurrenceDate: occurrence.date
+    }));
+  } catch (error) {
+    // Stored by a concurrent request meanwhile
+    if (error.code === 11000) {
+      return Event.findOne({ series: series._id, occurrenceDate: date });
+    }
+    throw error;
+  }
+};
+
+// Save a series and bring its stored upcoming occurrences in line with it.
+// Occurrences the series no longer has are removed, unless guests registered
+// for them; cancelling the series cancels them all.
+const saveSeries = async (series) => {
+  const upcoming = await Event.find({ series: series._id, startDate: { $gt: new Date() } });
+
+  if (!series.isRecurring && upcoming.length > 0) {
+    throw new AppError('Occurrences of this series are already stored. Cancel the series or give it an end date instead.', 400);
+  }
+
+  const cancelled = series.status === EVENT_STATUS.CANCELLED;
+  const plans = upcoming.map(occurrence => ({
+    occurrence,
+    slot: findOccurrence(series, occurrence.occurrenceDate)
+  }));
+
+  if (!cancelled) {
+    const dropped = plans.filter(({ occurrence, slot }) => !slot && occurrence.numberOfParticipants > 0);
+    if (dropped.length > 0) {
+      throw new AppError(
+        'Guests are registered for occurrences the series would no longer have. Cancel those occurrences first.',
+        400,
+        { occurrenceDates: dropped.map(({ occurrence }) => occurrence.occurrenceDate) }
+      );
+    }
+
+    const overbooked = plans.filter(({ occurrence, slot }) =>
+      slot && !occurrence.isCustomized && occurrence.numberOfParticipants > series.capacity
+    );
+    if (overbooked.length > 0) {
+      throw new AppError(
+        'Capacity cannot be lower than the registered participants of an occurrence',
+        400,
+        { occurrenceDates: overbooked.map(({ occurrence }) => occurrence.occurrenceDate) }
+      );
+    }
+  }
+
+  const saved = await saveEvent(series);
+  const fields = pickSeriesFields(series);
+
+  for (const { occurrence, slot } of plans) {
+    if (cancelled) {
+      if (occurrence.status !== EVENT_STATUS.CANCELLED) {
+        occurrence.status = EVENT_STATUS.CANCELLED;
+        await occurrence.save();
+      }
+    } else if (!slot) {
+      await occurrence.deleteOne();
+    } else if (!occurrence.isCustomized) {
+      occurrence.set({ ...fields, startDate: slot.startDate, endDate: slot.endDate });
+      await saveEvent(occurrence);
+      await promoteFromWaitlist(occurrence._id);
+    }
+  }
+
+  return saved;
+};
+
+// Save an event and fill the spots it has free from its waitlist
+const saveAndPromote = async (event) => {
+  await saveEvent(event);
+  const promoted = await promoteFromWaitlist(event._id);
+  return promoted.length > 0 ? Event.findById(event._id) : event;
+};
+
+// Apply an update to an event, a series or one stored occurrence. Occurrences
+// changed on their own no longer follow the series. Spots the update frees up
+// (more capacity, the event reopened) go to the waitlist.
+const updateEvent = async (event, updates) => {
+  if (updates.capacity !== undefined && updates.capacity < event.numberOfParticipants) {
+    throw new AppError(
+      `Capacity cannot be lower than the ${event.numberOfParticipants} registered participants`,
+      400
+    );
+  }
+
+  if (event.series) {
+    const rejected = Object.keys(updates).filter(key => RECURRENCE_FIELDS.includes(key));
+    if (rejected.length > 0) {
+      throw new AppError(`${rejected.join(', ')} can only be changed on the series`, 400);
+    }
+    event.set({ ...updates, isCustomized: true });
+    return saveAndPromote(event);
+  }
+
+  const wasSeries = event.isRecurring;
+  event.set(updates);
+  if (wasSeries || event.isRecurring) {
+    return saveSeries(event);
+  }
+
+  return saveAndPromote(event);
+};
+
+// Whether guests are registered for an occurrence or waiting for a spot
+const hasGuests = (occurrence) =>
+  occurrence.numberOfParticipants > 0 || (occurrence.waitlist || []).length > 0;
+
+// Skip one day of a series. A stored occurrence is removed with it, unless
+// guests registered for it or joined its waitlist (cancel it instead).
+const skipOccurrence = async (series, date) => {
+  const stored = await Event.findOne({ series: series._id, occurrenceDate: date });
+  if (!stored && !findOccurrence(series, date)) {
+    throw new AppError(`${series.title} has no occurrence on ${date}`, 404);
+  }
+  if (stored && hasGuests(stored)) {
+    throw new AppError('Guests are registered or waiting for this occurrence. Cancel it instead.', 400);
+  }
+
+  await Event.updateOne({ _id: series._id }, { $addToSet: { 'recurringPattern.exceptions': date } });
+  if (stored) {
+    await stored.deleteOne();
+  }
+};
+
+// Delete an event. A series goes with all its stored occurrences, unless
+// guests registered for one or joined its waitlist (cancel the series instead);
+// deleting an occurrence skips its day in the series.
+const deleteEvent = async (event) => {
+  if (event.series) {
+    const series = await findSeries(event.series);
+    return skipOccurrence(series, event.occurrenceDate);
+  }
+
+  if (event.isRecurring) {
+    const occurrences = await Event.find({ series: event._id });
+    const booked = occurrences.filter(hasGuests);
+    if (booked.length > 0) {
+      throw new AppError(
+        'Guests are registered or waiting for occurrences of this series. Cancel the series instead.',
+        400,
+        { occurrenceDates: booked.map(occurrence => occurrence.occurrenceDate) }
+      );
+    }
+
+    await Event.deleteMany({ _id: { $in: occurrences.map(occurrence => occurrence._id) } });
+  }
+  return event.deleteOne();
+};
+
+module.exports = {
+  MAX_OCCURRENCE_RANGE_DAYS,
+  SERIES_FIELDS,
+  listOccurrences,
+  findSeries,
+  getOccurrence,
+  materializeOccurrence,
+  saveSeries,
+  updateEvent,
+  skipOccurrence,
+  deleteEvent
+};
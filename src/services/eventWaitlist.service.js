@@ -0,0 +1,332 @@
+const mongoose = require('mongoose');
+const moment = require('moment');
+const Event = require('../models/event.model');
+const User = require('../models/user.model');
+const { AppError } = require('../middleware/errorHandler');
+const { logger } = require('../utils/logger');
+const email = require('../utils/email');
+const { priceEvents } = require('./tax.service');
+const { EVENT_STATUS, EVENT_PARTICIPANT_STATUS } = require('../utils/constants');
+
+// Event statuses that still accept registrations
+const OPEN_STATUSES = [EVENT_STATUS.PENDING, EVENT_STATUS.CONFIRMED];
+
+// Number of non-cancelled participants (offered spots included), as an
+// aggregation expression
+const activeParticipantCount = {
+  $size: {
+    $filter: {
+      input: '$participants',
+      cond: { $ne: ['$$this.status', EVENT_PARTICIPANT_STATUS.CANCELLED] }
+    }
+  }
+};
+
+const waitlistLength = { $size: { $ifNull: ['$waitlist', []] } };
+
+// Hours a guest promoted to a paid event has to claim the spot
+const DEFAULT_CLAIM_HOURS = 24;
+
+// Promotions tried in one go before giving up on an event that keeps changing
+const MAX_PROMOTION_ATTEMPTS = 20;
+
+const getClaimHours = () =>
+  parseInt(process.env.EVENT_WAITLIST_CLAIM_HOURS, 10) || DEFAULT_CLAIM_HOURS;
+
+const isSameGuest = (a, b) => (a._id || a).toString() === (b._id || b).toString();
+
+// Claim window of a spot offered now; never past the start of the event
+const claimDeadlineFor = (event, offeredAt = new Date()) => {
+  const deadline = moment(offeredAt).add(getClaimHours(), 'hours').toDate();
+  return deadline < event.startDate ? deadline : event.startDate;
+};
+
+// Let a promoted guest know. A failed email doesn't undo the promotion;
+// paid spots still show up in the guest's registrations to claim.
+const notifyPromotion = async (event, participant) => {
+  try {
+    const guest = await User.findById(participant.guest).select('firstName email');
+    if (!guest || !guest.email) return;
+
+    const when = event.startDate.toUTCString();
+    const text = participant.status === EVENT_PARTICIPANT_STATUS.OFFERED
+      ? `Hi ${guest.firstName},\n\nA spot opened up for ${event.title} on ${when} and it is yours if you want it. ` +
+        `Please claim it before ${participant.claimDeadline.toUTCString()} (amount due: ${participant.amountDue}); ` +
+        'after that it goes to the next guest on the waitlist.'
+      : `Hi ${guest.firstName},\n\nA spot opened up for ${event.title} on ${when} and you are now registered.`;
+
+    await email.sendEmail({
+      to: guest.email,
+      subject: `A spot opened up: ${event.title}`,
+      text
+    });
+  } catch (error) {
+    logger.error(`Error notifying guest ${participant.guest} of event ${event._id}: ${error.message}`);
+  }
+};
+
+// Put the guest at the end of a full event's waitlist
+const joinWaitlist = async (eventId, guestId) => {
+  if (!mongoose.isValidObjectId(eventId)) {
+    throw new AppError('Event not found', 404);
+  }
+
+  // Single atomic update, so a guest can't be added twice or to an event with spots left
+  const event = await Event.findOneAndUpdate(
+    {
+      _id: eventId,
+      isRecurring: { $ne: true },
+      status: { $in: OPEN_STATUSES },
+      startDate: { $gt: new Date() },
+      participants: {
+        $not: {
+          $elemMatch: {
+            guest: guestId,
+            status: { $ne: EVENT_PARTICIPANT_STATUS.CANCELLED }
+          }
+        }
+      },
+      'waitlist.guest': { $ne: guestId },
+      $expr: {
+        $or: [
+          { $gte: [activeParticipantCount, '$capacity'] },
+          { $gt: [waitlistLength, 0] }
+        ]
+      }
+    },
+    { $push: { waitlist: { guest: guestId, joinedAt: new Date() } } },
+    { new: true }
+  );
+
+  if (event) {
+    return { event, position: event.waitlist.length };
+  }
+
+  // Work out why the guest wasn't added
+  const existing = await Event.findById(eventId);
+
+  if (!existing) {
+    throw new AppError('Event not found', 404);
+  }
+  if (existing.isRecurring) {
+    throw new AppError('This is a recurring event. Please join the waitlist of one of its occurrences.', 400);
+  }
+  if (!OPEN_STATUSES.includes(existing.status) || existing.startDate <= new Date()) {
+    throw new AppError('This event is not open for registration', 400);
+  }
+  if (existing.participants.some(participant =>
+    isSameGuest(participant.guest, guestId) && participant.status !== EVENT_PARTICIPANT_STATUS.CANCELLED
+  )) {
+    throw new AppError('You are already registered for this event', 400);
+  }
+  if (existing.waitlist.some(entry => isSameGuest(entry.guest, guestId))) {
+    throw new AppError('You are already on the waitlist for this event', 400);
+  }
+  throw new AppError('This event still has spots available. Please register instead.', 400);
+};
+
+// Take the guest off an event's waitlist
+const leaveWaitlist = async (eventId, guestId) => {
+  const result = mongoose.isValidObjectId(eventId) && await Event.updateOne(
+    { _id: eventId, 'waitlist.guest': guestId },
+    { $pull: { waitlist: { guest: guestId } } }
+  );
+
+  if (!result || result.modifiedCount === 0) {
+    throw new AppError('You are not on the waitlist for this event', 404);
+  }
+};
+
+// Give free spots to the guests at the front of the waitlist. Free events
+// register them straight away; paid events offer the spot until the claim
+// deadline. Returns the promoted participants.
+const promoteFromWaitlist = async (eventId) => {
+  const promoted = [];
+
+  for (let attempt = 0; attempt < MAX_PROMOTION_ATTEMPTS; attempt += 1) {
+    const now = new Date();
+    const event = await Event.findById(eventId);
+
+    if (
+      !event ||
+      event.waitlist.length === 0 ||
+      event.availableSpots === 0 ||
+      !OPEN_STATUSES.includes(event.status) ||
+      event.startDate <= now
+    ) {
+      break;
+    }
+
+    const next = event.waitlist[0];
+    const { price, taxes, total } = (await priceEvents([event])).get(event._id.toString());
+    const offered = event.price > 0;
+    const participant = {
+      guest: next.guest,
+      registeredAt: now,
+      promotedAt: now,
+      status: offered ? EVENT_PARTICIPANT_STATUS.OFFERED : EVENT_PARTICIPANT_STATUS.REGISTERED,
+      price,
+      taxes,
+      amountDue: total,
+      ...(offered && { claimDeadline: claimDeadlineFor(event, now) })
+    };
+
+    // Only if the guest is still first in line and the spot is still free
+    const updated = await Event.findOneAndUpdate(
+      {
+        _id: event._id,
+        status: { $in: OPEN_STATUSES },
+        startDate: { $gt: now },
+        'waitlist.0.guest': next.guest,
+        $expr: { $lt: [activeParticipantCount, '$capacity'] }
+      },
+      {
+        $pop: { waitlist: -1 },
+        $push: { participants: participant }
+      },
+      { new: true }
+    );
+
+    // Otherwise the event changed meanwhile; look again
+    if (updated) {
+      const saved = updated.participants[updated.participants.length - 1];
+      promoted.push(saved);
+      logger.info(`Guest ${next.guest} promoted from the waitlist of event ${event._id} (${saved.status})`);
+      await notifyPromotion(updated, saved);
+    }
+  }
+
+  return promoted;
+};
+
+// Turn the guest's offered spot into a registration
+const claimSpot = async (eventId, guestId) => {
+  if (!mongoose.isValidObjectId(eventId)) {
+    throw new AppError('Event not found', 404);
+  }
+
+  const now = new Date();
+  const event = await Event.findOneAndUpdate(
+    {
+      _id: eventId,
+      participants: {
+        $elemMatch: {
+          guest: guestId,
+          status: EVENT_PARTICIPANT_STATUS.OFFERED,
+          claimDeadline: { $gt: now }
+        }
+      }
+    },
+    {
+      $set: {
+        'participants.$.status': EVENT_PARTICIPANT_STATUS.REGISTERED,
+        'participants.$.registeredAt': now
+      }
+    },
+    { new: true }
+  );
+
+  if (!event) {
+    const expired = await Event.exists({
+      _id: eventId,
+      participants: {
+        $elemMatch: {
+          guest: guestId,
+          status: EVENT_PARTICIPANT_STATUS.OFFERED
+        }
+      }
+    });
+    throw expired
+      ? new AppError('Your claim deadline for this spot has passed', 400)
+      : new AppError('No spot is offered to you for this event', 404);
+  }
+
+  return {
+    event,
+    registration: event.participants.find(participant =>
+      isSameGuest(participant.guest, guestId) && participant.status === EVENT_PARTICIPANT_STATUS.REGISTERED
+    )
+  };
+};
+
+// Put the waitlist in the given order of guest ids; it must list exactly the
+// guests waiting now
+const reorderWaitlist = async (event, guests) => {
+  if (!Array.isArray(guests) || !guests.every(id => mongoose.isValidObjectId(id))) {
+    throw new AppError('Please provide an array of guest IDs', 400);
+  }
+
+  const current = event.waitlist.map(entry => entry.guest.toString());
+  const requested = guests.map(id => id.toString());
+  if (
+    new Set(requested).size !== requested.length ||
+    requested.length !== current.length ||
+    !requested.every(id => current.includes(id))
+  ) {
+    throw new AppError('The new order must list every guest on the waitlist exactly once', 400, {
+      waitlist: current
+    });
+  }
+
+  const entries = new Map(event.waitlist.map(entry => [entry.guest.toString(), entry.toObject()]));
+  const updated = await Event.findOneAndUpdate(
+    {
+      _id: event._id,
+      $expr: { $eq: [{ $ifNull: ['$waitlist.guest', []] }, event.waitlist.map(entry => entry.guest)] }
+    },
+    { $set: { waitlist: requested.map(id => entries.get(id)) } },
+    { new: true }
+  );
+
+  if (!updated) {
+    throw new AppError('The waitlist changed meanwhile. Please try again.', 409);
+  }
+
+  return updated;
+};
+
+// Offers past their claim deadline go back to the waitlist's next guest
+const expireOffers = async () => {
+  const now = new Date();
+  const events = await Event.find({
+    participants: {
+      $elemMatch: {
+        status: EVENT_PARTICIPANT_STATUS.OFFERED,
+        claimDeadline: { $lte: now }
+      }
+    }
+  }).select('_id');
+
+  for (const event of events) {
+    try {
+      await Event.updateOne(
+        { _id: event._id },
+        { $set: { 'participants.$[offer].status': EVENT_PARTICIPANT_STATUS.CANCELLED } },
+        {
+          arrayFilters: [{
+            'offer.status': EVENT_PARTICIPANT_STATUS.OFFERED,
+            'offer.claimDeadline': { $lte: now }
+          }]
+        }
+      );
+      await promoteFromWaitlist(event._id);
+    } catch (error) {
+      logger.error(`Error expiring waitlist offers of event ${event._id}: ${error.message}`);
+    }
+  }
+
+  return events.length;
+};
+
+module.exports = {
+  OPEN_STATUSES,
+  activeParticipantCount,
+  getClaimHours,
+  claimDeadlineFor,
+  joinWaitlist,
+  leaveWaitlist,
+  promoteFromWaitlist,
+  claimSpot,
+  reorderWaitlist,
+  expireOffers
+};
@@ -0,0 +1,256 @@
+const mongoose = require('mongoose');
+const Folio = require('../models/folio.model');
+const Booking = require('../models/booking.model');
+const { AppError } = require('../middleware/errorHandler');
+const { roundCurrency } = require('./pricing.service');
+const {
+  PAYMENT_STATUS,
+  TAX_KIND,
+  FOLIO_ENTRY_TYPE,
+  FOLIO_CHARGE_CATEGORY
+} = require('../utils/constants');
+
+// Concurrent postings to one folio are retried this many times
+const MAX_POST_ATTEMPTS = 3;
+const DUPLICATE_KEY = 11000;
+
+// Payment status follows from what was charged, paid and refunded
+const derivePaymentStatus = (folio) => {
+  const netPaid = roundCurrency(folio.paymentsTotal - folio.refundsTotal);
+
+  if (folio.refundsTotal > 0 && netPaid <= 0) return PAYMENT_STATUS.REFUNDED;
+  if (netPaid <= 0) return PAYMENT_STATUS.PENDING;
+  if (folio.balance <= 0) return PAYMENT_STATUS.PAID;
+  return PAYMENT_STATUS.PARTIAL;
+};
+
+// Keep the booking's payment status and summary in line with its folio
+const syncBookingPayment = (bookingId, folio) => {
+  const lastPayment = [...folio.entries]
+    .reverse()
+    .find(entry => entry.type === FOLIO_ENTRY_TYPE.PAYMENT);
+
+  return Booking.updateOne(
+    { _id: bookingId },
+    {
+      paymentStatus: derivePaymentStatus(folio),
+      paymentDetails: {
+        method: lastPayment && lastPayment.method,
+        transactionId: lastPayment && lastPayment.transactionId,
+        paidAmount: roundCurrency(folio.paymentsTotal - folio.refundsTotal),
+        paidAt: lastPayment && lastPayment.postedAt
+      }
+    }
+  );
+};
+
+const refId = (value) => (value && value._id ? value._id : value);
+
+// Folio of a booking, or null if nothing was ever posted
+const getFolio = (bookingId) => Folio.findOne({ booking: bookingId });
+
+// Master folio of a group reservation, or null if nothing was ever posted
+const getGroupFolio = (groupId) => Folio.findOne({ group: groupId });
+
+// Post entries to the folio matching `owner` ({ booking } or { group }), creating it on first use
+const postToFolio = async (owner, guest, entries, { actor } = {}) => {
+  for (let attempt = 1; ; attempt += 1) {
+    const folio = (await Folio.findOne(owner)) || new Folio({ ...owner, guest });
+    const newEntries = typeof entries === 'function' ? entries(folio) : entries;
+
+    newEntries
+      .filter(entry => entry.amount !== 0)
+      .forEach(entry => folio.entries.push({ ...entry, amount: roundCurrency(entry.amount), postedBy: actor }));
+
+    try {
+      await folio.save();
+      return folio;
+    } catch (error) {
+      const conflict = error instanceof mongoose.Error.VersionError || error.code === DUPLICATE_KEY;
+      if (!conflict || attempt >= MAX_POST_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+};
+
+// Post entries to a booking's folio, creating it on first use.
+// `entries` may be a function of the current folio for postings that depend on it.
+const postEntries = async (booking, entries, { actor } = {}) => {
+  const folio = await postToFolio({ booking: booking._id }, refId(booking.guest), entries, { actor });
+  await syncBookingPayment(booking._id, folio);
+  return folio;
+};
+
+// Post entries to a group reservation's master folio
+const postGroupEntries = (group, entries, { actor } = {}) =>
+  postToFolio({ group: group._id }, refId(group.leadGuest), entries, { actor });
+
+const sumAmounts = (lines = []) => roundCurrency(lines.reduce((sum, line) => sum + line.amount, 0));
+
+// Folio charges for tax and fee lines
+const taxEntries = (taxLines = []) =>
+  taxLines.map(line => ({
+    type: FOLIO_ENTRY_TYPE.CHARGE,
+    category: line.kind === TAX_KIND.FEE ? FOLIO_CHARGE_CATEGORY.FEE : FOLIO_CHARGE_CATEGORY.TAX,
+    description: line.name,
+    taxRule: line.taxRule,
+    amount: line.amount
+  }));
+
+// Add-on charges plus their taxes and fees
+const addOnEntries = (addOns, taxLines = []) => [
+  ...addOns.map(addOn => ({
+    type: FOLIO_ENTRY_TYPE.CHARGE,
+    category: FOLIO_CHARGE_CATEGORY.ADD_ON,
+    description: addOn.service,
+    quantity: addOn.quantity,
+    amount: addOn.price * addOn.quantity
+  })),
+  ...taxEntries(taxLines)
+];
+
+// Charge a new booking's room nights, add-ons, taxes and fees
+const postBookingCharges = (booking, { actor, roomNumber } = {}) => {
+  const nights = booking.priceBreakdown ? booking.priceBreakdown.nights : [];
+
+  const roomEntries = nights.map(night => ({
+    type: FOLIO_ENTRY_TYPE.CHARGE,
+    category: FOLIO_CHARGE_CATEGORY.ROOM,
+    description: `Room ${roomNumber ? `${roomNumber} ` : ''}night of ${night.date}`,
+    date: new Date(night.date),
+    amount: night.price
+  }));
+
+  return postEntries(booking, [
+    ...roomEntries,
+    ...addOnEntries(booking.addOns || []),
+    ...taxEntries(booking.taxes)
+  ], { actor });
+};
+
+// Charge (or credit) the difference of a booking modification:
+// one adjustment for the price before tax and one entry per tax or fee that changed
+const postModificationCharges = (booking, { previousTotal, previousTaxes = [] }, { actor } = {}) => {
+  const difference = roundCurrency(
+    (booking.totalPrice - sumAmounts(booking.taxes)) - (previousTotal - sumAmounts(previousTaxes))
+  );
+
+  const plain = line => (line.toObject ? line.toObject() : line);
+  const key = line => `${line.taxRule}:${line.category}`;
+  const currentTaxes = booking.taxes.map(plain);
+  const previousByKey = new Map(previousTaxes.map(plain).map(line => [key(line), line]));
+  const currentKeys = new Set(currentTaxes.map(key));
+
+  const taxDifferences = [
+    ...currentTaxes.map(line => ({
+      ...line,
+      amount: roundCurrency(line.amount - (previousByKey.has(key(line)) ? previousByKey.get(key(line)).amount : 0))
+    })),
+    ...[...previousByKey.values()]
+      .filter(line => !currentKeys.has(key(line)))
+      .map(line => ({ ...line, amount: -line.amount }))
+  ];
+
+  return postEntries(booking, [
+    {
+      type: FOLIO_ENTRY_TYPE.CHARGE,
+      category: FOLIO_CHARGE_CATEGORY.ADJUSTMENT,
+      description: 'Booking modification',
+      amount: difference
+    },
+    ...taxEntries(taxDifferences)
+  ], { actor });
+};
+
+// Record a payment against a booking
+const recordPayment = (booking, { amount, method, transactionId, description }, { actor } = {}) => {
+  if (!(amount > 0)) {
+    throw new AppError('Payment amount must be greater than zero', 400);
+  }
+
+  return postEntries(booking, [{
+    type: FOLIO_ENTRY_TYPE.PAYMENT,
+    description: description || `Payment${method ? ` by ${method}` : ''}`,
+    amount,
+    method,
+    transactionId
+  }], { actor });
+};
+
+// Record a refund; it can't exceed what the guest has paid
+const recordRefund = (booking, { amount, method, transactionId, description }, { actor } = {}) => {
+  if (!(amount > 0)) {
+    throw new AppError('Refund amount must be greater than zero', 400);
+  }
+
+  return postEntries(booking, folio => {
+    const netPaid = roundCurrency(folio.paymentsTotal - folio.refundsTotal);
+    if (amount > netPaid) {
+      throw new AppError(`Refund can't exceed the ${netPaid} paid on this booking`, 400);
+    }
+
+    return [{
+      type: FOLIO_ENTRY_TYPE.REFUND,
+      description: description || 'Refund',
+      amount,
+      method,
+      transactionId
+    }];
+  }, { actor });
+};
+
+// Taxes and fees still charged on a folio, one line per rule and category
+const netTaxLines = (folio) => {
+  const lines = new Map();
+
+  folio.entries
+    .filter(entry =>
+      entry.type === FOLIO_ENTRY_TYPE.CHARGE &&
+      [FOLIO_CHARGE_CATEGORY.TAX, FOLIO_CHARGE_CATEGORY.FEE].includes(entry.category)
+    )
+    .forEach(entry => {
+      const key = `${entry.taxRule}:${entry.category}`;
+      const line = lines.get(key) || {
+        kind: entry.category === FOLIO_CHARGE_CATEGORY.FEE ? TAX_KIND.FEE : TAX_KIND.TAX,
+        name: entry.description,
+        taxRule: entry.taxRule,
+        amount: 0
+      };
+      line.amount = roundCurrency(line.amount + entry.amount);
+      lines.set(key, line);
+    });
+
+  return [...lines.values()];
+};
+
+// On cancellation only the penalty stays charged; the refund is paid back separately.
+// Taxes and fees are credited line by line so the tax report no longer counts them.
+const settleCancellation = (booking, { penaltyAmount }, { actor } = {}) =>
+  postEntries(booking, folio => {
+    const taxLines = netTaxLines(folio);
+
+    return [
+      {
+        type: FOLIO_ENTRY_TYPE.CHARGE,
+        category: FOLIO_CHARGE_CATEGORY.ADJUSTMENT,
+        description: 'Cancellation: charges released except the cancellation penalty',
+        amount: roundCurrency(penaltyAmount - (folio.chargesTotal - sumAmounts(taxLines)))
+      },
+      ...taxEntries(taxLines.map(line => ({ ...line, amount: -line.amount })))
+    ];
+  }, { actor });
+
+module.exports = {
+  derivePaymentStatus,
+  getFolio,
+  getGroupFolio,
+  postEntries,
+  postGroupEntries,
+  addOnEntries,
+  postBookingCharges,
+  postModificationCharges,
+  recordPayment,
+  recordRefund,
+  settleCancellation
+};
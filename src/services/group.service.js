@@ -0,0 +1,337 @@
+const mongoose = require('mongoose');
+const GroupReservation = require('../models/groupReservation.model');
+const Booking = require('../models/booking.model');
+const Room = require('../models/room.model');
+const Folio = require('../models/folio.model');
+const { AppError } = require('../middleware/errorHandler');
+const { logger } = require('../utils/logger');
+const { validateStayDates, assertRoomBookable } = require('./reservation.service');
+const { reserveRoomNights, releaseRoomNights } = require('./inventory.service');
+const { roundCurrency, priceStay, toPriceBreakdown } = require('./pricing.service');
+const { normaliseGuests, assertRoomFits, findRoomOfType } = require('./quote.service');
+const { calculateBookingTaxes } = require('./tax.service');
+const { postBookingCharges, getGroupFolio } = require('./folio.service');
+const { transitionBooking } = require('./bookingStatus.service');
+const { cancelBookingWithRefund } = require('./cancellation.service');
+const { BOOKING_STATUS, GROUP_STATUS } = require('../utils/constants');
+
+// Room bookings of a group that still hold their room
+const ACTIVE_STATUSES = [BOOKING_STATUS.PENDING, BOOKING_STATUS.CONFIRMED];
+
+const getGroupBookings = (groupId) => Booking.find({ group: groupId }).sort('_id');
+
+// Book one room of a group for the lead guest
+const bookGroupRoom = async (group, { room, checkIn, checkOut, numberOfGuests, actor }) => {
+  const bookingId = new mongoose.Types.ObjectId();
+
+  assertRoomBookable(room, checkIn, checkOut);
+  await reserveRoomNights({ room: room._id, roomType: room.type, booking: bookingId, checkIn, checkOut });
+
+  try {
+    const stayPrice = priceStay(room, checkIn, checkOut);
+    const taxes = await calculateBookingTaxes({ nights: stayPrice.nights, checkIn });
+
+    const booking = await Booking.create({
+      _id: bookingId,
+      guest: group.leadGuest._id || group.leadGuest,
+      group: group._id,
+      roomType: room.type,
+      room: room._id,
+      checkIn,
+      checkOut,
+      numberOfGuests,
+      totalPrice: roundCurrency(stayPrice.total + taxes.total),
+      taxes: taxes.lines,
+      taxTotal: taxes.total,
+      priceBreakdown: toPriceBreakdown(stayPrice),
+      statusHistory: [{ to: BOOKING_STATUS.PENDING, changedBy: actor }]
+    });
+
+    await postBookingCharges(booking, { actor, roomNumber: room.roomNumber });
+    return booking;
+  } catch (error) {
+    await Booking.deleteOne({ _id: bookingId });
+    await Folio.deleteOne({ booking: bookingId });
+    await releaseRoomNights(bookingId);
+    throw error;
+  }
+};
+
+// Undo rooms booked by a request that failed part way
+const removeGroupRooms = async (bookings) => {
+  for (const booking of bookings) {
+    await releaseRoomNights(booking._id);
+    await Folio.deleteOne({ booking: booking._id });
+    await Booking.deleteOne({ _id: booking._id });
+  }
+};
+
+// Book rooms for a group. Each request is a specific `room` or a `roomType`
+// with a `quantity`, and may name the guest for the rooming list.
+// Either every room is booked or none is.
+const addGroupRooms = async (group, rooms, { actor } = {}) => {
+  if (!Array.isArray(rooms) || rooms.length === 0) {
+    throw new AppError('Please provide the rooms to book', 400);
+  }
+
+  const booked = [];
+
+  try {
+    for (const request of rooms) {
+      const checkIn = new Date(request.checkIn || group.checkIn);
+      const checkOut = new Date(request.checkOut || group.checkOut);
+      validateStayDates(checkIn, checkOut);
+      const numberOfGuests = normaliseGuests(request.numberOfGuests);
+      const quantity = request.room ? 1 : parseInt(request.quantity, 10) || 1;
+
+      for (let unit = 0; unit < quantity; unit += 1) {
+        let room;
+        if (request.room) {
+          room = await Room.findById(request.room);
+          if (!room) {
+            throw new AppError(`Room not found: ${request.room}`, 404);
+          }
+          assertRoomFits(room, numberOfGuests);
+        } else if (request.roomType) {
+          ({ room } = await findRoomOfType(request.roomType, numberOfGuests, checkIn, checkOut));
+        } else {
+          throw new AppError('Each room needs a room or a room type', 400);
+        }
+
+        const booking = await bookGroupRoom(group, { room, checkIn, checkOut, numberOfGuests, actor });
+        booked.push({ booking, request: quantity === 1 ? request : {} });
+      }
+    }
+
+    const entries = booked.map(({ booking, request }) => ({
+      booking: booking._id,
+      room: booking.room._id || booking.room,
+      guestName: request.guestName,
+      guestEmail: request.guestEmail,
+      assignedAt: request.guestName ? new Date() : undefined
+    }));
+
+    const updated = await GroupReservation.findByIdAndUpdate(
+      group._id,
+      { $push: { roomingList: { $each: entries } } },
+      { new: true }
+    );
+
+    return { group: updated, bookings: booked.map(({ booking }) => booking) };
+  } catch (error) {
+    await removeGroupRooms(booked.map(({ booking }) => booking));
+    throw error;
+  }
+};
+
+// Create a group reservation with its first rooms
+const createGroupReservation = async ({ name, leadGuest, checkIn, checkOut, cutoffDate, notes, rooms }, { actor } = {}) => {
+  validateStayDates(checkIn, checkOut);
+
+  const group = await GroupReservation.create({
+    name,
+    leadGuest,
+    checkIn,
+    checkOut,
+    cutoffDate,
+    notes,
+    createdBy: actor
+  });
+
+  try {
+    return await addGroupRooms(group, rooms, { actor });
+  } catch (error) {
+    await GroupReservation.deleteOne({ _id: group._id });
+    throw error;
+  }
+};
+
+// Group status follows its rooms: cancelled once every room is, confirmed
+// once every remaining room is confirmed (or further along), pending otherwise
+const refreshGroupStatus = async (groupId) => {
+  const bookings = await Booking.find({ group: groupId }).select('status');
+  const live = bookings.filter(booking => booking.status !== BOOKING_STATUS.CANCELLED);
+
+  let status = GROUP_STATUS.PENDING;
+  if (bookings.length > 0 && live.length === 0) {
+    status = GROUP_STATUS.CANCELLED;
+  } else if (live.length > 0 && live.every(booking => booking.status !== BOOKING_STATUS.PENDING)) {
+    status = GROUP_STATUS.CONFIRMED;
+  }
+
+  return GroupReservation.findByIdAndUpdate(groupId, { status }, { new: true });
+};
+
+// Bookings of a group to act on: all of them, or the listed ones (which must belong to it)
+const selectGroupBookings = async (group, bookingIds) => {
+  const bookings = await getGroupBookings(group._id);
+  if (!bookingIds) {
+    return bookings;
+  }
+
+  const ids = bookingIds.map(id => id.toString());
+  const selected = bookings.filter(booking => ids.includes(booking._id.toString()));
+  if (selected.length !== new Set(ids).size) {
+    throw new AppError('Some of the bookings are not part of this group', 400);
+  }
+  return selected;
+};
+
+// Run an action on several bookings; one failure doesn't stop the others
+const forEachBooking = async (bookings, action) => {
+  const results = [];
+  for (const booking of bookings) {
+    try {
+      const result = await action(booking);
+      results.push({ booking: booking._id, status: result.status });
+    } catch (error) {
+      results.push({ booking: booking._id, status: booking.status, error: error.message });
+    }
+  }
+  return results;
+};
+
+// Confirm the group's pending rooms, or only the listed ones
+const confirmGroupBookings = async (group, bookingIds, { actor } = {}) => {
+  const bookings = (await selectGroupBookings(group, bookingIds))
+    .filter(booking => bookingIds || booking.status === BOOKING_STATUS.PENDING);
+
+  const results = await forEachBooking(bookings, booking =>
+    transitionBooking(booking._id, BOOKING_STATUS.CONFIRMED, { actor, note: 'Group confirmation' })
+  );
+
+  return { group: await refreshGroupStatus(group._id), results };
+};
+
+// Cancel every room of the group that hasn't checked in, or only the listed ones
+const cancelGroupBookings = async (group, bookingIds, { reason, actor, waivePenalty = false } = {}) => {
+  const bookings = (await selectGroupBookings(group, bookingIds))
+    .filter(booking => bookingIds || ACTIVE_STATUSES.includes(booking.status));
+
+  const results = await forEachBooking(bookings, async booking => {
+    const { booking: cancelled } = await cancelBookingWithRefund(booking, { reason, actor, waivePenalty });
+    return cancelled;
+  });
+
+  return { group: await refreshGroupStatus(group._id), results };
+};
+
+// Name the guests staying in the group's rooms
+const updateRoomingList = async (group, entries) => {
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new AppError('Please provide rooming list entries', 400);
+  }
+
+  const bookings = await selectGroupBookings(group, entries.map(entry => entry.booking));
+  const cancelled = bookings.filter(booking => booking.status === BOOKING_STATUS.CANCELLED);
+  if (cancelled.length > 0) {
+    throw new AppError('Cancelled or released rooms cannot be assigned', 400, {
+      bookings: cancelled.map(booking => booking._id)
+    });
+  }
+
+  entries.forEach(entry => {
+    const line = group.roomingList.find(item => item.booking.toString() === entry.booking.toString());
+    line.guestName = entry.guestName;
+    line.guestEmail = entry.guestEmail;
+    line.assignedAt = entry.guestName ? new Date() : undefined;
+  });
+
+  return group.save();
+};
+
+// Release rooms that have no guest on the rooming list. The hotel takes
+// them back, so nothing is kept as a cancellation penalty.
+const releaseUnclaimedRooms = async (group, { actor } = {}) => {
+  const unclaimed = group.roomingList
+    .filter(entry => !entry.guestName)
+    .map(entry => entry.booking);
+
+  const bookings = unclaimed.length > 0
+    ? (await selectGroupBookings(group, unclaimed)).filter(booking => ACTIVE_STATUSES.includes(booking.status))
+    : [];
+
+  const { results } = await cancelGroupBookings(group, bookings.map(booking => booking._id), {
+    reason: 'Unclaimed at the group cutoff date',
+    actor,
+    waivePenalty: true
+  });
+
+  const updated = await GroupReservation.findByIdAndUpdate(
+    group._id,
+    { roomsReleasedAt: new Date() },
+    { new: true }
+  );
+
+  logger.info(`Released ${results.filter(result => !result.error).length} unclaimed rooms of group ${group._id}`);
+  return { group: updated, results };
+};
+
+// Release unclaimed rooms of every group past its cutoff date
+const releaseExpiredGroups = async () => {
+  const groups = await GroupReservation.find({
+    cutoffDate: { $lte: new Date() },
+    roomsReleasedAt: null,
+    status: { $ne: GROUP_STATUS.CANCELLED }
+  });
+
+  for (const group of groups) {
+    try {
+      await releaseUnclaimedRooms(group);
+    } catch (error) {
+      logger.error(`Error releasing rooms of group ${group._id}: ${error.message}`);
+    }
+  }
+
+  return groups.length;
+};
+
+// Money across the group: its master folio plus each room's folio
+const getGroupAccount = async (group) => {
+  const [master, bookings] = await Promise.all([
+    getGroupFolio(group._id),
+    getGroupBookings(group._id)
+  ]);
+  const folios = await Folio.find({ booking: { $in: bookings.map(booking => booking._id) } });
+  const folioByBooking = new Map(folios.map(folio => [folio.booking.toString(), folio]));
+
+  const rooms = bookings.map(booking => {
+    const folio = folioByBooking.get(booking._id.toString());
+    const entry = group.roomingList.find(item => item.booking.toString() === booking._id.toString());
+    return {
+      booking: booking._id,
+      roomNumber: booking.room && booking.room.roomNumber,
+      guestName: entry && entry.guestName,
+      status: booking.status,
+      chargesTotal: folio ? folio.chargesTotal : 0,
+      netPaid: folio ? folio.netPaid : 0,
+      balance: folio ? folio.balance : 0
+    };
+  });
+
+  const sum = (values) => roundCurrency(values.reduce((total, value) => total + value, 0));
+  const masterBalance = master ? master.balance : 0;
+
+  return {
+    master,
+    rooms,
+    totals: {
+      chargesTotal: sum([master ? master.chargesTotal : 0, ...rooms.map(room => room.chargesTotal)]),
+      netPaid: sum([master ? master.netPaid : 0, ...rooms.map(room => room.netPaid)]),
+      balance: sum([masterBalance, ...rooms.map(room => room.balance)])
+    }
+  };
+};
+
+module.exports = {
+  getGroupBookings,
+  addGroupRooms,
+  createGroupReservation,
+  refreshGroupStatus,
+  confirmGroupBookings,
+  cancelGroupBookings,
+  updateRoomingList,
+  releaseUnclaimedRooms,
+  releaseExpiredGroups,
+  getGroupAccount
+};
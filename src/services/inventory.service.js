@@ -0,0 +1,189 @@
+const Room = require('../models/room.model');
+const RoomNight = require('../models/roomNight.model');
+const { AppError } = require('../middleware/errorHandler');
+const {
+  getStayNights,
+  isRoomInService,
+  isUnderMaintenance,
+  formatNight
+} = require('./reservation.service');
+
+const DUPLICATE_KEY = 11000;
+
+// Another request took the same inventory slot; worth trying again
+const MAX_RESERVE_ATTEMPTS = 3;
+
+const isDuplicateKey = (error) =>
+  error.code === DUPLICATE_KEY || (error.writeErrors || []).some(e => e.code === DUPLICATE_KEY);
+
+// Rooms of a type that can be sold on each night: active, not out of order
+// and not under maintenance that night
+const getSellableRooms = async (roomType, nights) => {
+  const rooms = (await Room.find({ type: roomType })).filter(isRoomInService);
+  return nights.map(night => rooms.filter(room => !isUnderMaintenance(room, night)));
+};
+
+// Type-level inventory for a stay: per night, the rooms that can be sold,
+// the nights already held (assigned or not) and what is left
+const getTypeInventory = async (roomType, checkIn, checkOut) => {
+  const nights = getStayNights(checkIn, checkOut);
+  const [sellable, held] = await Promise.all([
+    getSellableRooms(roomType, nights),
+    RoomNight.aggregate([
+      { $match: { roomType, night: { $in: nights } } },
+      { $group: { _id: '$night', count: { $sum: 1 } } }
+    ])
+  ]);
+  const heldByNight = new Map(held.map(row => [row._id.getTime(), row.count]));
+
+  return nights.map((night, index) => {
+    const heldCount = heldByNight.get(night.getTime()) || 0;
+    return {
+      night: formatNight(night),
+      sellable: sellable[index].length,
+      held: heldCount,
+      available: Math.max(sellable[index].length - heldCount, 0)
+    };
+  });
+};
+
+const throwRoomClash = async (room, booking, nights) => {
+  const clashes = await RoomNight.find({
+    room,
+    night: { $in: nights },
+    booking: { $ne: booking }
+  }).sort('night');
+
+  throw new AppError(
+    'Room is already booked for some of the requested dates',
+    409,
+    { conflictingDates: clashes.map(clash => formatNight(clash.night)) }
+  );
+};
+
+// One attempt at holding the nights; returns false if a slot was taken meanwhile
+const holdNights = async ({ room, roomType, booking, nights }) => {
+  const held = await RoomNight.find({ booking, roomType, night: { $in: nights } });
+  const heldKeys = new Set(held.map(roomNight => roomNight.night.getTime()));
+  const newNights = nights.filter(night => !heldKeys.has(night.getTime()));
+
+  // Nights already held keep their slot and move to the room, if one is given
+  if (room && held.length > 0) {
+    try {
+      await RoomNight.updateMany(
+        { booking, roomType, night: { $in: [...heldKeys].map(key => new Date(key)) }, room: { $ne: room } },
+        { room }
+      );
+    } catch (error) {
+      if (!isDuplicateKey(error)) throw error;
+      await throwRoomClash(room, booking, held.map(roomNight => roomNight.night));
+    }
+  }
+
+  if (newNights.length === 0) {
+    return true;
+  }
+
+  const [sellable, taken] = await Promise.all([
+    getSellableRooms(roomType, newNights),
+    RoomNight.find({ roomType, night: { $in: newNights } }).select('night slot')
+  ]);
+
+  const soldOut = [];
+  const docs = newNights.map((night, index) => {
+    const used = new Set(taken
+      .filter(roomNight => roomNight.night.getTime() === night.getTime())
+      .map(roomNight => roomNight.slot));
+
+    let slot = 0;
+    while (used.has(slot)) slot += 1;
+    if (slot >= sellable[index].length) soldOut.push(night);
+
+    return { roomType, ...(room && { room }), night, slot, booking };
+  });
+
+  if (soldOut.length > 0) {
+    throw new AppError(
+      `No ${roomType} rooms are left for some of the requested dates`,
+      409,
+      { soldOutDates: soldOut.map(formatNight) }
+    );
+  }
+
+  try {
+    await RoomNight.insertMany(docs, { ordered: false });
+    return true;
+  } catch (error) {
+    if (!isDuplicateKey(error)) throw error;
+
+    // Give back whatever this attempt managed to insert
+    await RoomNight.deleteMany({ booking, roomType, night: { $in: newNights } });
+
+    if (room && await RoomNight.exists({ room, night: { $in: newNights }, booking: { $ne: booking } })) {
+      await throwRoomClash(room, booking, newNights);
+    }
+    return false;
+  }
+};
+
+// Hold every night of a stay for a booking: a unit of the room type's
+// inventory and, when given, the room itself. Nights the booking already
+// holds are kept, so this also works when a booking changes dates or gets
+// its room assigned. Throws a 409 listing sold out or clashing dates.
+const reserveRoomNights = async ({ room, roomType, booking, checkIn, checkOut }) => {
+  const nights = getStayNights(checkIn, checkOut);
+
+  for (let attempt = 1; ; attempt += 1) {
+    if (await holdNights({ room, roomType, booking, nights })) break;
+
+    if (attempt >= MAX_RESERVE_ATTEMPTS) {
+      throw new AppError('The room inventory changed while booking. Please try again.', 409);
+    }
+  }
+
+  // Release nights this booking no longer needs (moved dates or room type)
+  await RoomNight.deleteMany({
+    booking,
+    $or: [
+      { roomType: { $ne: roomType } },
+      { night: { $nin: nights } }
+    ]
+  });
+
+  return nights;
+};
+
+// Release every night held by a booking
+const releaseRoomNights = (booking) => RoomNight.deleteMany({ booking });
+
+// Keep the booking's inventory but free the room it was assigned
+const unassignRoomNights = (booking) => RoomNight.updateMany({ booking }, { $unset: { room: 1 } });
+
+// Rooms of a type that are sellable and free for a whole stay, apart from
+// nights held by `booking` itself
+const findFreeRooms = async (roomType, checkIn, checkOut, { booking } = {}) => {
+  const nights = getStayNights(checkIn, checkOut);
+  const sellable = await getSellableRooms(roomType, nights);
+  const candidates = sellable.reduce(
+    (rooms, night) => rooms.filter(room => night.some(other => other._id.equals(room._id))),
+    sellable[0] || []
+  );
+
+  const busy = await RoomNight.distinct('room', {
+    room: { $in: candidates.map(room => room._id) },
+    night: { $in: nights },
+    ...(booking && { booking: { $ne: booking } })
+  });
+  const busyKeys = new Set(busy.map(id => id.toString()));
+
+  return candidates.filter(room => !busyKeys.has(room._id.toString()));
+};
+
+module.exports = {
+  getSellableRooms,
+  getTypeInventory,
+  reserveRoomNights,
+  releaseRoomNights,
+  unassignRoomNights,
+  findFreeRooms
+};
@@ -0,0 +1,589 @@
+const mongoose = require('mongoose');
+const PDFDocument = require('pdfkit');
+const moment = require('moment');
+const Invoice = require('../models/invoice.model');
+const User = require('../models/user.model');
+const { AppError } = require('../middleware/errorHandler');
+const { roundCurrency } = require('./pricing.service');
+const { getFolio } = require('./folio.service');
+const { getCurrency } = require('./paymentGateway.service');
+const {
+  INVOICE_TYPE,
+  FOLIO_ENTRY_TYPE,
+  FOLIO_CHARGE_CATEGORY,
+  TAX_CATEGORY,
+  TAX_KIND,
+  EVENT_PARTICIPANT_STATUS
+} = require('../utils/constants');
+
+const NUMBER_PREFIX = {
+  [INVOICE_TYPE.INVOICE]: 'INV',
+  [INVOICE_TYPE.CREDIT_NOTE]: 'CN'
+};
+
+const MAX_ISSUE_ATTEMPTS = 5;
+
+// Registrations that can be invoiced; offered spots only once claimed
+const INVOICEABLE_PARTICIPANT_STATUSES = [EVENT_PARTICIPANT_STATUS.REGISTERED, EVENT_PARTICIPANT_STATUS.ATTENDED];
+const DUPLICATE_KEY = 11000;
+
+const getProperty = () => ({
+  code: process.env.PROPERTY_CODE || 'R360',
+  name: process.env.PROPERTY_NAME || 'Resort 360',
+  address: process.env.PROPERTY_ADDRESS || ''
+});
+
+const formatNumber = (type, property, sequence) =>
+  `${NUMBER_PREFIX[type]}-${property}-${String(sequence).padStart(6, '0')}`;
+
+const isDuplicate = (error) => error.code === DUPLICATE_KEY;
+
+// Save a document with the next number of its series. Numbers are only taken
+// by documents that were actually saved, so the series has no gaps; two
+// requests racing for the same number hit the unique index and the loser retries.
+const createWithNextNumber = async (fields) => {
+  const property = getProperty().code;
+
+  for (let attempt = 1; ; attempt += 1) {
+    const last = await Invoice.findOne({ property, type: fields.type }).sort('-sequence').select('sequence');
+    const sequence = last ? last.sequence + 1 : 1;
+
+    try {
+      return await Invoice.create({
+        ...fields,
+        property,
+        sequence,
+        number: formatNumber(fields.type, property, sequence)
+      });
+    } catch (error) {
+      const numberTaken = isDuplicate(error) && error.keyPattern && error.keyPattern.sequence;
+      if (!numberTaken || attempt >= MAX_ISSUE_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+};
+
+// Documents of a booking, or of a guest's registration for an event
+const ownerOf = (invoice) => (invoice.booking
+  ? { booking: invoice.booking }
+  : { event: invoice.event, guest: invoice.guest });
+
+const nextRevision = async (owner, type) =>
+  (await Invoice.countDocuments({ ...owner, type })) + 1;
+
+const findInvoices = (owner) => Invoice.find(owner).sort('-issuedAt -sequence');
+
+// Every invoice and credit note of a booking, newest first
+const getBookingInvoices = (bookingId) => findInvoices({ booking: bookingId });
+
+// Every invoice and credit note of a guest's event registration, newest first
+const getEventInvoices = (eventId, guestId) => findInvoices({ event: eventId, guest: guestId });
+
+// The owner's invoice that hasn't been cancelled by a credit note, if any
+const findCurrentInvoice = async (owner) => {
+  const documents = await findInvoices(owner);
+  const credited = new Set(
+    documents
+      .filter(doc => doc.type === INVOICE_TYPE.CREDIT_NOTE)
+      .map(doc => doc.originalInvoice.toString())
+  );
+
+  return documents.find(doc => doc.type === INVOICE_TYPE.INVOICE && !credited.has(doc._id.toString())) || null;
+};
+
+const getCurrentInvoice = (bookingId) => findCurrentInvoice({ booking: bookingId });
+
+const getCurrentEventInvoice = (eventId, guestId) => findCurrentInvoice({ event: eventId, guest: guestId });
+
+const describeGuest = (guest = {}) => ({
+  name: [guest.firstName, guest.lastName].filter(Boolean).join(' '),
+  email: guest.email
+});
+
+// Invoice contents from the booking's folio as it is now
+const buildInvoiceFields = async (booking) => {
+  const folio = await getFolio(booking._id);
+  if (!folio || folio.entries.length === 0) {
+    throw new AppError('There is nothing to invoice on this booking yet', 400);
+  }
+
+  const lines = folio.entries
+    .filter(entry => entry.type === FOLIO_ENTRY_TYPE.CHARGE)
+    .map(entry => ({
+      description: entry.description,
+      category: entry.category,
+      date: entry.date || entry.postedAt,
+      quantity: entry.quantity,
+      amount: entry.amount
+    }));
+
+  const payments = folio.entries
+    .filter(entry => entry.type !== FOLIO_ENTRY_TYPE.CHARGE)
+    .map(entry => ({
+      type: entry.type,
+      description: entry.description,
+      method: entry.method,
+      transactionId: entry.transactionId,
+      date: entry.postedAt,
+      amount: entry.amount
+    }));
+
+  const taxTotal = roundCurrency(
+    lines
+      .filter(line => line.category === FOLIO_CHARGE_CATEGORY.TAX)
+      .reduce((sum, line) => sum + line.amount, 0)
+  );
+
+  return {
+    booking: booking._id,
+    billTo: describeGuest(booking.guest),
+    stay: {
+      roomNumber: booking.room && booking.room.roomNumber,
+      checkIn: booking.checkIn,
+      checkOut: booking.checkOut
+    },
+    currency: getCurrency(),
+    lines,
+    payments,
+    subtotal: roundCurrency(folio.chargesTotal - taxTotal),
+    taxTotal,
+    total: folio.chargesTotal,
+    amountPaid: roundCurrency(folio.paymentsTotal - folio.refundsTotal),
+    balanceDue: folio.balance
+  };
+};
+
+// Invoice contents of a guest's event registration: the ticket and its taxes
+// and fees at the price the guest registered at
+const buildEventInvoiceFields = async (event, guestId) => {
+  const participant = [...event.participants].reverse().find(entry =>
+    entry.guest && (entry.guest._id || entry.guest).toString() === guestId.toString() &&
+    INVOICEABLE_PARTICIPANT_STATUSES.includes(entry.status)
+  );
+  if (!participant) {
+    throw new AppError('This guest has no registration for the event', 404);
+  }
+
+  const guest = await User.findById(guestId).select('firstName lastName email');
+  const lines = [
+    {
+      description: `Ticket: ${event.title}`,
+      category: TAX_CATEGORY.EVENT,
+      date: event.startDate,
+      quantity: 1,
+      amount: participant.price
+    },
+    ...participant.taxes.map(tax => ({
+      description: tax.name,
+      category: tax.kind === TAX_KIND.FEE ? FOLIO_CHARGE_CATEGORY.FEE : FOLIO_CHARGE_CATEGORY.TAX,
+      date: event.startDate,
+      quantity: 1,
+      amount: tax.amount
+    }))
+  ];
+
+  const taxTotal = roundCurrency(
+    lines
+      .filter(line => line.category === FOLIO_CHARGE_CATEGORY.TAX)
+      .reduce((sum, line) => sum + line.amount, 0)
+  );
+
+  return {
+    event: event._id,
+    guest: guestId,
+    billTo: describeGuest(guest || {}),
+    eventDetails: {
+      title: event.title,
+      startDate: event.startDate,
+      endDate: event.endDate
+    },
+    currency: getCurrency(),
+    lines,
+    payments: [],
+    subtotal: roundCurrency(participant.amountDue - taxTotal),
+    taxTotal,
+    total: participant.amountDue,
+    amountPaid: 0,
+    balanceDue: participant.amountDue
+  };
+};
+
+// What the invoice would say if it were issued now. It isn't numbered or stored.
+const buildProForma = (fields) => ({
+  ...fields,
+  type: INVOICE_TYPE.INVOICE,
+  proForma: true,
+  number: 'PRO-FORMA',
+  issuedAt: new Date()
+});
+
+// Issue the owner's invoice from `fields` (built when called). An owner has
+// one open invoice at a time; a credit note has to cancel it first.
+const issueInvoiceFor = async (owner, buildFields, { actor } = {}) => {
+  for (let attempt = 1; ; attempt += 1) {
+    const current = await findCurrentInvoice(owner);
+    if (current) {
+      throw new AppError(
+        `Invoice ${current.number} is already issued. Issue a credit note to correct it.`,
+        400,
+        { invoice: current.number }
+      );
+    }
+
+    try {
+      return await createWithNextNumber({
+        ...(await buildFields()),
+        type: INVOICE_TYPE.INVOICE,
+        revision: await nextRevision(owner, INVOICE_TYPE.INVOICE),
+        issuedBy: actor
+      });
+    } catch (error) {
+      // Someone else issued it at the same time; the next pass reports theirs
+      if (!isDuplicate(error) || attempt >= MAX_ISSUE_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+};
+
+// Issue the booking's invoice from its folio as it is now (staff, or at check-out)
+const issueInvoice = (booking, { actor } = {}) =>
+  issueInvoiceFor({ booking: booking._id }, () => buildInvoiceFields(booking), { actor });
+
+// Issue the invoice of a guest's event registration
+const issueEventInvoice = (event, guestId, { actor } = {}) =>
+  issueInvoiceFor({ event: event._id, guest: guestId }, () => buildEventInvoiceFields(event, guestId), { actor });
+
+// The booking's issued invoice, or a pro-forma from its folio until one is issued
+const getBookingInvoice = async (booking) =>
+  (await getCurrentInvoice(booking._id)) || buildProForma(await buildInvoiceFields(booking));
+
+// A guest's issued event invoice, or a pro-forma until one is issued
+const getEventInvoice = async (event, guestId) =>
+  (await getCurrentEventInvoice(event._id, guestId)) || buildProForma(await buildEventInvoiceFields(event, guestId));
+
+// Receipt for a payment or refund posted to a booking's folio. Folio entries
+// never change, so the receipt is built from the entry each time.
+const getPaymentReceipt = async (booking, entryId) => {
+  const folio = await getFolio(booking._id);
+  const entry = folio && mongoose.isValidObjectId(entryId) && folio.entries.id(entryId);
+  if (!entry || entry.type === FOLIO_ENTRY_TYPE.CHARGE) {
+    throw new AppError('Payment not found on this booking', 404);
+  }
+
+  return {
+    number: `RCT-${getProperty().code}-${entry._id}`,
+    type: entry.type,
+    booking: booking._id,
+    billTo: describeGuest(booking.guest),
+    stay: {
+      roomNumber: booking.room && booking.room.roomNumber,
+      checkIn: booking.checkIn,
+      checkOut: booking.checkOut
+    },
+    currency: getCurrency(),
+    description: entry.description,
+    method: entry.method,
+    transactionId: entry.transactionId,
+    amount: entry.amount,
+    date: entry.postedAt,
+    balanceAfter: entry.balanceAfter
+  };
+};
+
+// Cancel an invoice with a credit note for its full amount
+const issueCreditNote = async (invoice, { reason, actor } = {}) => {
+  if (!reason) {
+    throw new AppError('Please provide a reason for the credit note', 400);
+  }
+
+  const negate = amount => roundCurrency(-amount);
+
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      return await createWithNextNumber({
+        type: INVOICE_TYPE.CREDIT_NOTE,
+        ...ownerOf(invoice),
+        revision: await nextRevision(ownerOf(invoice), INVOICE_TYPE.CREDIT_NOTE),
+        originalInvoice: invoice._id,
+        reason,
+        billTo: invoice.billTo,
+        stay: invoice.stay,
+        eventDetails: invoice.eventDetails,
+        currency: invoice.currency,
+        lines: invoice.lines.map(line => ({
+          description: line.description,
+          category: line.category,
+          date: line.date,
+          quantity: line.quantity,
+          amount: negate(line.amount)
+        })),
+        payments: [],
+        subtotal: negate(invoice.subtotal),
+        taxTotal: negate(invoice.taxTotal),
+        total: negate(invoice.total),
+        amountPaid: 0,
+        balanceDue: negate(invoice.total),
+        issuedBy: actor
+      });
+    } catch (error) {
+      if (isDuplicate(error) && error.keyPattern && error.keyPattern.originalInvoice) {
+        throw new AppError(`Invoice ${invoice.number} already has a credit note`, 400);
+      }
+      if (!isDuplicate(error) || attempt >= MAX_ISSUE_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+};
+
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const formatMoney = (amount, currency) => `${(amount || 0).toFixed(2)} ${(currency || '').toUpperCase()}`;
+const formatDate = (date) => (date ? moment.utc(date).format('YYYY-MM-DD') : '');
+
+const documentTitle = (invoice) => {
+  if (invoice.proForma) return 'Pro-forma Invoice';
+  return invoice.type === INVOICE_TYPE.CREDIT_NOTE ? 'Credit Note' : 'Invoice';
+};
+
+// Pro-formas have no number of their own
+const documentHeading = (invoice) =>
+  (invoice.proForma ? documentTitle(invoice) : `${documentTitle(invoice)} ${invoice.number}`);
+
+// What was billed: the stay, or the event
+const describeSubject = (invoice) => {
+  const details = invoice.eventDetails;
+  if (details && details.title) {
+    return `${details.title}, ${formatDate(details.startDate)}`;
+  }
+  return `Room ${invoice.stay.roomNumber || ''}, ${formatDate(invoice.stay.checkIn)} to ${formatDate(invoice.stay.checkOut)}`;
+};
+
+// Render an invoice or credit note as a standalone HTML page
+const renderInvoiceHtml = (invoice) => {
+  const property = getProperty();
+  const money = amount => escapeHtml(formatMoney(amount, invoice.currency));
+
+  const lineRows = invoice.lines.map(line => `
+        <tr>
+          <td>${escapeHtml(formatDate(line.date))}</td>
+          <td>${escapeHtml(line.description)}</td>
+          <td class="amount">${money(line.amount)}</td>
+        </tr>`).join('');
+
+  const paymentRows = invoice.payments.map(payment => `
+        <tr>
+          <td>${escapeHtml(formatDate(payment.date))}</td>
+          <td>${escapeHtml(payment.description)}${payment.transactionId ? ` (${escapeHtml(payment.transactionId)})` : ''}</td>
+          <td class="amount">${money(payment.type === FOLIO_ENTRY_TYPE.REFUND ? payment.amount : -payment.amount)}</td>
+        </tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="utf-8">
+    <title>${escapeHtml(documentHeading(invoice))}</title>
+    <style>
+      body { font-family: Helvetica, Arial, sans-serif; margin: 40px; color: #222; }
+      table { width: 100%; border-collapse: collapse; margin-top: 16px; }
+      th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #ddd; }
+      .amount { text-align: right; }
+      .totals td { border: none; }
+    </style>
+  </head>
+  <body>
+    <h1>${escapeHtml(property.name)}</h1>
+    <p>${escapeHtml(property.address)}</p>
+    <h2>${escapeHtml(documentHeading(invoice))}</h2>
+    <p>${invoice.proForma ? 'Prepared' : 'Issued'} ${escapeHtml(formatDate(invoice.issuedAt))}</p>
+    ${invoice.proForma ? '<p>Not an invoice; the charges may still change until the invoice is issued.</p>' : ''}
+    ${invoice.reason ? `<p>Reason: ${escapeHtml(invoice.reason)}</p>` : ''}
+    <p>
+      Bill to: ${escapeHtml(invoice.billTo.name)} &lt;${escapeHtml(invoice.billTo.email)}&gt;<br>
+      ${escapeHtml(describeSubject(invoice))}
+    </p>
+    <table>
+      <thead>
+        <tr><th>Date</th><th>Description</th><th class="amount">Amount</th></tr>
+      </thead>
+      <tbody>${lineRows}
+      </tbody>
+    </table>
+    <table class="totals">
+      <tr><td>Subtotal</td><td class="amount">${money(invoice.subtotal)}</td></tr>
+      <tr><td>Taxes</td><td class="amount">${money(invoice.taxTotal)}</td></tr>
+      <tr><td><strong>Total</strong></td><td class="amount"><strong>${money(invoice.total)}</strong></td></tr>
+    </table>
+    ${paymentRows ? `<h3>Payments</h3>
+    <table>
+      <tbody>${paymentRows}
+      </tbody>
+    </table>` : ''}
+    <table class="totals">
+      <tr><td>Paid</td><td class="amount">${money(invoice.amountPaid)}</td></tr>
+      <tr><td><strong>Balance due</strong></td><td class="amount"><strong>${money(invoice.balanceDue)}</strong></td></tr>
+    </table>
+  </body>
+</html>
+`;
+};
+
+// Render an invoice or credit note as a PDF buffer
+const renderInvoicePdf = (invoice) => new Promise((resolve, reject) => {
+  const property = getProperty();
+  const money = amount => formatMoney(amount, invoice.currency);
+  const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: documentHeading(invoice) } });
+  const chunks = [];
+
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const row = (left, right, options = {}) => {
+    const y = doc.y;
+    doc.font(options.bold ? 'Helvetica-Bold' : 'Helvetica')
+      .text(left, 50, y, { width: 360 })
+      .text(right, 410, y, { width: 135, align: 'right' });
+    doc.moveDown(0.3);
+  };
+
+  doc.font('Helvetica-Bold').fontSize(18).text(property.name);
+  doc.font('Helvetica').fontSize(10).text(property.address);
+  doc.moveDown();
+  doc.font('Helvetica-Bold').fontSize(14).text(documentHeading(invoice));
+  doc.font('Helvetica').fontSize(10).text(`${invoice.proForma ? 'Prepared' : 'Issued'} ${formatDate(invoice.issuedAt)}`);
+  if (invoice.proForma) {
+    doc.text('Not an invoice; the charges may still change until the invoice is issued.');
+  }
+  if (invoice.reason) {
+    doc.text(`Reason: ${invoice.reason}`);
+  }
+  doc.moveDown();
+  doc.text(`Bill to: ${invoice.billTo.name} <${invoice.billTo.email}>`);
+  doc.text(describeSubject(invoice));
+  doc.moveDown();
+
+  invoice.lines.forEach(line => row(`${formatDate(line.date)}  ${line.description}`, money(line.amount)));
+  doc.moveDown(0.5);
+  row('Subtotal', money(invoice.subtotal));
+  row('Taxes', money(invoice.taxTotal));
+  row('Total', money(invoice.total), { bold: true });
+
+  if (invoice.payments.length > 0) {
+    doc.moveDown();
+    doc.font('Helvetica-Bold').text('Payments');
+    invoice.payments.forEach(payment => row(
+      `${formatDate(payment.date)}  ${payment.description}`,
+      money(payment.type === FOLIO_ENTRY_TYPE.REFUND ? payment.amount : -payment.amount)
+    ));
+  }
+
+  doc.moveDown(0.5);
+  row('Paid', money(invoice.amountPaid));
+  row('Balance due', money(invoice.balanceDue), { bold: true });
+
+  doc.end();
+});
+
+const receiptTitle = (receipt) =>
+  receipt.type === FOLIO_ENTRY_TYPE.REFUND ? 'Refund Receipt' : 'Payment Receipt';
+
+// Render a payment or refund receipt as a standalone HTML page
+const renderReceiptHtml = (receipt) => {
+  const property = getProperty();
+  const money = amount => escapeHtml(formatMoney(amount, receipt.currency));
+
+  return `<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="utf-8">
+    <title>${receiptTitle(receipt)} ${escapeHtml(receipt.number)}</title>
+    <style>
+      body { font-family: Helvetica, Arial, sans-serif; margin: 40px; color: #222; }
+      table { width: 100%; border-collapse: collapse; margin-top: 16px; }
+      td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #ddd; }
+      .amount { text-align: right; }
+    </style>
+  </head>
+  <body>
+    <h1>${escapeHtml(property.name)}</h1>
+    <p>${escapeHtml(property.address)}</p>
+    <h2>${receiptTitle(receipt)} ${escapeHtml(receipt.number)}</h2>
+    <p>
+      Received ${receipt.type === FOLIO_ENTRY_TYPE.REFUND ? 'by' : 'from'}: ${escapeHtml(receipt.billTo.name)} &lt;${escapeHtml(receipt.billTo.email)}&gt;<br>
+      ${escapeHtml(describeSubject(receipt))}
+    </p>
+    <table>
+      <tr><td>Date</td><td class="amount">${escapeHtml(formatDate(receipt.date))}</td></tr>
+      <tr><td>Description</td><td class="amount">${escapeHtml(receipt.description)}</td></tr>
+      ${receipt.method ? `<tr><td>Method</td><td class="amount">${escapeHtml(receipt.method)}</td></tr>` : ''}
+      ${receipt.transactionId ? `<tr><td>Transaction</td><td class="amount">${escapeHtml(receipt.transactionId)}</td></tr>` : ''}
+      <tr><td><strong>Amount</strong></td><td class="amount"><strong>${money(receipt.amount)}</strong></td></tr>
+      <tr><td>Balance after</td><td class="amount">${money(receipt.balanceAfter)}</td></tr>
+    </table>
+  </body>
+</html>
+`;
+};
+
+// Render a payment or refund receipt as a PDF buffer
+const renderReceiptPdf = (receipt) => new Promise((resolve, reject) => {
+  const property = getProperty();
+  const money = amount => formatMoney(amount, receipt.currency);
+  const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: `${receiptTitle(receipt)} ${receipt.number}` } });
+  const chunks = [];
+
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const row = (left, right, options = {}) => {
+    const y = doc.y;
+    doc.font(options.bold ? 'Helvetica-Bold' : 'Helvetica')
+      .text(left, 50, y, { width: 200 })
+      .text(right, 250, y, { width: 295, align: 'right' });
+    doc.moveDown(0.3);
+  };
+
+  doc.font('Helvetica-Bold').fontSize(18).text(property.name);
+  doc.font('Helvetica').fontSize(10).text(property.address);
+  doc.moveDown();
+  doc.font('Helvetica-Bold').fontSize(14).text(`${receiptTitle(receipt)} ${receipt.number}`);
+  doc.font('Helvetica').fontSize(10);
+  doc.text(`Received ${receipt.type === FOLIO_ENTRY_TYPE.REFUND ? 'by' : 'from'}: ${receipt.billTo.name} <${receipt.billTo.email}>`);
+  doc.text(describeSubject(receipt));
+  doc.moveDown();
+
+  row('Date', formatDate(receipt.date));
+  row('Description', receipt.description);
+  if (receipt.method) row('Method', receipt.method);
+  if (receipt.transactionId) row('Transaction', receipt.transactionId);
+  row('Amount', money(receipt.amount), { bold: true });
+  row('Balance after', money(receipt.balanceAfter));
+
+  doc.end();
+});
+
+module.exports = {
+  getBookingInvoices,
+  getEventInvoices,
+  getCurrentInvoice,
+  getCurrentEventInvoice,
+  getBookingInvoice,
+  getEventInvoice,
+  issueInvoice,
+  issueEventInvoice,
+  issueCreditNote,
+  getPaymentReceipt,
+  renderInvoiceHtml,
+  renderInvoicePdf,
+  renderReceiptHtml,
+  renderReceiptPdf
+};
@@ -0,0 +1,131 @@
+const crypto = require('crypto');
+const { AppError } = require('../middleware/errorHandler');
+const { roundCurrency } = require('./pricing.service');
+
+// Signed webhooks older than this are rejected
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+// Payment method that the mock provider always declines
+const DECLINED_PAYMENT_METHOD = 'mock_declined';
+
+const randomId = (prefix) => `${prefix}_mock_${crypto.randomBytes(12).toString('hex')}`;
+
+const sign = (secret, timestamp, body) =>
+  crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+// Payment provider that keeps everything in memory.
+// Cards are authorised straight away, so intents can be captured immediately.
+const createMockPaymentProvider = ({ webhookSecret = process.env.PAYMENT_WEBHOOK_SECRET || 'mock-webhook-secret' } = {}) => {
+  const intents = new Map();
+
+  const findIntent = (intentId) => {
+    const intent = intents.get(intentId);
+    if (!intent) {
+      throw new AppError(`Unknown payment intent: ${intentId}`, 404);
+    }
+    return intent;
+  };
+
+  return {
+    name: 'mock',
+
+    async createPaymentIntent({ amount, currency, paymentMethod, metadata = {} }) {
+      const intent = {
+        id: randomId('pi'),
+        amount: roundCurrency(amount),
+        currency,
+        paymentMethod,
+        metadata,
+        status: 'requires_capture',
+        amountCaptured: 0,
+        amountRefunded: 0
+      };
+      intent.clientSecret = `${intent.id}_secret_${crypto.randomBytes(8).toString('hex')}`;
+
+      intents.set(intent.id, intent);
+      return { ...intent };
+    },
+
+    async capturePayment(intentId, { amount } = {}) {
+      const intent = findIntent(intentId);
+
+      if (intent.paymentMethod === DECLINED_PAYMENT_METHOD) {
+        intent.status = 'failed';
+        throw new AppError('The card was declined', 402);
+      }
+
+      if (intent.status !== 'requires_capture') {
+        throw new AppError(`Payment intent ${intentId} can't be captured in status ${intent.status}`, 400);
+      }
+
+      intent.amountCaptured = roundCurrency(Math.min(amount || intent.amount, intent.amount));
+      intent.status = 'succeeded';
+      intent.transactionId = randomId('ch');
+
+      return { ...intent };
+    },
+
+    async refundPayment(intentId, { amount }) {
+      const intent = findIntent(intentId);
+      const refundable = roundCurrency(intent.amountCaptured - intent.amountRefunded);
+
+      if (intent.status !== 'succeeded' || amount > refundable) {
+        throw new AppError(`Payment intent ${intentId} has only ${refundable} left to refund`, 400);
+      }
+
+      intent.amountRefunded = roundCurrency(intent.amountRefunded + amount);
+
+      return {
+        id: randomId('re'),
+        paymentIntent: intentId,
+        amount: roundCurrency(amount),
+        status: 'succeeded'
+      };
+    },
+
+    // Header format: "t=<unix seconds>,v1=<hex HMAC-SHA256 of `${t}.${rawBody}`>"
+    verifyWebhookSignature(rawBody, signatureHeader) {
+      const parts = Object.fromEntries(
+        String(signatureHeader || '')
+          .split(',')
+          .map(part => part.split('='))
+          .filter(pair => pair.length === 2)
+      );
+      const timestamp = parseInt(parts.t, 10);
+
+      if (!timestamp || !parts.v1) {
+        throw new AppError('Missing webhook signature', 400);
+      }
+
+      if (Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+        throw new AppError('Webhook signature has expired', 400);
+      }
+
+      const expected = Buffer.from(sign(webhookSecret, timestamp, rawBody));
+      const received = Buffer.from(parts.v1);
+      if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+        throw new AppError('Invalid webhook signature', 400);
+      }
+
+      try {
+        return JSON.parse(rawBody);
+      } catch (error) {
+        throw new AppError('Invalid webhook payload', 400);
+      }
+    },
+
+    // Sign a webhook payload the way verifyWebhookSignature expects (development and tests)
+    signWebhookPayload(payload, timestamp = Math.floor(Date.now() / 1000)) {
+      const body = JSON.stringify(payload);
+      return {
+        body,
+        signature: `t=${timestamp},v1=${sign(webhookSecret, timestamp, body)}`
+      };
+    }
+  };
+};
+
+module.exports = {
+  DECLINED_PAYMENT_METHOD,
+  createMockPaymentProvider
+};
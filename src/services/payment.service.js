@@ -0,0 +1,230 @@
+const Payment = require('../models/payment.model');
+const PaymentEvent = require('../models/paymentEvent.model');
+const Booking = require('../models/booking.model');
+const { AppError } = require('../middleware/errorHandler');
+const { logger } = require('../utils/logger');
+const { roundCurrency } = require('./pricing.service');
+const { recordPayment, recordRefund } = require('./folio.service');
+const { getPaymentProvider, getCurrency } = require('./paymentGateway.service');
+const { GATEWAY_PAYMENT_STATUS } = require('../utils/constants');
+
+const DUPLICATE_KEY = 11000;
+
+// Start a gateway payment for a booking; the guest completes it with the client secret
+const createBookingPaymentIntent = async (booking, { amount, paymentMethod, actor } = {}) => {
+  if (!(amount > 0)) {
+    throw new AppError('Payment amount must be greater than zero', 400);
+  }
+
+  const provider = getPaymentProvider();
+  const currency = getCurrency();
+  const intent = await provider.createPaymentIntent({
+    amount,
+    currency,
+    paymentMethod,
+    metadata: { booking: booking._id.toString() }
+  });
+
+  const payment = await Payment.create({
+    booking: booking._id,
+    provider: provider.name,
+    intentId: intent.id,
+    amount: intent.amount,
+    currency,
+    method: 'card',
+    createdBy: actor
+  });
+
+  return { payment, clientSecret: intent.clientSecret };
+};
+
+// Mark a payment captured and post it to the folio. Only the first caller
+// (capture request or webhook) gets to post it.
+const markCaptured = async (intentId, { amount, transactionId, actor }) => {
+  const payment = await Payment.findOneAndUpdate(
+    { intentId, status: GATEWAY_PAYMENT_STATUS.PENDING },
+    {
+      status: GATEWAY_PAYMENT_STATUS.CAPTURED,
+      capturedAmount: amount,
+      transactionId
+    },
+    { new: true }
+  );
+
+  if (!payment) {
+    return null;
+  }
+
+  const booking = await Booking.findById(payment.booking);
+  await recordPayment(booking, {
+    amount,
+    method: payment.method,
+    transactionId,
+    description: `Card payment (${payment.provider})`
+  }, { actor });
+
+  return payment;
+};
+
+const markFailed = (intentId, reason) =>
+  Payment.updateOne(
+    { intentId, status: GATEWAY_PAYMENT_STATUS.PENDING },
+    { status: GATEWAY_PAYMENT_STATUS.FAILED, failureReason: reason }
+  );
+
+// Capture an authorised payment
+const capturePayment = async (payment, { actor } = {}) => {
+  if (payment.status !== GATEWAY_PAYMENT_STATUS.PENDING) {
+    throw new AppError(`Payment is already ${payment.status}`, 400);
+  }
+
+  let captured;
+  try {
+    captured = await getPaymentProvider().capturePayment(payment.intentId);
+  } catch (error) {
+    if (error.statusCode === 402) {
+      await markFailed(payment.intentId, error.message);
+    }
+    throw error;
+  }
+
+  await markCaptured(payment.intentId, {
+    amount: captured.amountCaptured,
+    transactionId: captured.transactionId,
+    actor
+  });
+
+  return Payment.findById(payment._id);
+};
+
+// Authorise and capture in one go, e.g. a card taken at the front desk
+const chargeBooking = async (booking, { amount, paymentMethod, actor } = {}) => {
+  const { payment } = await createBookingPaymentIntent(booking, { amount, paymentMethod, actor });
+  return capturePayment(payment, { actor });
+};
+
+// Store a refund against its payment and post it to the folio, once per refund id
+const applyRefund = async (booking, intentId, { refundId, amount, description, actor }) => {
+  const payment = await Payment.findOneAndUpdate(
+    { intentId, 'refunds.refundId': { $ne: refundId } },
+    {
+      $inc: { refundedAmount: amount },
+      $push: { refunds: { refundId, amount } }
+    },
+    { new: true }
+  );
+
+  if (!payment) {
+    return null;
+  }
+
+  await recordRefund(booking || await Booking.findById(payment.booking), {
+    amount,
+    method: payment.method,
+    transactionId: refundId,
+    description
+  }, { actor });
+
+  return payment;
+};
+
+// Refund money paid on a booking, newest gateway payments first.
+// Whatever wasn't paid through the gateway is recorded as a manual refund.
+// When the gateway fails part way, the error's `refundedAmount` says how
+// much was refunded before it.
+const refundBooking = async (booking, amount, { actor, description = 'Refund' } = {}) => {
+  if (!(amount > 0)) {
+    throw new AppError('Refund amount must be greater than zero', 400);
+  }
+
+  const provider = getPaymentProvider();
+  const payments = await Payment.find({
+    booking: booking._id,
+    status: GATEWAY_PAYMENT_STATUS.CAPTURED
+  }).sort('-createdAt');
+
+  let remaining = roundCurrency(amount);
+
+  for (const payment of payments) {
+    if (remaining <= 0) break;
+    const refundAmount = roundCurrency(Math.min(payment.capturedAmount - payment.refundedAmount, remaining));
+    if (refundAmount <= 0) continue;
+
+    let refund;
+    try {
+      refund = await provider.refundPayment(payment.intentId, { amount: refundAmount });
+    } catch (error) {
+      error.refundedAmount = roundCurrency(amount - remaining);
+      throw error;
+    }
+    await applyRefund(booking, payment.intentId, {
+      refundId: refund.id,
+      amount: refundAmount,
+      description,
+      actor
+    });
+    remaining = roundCurrency(remaining - refundAmount);
+  }
+
+  if (remaining > 0) {
+    await recordRefund(booking, {
+      amount: remaining,
+      method: booking.paymentDetails && booking.paymentDetails.method,
+      description: `${description} (manual)`
+    }, { actor });
+  }
+};
+
+// Apply a verified webhook event. Events are recorded by id, so a retried
+// delivery is acknowledged without being applied twice.
+const handleWebhookEvent = async (event) => {
+  const provider = getPaymentProvider().name;
+
+  try {
+    await PaymentEvent.create({ provider, eventId: event.id, type: event.type });
+  } catch (error) {
+    if (error.code === DUPLICATE_KEY) {
+      return { duplicate: true };
+    }
+    throw error;
+  }
+
+  try {
+    const data = event.data || {};
+
+    switch (event.type) {
+      case 'payment_intent.succeeded':
+        await markCaptured(data.id, {
+          amount: data.amountCaptured || data.amount,
+          transactionId: data.transactionId
+        });
+        break;
+      case 'payment_intent.payment_failed':
+        await markFailed(data.id, data.failureReason);
+        break;
+      case 'refund.succeeded':
+        await applyRefund(null, data.paymentIntent, {
+          refundId: data.id,
+          amount: data.amount,
+          description: 'Refund'
+        });
+        break;
+      default:
+        logger.info(`Ignoring payment webhook event ${event.type}`);
+    }
+  } catch (error) {
+    // Let the provider's retry apply it
+    await PaymentEvent.deleteOne({ provider, eventId: event.id });
+    throw error;
+  }
+
+  return { duplicate: false };
+};
+
+module.exports = {
+  createBookingPaymentIntent,
+  capturePayment,
+  chargeBooking,
+  refundBooking,
+  handleWebhookEvent
+};
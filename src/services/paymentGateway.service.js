@@ -0,0 +1,53 @@
+const { createMockPaymentProvider } = require('./mockPaymentProvider');
+
+// A payment provider implements:
+//   createPaymentIntent({ amount, currency, paymentMethod, metadata }) -> { id, clientSecret, status, amount }
+//   capturePayment(intentId, { amount }) -> { id, status, amountCaptured, transactionId }
+//   refundPayment(intentId, { amount }) -> { id, amount, status }
+//   verifyWebhookSignature(rawBody, signatureHeader) -> parsed event, throws if the signature is bad
+// Register real providers here and pick one with PAYMENT_PROVIDER.
+const providerFactories = {
+  mock: createMockPaymentProvider
+};
+
+let provider;
+
+// Build the provider named by PAYMENT_PROVIDER (default "mock")
+const createProvider = () => {
+  const name = process.env.PAYMENT_PROVIDER || 'mock';
+  const factory = providerFactories[name];
+
+  if (!factory) {
+    throw new Error(`Unknown payment provider "${name}"`);
+  }
+
+  return factory();
+};
+
+// Get the active provider, creating it on first use
+const getPaymentProvider = () => {
+  if (!provider) {
+    provider = createProvider();
+  }
+  return provider;
+};
+
+// Replace the active provider (e.g. a fresh mock in tests).
+// Passing nothing resets it so the next call rebuilds it from the environment.
+const setPaymentProvider = (newProvider) => {
+  provider = newProvider;
+};
+
+// Make a provider available under a PAYMENT_PROVIDER name
+const registerPaymentProvider = (name, factory) => {
+  providerFactories[name] = factory;
+};
+
+const getCurrency = () => (process.env.PAYMENT_CURRENCY || 'usd').toLowerCase();
+
+module.exports = {
+  getPaymentProvider,
+  setPaymentProvider,
+  registerPaymentProvider,
+  getCurrency
+};
@@ -0,0 +1,144 @@
+const moment = require('moment');
+const { getStayNights, formatNight } = require('./reservation.service');
+const { AppError } = require('../middleware/errorHandler');
+const { BOOKING_ADD_ONS } = require('../utils/constants');
+
+// Defaults used when a discount doesn't set its own lead time limits
+const DEFAULT_EARLY_BIRD_LEAD_DAYS = 30;
+const DEFAULT_LAST_MINUTE_LEAD_DAYS = 3;
+const DEFAULT_LONG_STAY_NIGHTS = 7;
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+// Days between the booking date and check-in
+const getLeadDays = (checkIn, bookedAt = new Date()) =>
+  moment.utc(checkIn).startOf('day').diff(moment.utc(bookedAt).startOf('day'), 'days');
+
+// Seasonal pricing window covering a night, if any
+const findSeasonalPricing = (room, night) =>
+  (room.seasonalPricing || []).find(pricing =>
+    pricing.startDate && pricing.endDate &&
+    night >= moment.utc(pricing.startDate).startOf('day').toDate() &&
+    night <= pricing.endDate
+  );
+
+// Check if a discount applies to a night of a stay
+const isDiscountEligible = (discount, night, { leadDays, stayLength }) => {
+  if (discount.validFrom && night < moment.utc(discount.validFrom).startOf('day').toDate()) return false;
+  if (discount.validUntil && night > discount.validUntil) return false;
+  if (discount.minimumStay && stayLength < discount.minimumStay) return false;
+
+  switch (discount.type) {
+    case 'early-bird':
+      return leadDays >= (discount.minimumLeadDays ?? DEFAULT_EARLY_BIRD_LEAD_DAYS);
+    case 'last-minute':
+      return leadDays <= (discount.maximumLeadDays ?? DEFAULT_LAST_MINUTE_LEAD_DAYS);
+    case 'long-stay':
+      return stayLength >= (discount.minimumStay || DEFAULT_LONG_STAY_NIGHTS);
+    default:
+      return true;
+  }
+};
+
+// Price a single night. Discounts don't stack: the best eligible one wins.
+const priceNight = (room, night, { leadDays, stayLength }) => {
+  const seasonal = findSeasonalPricing(room, night);
+  const rate = seasonal ? seasonal.price : room.pricePerNight;
+
+  const discount = (room.discounts || [])
+    .filter(candidate => candidate.percentage > 0 && isDiscountEligible(candidate, night, { leadDays, stayLength }))
+    .sort((a, b) => b.percentage - a.percentage)[0];
+
+  const discountAmount = discount ? roundCurrency(rate * discount.percentage / 100) : 0;
+
+  return {
+    date: formatNight(night),
+    baseRate: room.pricePerNight,
+    seasonalPricing: seasonal
+      ? { id: seasonal._id, description: seasonal.description, price: seasonal.price }
+      : null,
+    rate,
+    discount: discount
+      ? { id: discount._id, type: discount.type, percentage: discount.percentage, description: discount.description }
+      : null,
+    discountAmount,
+    price: roundCurrency(rate - discountAmount)
+  };
+};
+
+// Price every night of a stay separately and total it up
+const priceStay = (room, checkIn, checkOut, { bookedAt = new Date() } = {}) => {
+  const nights = getStayNights(checkIn, checkOut);
+  const context = {
+    leadDays: getLeadDays(checkIn, bookedAt),
+    stayLength: nights.length
+  };
+
+  const breakdown = nights.map(night => priceNight(room, night, context));
+
+  const subtotal = roundCurrency(breakdown.reduce((sum, night) => sum + night.rate, 0));
+  const discountTotal = roundCurrency(breakdown.reduce((sum, night) => sum + night.discountAmount, 0));
+
+  return {
+    room: room._id,
+    numberOfNights: nights.length,
+    leadDays: context.leadDays,
+    nights: breakdown,
+    subtotal,
+    discountTotal,
+    total: roundCurrency(subtotal - discountTotal)
+  };
+};
+
+// Price add-ons from the catalogue; client-supplied prices are ignored
+const priceAddOns = (addOns = []) => {
+  const lines = addOns.map(addOn => {
+    const unitPrice = BOOKING_ADD_ONS[addOn.service];
+    if (unitPrice === undefined) {
+      throw new AppError(`Unknown add-on: ${addOn.service}`, 400);
+    }
+
+    const quantity = parseInt(addOn.quantity, 10) || 1;
+    if (quantity < 1) {
+      throw new AppError(`Invalid quantity for add-on: ${addOn.service}`, 400);
+    }
+
+    return {
+      service: addOn.service,
+      price: unitPrice,
+      quantity,
+      total: roundCurrency(unitPrice * quantity)
+    };
+  });
+
+  return {
+    lines,
+    total: roundCurrency(lines.reduce((sum, line) => sum + line.total, 0))
+  };
+};
+
+// Shape a stay price for storing on a booking
+const toPriceBreakdown = (stayPrice) => ({
+  nights: stayPrice.nights.map(night => ({
+    date: night.date,
+    rate: night.rate,
+    seasonalPrice: night.seasonalPricing ? night.seasonalPricing.price : undefined,
+    discountType: night.discount ? night.discount.type : undefined,
+    discountPercentage: night.discount ? night.discount.percentage : undefined,
+    discountAmount: night.discountAmount,
+    promoDiscount: night.promoDiscount,
+    price: night.price
+  })),
+  subtotal: stayPrice.subtotal,
+  discountTotal: stayPrice.discountTotal,
+  promoDiscountTotal: stayPrice.promoDiscountTotal
+});
+
+module.exports = {
+  roundCurrency,
+  getLeadDays,
+  priceNight,
+  priceStay,
+  priceAddOns,
+  toPriceBreakdown
+};
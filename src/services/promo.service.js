@@ -0,0 +1,275 @@
+const PromoCode = require('../models/promoCode.model');
+const PromoRedemption = require('../models/promoRedemption.model');
+const { AppError } = require('../middleware/errorHandler');
+const { roundCurrency } = require('./pricing.service');
+const { PROMO_DISCOUNT_TYPE, PROMO_REDEMPTION_STATUS } = require('../utils/constants');
+
+// Concurrent redemptions by one guest are retried this many times
+const MAX_REDEEM_ATTEMPTS = 3;
+const DUPLICATE_KEY = 11000;
+
+const normaliseCode = (code) => String(code || '').trim().toUpperCase();
+
+// Look up an active promo code
+const findPromoCode = async (code) => {
+  const promo = await PromoCode.findOne({ code: normaliseCode(code) });
+  if (!promo || !promo.isActive) {
+    throw new AppError('Invalid promo code', 400);
+  }
+  return promo;
+};
+
+// Check the code's own conditions for a stay. Usage is skipped when
+// re-applying a code the booking already redeemed.
+const assertPromoEligible = (promo, { roomType, numberOfNights, at = new Date(), checkUsage = true }) => {
+  if ((promo.validFrom && at < promo.validFrom) || (promo.validUntil && at > promo.validUntil)) {
+    throw new AppError(`Promo code ${promo.code} is not valid at this time`, 400);
+  }
+
+  if (promo.minimumStay && numberOfNights < promo.minimumStay) {
+    throw new AppError(`Promo code ${promo.code} requires a stay of at least ${promo.minimumStay} nights`, 400);
+  }
+
+  if (promo.roomTypes && promo.roomTypes.length > 0 && !promo.roomTypes.includes(roomType)) {
+    throw new AppError(`Promo code ${promo.code} is only valid for ${promo.roomTypes.join(', ')} rooms`, 400);
+  }
+
+  if (checkUsage && promo.usageLimit && promo.timesRedeemed >= promo.usageLimit) {
+    throw new AppError(`Promo code ${promo.code} has reached its usage limit`, 400);
+  }
+};
+
+// First of the guest's allowed uses of a code that is still free, or null
+// once they are all used
+const findFreeGuestSlot = async (promo, guest) => {
+  const limit = promo.perGuestLimit || 1;
+  const redeemed = await PromoRedemption.find({
+    promoCode: promo._id,
+    guest,
+    status: PROMO_REDEMPTION_STATUS.REDEEMED
+  }).select('slot');
+
+  if (redeemed.length >= limit) return null;
+
+  const taken = new Set(redeemed.map(redemption => redemption.slot));
+  for (let slot = 1; slot <= limit; slot += 1) {
+    if (!taken.has(slot)) return slot;
+  }
+  return null;
+};
+
+const guestLimitError = (promo) => new AppError(`You have already used promo code ${promo.code}`, 400);
+
+const assertGuestLimit = async (promo, guest) => {
+  if (!(await findFreeGuestSlot(promo, guest))) {
+    throw guestLimitError(promo);
+  }
+};
+
+const isSlotConflict = (error) =>
+  error.code === DUPLICATE_KEY && Boolean(error.keyPattern && error.keyPattern.slot);
+
+// Record the guest's use in a free slot. The unique index on the slot keeps
+// concurrent bookings of one guest from going over the per-guest limit.
+const createRedemption = async (promo, redemption) => {
+  for (let attempt = 1; ; attempt += 1) {
+    const slot = await findFreeGuestSlot(promo, redemption.guest);
+    if (!slot) {
+      throw guestLimitError(promo);
+    }
+
+    try {
+      return await PromoRedemption.create({ ...redemption, slot });
+    } catch (error) {
+      if (!isSlotConflict(error) || attempt >= MAX_REDEEM_ATTEMPTS) {
+        throw isSlotConflict(error) ? guestLimitError(promo) : error;
+      }
+    }
+  }
+};
+
+// Take the promo discount off a priced stay, spread over the nights in
+// proportion to their price. Non-stackable codes replace the room's own
+// discounts, and only when that works out cheaper; otherwise nothing changes.
+const applyPromoDiscount = (promo, stayPrice) => {
+  const bases = stayPrice.nights.map(night => (promo.stackable ? night.price : night.rate));
+  const baseTotal = roundCurrency(bases.reduce((sum, base) => sum + base, 0));
+
+  let discount = promo.discountType === PROMO_DISCOUNT_TYPE.PERCENTAGE
+    ? baseTotal * promo.value / 100
+    : promo.value;
+  if (promo.maxDiscount) discount = Math.min(discount, promo.maxDiscount);
+  discount = roundCurrency(Math.min(discount, baseTotal));
+
+  if (discount <= 0 || (!promo.stackable && baseTotal - discount >= stayPrice.total)) {
+    return { ...stayPrice, promoDiscountTotal: 0 };
+  }
+
+  let remaining = discount;
+  const nights = stayPrice.nights.map((night, index) => {
+    const share = index === bases.length - 1
+      ? remaining
+      : roundCurrency(discount * bases[index] / baseTotal);
+    remaining = roundCurrency(remaining - share);
+
+    return {
+      ...night,
+      ...(!promo.stackable && { discount: null, discountAmount: 0 }),
+      promoDiscount: share,
+      price: roundCurrency(bases[index] - share)
+    };
+  });
+
+  const discountTotal = roundCurrency(nights.reduce((sum, night) => sum + night.discountAmount, 0));
+
+  return {
+    ...stayPrice,
+    nights,
+    discountTotal,
+    promoDiscountTotal: discount,
+    total: roundCurrency(stayPrice.subtotal - discountTotal - discount)
+  };
+};
+
+// Validate a code for a stay and price the stay with it
+const applyPromoCode = async (code, { room, stayPrice, guest }) => {
+  const promo = await findPromoCode(code);
+  assertPromoEligible(promo, { roomType: room.type, numberOfNights: stayPrice.numberOfNights });
+  if (guest) {
+    await assertGuestLimit(promo, guest);
+  }
+
+  const discounted = applyPromoDiscount(promo, stayPrice);
+  if (discounted.promoDiscountTotal <= 0) {
+    throw new AppError(`Promo code ${promo.code} doesn't lower the price of this stay`, 400);
+  }
+
+  return { promo, stayPrice: discounted };
+};
+
+// What a booking keeps of the code it was priced with
+const toBookingPromo = (promo, discountAmount) => ({
+  promoCode: promo._id,
+  code: promo.code,
+  discountType: promo.discountType,
+  value: promo.value,
+  maxDiscount: promo.maxDiscount,
+  stackable: promo.stackable,
+  discountAmount
+});
+
+// Record a use of a code. The usage counter only moves while it is under the
+// limit and each guest's uses take a slot of their own, so concurrent
+// bookings can't redeem more than allowed.
+const redeemPromoCode = async (promo, { booking, guest, discountAmount, bookingTotal }) => {
+  const updated = await PromoCode.findOneAndUpdate(
+    {
+      _id: promo._id,
+      isActive: true,
+      $or: [
+        { usageLimit: null },
+        { $expr: { $lt: ['$timesRedeemed', '$usageLimit'] } }
+      ]
+    },
+    { $inc: { timesRedeemed: 1 } },
+    { new: true }
+  );
+
+  if (!updated) {
+    throw new AppError(`Promo code ${promo.code} has reached its usage limit`, 409);
+  }
+
+  try {
+    return await createRedemption(promo, {
+      promoCode: promo._id,
+      code: promo.code,
+      booking,
+      guest,
+      discountAmount,
+      bookingTotal
+    });
+  } catch (error) {
+    await PromoCode.updateOne({ _id: promo._id }, { $inc: { timesRedeemed: -1 } });
+    throw error;
+  }
+};
+
+// Give a booking's use of its code back, e.g. when it is cancelled
+const releasePromoRedemption = async (bookingId) => {
+  const redemption = await PromoRedemption.findOneAndUpdate(
+    { booking: bookingId, status: PROMO_REDEMPTION_STATUS.REDEEMED },
+    { status: PROMO_REDEMPTION_STATUS.RELEASED, releasedAt: new Date() }
+  );
+
+  if (redemption) {
+    await PromoCode.updateOne({ _id: redemption.promoCode }, { $inc: { timesRedeemed: -1 } });
+  }
+};
+
+// Keep a redemption in line with a modified booking
+const updatePromoRedemption = (bookingId, { discountAmount, bookingTotal }) =>
+  PromoRedemption.updateOne(
+    { booking: bookingId, status: PROMO_REDEMPTION_STATUS.REDEEMED },
+    { discountAmount, bookingTotal }
+  );
+
+// Usage of every code: redemptions, released uses, guests, discount given
+// and booking revenue. Redemptions can be limited to a date range.
+const getPromoStats = async ({ startDate, endDate } = {}) => {
+  const match = {};
+  if (startDate || endDate) {
+    match.createdAt = {};
+    if (startDate) match.createdAt.$gte = startDate;
+    if (endDate) match.createdAt.$lte = endDate;
+  }
+
+  const isRedeemed = { $eq: ['$status', PROMO_REDEMPTION_STATUS.REDEEMED] };
+
+  const [promos, usage] = await Promise.all([
+    PromoCode.find().sort('code'),
+    PromoRedemption.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: '$promoCode',
+          redemptions: { $sum: { $cond: [isRedeemed, 1, 0] } },
+          released: { $sum: { $cond: [isRedeemed, 0, 1] } },
+          guests: { $addToSet: { $cond: [isRedeemed, '$guest', '$$REMOVE'] } },
+          discountTotal: { $sum: { $cond: [isRedeemed, '$discountAmount', 0] } },
+          revenue: { $sum: { $cond: [isRedeemed, '$bookingTotal', 0] } }
+        }
+      }
+    ])
+  ]);
+
+  const usageByPromo = new Map(usage.map(row => [row._id.toString(), row]));
+
+  return promos.map(promo => {
+    const row = usageByPromo.get(promo._id.toString());
+    return {
+      promoCode: promo._id,
+      code: promo.code,
+      isActive: promo.isActive,
+      usageLimit: promo.usageLimit,
+      timesRedeemed: promo.timesRedeemed,
+      redemptions: row ? row.redemptions : 0,
+      released: row ? row.released : 0,
+      uniqueGuests: row ? row.guests.length : 0,
+      discountTotal: row ? roundCurrency(row.discountTotal) : 0,
+      revenue: row ? roundCurrency(row.revenue) : 0
+    };
+  });
+};
+
+module.exports = {
+  normaliseCode,
+  findPromoCode,
+  assertPromoEligible,
+  applyPromoDiscount,
+  applyPromoCode,
+  toBookingPromo,
+  redeemPromoCode,
+  releasePromoRedemption,
+  updatePromoRedemption,
+  getPromoStats
+};
@@ -0,0 +1,225 @@
+const jwt = require('jsonwebtoken');
+const Room = require('../models/room.model');
+const { AppError } = require('../middleware/errorHandler');
+const {
+  validateStayDates,
+  assertRoomBookable,
+  isRoomInService
+} = require('./reservation.service');
+const { getTypeInventory, findFreeRooms } = require('./inventory.service');
+const {
+  roundCurrency,
+  priceStay,
+  priceAddOns
+} = require('./pricing.service');
+const { calculateBookingTaxes } = require('./tax.service');
+const { normaliseCode, applyPromoCode } = require('./promo.service');
+const { ROOM_TYPE } = require('../utils/constants');
+
+const QUOTE_TOKEN_TYPE = 'booking-quote';
+
+const normaliseGuests = (numberOfGuests = {}) => ({
+  adults: parseInt(numberOfGuests.adults, 10) || 1,
+  children: parseInt(numberOfGuests.children, 10) || 0
+});
+
+const roomFits = (room, guests) =>
+  guests.adults <= room.capacity.adults && guests.children <= (room.capacity.children || 0);
+
+const assertRoomFits = (room, guests) => {
+  if (!roomFits(room, guests)) {
+    throw new AppError(
+      `Room ${room.roomNumber} sleeps ${room.capacity.adults} adults and ${room.capacity.children || 0} children`,
+      400
+    );
+  }
+};
+
+// Cheapest free room of a type that fits the guests
+const findRoomOfType = async (roomType, guests, checkIn, checkOut) => {
+  const candidates = (await findFreeRooms(roomType, checkIn, checkOut))
+    .filter(room => roomFits(room, guests))
+    .map(room => ({ room, stayPrice: priceStay(room, checkIn, checkOut) }))
+    .sort((a, b) => a.stayPrice.total - b.stayPrice.total);
+
+  if (candidates.length === 0) {
+    throw new AppError(`No ${roomType} rooms are available for the requested dates`, 409);
+  }
+
+  return candidates[0];
+};
+
+// Price a stay in a room type without picking a room. The type must have
+// inventory left every night and a free room that fits the guests; the
+// stay is priced at the cheapest room of the type that fits them. For a
+// `booking` that already holds the nights, its own holds don't count.
+const priceRoomType = async (roomType, guests, checkIn, checkOut, { booking } = {}) => {
+  if (!Object.values(ROOM_TYPE).includes(roomType)) {
+    throw new AppError(`Room type must be one of: ${Object.values(ROOM_TYPE).join(', ')}`, 400);
+  }
+
+  if (!booking) {
+    const inventory = await getTypeInventory(roomType, checkIn, checkOut);
+    const soldOut = inventory.filter(night => night.available === 0);
+    if (soldOut.length > 0) {
+      throw new AppError(
+        `No ${roomType} rooms are left for some of the requested dates`,
+        409,
+        { soldOutDates: soldOut.map(night => night.night) }
+      );
+    }
+  }
+
+  const freeRooms = await findFreeRooms(roomType, checkIn, checkOut, { booking });
+  if (!freeRooms.some(room => roomFits(room, guests))) {
+    throw new AppError(
+      `No ${roomType} room for ${guests.adults} adults and ${guests.children} children is available for the requested dates`,
+      409
+    );
+  }
+
+  const rooms = (await Room.find({ type: roomType })).filter(room => isRoomInService(room) && roomFits(room, guests));
+  const [reference] = rooms
+    .map(room => ({ room, stayPrice: priceStay(room, checkIn, checkOut) }))
+    .sort((a, b) => a.stayPrice.total - b.stayPrice.total);
+
+  return reference;
+};
+
+// Build a full price preview for a stay without saving anything. A `room`
+// quote is for that room; a `roomType` quote is for the type, with the room
+// assigned later. A promo code is checked against its own limits; the
+// guest's limit is checked on booking.
+const buildQuote = async ({ room: roomId, roomType, checkIn, checkOut, numberOfGuests, addOns, promoCode }) => {
+  validateStayDates(checkIn, checkOut);
+  const guests = normaliseGuests(numberOfGuests);
+
+  let room;
+  let stayPrice;
+
+  if (roomId) {
+    room = await Room.findById(roomId);
+    if (!room) {
+      throw new AppError('Room not found', 404);
+    }
+    assertRoomBookable(room, checkIn, checkOut);
+    assertRoomFits(room, guests);
+    stayPrice = priceStay(room, checkIn, checkOut);
+  } else if (roomType) {
+    ({ room, stayPrice } = await priceRoomType(roomType, guests, checkIn, checkOut));
+  } else {
+    throw new AppError('Please provide a room or a room type', 400);
+  }
+
+  let promo = null;
+  if (promoCode) {
+    ({ promo, stayPrice } = await applyPromoCode(promoCode, { room, stayPrice }));
+  }
+
+  const addOnPrice = priceAddOns(addOns);
+  const taxes = await calculateBookingTaxes({ nights: stayPrice.nights, addOns: addOnPrice.lines, checkIn });
+
+  return {
+    room: roomId ? {
+      id: room._id,
+      roomNumber: room.roomNumber,
+      type: room.type
+    } : null,
+    roomType: room.type,
+    checkIn: new Date(checkIn),
+    checkOut: new Date(checkOut),
+    numberOfGuests: guests,
+    numberOfNights: stayPrice.numberOfNights,
+    nights: stayPrice.nights,
+    roomSubtotal: stayPrice.subtotal,
+    discountTotal: stayPrice.discountTotal,
+    promo: promo && {
+      id: promo._id,
+      code: promo.code,
+      discountAmount: stayPrice.promoDiscountTotal
+    },
+    promoDiscountTotal: stayPrice.promoDiscountTotal || 0,
+    roomTotal: stayPrice.total,
+    addOns: addOnPrice.lines,
+    addOnTotal: addOnPrice.total,
+    taxes: taxes.lines,
+    taxTotal: taxes.total,
+    grandTotal: roundCurrency(stayPrice.total + addOnPrice.total + taxes.total)
+  };
+};
+
+// Sign a quote so createBooking can honour its price for a short window
+const signQuoteToken = (quote) => jwt.sign(
+  {
+    type: QUOTE_TOKEN_TYPE,
+    room: quote.room ? quote.room.id.toString() : null,
+    roomType: quote.roomType,
+    checkIn: quote.checkIn.toISOString(),
+    checkOut: quote.checkOut.toISOString(),
+    numberOfGuests: quote.numberOfGuests,
+    nights: quote.nights,
+    roomSubtotal: quote.roomSubtotal,
+    discountTotal: quote.discountTotal,
+    promo: quote.promo && { ...quote.promo, id: quote.promo.id.toString() },
+    promoDiscountTotal: quote.promoDiscountTotal,
+    roomTotal: quote.roomTotal,
+    addOns: quote.addOns,
+    addOnTotal: quote.addOnTotal,
+    taxes: quote.taxes,
+    taxTotal: quote.taxTotal,
+    grandTotal: quote.grandTotal
+  },
+  process.env.QUOTE_TOKEN_SECRET || process.env.JWT_SECRET,
+  { expiresIn: process.env.QUOTE_TOKEN_EXPIRES_IN || '30m' }
+);
+
+// Add-ons as comparable "service x quantity" keys, in any order
+const addOnKeys = (addOns = []) =>
+  addOns.map(addOn => `${addOn.service} x ${parseInt(addOn.quantity, 10) || 1}`).sort();
+
+// Verify a quote token and check that it matches the booking request
+const verifyQuoteToken = (token, { room, roomType, checkIn, checkOut, numberOfGuests, addOns, promoCode }) => {
+  let quote;
+  try {
+    quote = jwt.verify(token, process.env.QUOTE_TOKEN_SECRET || process.env.JWT_SECRET);
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      throw new AppError('This quote has expired. Please request a new quote.', 400);
+    }
+    throw new AppError('Invalid quote token', 400);
+  }
+
+  if (quote.type !== QUOTE_TOKEN_TYPE) {
+    throw new AppError('Invalid quote token', 400);
+  }
+
+  const guests = normaliseGuests(numberOfGuests);
+  const matches =
+    (!room || room.toString() === quote.room) &&
+    (!roomType || roomType === quote.roomType) &&
+    new Date(checkIn).getTime() === new Date(quote.checkIn).getTime() &&
+    new Date(checkOut).getTime() === new Date(quote.checkOut).getTime() &&
+    guests.adults === quote.numberOfGuests.adults &&
+    guests.children === quote.numberOfGuests.children &&
+    addOnKeys(addOns).join() === addOnKeys(quote.addOns).join() &&
+    (promoCode
+      ? Boolean(quote.promo) && quote.promo.code === normaliseCode(promoCode)
+      : !quote.promo);
+
+  if (!matches) {
+    throw new AppError('The booking details do not match the quote', 400);
+  }
+
+  return quote;
+};
+
+module.exports = {
+  normaliseGuests,
+  assertRoomFits,
+  roomFits,
+  findRoomOfType,
+  priceRoomType,
+  buildQuote,
+  signQuoteToken,
+  verifyQuoteToken
+};
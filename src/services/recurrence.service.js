@@ -0,0 +1,65 @@
+const moment = require('moment');
+const { RECURRENCE_FREQUENCY } = require('../utils/constants');
+
+// moment unit each frequency steps by
+const RECURRENCE_UNIT = {
+  [RECURRENCE_FREQUENCY.DAILY]: 'days',
+  [RECURRENCE_FREQUENCY.WEEKLY]: 'weeks',
+  [RECURRENCE_FREQUENCY.MONTHLY]: 'months'
+};
+
+// Most occurrences expanded in one go, whatever the range asked for
+const MAX_OCCURRENCES = 1000;
+
+// Occurrences are identified within their series by the day they start on
+const formatOccurrenceDate = (date) => moment.utc(date).format('YYYY-MM-DD');
+
+// Start and end of every occurrence of a series that overlaps [from, until),
+// skipping the series' exceptions. Each occurrence is counted from the first
+// one, so monthly series on the 31st fall back to shorter months' last day
+// without drifting.
+const expandOccurrences = (series, from, until, { limit = MAX_OCCURRENCES } = {}) => {
+  const { frequency, endDate, exceptions = [] } = series.recurringPattern || {};
+  const unit = RECURRENCE_UNIT[frequency];
+  if (!series.isRecurring || !unit) return [];
+
+  const first = moment.utc(series.startDate);
+  const duration = series.endDate - series.startDate;
+  const lastStart = endDate ? moment.utc(endDate).endOf('day') : null;
+  const skipped = new Set(exceptions);
+
+  // Jump close to `from` instead of walking from the first occurrence
+  let index = Math.max(0, Math.floor(moment.utc(from).subtract(duration, 'ms').diff(first, unit, true)) - 1);
+
+  const occurrences = [];
+  for (; occurrences.length < limit; index += 1) {
+    const start = first.clone().add(index, unit);
+    if (!start.isBefore(until) || (lastStart && start.isAfter(lastStart))) break;
+
+    const end = start.clone().add(duration, 'ms');
+    const date = formatOccurrenceDate(start);
+    if ((end.isAfter(from) || !start.isBefore(from)) && !skipped.has(date)) {
+      occurrences.push({ date, startDate: start.toDate(), endDate: end.toDate() });
+    }
+  }
+
+  return occurrences;
+};
+
+// The occurrence of a series starting on a day (YYYY-MM-DD), or null when the
+// series has none that day or skips it
+const findOccurrence = (series, date) => {
+  const day = moment.utc(date, 'YYYY-MM-DD', true);
+  if (!day.isValid()) return null;
+
+  return expandOccurrences(series, day.toDate(), day.clone().add(1, 'day').toDate())
+    .find(occurrence => occurrence.date === date) || null;
+};
+
+module.exports = {
+  RECURRENCE_UNIT,
+  MAX_OCCURRENCES,
+  formatOccurrenceDate,
+  expandOccurrences,
+  findOccurrence
+};
@@ -0,0 +1,81 @@
+const moment = require('moment');
+const { AppError } = require('../middleware/errorHandler');
+
+// Maintenance records that take a room out of service
+const BLOCKING_MAINTENANCE_STATUSES = ['scheduled', 'in-progress'];
+
+// Room statuses that can't take any booking
+const UNBOOKABLE_ROOM_STATUSES = ['out-of-order'];
+
+const formatNight = (night) => moment.utc(night).format('YYYY-MM-DD');
+
+// Midnight UTC of every night between check-in and check-out (check-out day excluded)
+const getStayNights = (checkIn, checkOut) => {
+  const nights = [];
+  const current = moment.utc(checkIn).startOf('day');
+  const end = moment.utc(checkOut).startOf('day');
+
+  while (current.isBefore(end)) {
+    nights.push(current.toDate());
+    current.add(1, 'day');
+  }
+
+  return nights;
+};
+
+// Validate a requested stay and return its nights
+const validateStayDates = (checkIn, checkOut) => {
+  const start = new Date(checkIn);
+  const end = new Date(checkOut);
+
+  if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+    throw new AppError('Invalid date format. Please use YYYY-MM-DD format', 400);
+  }
+
+  const nights = getStayNights(start, end);
+  if (nights.length === 0) {
+    throw new AppError('Check-in date must be before check-out date', 400);
+  }
+
+  return nights;
+};
+
+// Whether a room can be sold at all: active and not out of order
+const isRoomInService = (room) => room.isActive && !UNBOOKABLE_ROOM_STATUSES.includes(room.status);
+
+// Whether a maintenance record takes the room out of service on a night
+const isUnderMaintenance = (room, night) =>
+  (room.maintenanceHistory || []).some(record =>
+    BLOCKING_MAINTENANCE_STATUSES.includes(record.status) &&
+    night >= moment.utc(record.startDate).startOf('day').toDate() &&
+    night < record.endDate
+  );
+
+// Reject stays in rooms that are inactive, out of order or under maintenance
+const assertRoomBookable = (room, checkIn, checkOut) => {
+  if (!isRoomInService(room)) {
+    throw new AppError(`Room ${room.roomNumber} is not available for booking`, 409);
+  }
+
+  const nights = getStayNights(checkIn, checkOut);
+  const blockedNights = nights.filter(night => isUnderMaintenance(room, night));
+
+  if (blockedNights.length > 0) {
+    throw new AppError(
+      `Room ${room.roomNumber} is under maintenance on the requested dates`,
+      409,
+      { maintenanceDates: blockedNights.map(formatNight) }
+    );
+  }
+};
+
+module.exports = {
+  BLOCKING_MAINTENANCE_STATUSES,
+  UNBOOKABLE_ROOM_STATUSES,
+  getStayNights,
+  validateStayDates,
+  isRoomInService,
+  isUnderMaintenance,
+  assertRoomBookable,
+  formatNight
+};
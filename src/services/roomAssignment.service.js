@@ -0,0 +1,187 @@
+const moment = require('moment');
+const Booking = require('../models/booking.model');
+const Room = require('../models/room.model');
+const RoomNight = require('../models/roomNight.model');
+const { AppError } = require('../middleware/errorHandler');
+const { logger } = require('../utils/logger');
+const { assertRoomBookable } = require('./reservation.service');
+const { reserveRoomNights, findFreeRooms, unassignRoomNights } = require('./inventory.service');
+const { normaliseGuests, roomFits, assertRoomFits } = require('./quote.service');
+const { BOOKING_STATUS } = require('../utils/constants');
+
+// Bookings that can still get (or change) their room
+const ASSIGNABLE_STATUSES = [BOOKING_STATUS.PENDING, BOOKING_STATUS.CONFIRMED];
+
+// Arrivals this many days ahead get a room from the auto-assign job
+const DEFAULT_ASSIGNMENT_LEAD_DAYS = 3;
+
+// How much each preference weighs when ranking free rooms. Keeping a
+// guest's back-to-back stays in one room beats everything else.
+const SCORE = {
+  ADJOINING_STAY: 100,
+  FLOOR: 10,
+  SPECIAL_FEATURE: 1
+};
+
+const getAssignmentLeadDays = () =>
+  parseInt(process.env.ROOM_ASSIGNMENT_LEAD_DAYS, 10) || DEFAULT_ASSIGNMENT_LEAD_DAYS;
+
+// Rooms of the guest's other stays that end on this check-in or start on this check-out
+const findAdjoiningRooms = async (booking) => {
+  const stays = await Booking.find({
+    _id: { $ne: booking._id },
+    guest: booking.guest._id || booking.guest,
+    status: { $ne: BOOKING_STATUS.CANCELLED },
+    room: { $exists: true, $ne: null },
+    $or: [
+      { checkOut: booking.checkIn },
+      { checkIn: booking.checkOut }
+    ]
+  });
+
+  return new Set(stays.map(stay => (stay.room._id || stay.room).toString()));
+};
+
+// Score a room against what the booking asked for
+const scoreRoom = (room, { adjoiningRooms, preferences }) => {
+  let score = 0;
+
+  if (adjoiningRooms.has(room._id.toString())) {
+    score += SCORE.ADJOINING_STAY;
+  }
+
+  if (preferences.floor !== undefined && preferences.floor !== null && room.floor === preferences.floor) {
+    score += SCORE.FLOOR;
+  }
+
+  const features = (room.specialFeatures || []).map(feature => feature.toLowerCase());
+  (preferences.specialFeatures || []).forEach(feature => {
+    if (features.includes(feature.toLowerCase())) {
+      score += SCORE.SPECIAL_FEATURE;
+    }
+  });
+
+  return score;
+};
+
+// Free rooms of the booking's type that fit its guests, best match first
+const rankRooms = async (booking) => {
+  const guests = normaliseGuests(booking.numberOfGuests);
+  const [rooms, adjoiningRooms] = await Promise.all([
+    findFreeRooms(booking.roomType, booking.checkIn, booking.checkOut, { booking: booking._id }),
+    findAdjoiningRooms(booking)
+  ]);
+  const preferences = booking.roomPreferences || {};
+
+  return rooms
+    .filter(room => roomFits(room, guests))
+    .map(room => ({ room, score: scoreRoom(room, { adjoiningRooms, preferences }) }))
+    .sort((a, b) =>
+      b.score - a.score ||
+      a.room.roomNumber.localeCompare(b.room.roomNumber, undefined, { numeric: true })
+    );
+};
+
+// Give a booking a room: the one asked for, or the best free room of its type.
+// The room must be free every night; the booking keeps its price.
+const assignRoom = async (booking, { room: roomId, actor } = {}) => {
+  if (!ASSIGNABLE_STATUSES.includes(booking.status)) {
+    throw new AppError(`A ${booking.status} booking cannot be assigned a room`, 400);
+  }
+
+  let room;
+  if (roomId) {
+    room = await Room.findById(roomId);
+    if (!room) {
+      throw new AppError('Room not found', 404);
+    }
+    if (room.type !== booking.roomType) {
+      throw new AppError(
+        `Room ${room.roomNumber} is a ${room.type} room; this booking is for a ${booking.roomType} room`,
+        400
+      );
+    }
+    assertRoomBookable(room, booking.checkIn, booking.checkOut);
+    assertRoomFits(room, normaliseGuests(booking.numberOfGuests));
+  } else {
+    const [best] = await rankRooms(booking);
+    if (!best) {
+      throw new AppError(`No ${booking.roomType} room is free for this whole stay`, 409);
+    }
+    room = best.room;
+  }
+
+  const previousRoom = booking.room && (booking.room._id || booking.room);
+  if (previousRoom && previousRoom.equals(room._id)) {
+    return booking;
+  }
+
+  // Put the nights back in the room they were in, if any
+  const restoreNights = () => (previousRoom
+    ? RoomNight.updateMany({ booking: booking._id }, { room: previousRoom })
+    : unassignRoomNights(booking._id));
+
+  let updated;
+  try {
+    await reserveRoomNights({
+      room: room._id,
+      roomType: booking.roomType,
+      booking: booking._id,
+      checkIn: booking.checkIn,
+      checkOut: booking.checkOut
+    });
+
+    updated = await Booking.findOneAndUpdate(
+      { _id: booking._id, status: { $in: ASSIGNABLE_STATUSES } },
+      {
+        room: room._id,
+        roomAssignedAt: new Date(),
+        roomAssignedBy: actor
+      },
+      { new: true }
+    );
+  } catch (error) {
+    await restoreNights();
+    throw error;
+  }
+
+  if (!updated) {
+    await restoreNights();
+    throw new AppError('Booking status changed while assigning a room. Please try again.', 409);
+  }
+
+  logger.info(`Room ${room.roomNumber} assigned to booking ${booking._id}`);
+  return updated;
+};
+
+// Assign rooms to bookings that still have none and arrive within `days`,
+// earliest arrival first so a guest's next stay can follow into the same room
+const autoAssignRooms = async ({ days = getAssignmentLeadDays(), actor } = {}) => {
+  const bookings = await Booking.find({
+    room: null,
+    roomType: { $exists: true },
+    status: { $in: ASSIGNABLE_STATUSES },
+    checkIn: { $lte: moment.utc().add(days, 'days').endOf('day').toDate() }
+  }).sort('checkIn _id');
+
+  const results = [];
+  for (const booking of bookings) {
+    try {
+      const updated = await assignRoom(booking, { actor });
+      results.push({ booking: booking._id, room: updated.room._id, roomNumber: updated.room.roomNumber });
+    } catch (error) {
+      logger.error(`Error assigning a room to booking ${booking._id}: ${error.message}`);
+      results.push({ booking: booking._id, error: error.message });
+    }
+  }
+
+  return results;
+};
+
+module.exports = {
+  ASSIGNABLE_STATUSES,
+  getAssignmentLeadDays,
+  rankRooms,
+  assignRoom,
+  autoAssignRooms
+};
@@ -0,0 +1,270 @@
+const moment = require('moment');
+const TaxRule = require('../models/taxRule.model');
+const Folio = require('../models/folio.model');
+const Event = require('../models/event.model');
+const BanquetQuotation = require('../models/banquetQuotation.model');
+const { roundCurrency } = require('./pricing.service');
+const {
+  TAX_CATEGORY,
+  TAX_KIND,
+  TAX_CALCULATION,
+  FOLIO_ENTRY_TYPE,
+  FOLIO_CHARGE_CATEGORY,
+  EVENT_PARTICIPANT_STATUS,
+  BANQUET_QUOTATION_STATUS
+} = require('../utils/constants');
+
+// Date formats for grouping report rows
+const REPORT_INTERVALS = {
+  day: '%Y-%m-%d',
+  month: '%Y-%m'
+};
+
+// Check if a rule is in effect on a date (effectiveTo is inclusive)
+const isEffective = (rule, date) =>
+  (!rule.effectiveFrom || date >= moment.utc(rule.effectiveFrom).startOf('day').toDate()) &&
+  (!rule.effectiveTo || date <= moment.utc(rule.effectiveTo).endOf('day').toDate());
+
+// Active rules for a category that are in effect at some point between two dates
+const findTaxRules = (category, from, to = from) =>
+  TaxRule.find({
+    isActive: true,
+    categories: category,
+    $and: [
+      { $or: [{ effectiveFrom: null }, { effectiveFrom: { $lte: to } }] },
+      { $or: [{ effectiveTo: null }, { effectiveTo: { $gte: moment.utc(from).startOf('day').toDate() } }] }
+    ]
+  }).sort('name');
+
+// Amount one rule charges on one unit (a room night, an add-on, an event ticket)
+const ruleAmount = (rule, category, { price, quantity = 1 }) => {
+  switch (rule.calculation) {
+    case TAX_CALCULATION.PERCENTAGE:
+      return price * quantity * rule.percentage / 100;
+    case TAX_CALCULATION.FLAT_PER_NIGHT:
+      return category === TAX_CATEGORY.ROOM ? rule.amount * quantity : 0;
+    case TAX_CALCULATION.FLAT_PER_UNIT:
+      return rule.amount * quantity;
+    case TAX_CALCULATION.SLAB: {
+      const slab = rule.slabs.find(candidate =>
+        price >= candidate.minRate && (candidate.maxRate === undefined || candidate.maxRate === null || price < candidate.maxRate)
+      );
+      return slab ? price * quantity * slab.percentage / 100 : 0;
+    }
+    default:
+      return 0;
+  }
+};
+
+const summarise = (lines) => ({
+  lines,
+  taxTotal: roundCurrency(lines.filter(line => line.kind === TAX_KIND.TAX).reduce((sum, line) => sum + line.amount, 0)),
+  feeTotal: roundCurrency(lines.filter(line => line.kind === TAX_KIND.FEE).reduce((sum, line) => sum + line.amount, 0)),
+  total: roundCurrency(lines.reduce((sum, line) => sum + line.amount, 0))
+});
+
+// Apply rules to priced units ({ date, price, quantity }); one line per rule that charges something
+const applyTaxRules = (rules, category, units) => summarise(
+  rules
+    .map(rule => ({
+      taxRule: rule._id,
+      name: rule.name,
+      kind: rule.kind,
+      category,
+      amount: roundCurrency(
+        units
+          .filter(unit => isEffective(rule, unit.date))
+          .reduce((sum, unit) => sum + ruleAmount(rule, category, unit), 0)
+      )
+    }))
+    .filter(line => line.amount > 0)
+);
+
+// Merge tax results, e.g. room and add-on taxes of one booking.
+// Lines of the same rule and category are added together.
+const combineTaxes = (...results) => {
+  const merged = new Map();
+  results.flatMap(result => result.lines).forEach(line => {
+    const plain = line.toObject ? line.toObject() : line;
+    const key = `${plain.taxRule}:${plain.category}`;
+    const current = merged.get(key);
+    merged.set(key, current
+      ? { ...current, amount: roundCurrency(current.amount + plain.amount) }
+      : { ...plain });
+  });
+  return summarise([...merged.values()]);
+};
+
+// Taxes and fees on room nights ([{ date, price }]); slabs use each night's rate
+const calculateStayTaxes = async (nights) => {
+  if (nights.length === 0) return summarise([]);
+
+  const dates = nights.map(night => moment.utc(night.date).toDate());
+  const rules = await findTaxRules(TAX_CATEGORY.ROOM, dates[0], dates[dates.length - 1]);
+
+  return applyTaxRules(rules, TAX_CATEGORY.ROOM, nights.map((night, index) => ({
+    date: dates[index],
+    price: night.price
+  })));
+};
+
+// Taxes and fees on items of a category ([{ price, quantity }]) charged on a date
+const calculateItemTaxes = async (category, items, date = new Date()) => {
+  if (items.length === 0) return summarise([]);
+
+  const rules = await findTaxRules(category, date);
+
+  return applyTaxRules(rules, category, items.map(item => ({
+    date,
+    price: item.price,
+    quantity: item.quantity || 1
+  })));
+};
+
+// Taxes and fees of a booking: its room nights plus its add-ons, charged at check-in
+const calculateBookingTaxes = async ({ nights, addOns = [], checkIn }) => combineTaxes(
+  await calculateStayTaxes(nights),
+  await calculateItemTaxes(TAX_CATEGORY.ADD_ON, addOns, new Date(checkIn))
+);
+
+// Ticket price of events with their taxes and fees, keyed by event id.
+// Rules are loaded once for the whole list; free events carry no taxes.
+const priceEvents = async (events) => {
+  const pricing = new Map();
+  if (events.length === 0) return pricing;
+
+  const dates = events.map(event => event.startDate).sort((a, b) => a - b);
+  const rules = await findTaxRules(TAX_CATEGORY.EVENT, dates[0], dates[dates.length - 1]);
+
+  events.forEach(event => {
+    const price = event.price || 0;
+    const taxes = applyTaxRules(rules, TAX_CATEGORY.EVENT, price > 0 ? [{ date: event.startDate, price }] : []);
+    pricing.set(event._id.toString(), {
+      price,
+      taxes: taxes.lines,
+      taxTotal: taxes.total,
+      total: roundCurrency(price + taxes.total)
+    });
+  });
+
+  return pricing;
+};
+
+// Taxes and fees charged between two dates, per period and rule.
+// Bookings are counted when the charge hit the folio (credits from
+// modifications included), event tickets when the guest registered and
+// banquet quotations when the client accepted them.
+const getTaxReport = async ({ startDate, endDate, interval = 'month' }) => {
+  const format = REPORT_INTERVALS[interval];
+
+  const [folioRows, eventRows, banquetRows] = await Promise.all([
+    Folio.aggregate([
+      { $unwind: '$entries' },
+      {
+        $match: {
+          'entries.type': FOLIO_ENTRY_TYPE.CHARGE,
+          'entries.category': { $in: [FOLIO_CHARGE_CATEGORY.TAX, FOLIO_CHARGE_CATEGORY.FEE] },
+          'entries.postedAt': { $gte: startDate, $lte: endDate }
+        }
+      },
+      {
+        $group: {
+          _id: {
+            period: { $dateToString: { format, date: '$entries.postedAt' } },
+            taxRule: '$entries.taxRule',
+            name: '$entries.description',
+            category: '$entries.category'
+          },
+          amount: { $sum: '$entries.amount' }
+        }
+      }
+    ]),
+    Event.aggregate([
+      { $unwind: '$participants' },
+      { $unwind: '$participants.taxes' },
+      // Spots offered from a waitlist count once they are claimed
+      {
+        $match: {
+          'participants.status': {
+            $nin: [EVENT_PARTICIPANT_STATUS.CANCELLED, EVENT_PARTICIPANT_STATUS.OFFERED]
+          },
+          'participants.registeredAt': { $gte: startDate, $lte: endDate }
+        }
+      },
+      {
+        $group: {
+          _id: {
+            period: { $dateToString: { format, date: '$participants.registeredAt' } },
+            taxRule: '$participants.taxes.taxRule',
+            name: '$participants.taxes.name',
+            category: {
+              $cond: [{ $eq: ['$participants.taxes.kind', TAX_KIND.FEE] }, FOLIO_CHARGE_CATEGORY.FEE, FOLIO_CHARGE_CATEGORY.TAX]
+            }
+          },
+          amount: { $sum: '$participants.taxes.amount' }
+        }
+      }
+    ]),
+    BanquetQuotation.aggregate([
+      {
+        $match: {
+          status: { $in: [BANQUET_QUOTATION_STATUS.ACCEPTED, BANQUET_QUOTATION_STATUS.CONVERTED] },
+          acceptedAt: { $gte: startDate, $lte: endDate }
+        }
+      },
+      { $unwind: '$pricing.taxes' },
+      {
+        $group: {
+          _id: {
+            period: { $dateToString: { format, date: '$acceptedAt' } },
+            taxRule: '$pricing.taxes.taxRule',
+            name: '$pricing.taxes.name',
+            category: {
+              $cond: [{ $eq: ['$pricing.taxes.kind', TAX_KIND.FEE] }, FOLIO_CHARGE_CATEGORY.FEE, FOLIO_CHARGE_CATEGORY.TAX]
+            }
+          },
+          amount: { $sum: '$pricing.taxes.amount' }
+        }
+      }
+    ])
+  ]);
+
+  // Merge the sources into one row per period and rule
+  const rows = new Map();
+  [...folioRows, ...eventRows, ...banquetRows].forEach(({ _id, amount }) => {
+    const key = `${_id.period}:${_id.taxRule}`;
+    const row = rows.get(key) || {
+      period: _id.period,
+      taxRule: _id.taxRule,
+      name: _id.name,
+      kind: _id.category === FOLIO_CHARGE_CATEGORY.FEE ? TAX_KIND.FEE : TAX_KIND.TAX,
+      amount: 0
+    };
+    row.amount = roundCurrency(row.amount + amount);
+    rows.set(key, row);
+  });
+
+  const lines = [...rows.values()].sort((a, b) =>
+    a.period.localeCompare(b.period) || a.name.localeCompare(b.name)
+  );
+
+  return {
+    startDate,
+    endDate,
+    interval,
+    ...summarise(lines)
+  };
+};
+
+module.exports = {
+  REPORT_INTERVALS,
+  isEffective,
+  findTaxRules,
+  applyTaxRules,
+  combineTaxes,
+  calculateStayTaxes,
+  calculateItemTaxes,
+  calculateBookingTaxes,
+  priceEvents,
+  getTaxReport
+};
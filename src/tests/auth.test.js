@@ -1,8 +1,11 @@
 const request = require('supertest');
 const mongoose = require('mongoose');
 const { MongoMemoryServer } = require('mongodb-memory-server');
+const nodemailer = require('nodemailer');
 const app = require('../server');
 const User = require('../models/user.model');
+const Session = require('../models/session.model');
+const email = require('../utils/email');
 
 let mongoServer;
 
@@ -19,6 +22,7 @@ afterAll(async () => {
 
 beforeEach(async () => {
   await User.deleteMany({});
+  await Session.deleteMany({});
 });
 
 describe('Authentication Endpoints', () => {
@@ -47,6 +51,21 @@ describe('Authentication Endpoints', () => {
       expect(res.body.token).toBeDefined();
     });
 
+    it('should always register new users as guests', async () => {
+      const res = await request(app)
+        .post('/api/auth/register')
+        .send({
+          firstName: 'John',
+          lastName: 'Doe',
+          email: 'john@example.com',
+          password: 'password123',
+          role: 'admin'
+        });
+
+      expect(res.statusCode).toBe(201);
+      expect(res.body.data.user.role).toBe('guest');
+    });
+
     it('should not register user with existing email', async () => {
       // First registration
       await request(app)
@@ -112,4 +131,200 @@ describe('Authentication Endpoints', () => {
       expect(res.body.status).toBe('fail');
     });
   });
-}); 
\ No newline at end of file
+
+  describe('Password reset', () => {
+    let transport;
+
+    beforeEach(async () => {
+      transport = nodemailer.createTransport({ jsonTransport: true });
+      jest.spyOn(transport, 'sendMail');
+      email.setTransport(transport);
+
+      await request(app)
+        .post('/api/auth/register')
+        .send({
+          firstName: 'John',
+          lastName: 'Doe',
+          email: 'john@example.com',
+          password: 'password123'
+        });
+    });
+
+    afterEach(() => {
+      email.setTransport();
+    });
+
+    const requestResetToken = async () => {
+      await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'john@example.com' });
+
+      const { text } = transport.sendMail.mock.calls[0][0];
+      return text.match(/token=([a-f0-9]+)/)[1];
+    };
+
+    it('should email a reset link and store only the hashed token', async () => {
+      const res = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'john@example.com' });
+
+      expect(res.statusCode).toBe(200);
+      expect(transport.sendMail).toHaveBeenCalledTimes(1);
+
+      const { to, text } = transport.sendMail.mock.calls[0][0];
+      const token = text.match(/token=([a-f0-9]+)/)[1];
+      const user = await User.findOne({ email: 'john@example.com' })
+        .select('+passwordResetToken +passwordResetExpires');
+
+      expect(to).toBe('john@example.com');
+      expect(user.passwordResetToken).toBeDefined();
+      expect(user.passwordResetToken).not.toBe(token);
+      expect(user.passwordResetExpires.getTime()).toBeGreaterThan(Date.now());
+    });
+
+    it('should reset the password with a valid token and log the user in', async () => {
+      const token = await requestResetToken();
+
+      const res = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token, password: 'newpassword123' });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.token).toBeDefined();
+
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'john@example.com', password: 'newpassword123' });
+
+      expect(login.statusCode).toBe(200);
+    });
+
+    it('should not accept the same token twice', async () => {
+      const token = await requestResetToken();
+
+      await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token, password: 'newpassword123' });
+
+      const res = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token, password: 'anotherpassword123' });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.status).toBe('fail');
+    });
+
+    it('should reject an expired token', async () => {
+      const token = await requestResetToken();
+      await User.updateOne(
+        { email: 'john@example.com' },
+        { passwordResetExpires: new Date(Date.now() - 1000) }
+      );
+
+      const res = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token, password: 'newpassword123' });
+
+      expect(res.statusCode).toBe(400);
+    });
+
+    it('should set passwordChangedAt after a reset', async () => {
+      const token = await requestResetToken();
+
+      await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token, password: 'newpassword123' });
+
+      const user = await User.findOne({ email: 'john@example.com' });
+      expect(user.passwordChangedAt).toBeDefined();
+      expect(user.passwordChangedAfter(Math.floor(Date.now() / 1000) - 60)).toBe(true);
+    });
+  });
+
+  describe('Sessions and refresh tokens', () => {
+    let login;
+
+    beforeEach(async () => {
+      await request(app)
+        .post('/api/auth/register')
+        .send({
+          firstName: 'John',
+          lastName: 'Doe',
+          email: 'john@example.com',
+          password: 'password123'
+        });
+
+      login = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'john@example.com', password: 'password123' });
+    });
+
+    it('should return a refresh token on login', () => {
+      expect(login.body.refreshToken).toBeDefined();
+    });
+
+    it('should rotate the refresh token', async () => {
+      const res = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: login.body.refreshToken });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.token).toBeDefined();
+      expect(res.body.refreshToken).not.toBe(login.body.refreshToken);
+    });
+
+    it('should revoke the session when a rotated refresh token is reused', async () => {
+      const rotated = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: login.body.refreshToken });
+
+      const reuse = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: login.body.refreshToken });
+
+      const next = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: rotated.body.refreshToken });
+
+      expect(reuse.statusCode).toBe(401);
+      expect(next.statusCode).toBe(401);
+    });
+
+    it('should reject the access token after logout', async () => {
+      const logout = await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', login.body.token);
+
+      const res = await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', login.body.token);
+
+      expect(logout.statusCode).toBe(200);
+      expect(res.statusCode).toBe(401);
+    });
+
+    it('should list and revoke individual sessions', async () => {
+      const other = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'john@example.com', password: 'password123' });
+
+      const list = await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', login.body.token);
+
+      expect(list.body.results).toBe(2);
+
+      const otherSession = list.body.data.find(session => !session.isCurrent);
+      const revoke = await request(app)
+        .delete(`/api/auth/sessions/${otherSession._id}`)
+        .set('Authorization', login.body.token);
+
+      const res = await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', other.body.token);
+
+      expect(revoke.statusCode).toBe(200);
+      expect(res.statusCode).toBe(401);
+    });
+  });
+});
@@ -0,0 +1,80 @@
+const request = require('supertest');
+const app = require('../server');
+const RoomNight = require('../models/roomNight.model');
+const { useTestDatabase, createUserAndLogin, createRoom } = require('./helpers');
+
+useTestDatabase({ indexes: [RoomNight] });
+
+describe('Availability', () => {
+  let token;
+  let staffToken;
+
+  beforeEach(async () => {
+    ({ token } = await createUserAndLogin('guest@example.com'));
+    ({ token: staffToken } = await createUserAndLogin('staff@example.com', 'staff'));
+  });
+
+  const book = (body) => request(app)
+    .post('/api/bookings')
+    .set('Authorization', token)
+    .send({ checkIn: '2030-06-01', checkOut: '2030-06-03', numberOfGuests: { adults: 2 }, ...body });
+
+  const getCalendar = (query, authToken = staffToken) => request(app)
+    .get('/api/rooms/availability/calendar')
+    .query(query)
+    .set('Authorization', authToken);
+
+  it('should show each room night by night with the rooms left per type', async () => {
+    const booked = await createRoom({ roomNumber: '101' });
+    await createRoom({
+      roomNumber: '102',
+      maintenanceHistory: [{ type: 'repair', startDate: new Date('2030-06-02'), endDate: new Date('2030-06-03') }]
+    });
+    await createRoom({ roomNumber: '103', status: 'out-of-order' });
+    await createRoom({ roomNumber: '201', floor: 2 });
+
+    const booking = await book({ room: booked._id });
+    await book({ roomType: 'deluxe' });
+
+    const res = await getCalendar({ start: '2030-06-01', end: '2030-06-02', floor: 1 });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.nights).toEqual(['2030-06-01', '2030-06-02']);
+    expect(res.body.data.rooms.map(room => room.roomNumber)).toEqual(['101', '102', '103']);
+
+    const [room101, room102, room103] = res.body.data.rooms;
+    expect(room101.nights[0]).toMatchObject({ status: 'booked', booking: booking.body.data._id, guest: 'Test User' });
+    expect(room102.nights.map(night => night.status)).toEqual(['free', 'maintenance']);
+    expect(room103.nights[0].status).toBe('out-of-order');
+
+    // Floor 2 still counts towards the type
+    expect(res.body.data.types).toEqual([{
+      type: 'deluxe',
+      nights: [
+        { rooms: 4, sellable: 3, booked: 2, unassigned: 1, available: 1 },
+        { rooms: 4, sellable: 2, booked: 2, unassigned: 1, available: 0 }
+      ]
+    }]);
+  });
+
+  it('should reject long ranges and guests', async () => {
+    expect((await getCalendar({ start: '2030-01-01', end: '2030-12-31' })).statusCode).toBe(400);
+    expect((await getCalendar({ start: '2030-06-01', end: '2030-06-02' }, token)).statusCode).toBe(403);
+  });
+
+  it('should ignore cancelled bookings when checking a room', async () => {
+    const room = await createRoom({ roomNumber: '101' });
+    const booking = await book({ room: room._id });
+
+    await request(app)
+      .patch(`/api/bookings/${booking.body.data._id}/cancel`)
+      .set('Authorization', token)
+      .send({ reason: 'Change of plans' });
+
+    const res = await request(app)
+      .get(`/api/rooms/${room._id}/availability`)
+      .query({ startDate: '2030-06-01', endDate: '2030-06-03' });
+
+    expect(res.body.data.isAvailable).toBe(true);
+  });
+});
@@ -0,0 +1,327 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const Banquet = require('../models/banquet.model');
+const BanquetReservation = require('../models/banquetReservation.model');
+const BanquetPackage = require('../models/banquetPackage.model');
+const TaxRule = require('../models/taxRule.model');
+const { useTestDatabase, createUserAndLogin } = require('./helpers');
+
+useTestDatabase();
+
+describe('Banquet reservations', () => {
+  let staffToken;
+  let hall;
+
+  beforeEach(async () => {
+    ({ token: staffToken } = await createUserAndLogin('staff@example.com', 'staff'));
+    hall = await Banquet.create({ name: 'Grand Hall', description: 'Ballroom', seatingCapacity: 200 });
+  });
+
+  const reserve = (body) => request(app)
+    .post('/api/banquets/reservations')
+    .set('Authorization', staffToken)
+    .send({
+      banquet: hall._id,
+      title: 'Wedding reception',
+      client: { name: 'Ana Silva' },
+      expectedHeadcount: 150,
+      ...body
+    });
+
+  it('should reject slots that overlap another reservation including its buffers', async () => {
+    const first = await reserve({
+      startTime: '2030-06-01T18:00:00Z',
+      endTime: '2030-06-01T23:00:00Z',
+      teardownMinutes: 60
+    });
+    expect(first.statusCode).toBe(201);
+    expect(first.body.data.status).toBe('tentative');
+    expect(first.body.data.blockedUntil).toBe('2030-06-02T00:00:00.000Z');
+
+    const clash = await reserve({ startTime: '2030-06-02T01:00:00Z', endTime: '2030-06-02T03:00:00Z', setupMinutes: 90 });
+    expect(clash.statusCode).toBe(409);
+    expect(clash.body.details.conflicts[0].id).toBe(first.body.data._id);
+
+    const after = await reserve({ startTime: '2030-06-02T01:00:00Z', endTime: '2030-06-02T03:00:00Z', setupMinutes: 60 });
+    expect(after.statusCode).toBe(201);
+  });
+
+  it('should leave a schedule lock taken over by another request alone', async () => {
+    const save = BanquetReservation.prototype.save;
+    // The lock expires while the reservation is saved and another request takes it
+    const spy = jest.spyOn(BanquetReservation.prototype, 'save').mockImplementationOnce(async function() {
+      await Banquet.updateOne(
+        { _id: hall._id },
+        { scheduleLockedUntil: new Date(Date.now() + 10000), scheduleLockToken: 'other' }
+      );
+      return save.call(this);
+    });
+
+    const res = await reserve({ startTime: '2030-06-01T18:00:00Z', endTime: '2030-06-01T23:00:00Z' });
+
+    expect(res.statusCode).toBe(201);
+    const locked = await Banquet.findById(hall._id).select('+scheduleLockedUntil +scheduleLockToken');
+    expect(locked.scheduleLockToken).toBe('other');
+    expect(locked.scheduleLockedUntil).toBeDefined();
+    spy.mockRestore();
+  });
+
+  it('should check the headcount against the hall', async () => {
+    const res = await reserve({
+      startTime: '2030-06-01T18:00:00Z',
+      endTime: '2030-06-01T23:00:00Z',
+      expectedHeadcount: 250
+    });
+
+    expect(res.statusCode).toBe(400);
+  });
+
+  it('should keep events and reservations in the same hall apart until released', async () => {
+    const reservation = await reserve({ startTime: '2030-06-01T18:00:00Z', endTime: '2030-06-01T23:00:00Z' });
+
+    const createEvent = () => request(app)
+      .post('/api/events')
+      .set('Authorization', staffToken)
+      .send({
+        title: 'Jazz night',
+        description: 'Live band',
+        type: 'entertainment',
+        startDate: '2030-06-01T20:00:00Z',
+        endDate: '2030-06-01T22:00:00Z',
+        location: { name: 'banquet hall', location_id: hall._id },
+        capacity: 100
+      });
+
+    expect((await createEvent()).statusCode).toBe(409);
+
+    await request(app)
+      .patch(`/api/banquets/reservations/${reservation.body.data._id}/release`)
+      .set('Authorization', staffToken)
+      .send({ reason: 'Client cancelled' });
+
+    expect((await createEvent()).statusCode).toBe(201);
+
+    const calendar = await request(app)
+      .get(`/api/banquets/${hall._id}/availability`)
+      .query({ start: '2030-06-01', end: '2030-06-02' })
+      .set('Authorization', staffToken);
+
+    expect(calendar.statusCode).toBe(200);
+    expect(calendar.body.data.days.map(day => day.isFree)).toEqual([false, true]);
+    expect(calendar.body.data.days[0].busy[0]).toMatchObject({ kind: 'event', title: 'Jazz night' });
+  });
+});
+
+describe('Hall layouts', () => {
+  let staffToken;
+  let ballroom;
+  let terrace;
+
+  beforeEach(async () => {
+    ({ token: staffToken } = await createUserAndLogin('staff@example.com', 'staff'));
+    ballroom = await Banquet.create({
+      name: 'Ballroom',
+      description: 'Main ballroom',
+      seatingCapacity: 300,
+      layouts: [
+        { style: 'theatre', capacity: 300, setupMinutes: 30 },
+        { style: 'banquet-rounds', capacity: 120, setupMinutes: 90 },
+        { style: 'classroom', capacity: 180, setupMinutes: 60 }
+      ]
+    });
+    terrace = await Banquet.create({
+      name: 'Terrace',
+      description: 'Rooftop terrace',
+      seatingCapacity: 250,
+      layouts: [{ style: 'classroom', capacity: 200, setupMinutes: 45 }]
+    });
+  });
+
+  const reserve = (body) => request(app)
+    .post('/api/banquets/reservations')
+    .set('Authorization', staffToken)
+    .send({
+      banquet: ballroom._id,
+      title: 'Gala dinner',
+      client: { name: 'Ana Silva' },
+      startTime: '2030-06-01T18:00:00Z',
+      endTime: '2030-06-01T23:00:00Z',
+      ...body
+    });
+
+  it('should check the headcount against the layout and block its setup time', async () => {
+    expect((await reserve({ layout: 'banquet-rounds', expectedHeadcount: 150 })).statusCode).toBe(400);
+    expect((await reserve({ layout: 'u-shape', expectedHeadcount: 20 })).statusCode).toBe(400);
+
+    const res = await reserve({ layout: 'banquet-rounds', expectedHeadcount: 120 });
+    expect(res.statusCode).toBe(201);
+    expect(res.body.data.blockedFrom).toBe('2030-06-01T16:30:00.000Z');
+
+    // A theatre event ending before the dinner still clashes with its setup
+    const event = await request(app)
+      .post('/api/events')
+      .set('Authorization', staffToken)
+      .send({
+        title: 'Keynote',
+        description: 'Opening talk',
+        type: 'workshop',
+        startDate: '2030-06-01T15:00:00Z',
+        endDate: '2030-06-01T17:00:00Z',
+        location: { name: 'banquet hall', location_id: ballroom._id, layout: 'theatre' },
+        capacity: 280
+      });
+    expect(event.statusCode).toBe(409);
+  });
+
+  it('should find halls that fit a headcount in a layout on a date', async () => {
+    const search = (query) => request(app)
+      .get('/api/banquets/search')
+      .query(query)
+      .set('Authorization', staffToken);
+
+    let res = await search({ headcount: 180, layout: 'classroom', date: '2030-06-01' });
+    expect(res.body.data.map(hall => hall.name)).toEqual(['Ballroom', 'Terrace']);
+    expect(res.body.data[0].layout).toMatchObject({ style: 'classroom', capacity: 180 });
+
+    await reserve({ expectedHeadcount: 50 });
+
+    res = await search({ headcount: 180, layout: 'classroom', date: '2030-06-01' });
+    expect(res.body.data.map(hall => hall.name)).toEqual(['Terrace']);
+
+    expect((await search({ headcount: 180, layout: 'classroom' })).statusCode).toBe(400);
+  });
+});
+
+describe('Banquet quotations', () => {
+  let staffToken;
+  let hall;
+  let pkg;
+
+  beforeEach(async () => {
+    ({ token: staffToken } = await createUserAndLogin('staff@example.com', 'staff'));
+    hall = await Banquet.create({ name: 'Grand Hall', description: 'Ballroom', seatingCapacity: 200 });
+    pkg = await BanquetPackage.create({
+      banquet: hall._id,
+      name: 'Silver',
+      pricePerPlate: 50,
+      minimumGuarantee: 100,
+      includedItems: ['Welcome drink'],
+      extras: [
+        { name: 'Stage lighting', category: 'av', price: 500 },
+        { name: 'Centrepieces', category: 'decor', price: 4, pricing: 'per-guest' }
+      ]
+    });
+  });
+
+  const quotations = '/api/banquets/quotations';
+
+  it('should revise, send, accept and convert a quotation into a hall reservation', async () => {
+    const created = await request(app)
+      .post(quotations)
+      .set('Authorization', staffToken)
+      .send({
+        banquet: hall._id,
+        package: pkg._id,
+        title: 'Wedding reception',
+        client: { name: 'Ana Silva' },
+        startTime: '2030-06-01T18:00:00Z',
+        endTime: '2030-06-01T23:00:00Z',
+        headcount: 80,
+        extras: [{ extra: pkg.extras[0]._id }]
+      });
+
+    expect(created.statusCode).toBe(201);
+    // 100 plates guaranteed although only 80 guests come
+    expect(created.body.data.pricing).toMatchObject({ plates: 100, food: 5000, extras: 500, total: 5500 });
+
+    const id = created.body.data._id;
+    await request(app).patch(`${quotations}/${id}/send`).set('Authorization', staffToken);
+
+    const revised = await request(app)
+      .patch(`${quotations}/${id}`)
+      .set('Authorization', staffToken)
+      .send({
+        headcount: 150,
+        extras: [{ extra: pkg.extras[1]._id }],
+        revisionNote: 'More guests, no lighting'
+      });
+
+    expect(revised.statusCode).toBe(200);
+    expect(revised.body.data).toMatchObject({ version: 2, status: 'draft' });
+    expect(revised.body.data.pricing.total).toBe(8100);
+    expect(revised.body.data.revisions[0]).toMatchObject({ version: 1, note: 'More guests, no lighting' });
+    expect(revised.body.data.revisions[0].quote.pricing.total).toBe(5500);
+
+    // Only sent quotations can be accepted
+    expect((await request(app).patch(`${quotations}/${id}/accept`).set('Authorization', staffToken)).statusCode).toBe(400);
+
+    await request(app).patch(`${quotations}/${id}/send`).set('Authorization', staffToken);
+    const accepted = await request(app).patch(`${quotations}/${id}/accept`).set('Authorization', staffToken);
+
+    expect(accepted.statusCode).toBe(200);
+    expect(accepted.body.data.depositSchedule.map(deposit => deposit.amount)).toEqual([2430, 5670]);
+    expect(accepted.body.data.depositSchedule[1].dueDate).toBe('2030-05-18T18:00:00.000Z');
+
+    const reservation = await BanquetReservation.findById(accepted.body.data.reservation);
+    expect(reservation).toMatchObject({ status: 'tentative', expectedHeadcount: 150 });
+
+    const converted = await request(app).patch(`${quotations}/${id}/convert`).set('Authorization', staffToken);
+
+    expect(converted.body.data.status).toBe('converted');
+    expect((await BanquetReservation.findById(reservation._id)).status).toBe('confirmed');
+  });
+
+  it('should count the taxes of accepted quotations in the tax report', async () => {
+    await TaxRule.create({ name: 'Banquet VAT', calculation: 'percentage', percentage: 10, categories: ['banquet'] });
+    const { token: managerToken } = await createUserAndLogin('manager@example.com', 'manager');
+    const report = () => request(app)
+      .get('/api/tax-rules/report')
+      .set('Authorization', managerToken)
+      .query({ startDate: '2000-01-01', endDate: new Date().toISOString().slice(0, 10) });
+
+    const created = await request(app)
+      .post(quotations)
+      .set('Authorization', staffToken)
+      .send({
+        banquet: hall._id,
+        package: pkg._id,
+        title: 'Gala dinner',
+        client: { name: 'Ana Silva' },
+        startTime: '2030-06-01T18:00:00Z',
+        endTime: '2030-06-01T23:00:00Z',
+        headcount: 100
+      });
+    expect(created.body.data.pricing.taxTotal).toBe(500);
+
+    const id = created.body.data._id;
+    await request(app).patch(`${quotations}/${id}/send`).set('Authorization', staffToken);
+    expect((await report()).body.data.total).toBe(0);
+
+    await request(app).patch(`${quotations}/${id}/accept`).set('Authorization', staffToken);
+
+    const res = await report();
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.lines).toHaveLength(1);
+    expect(res.body.data.lines[0]).toMatchObject({ name: 'Banquet VAT', kind: 'tax', amount: 500 });
+  });
+
+  it('should reject extras from another package and headcounts over capacity', async () => {
+    const quote = (body) => request(app)
+      .post(quotations)
+      .set('Authorization', staffToken)
+      .send({
+        banquet: hall._id,
+        package: pkg._id,
+        title: 'Gala',
+        client: { name: 'Ana Silva' },
+        startTime: '2030-06-01T18:00:00Z',
+        endTime: '2030-06-01T23:00:00Z',
+        headcount: 120,
+        ...body
+      });
+
+    expect((await quote({ extras: [{ extra: new mongoose.Types.ObjectId() }] })).statusCode).toBe(400);
+    expect((await quote({ headcount: 250 })).statusCode).toBe(400);
+  });
+});
@@ -0,0 +1,692 @@
+const request = require('supertest');
+const app = require('../server');
+const Room = require('../models/room.model');
+const Booking = require('../models/booking.model');
+const RoomNight = require('../models/roomNight.model');
+const Invoice = require('../models/invoice.model');
+const Folio = require('../models/folio.model');
+const TaxRule = require('../models/taxRule.model');
+const PromoCode = require('../models/promoCode.model');
+const PromoRedemption = require('../models/promoRedemption.model');
+const { getPaymentProvider } = require('../services/paymentGateway.service');
+const { useTestDatabase, createUserAndLogin, createRoom } = require('./helpers');
+
+useTestDatabase({ indexes: [RoomNight, Invoice, PromoRedemption] });
+
+describe('Booking Endpoints', () => {
+  let token;
+  let room;
+
+  beforeEach(async () => {
+    ({ token } = await createUserAndLogin('guest@example.com'));
+    room = await createRoom();
+  });
+
+  const book = (checkIn, checkOut, authToken = token) => request(app)
+    .post('/api/bookings')
+    .set('Authorization', authToken)
+    .send({
+      room: room._id,
+      checkIn,
+      checkOut,
+      numberOfGuests: { adults: 2 }
+    });
+
+  describe('POST /api/bookings', () => {
+    it('should create a booking and hold its room-nights', async () => {
+      const res = await book('2030-06-01', '2030-06-04');
+
+      expect(res.statusCode).toBe(201);
+      expect(res.body.data.totalPrice).toBe(300);
+      expect(await RoomNight.countDocuments({ booking: res.body.data._id })).toBe(3);
+    });
+
+    it('should add the taxes and fees in effect to the price', async () => {
+      await TaxRule.create([
+        { name: 'VAT', calculation: 'percentage', percentage: 10, categories: ['room'] },
+        { name: 'City fee', kind: 'fee', calculation: 'flat-per-night', amount: 2, categories: ['room'] }
+      ]);
+
+      const res = await book('2030-06-01', '2030-06-04');
+
+      expect(res.statusCode).toBe(201);
+      expect(res.body.data.taxTotal).toBe(36);
+      expect(res.body.data.taxes).toHaveLength(2);
+      expect(res.body.data.totalPrice).toBe(336);
+    });
+
+    it('should apply a promo code once per guest and record the redemption', async () => {
+      await PromoCode.create({ code: 'summer10', discountType: 'percentage', value: 10 });
+
+      const bookWithCode = (checkIn, checkOut) => request(app)
+        .post('/api/bookings')
+        .set('Authorization', token)
+        .send({ room: room._id, checkIn, checkOut, numberOfGuests: { adults: 2 }, promoCode: 'SUMMER10' });
+
+      const res = await bookWithCode('2030-06-01', '2030-06-04');
+
+      expect(res.statusCode).toBe(201);
+      expect(res.body.data.totalPrice).toBe(270);
+      expect(res.body.data.promo.discountAmount).toBe(30);
+      expect((await PromoCode.findOne({ code: 'SUMMER10' })).timesRedeemed).toBe(1);
+
+      const again = await bookWithCode('2030-07-01', '2030-07-04');
+      expect(again.statusCode).toBe(400);
+      expect(await RoomNight.countDocuments()).toBe(3);
+    });
+
+    it('should keep concurrent bookings within the per-guest promo limit', async () => {
+      await PromoCode.create({ code: 'ONCE', discountType: 'fixed', value: 20 });
+
+      const bookWithCode = (checkIn, checkOut) => request(app)
+        .post('/api/bookings')
+        .set('Authorization', token)
+        .send({ room: room._id, checkIn, checkOut, numberOfGuests: { adults: 2 }, promoCode: 'ONCE' });
+
+      const results = await Promise.all([
+        bookWithCode('2030-06-01', '2030-06-04'),
+        bookWithCode('2030-07-01', '2030-07-04'),
+        bookWithCode('2030-08-01', '2030-08-04')
+      ]);
+
+      expect(results.filter(res => res.statusCode === 201)).toHaveLength(1);
+      expect(await PromoRedemption.countDocuments({ status: 'redeemed' })).toBe(1);
+      expect((await PromoCode.findOne({ code: 'ONCE' })).timesRedeemed).toBe(1);
+    });
+
+    it('should reject overlapping bookings with the clashing dates', async () => {
+      await book('2030-06-01', '2030-06-04');
+
+      const res = await book('2030-06-03', '2030-06-06');
+
+      expect(res.statusCode).toBe(409);
+      expect(res.body.details.conflictingDates).toEqual(['2030-06-03']);
+    });
+
+    it('should allow back-to-back bookings', async () => {
+      await book('2030-06-01', '2030-06-04');
+
+      const res = await book('2030-06-04', '2030-06-06');
+
+      expect(res.statusCode).toBe(201);
+    });
+
+    it('should only accept one of several concurrent requests for the same nights', async () => {
+      const results = await Promise.all([
+        book('2030-07-01', '2030-07-03'),
+        book('2030-07-02', '2030-07-04'),
+        book('2030-07-01', '2030-07-05')
+      ]);
+
+      const statuses = results.map(res => res.statusCode).sort();
+      expect(statuses).toEqual([201, 409, 409]);
+      expect(await Booking.countDocuments()).toBe(1);
+    });
+
+    it('should free the nights when a booking is cancelled', async () => {
+      const first = await book('2030-06-01', '2030-06-04');
+
+      await request(app)
+        .patch(`/api/bookings/${first.body.data._id}/cancel`)
+        .set('Authorization', token)
+        .send({ reason: 'Change of plans' });
+
+      const res = await book('2030-06-01', '2030-06-04');
+
+      expect(res.statusCode).toBe(201);
+    });
+
+    it('should reject rooms that are out of order', async () => {
+      await Room.updateOne({ _id: room._id }, { status: 'out-of-order' });
+
+      const res = await book('2030-06-01', '2030-06-04');
+
+      expect(res.statusCode).toBe(409);
+    });
+
+    it('should reject stays during scheduled maintenance', async () => {
+      await Room.updateOne({ _id: room._id }, {
+        $push: {
+          maintenanceHistory: {
+            type: 'repair',
+            startDate: new Date('2030-06-02'),
+            endDate: new Date('2030-06-03')
+          }
+        }
+      });
+
+      const res = await book('2030-06-01', '2030-06-04');
+
+      expect(res.statusCode).toBe(409);
+      expect(res.body.details.maintenanceDates).toEqual(['2030-06-02']);
+    });
+
+    it('should reject more guests than the room sleeps', async () => {
+      const res = await request(app)
+        .post('/api/bookings')
+        .set('Authorization', token)
+        .send({ room: room._id, checkIn: '2030-06-01', checkOut: '2030-06-04', numberOfGuests: { adults: 6 } });
+
+      expect(res.statusCode).toBe(400);
+      expect(await RoomNight.countDocuments()).toBe(0);
+    });
+  });
+
+  describe('POST /api/bookings/quote', () => {
+    it('should quote a stay with add-ons and honour the price when booking', async () => {
+      const quote = await request(app)
+        .post('/api/bookings/quote')
+        .send({
+          roomType: 'deluxe',
+          checkIn: '2030-06-01',
+          checkOut: '2030-06-03',
+          numberOfGuests: { adults: 2 },
+          addOns: [{ service: 'breakfast', quantity: 2 }]
+        });
+
+      expect(quote.statusCode).toBe(200);
+      expect(quote.body.data.room).toBeNull();
+      expect(quote.body.data.roomType).toBe('deluxe');
+      expect(quote.body.data.roomTotal).toBe(200);
+      expect(quote.body.data.addOnTotal).toBe(50);
+
+      // A price change after quoting doesn't affect the quoted booking
+      await Room.updateOne({ _id: room._id }, { pricePerNight: 150 });
+
+      const res = await request(app)
+        .post('/api/bookings')
+        .set('Authorization', token)
+        .send({
+          checkIn: '2030-06-01',
+          checkOut: '2030-06-03',
+          numberOfGuests: { adults: 2 },
+          addOns: [{ service: 'breakfast', quantity: 2 }],
+          quoteToken: quote.body.data.quoteToken
+        });
+
+      expect(res.statusCode).toBe(201);
+      expect(res.body.data.totalPrice).toBe(250);
+      expect(res.body.data.roomType).toBe('deluxe');
+      expect(res.body.data.room).toBeUndefined();
+    });
+
+    it('should reject a quote token used for different dates', async () => {
+      const quote = await request(app)
+        .post('/api/bookings/quote')
+        .send({ room: room._id, checkIn: '2030-06-01', checkOut: '2030-06-03' });
+
+      const res = await request(app)
+        .post('/api/bookings')
+        .set('Authorization', token)
+        .send({
+          room: room._id,
+          checkIn: '2030-06-01',
+          checkOut: '2030-06-05',
+          quoteToken: quote.body.data.quoteToken
+        });
+
+      expect(res.statusCode).toBe(400);
+    });
+
+    it('should reject a quote token used with other add-ons or without its promo code', async () => {
+      await PromoCode.create({ code: 'SUMMER10', discountType: 'percentage', value: 10 });
+      const quote = await request(app)
+        .post('/api/bookings/quote')
+        .send({
+          room: room._id,
+          checkIn: '2030-06-01',
+          checkOut: '2030-06-03',
+          addOns: [{ service: 'breakfast', quantity: 2 }],
+          promoCode: 'SUMMER10'
+        });
+      const bookWithQuote = (body) => request(app)
+        .post('/api/bookings')
+        .set('Authorization', token)
+        .send({
+          room: room._id,
+          checkIn: '2030-06-01',
+          checkOut: '2030-06-03',
+          quoteToken: quote.body.data.quoteToken,
+          ...body
+        });
+
+      const otherAddOns = await bookWithQuote({ addOns: [{ service: 'dinner', quantity: 2 }], promoCode: 'SUMMER10' });
+      expect(otherAddOns.statusCode).toBe(400);
+      expect(otherAddOns.body.message).toBe('The booking details do not match the quote');
+
+      const noPromo = await bookWithQuote({ addOns: [{ service: 'breakfast', quantity: 2 }] });
+      expect(noPromo.statusCode).toBe(400);
+      expect(await Booking.countDocuments()).toBe(0);
+
+      const res = await bookWithQuote({ addOns: [{ service: 'breakfast', quantity: 2 }], promoCode: 'summer10' });
+      expect(res.statusCode).toBe(201);
+    });
+  });
+
+  describe('PATCH /api/bookings/:id/status', () => {
+    let staffToken;
+    let bookingId;
+
+    const setStatus = (status) => request(app)
+      .patch(`/api/bookings/${bookingId}/status`)
+      .set('Authorization', staffToken)
+      .send({ status });
+
+    beforeEach(async () => {
+      ({ token: staffToken } = await createUserAndLogin('staff@example.com', 'staff'));
+      const res = await book('2030-06-01', '2030-06-04');
+      bookingId = res.body.data._id;
+    });
+
+    it('should reject transitions that skip a step', async () => {
+      const res = await setStatus('checked-in');
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.details.allowed).toEqual(['confirmed', 'cancelled']);
+    });
+
+    it('should occupy the room on check-in and free it on check-out', async () => {
+      await setStatus('confirmed');
+      await setStatus('checked-in');
+      expect((await Room.findById(room._id)).status).toBe('occupied');
+
+      const res = await setStatus('checked-out');
+
+      expect(res.statusCode).toBe(200);
+      const updatedRoom = await Room.findById(room._id);
+      expect(updatedRoom.status).toBe('available');
+      expect(updatedRoom.occupancyStats.totalBookings).toBe(1);
+      expect(res.body.data.statusHistory.map(entry => entry.to))
+        .toEqual(['pending', 'confirmed', 'checked-in', 'checked-out']);
+    });
+
+    it('should compute the refund from the policy instead of the request', async () => {
+      await request(app)
+        .post(`/api/bookings/${bookingId}/payments`)
+        .set('Authorization', staffToken)
+        .send({ amount: 300, method: 'card' });
+
+      const res = await request(app)
+        .patch(`/api/bookings/${bookingId}/cancel`)
+        .set('Authorization', token)
+        .send({ reason: 'Change of plans', refundAmount: 10000 });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.cancellation.refundAmount).toBe(300);
+      expect(res.body.data.cancellation.policy.name).toBe('Standard');
+    });
+
+    it('should apply the cancellation policy when staff cancel through the status', async () => {
+      await request(app)
+        .post(`/api/bookings/${bookingId}/payments`)
+        .set('Authorization', staffToken)
+        .send({ amount: 300, method: 'card' });
+
+      const res = await setStatus('cancelled');
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.status).toBe('cancelled');
+      expect(res.body.data.cancellation.refundAmount).toBe(300);
+      expect(await RoomNight.countDocuments({ booking: bookingId })).toBe(0);
+    });
+
+    it('should take a cancelled booking\'s taxes out of the tax report', async () => {
+      await TaxRule.create([
+        { name: 'VAT', calculation: 'percentage', percentage: 10, categories: ['room'] },
+        { name: 'City fee', kind: 'fee', calculation: 'flat-per-night', amount: 2, categories: ['room'] }
+      ]);
+      const { token: managerToken } = await createUserAndLogin('manager@example.com', 'manager');
+      const taxed = await book('2030-07-01', '2030-07-04');
+      const today = new Date().toISOString().slice(0, 10);
+      const report = () => request(app)
+        .get('/api/tax-rules/report')
+        .set('Authorization', managerToken)
+        .query({ startDate: '2000-01-01', endDate: today });
+
+      expect((await report()).body.data.total).toBe(36);
+
+      bookingId = taxed.body.data._id;
+      await setStatus('cancelled');
+
+      const res = await report();
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.taxTotal).toBe(0);
+      expect(res.body.data.feeTotal).toBe(0);
+    });
+
+    it('should only add add-ons to open stays', async () => {
+      const addBreakfast = () => request(app)
+        .patch(`/api/bookings/${bookingId}/add-ons`)
+        .set('Authorization', token)
+        .send({ addOns: [{ service: 'breakfast', quantity: 2 }] });
+
+      const added = await addBreakfast();
+      expect(added.statusCode).toBe(200);
+      expect(added.body.data.totalPrice).toBe(350);
+
+      await setStatus('cancelled');
+
+      const res = await addBreakfast();
+      expect(res.statusCode).toBe(400);
+      expect((await Booking.findById(bookingId)).addOns).toHaveLength(1);
+    });
+
+    it('should only delete bookings that took no payment', async () => {
+      const { token: adminToken } = await createUserAndLogin('admin@example.com', 'admin');
+      const other = await book('2030-07-01', '2030-07-04');
+      const remove = (id) => request(app)
+        .delete(`/api/bookings/${id}`)
+        .set('Authorization', adminToken);
+
+      await request(app)
+        .post(`/api/bookings/${bookingId}/payments`)
+        .set('Authorization', staffToken)
+        .send({ amount: 100, method: 'card' });
+
+      const paid = await remove(bookingId);
+      expect(paid.statusCode).toBe(400);
+      expect(await Booking.exists({ _id: bookingId })).toBeTruthy();
+
+      const res = await remove(other.body.data._id);
+      expect(res.statusCode).toBe(204);
+      expect(await RoomNight.countDocuments({ booking: other.body.data._id })).toBe(0);
+      expect(await Folio.exists({ booking: other.body.data._id })).toBeNull();
+    });
+
+    it('should not allow cancelling after check-in', async () => {
+      await setStatus('confirmed');
+      await setStatus('checked-in');
+
+      const res = await request(app)
+        .patch(`/api/bookings/${bookingId}/cancel`)
+        .set('Authorization', token)
+        .send({ reason: 'Too late' });
+
+      expect(res.statusCode).toBe(400);
+    });
+  });
+
+  describe('PATCH /api/bookings/:id/modify', () => {
+    let bookingId;
+
+    beforeEach(async () => {
+      const res = await book('2030-06-01', '2030-06-04');
+      bookingId = res.body.data._id;
+    });
+
+    const modify = (changes) => request(app)
+      .patch(`/api/bookings/${bookingId}/modify`)
+      .set('Authorization', token)
+      .send(changes);
+
+    it('should move the nights, reprice and record the change', async () => {
+      const res = await modify({ checkOut: '2030-06-06' });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.totalPrice).toBe(500);
+      expect(res.body.data.modifications[0].priceDifference).toBe(200);
+      expect(res.body.data.modifications[0].amountDue).toBe(200);
+      expect(res.body.data.modifications[0].changes)
+        .toEqual([{ field: 'checkOut', from: '2030-06-04', to: '2030-06-06' }]);
+      expect(await RoomNight.countDocuments({ booking: bookingId })).toBe(5);
+    });
+
+    it('should reject more guests than the room sleeps', async () => {
+      const res = await modify({ numberOfGuests: { adults: 4 } });
+
+      expect(res.statusCode).toBe(400);
+    });
+
+    it('should keep the original nights when the new dates are taken', async () => {
+      const laterBooking = await book('2030-06-10', '2030-06-12');
+      expect(laterBooking.statusCode).toBe(201);
+
+      const res = await modify({ checkIn: '2030-06-09', checkOut: '2030-06-11' });
+
+      expect(res.statusCode).toBe(409);
+      expect(await RoomNight.countDocuments({ booking: bookingId })).toBe(3);
+    });
+
+    it('should not let the generic update change the price', async () => {
+      const res = await request(app)
+        .patch(`/api/bookings/${bookingId}`)
+        .set('Authorization', token)
+        .send({ totalPrice: 1, paymentStatus: 'paid' });
+
+      expect(res.statusCode).toBe(400);
+      expect((await Booking.findById(bookingId)).totalPrice).toBe(300);
+    });
+  });
+
+  describe('Booking folio', () => {
+    let staffToken;
+    let bookingId;
+
+    beforeEach(async () => {
+      ({ token: staffToken } = await createUserAndLogin('staff@example.com', 'staff'));
+      const res = await book('2030-06-01', '2030-06-04');
+      bookingId = res.body.data._id;
+    });
+
+    const pay = (amount) => request(app)
+      .post(`/api/bookings/${bookingId}/payments`)
+      .set('Authorization', staffToken)
+      .send({ amount, method: 'card' });
+
+    it('should charge each night when the booking is made', async () => {
+      const res = await request(app)
+        .get(`/api/bookings/${bookingId}/folio`)
+        .set('Authorization', token);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.entries.map(entry => entry.category)).toEqual(['room', 'room', 'room']);
+      expect(res.body.data.balance).toBe(300);
+    });
+
+    it('should derive the payment status from deposits and payments', async () => {
+      const deposit = await pay(100);
+      expect(deposit.body.data.balance).toBe(200);
+      expect((await Booking.findById(bookingId)).paymentStatus).toBe('partial');
+
+      const rest = await pay(200);
+      expect(rest.body.data.entries.map(entry => entry.balanceAfter)).toEqual([100, 200, 300, 200, 0]);
+      const booking = await Booking.findById(bookingId);
+      expect(booking.paymentStatus).toBe('paid');
+      expect(booking.paymentDetails.paidAmount).toBe(300);
+    });
+
+    it('should not let guests record payments', async () => {
+      const res = await request(app)
+        .post(`/api/bookings/${bookingId}/payments`)
+        .set('Authorization', token)
+        .send({ amount: 300 });
+
+      expect(res.statusCode).toBe(403);
+    });
+  });
+
+  describe('Payment webhooks', () => {
+    let bookingId;
+
+    beforeEach(async () => {
+      const res = await book('2030-06-01', '2030-06-04');
+      bookingId = res.body.data._id;
+    });
+
+    it('should apply a signed payment event only once', async () => {
+      const intent = await request(app)
+        .post(`/api/bookings/${bookingId}/payments/intents`)
+        .set('Authorization', token)
+        .send({});
+      expect(intent.statusCode).toBe(201);
+      expect(intent.body.data.payment.amount).toBe(300);
+
+      const { body, signature } = getPaymentProvider().signWebhookPayload({
+        id: 'evt_test_1',
+        type: 'payment_intent.succeeded',
+        data: { id: intent.body.data.payment.intentId, amount: 300, transactionId: 'ch_test_1' }
+      });
+      const deliver = () => request(app)
+        .post('/api/payments/webhook')
+        .set('Content-Type', 'application/json')
+        .set('X-Payment-Signature', signature)
+        .send(body);
+
+      const first = await deliver();
+      const retry = await deliver();
+
+      expect(first.statusCode).toBe(200);
+      expect(retry.body.data.duplicate).toBe(true);
+      const booking = await Booking.findById(bookingId);
+      expect(booking.paymentStatus).toBe('paid');
+      expect(booking.paymentDetails.paidAmount).toBe(300);
+    });
+
+    it('should keep a failed cancellation refund pending until it is retried', async () => {
+      const { token: managerToken } = await createUserAndLogin('manager@example.com', 'manager');
+      const intent = await request(app)
+        .post(`/api/bookings/${bookingId}/payments/intents`)
+        .set('Authorization', token)
+        .send({});
+      await request(app)
+        .post(`/api/bookings/${bookingId}/payments/${intent.body.data.payment._id}/capture`)
+        .set('Authorization', managerToken);
+
+      const refundPayment = jest.spyOn(getPaymentProvider(), 'refundPayment')
+        .mockRejectedValueOnce(new Error('Gateway unavailable'));
+
+      const cancel = await request(app)
+        .patch(`/api/bookings/${bookingId}/cancel`)
+        .set('Authorization', token)
+        .send({ reason: 'Change of plans' });
+
+      expect(cancel.statusCode).toBe(200);
+      expect(cancel.body.data.status).toBe('cancelled');
+      expect(cancel.body.data.cancellation.refundStatus).toBe('pending');
+      expect(cancel.body.data.cancellation.refundError).toBe('Gateway unavailable');
+
+      const retry = await request(app)
+        .post(`/api/bookings/${bookingId}/cancellation/refund`)
+        .set('Authorization', managerToken);
+      refundPayment.mockRestore();
+
+      expect(retry.statusCode).toBe(200);
+      expect(retry.body.data.cancellation.refundStatus).toBe('refunded');
+      expect(retry.body.data.cancellation.refundedAmount).toBe(300);
+      expect(retry.body.data.paymentDetails.paidAmount).toBe(0);
+    });
+
+    it('should reject unsigned events', async () => {
+      const res = await request(app)
+        .post('/api/payments/webhook')
+        .send({ id: 'evt_test_2', type: 'payment_intent.succeeded' });
+
+      expect(res.statusCode).toBe(400);
+    });
+  });
+
+  describe('Booking invoices', () => {
+    let bookingId;
+    let staffToken;
+
+    beforeEach(async () => {
+      ({ token: staffToken } = await createUserAndLogin('staff@example.com', 'staff'));
+      const res = await book('2030-06-01', '2030-06-04');
+      bookingId = res.body.data._id;
+    });
+
+    const getInvoice = (format = 'json') => request(app)
+      .get(`/api/bookings/${bookingId}/invoice?format=${format}`)
+      .set('Authorization', token);
+
+    const issue = (authToken = staffToken) => request(app)
+      .post(`/api/bookings/${bookingId}/invoice`)
+      .set('Authorization', authToken);
+
+    it('should show a pro-forma until staff issue the invoice', async () => {
+      const proForma = await getInvoice();
+
+      expect(proForma.statusCode).toBe(200);
+      expect(proForma.body.data.proForma).toBe(true);
+      expect(proForma.body.data.total).toBe(300);
+      expect(await Invoice.countDocuments()).toBe(0);
+
+      expect((await issue(token)).statusCode).toBe(403);
+      const issued = await issue();
+      const again = await issue();
+      const downloaded = await getInvoice();
+
+      expect(issued.statusCode).toBe(201);
+      expect(issued.body.data.number).toBe('INV-R360-000001');
+      expect(again.statusCode).toBe(400);
+      expect(downloaded.body.data.number).toBe('INV-R360-000001');
+    });
+
+    it('should download the invoice as a PDF', async () => {
+      const res = await getInvoice('pdf');
+
+      expect(res.statusCode).toBe(200);
+      expect(res.headers['content-type']).toContain('application/pdf');
+    });
+
+    it('should correct an invoice with a credit note and the next number', async () => {
+      const { token: managerToken } = await createUserAndLogin('manager@example.com', 'manager');
+      await issue();
+
+      const creditNote = await request(app)
+        .post(`/api/bookings/${bookingId}/invoice/credit-note`)
+        .set('Authorization', managerToken)
+        .send({ reason: 'Wrong guest name' });
+      const reissued = await issue();
+
+      expect(creditNote.statusCode).toBe(201);
+      expect(creditNote.body.data.number).toBe('CN-R360-000001');
+      expect(creditNote.body.data.total).toBe(-300);
+      expect(reissued.body.data.number).toBe('INV-R360-000002');
+    });
+
+    it('should issue the invoice at check-out', async () => {
+      for (const status of ['confirmed', 'checked-in', 'checked-out']) {
+        await request(app)
+          .patch(`/api/bookings/${bookingId}/status`)
+          .set('Authorization', staffToken)
+          .send({ status });
+      }
+
+      const res = await getInvoice();
+
+      expect(res.body.data.proForma).toBeUndefined();
+      expect(res.body.data.number).toBe('INV-R360-000001');
+    });
+
+    it('should not allow changing an issued invoice', async () => {
+      const res = await issue();
+
+      await expect(Invoice.updateOne({ _id: res.body.data._id }, { total: 0 })).rejects.toThrow();
+    });
+
+    it('should give a receipt for each payment', async () => {
+      await request(app)
+        .post(`/api/bookings/${bookingId}/payments`)
+        .set('Authorization', staffToken)
+        .send({ amount: 100, method: 'card' });
+      const folio = await request(app)
+        .get(`/api/bookings/${bookingId}/folio`)
+        .set('Authorization', token);
+      const payment = folio.body.data.entries.find(entry => entry.type === 'payment');
+
+      const receipt = await request(app)
+        .get(`/api/bookings/${bookingId}/payments/${payment._id}/receipt?format=json`)
+        .set('Authorization', token);
+      const charge = folio.body.data.entries.find(entry => entry.type === 'charge');
+      const notAPayment = await request(app)
+        .get(`/api/bookings/${bookingId}/payments/${charge._id}/receipt`)
+        .set('Authorization', token);
+
+      expect(receipt.statusCode).toBe(200);
+      expect(receipt.body.data.amount).toBe(100);
+      expect(receipt.body.data.balanceAfter).toBe(200);
+      expect(notAPayment.statusCode).toBe(404);
+    });
+  });
+});
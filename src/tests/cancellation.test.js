@@ -0,0 +1,45 @@
+const { calculateRefund } = require('../services/cancellation.service');
+
+const policy = {
+  _id: 'policy-1',
+  name: 'Flexible',
+  tiers: [
+    { daysBeforeCheckIn: 3, refundPercentage: 50 },
+    { daysBeforeCheckIn: 14, refundPercentage: 100 }
+  ]
+};
+
+const booking = (paidAmount) => ({
+  checkIn: new Date('2030-06-20'),
+  paymentDetails: { paidAmount }
+});
+
+describe('Cancellation service', () => {
+  it('should refund in full when cancelled early enough', () => {
+    const refund = calculateRefund(booking(400), policy, new Date('2030-06-01'));
+
+    expect(refund.daysBeforeCheckIn).toBe(19);
+    expect(refund.refundAmount).toBe(400);
+    expect(refund.penaltyAmount).toBe(0);
+  });
+
+  it('should apply the percentage penalty inside the notice period', () => {
+    const refund = calculateRefund(booking(400), policy, new Date('2030-06-15'));
+
+    expect(refund.refundPercentage).toBe(50);
+    expect(refund.refundAmount).toBe(200);
+  });
+
+  it('should refund nothing once no tier applies', () => {
+    const refund = calculateRefund(booking(400), policy, new Date('2030-06-19'));
+
+    expect(refund.refundAmount).toBe(0);
+    expect(refund.penaltyAmount).toBe(400);
+  });
+
+  it('should only refund what was actually paid', () => {
+    const refund = calculateRefund(booking(undefined), policy, new Date('2030-06-01'));
+
+    expect(refund.refundAmount).toBe(0);
+  });
+});
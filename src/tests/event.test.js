@@ -0,0 +1,425 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const nodemailer = require('nodemailer');
+const app = require('../server');
+const Event = require('../models/event.model');
+const email = require('../utils/email');
+const { expireOffers } = require('../services/eventWaitlist.service');
+const { useTestDatabase, createUserAndLogin } = require('./helpers');
+
+useTestDatabase();
+
+const nextWeek = (hours = 0) => new Date(Date.now() + 7 * 24 * 60 * 60 * 1000 + hours * 60 * 60 * 1000);
+
+describe('Event Endpoints', () => {
+  let staff;
+  let event;
+
+  beforeEach(async () => {
+    staff = await createUserAndLogin('staff@example.com', 'staff');
+
+    const res = await request(app)
+      .post('/api/events')
+      .set('Authorization', staff.token)
+      .send({
+        title: 'Sunset Yoga',
+        description: 'Yoga on the beach',
+        type: 'sports',
+        startDate: nextWeek(),
+        endDate: nextWeek(1),
+        location: { name: 'open space', location_id: new mongoose.Types.ObjectId() },
+        capacity: 1,
+        tags: ['wellness']
+      });
+
+    event = res.body.data;
+  });
+
+  it('should let staff create events with themselves as organizer', async () => {
+    expect(event).toBeDefined();
+    expect(event.organizer).toBe(staff.user._id.toString());
+  });
+
+  it('should not let guests create events', async () => {
+    const guest = await createUserAndLogin('guest@example.com');
+
+    const res = await request(app)
+      .post('/api/events')
+      .set('Authorization', guest.token)
+      .send({ title: 'Party' });
+
+    expect(res.statusCode).toBe(403);
+  });
+
+  it('should filter events by tags', async () => {
+    const res = await request(app).get('/api/events?tags=wellness,kids');
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.results).toBe(1);
+  });
+
+  it('should register guests up to capacity', async () => {
+    const first = await createUserAndLogin('first@example.com');
+    const second = await createUserAndLogin('second@example.com');
+
+    const ok = await request(app)
+      .post(`/api/events/${event._id}/register`)
+      .set('Authorization', first.token);
+    const full = await request(app)
+      .post(`/api/events/${event._id}/register`)
+      .set('Authorization', second.token);
+
+    expect(ok.statusCode).toBe(201);
+    expect(ok.body.data.availableSpots).toBe(0);
+    expect(full.statusCode).toBe(409);
+  });
+
+  it('should free the spot when a guest unregisters', async () => {
+    const first = await createUserAndLogin('first@example.com');
+    const second = await createUserAndLogin('second@example.com');
+
+    await request(app)
+      .post(`/api/events/${event._id}/register`)
+      .set('Authorization', first.token);
+    const cancel = await request(app)
+      .delete(`/api/events/${event._id}/register`)
+      .set('Authorization', first.token);
+    const res = await request(app)
+      .post(`/api/events/${event._id}/register`)
+      .set('Authorization', second.token);
+
+    expect(cancel.statusCode).toBe(200);
+    expect(res.statusCode).toBe(201);
+  });
+
+  it('should invoice a registration, as a pro-forma until staff issue it', async () => {
+    const guest = await createUserAndLogin('guest@example.com');
+    await request(app)
+      .post(`/api/events/${event._id}/register`)
+      .set('Authorization', guest.token);
+
+    const proForma = await request(app)
+      .get(`/api/events/${event._id}/invoice?format=json`)
+      .set('Authorization', guest.token);
+    const forbidden = await request(app)
+      .post(`/api/events/${event._id}/participants/${guest.user._id}/invoice`)
+      .set('Authorization', guest.token);
+    const issued = await request(app)
+      .post(`/api/events/${event._id}/participants/${guest.user._id}/invoice`)
+      .set('Authorization', staff.token);
+    const downloaded = await request(app)
+      .get(`/api/events/${event._id}/invoice?format=json`)
+      .set('Authorization', guest.token);
+
+    expect(proForma.statusCode).toBe(200);
+    expect(proForma.body.data.proForma).toBe(true);
+    expect(proForma.body.data.eventDetails.title).toBe('Sunset Yoga');
+    expect(forbidden.statusCode).toBe(403);
+    expect(issued.statusCode).toBe(201);
+    expect(issued.body.data.number).toMatch(/^INV-/);
+    expect(downloaded.body.data.number).toBe(issued.body.data.number);
+  });
+
+  it('should mark registered participants as attended', async () => {
+    const guest = await createUserAndLogin('guest@example.com');
+
+    await request(app)
+      .post(`/api/events/${event._id}/register`)
+      .set('Authorization', guest.token);
+
+    const res = await request(app)
+      .patch(`/api/events/${event._id}/attendance`)
+      .set('Authorization', staff.token)
+      .send({ guests: [guest.user._id.toString()] });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.attended).toEqual([guest.user._id.toString()]);
+
+    const updated = await Event.findById(event._id);
+    expect(updated.participants[0].status).toBe('attended');
+  });
+});
+
+describe('Recurring events', () => {
+  let staff;
+  let series;
+
+  beforeEach(async () => {
+    staff = await createUserAndLogin('staff@example.com', 'staff');
+
+    const res = await request(app)
+      .post('/api/events')
+      .set('Authorization', staff.token)
+      .send({
+        title: 'Friday Barbecue',
+        description: 'Grill night by the pool',
+        type: 'dining',
+        startDate: '2030-01-04T18:00:00Z',
+        endDate: '2030-01-04T21:00:00Z',
+        location: { name: 'open space', location_id: new mongoose.Types.ObjectId() },
+        capacity: 1,
+        isRecurring: true,
+        recurringPattern: { frequency: 'weekly', endDate: '2030-02-01', exceptions: ['2030-01-18'] }
+      });
+
+    series = res.body.data;
+  });
+
+  const listOccurrences = () => request(app)
+    .get(`/api/events/${series._id}/occurrences`)
+    .query({ startDate: '2030-01-01', endDate: '2030-12-31' });
+
+  it('should list occurrences without storing them and keep registrations per occurrence', async () => {
+    let res = await listOccurrences();
+    expect(res.body.data.map(occurrence => occurrence.occurrenceDate))
+      .toEqual(['2030-01-04', '2030-01-11', '2030-01-25', '2030-02-01']);
+    expect(await Event.countDocuments({ series: series._id })).toBe(0);
+
+    const first = await createUserAndLogin('first@example.com');
+    const second = await createUserAndLogin('second@example.com');
+    const register = (guest, date) => request(app)
+      .post(`/api/events/${series._id}/occurrences/${date}/register`)
+      .set('Authorization', guest.token);
+
+    expect((await register(first, '2030-01-11')).statusCode).toBe(201);
+    expect((await register(second, '2030-01-11')).statusCode).toBe(409);
+    expect((await register(second, '2030-01-25')).statusCode).toBe(201);
+    expect((await register(second, '2030-01-18')).statusCode).toBe(404);
+
+    // The series itself takes no registrations
+    const direct = await request(app)
+      .post(`/api/events/${series._id}/register`)
+      .set('Authorization', first.token);
+    expect(direct.statusCode).toBe(400);
+
+    res = await listOccurrences();
+    expect(res.body.data.map(occurrence => occurrence.availableSpots)).toEqual([1, 0, 0, 1]);
+    expect(await Event.countDocuments({ series: series._id })).toBe(2);
+  });
+
+  it('should apply series changes to occurrences not changed on their own', async () => {
+    const moved = await request(app)
+      .patch(`/api/events/${series._id}/occurrences/2030-01-11`)
+      .set('Authorization', staff.token)
+      .send({ title: 'Beach Barbecue', startDate: '2030-01-11T19:00:00Z', endDate: '2030-01-11T22:00:00Z' });
+    expect(moved.statusCode).toBe(200);
+
+    const guest = await createUserAndLogin('guest@example.com');
+    await request(app)
+      .post(`/api/events/${series._id}/occurrences/2030-01-25/register`)
+      .set('Authorization', guest.token);
+
+    await request(app)
+      .patch(`/api/events/${series._id}`)
+      .set('Authorization', staff.token)
+      .send({ price: 20 });
+
+    let res = await listOccurrences();
+    expect(res.body.data.map(occurrence => [occurrence.title, occurrence.price])).toEqual([
+      ['Friday Barbecue', 20],
+      ['Beach Barbecue', 0],
+      ['Friday Barbecue', 20],
+      ['Friday Barbecue', 20]
+    ]);
+
+    // A day with registrations can't be skipped, only cancelled
+    const skip = await request(app)
+      .delete(`/api/events/${series._id}/occurrences/2030-01-25`)
+      .set('Authorization', staff.token);
+    expect(skip.statusCode).toBe(400);
+
+    await request(app)
+      .delete(`/api/events/${series._id}/occurrences/2030-02-01`)
+      .set('Authorization', staff.token);
+
+    // Nor can the series be deleted under its guests
+    const remove = await request(app)
+      .delete(`/api/events/${series._id}`)
+      .set('Authorization', staff.token);
+    expect(remove.statusCode).toBe(400);
+    expect(remove.body.details.occurrenceDates).toEqual(['2030-01-25']);
+    expect(await Event.countDocuments({ series: series._id })).toBe(2);
+
+    await request(app)
+      .patch(`/api/events/${series._id}`)
+      .set('Authorization', staff.token)
+      .send({ status: 'cancelled' });
+
+    res = await listOccurrences();
+    expect(res.body.data.map(occurrence => [occurrence.occurrenceDate, occurrence.status])).toEqual([
+      ['2030-01-04', 'cancelled'],
+      ['2030-01-11', 'cancelled'],
+      ['2030-01-25', 'cancelled']
+    ]);
+  });
+});
+
+describe('Event waitlist', () => {
+  let staff;
+  let transport;
+
+  beforeEach(async () => {
+    staff = await createUserAndLogin('staff@example.com', 'staff');
+
+    transport = nodemailer.createTransport({ jsonTransport: true });
+    jest.spyOn(transport, 'sendMail');
+    email.setTransport(transport);
+  });
+
+  afterEach(() => {
+    email.setTransport();
+  });
+
+  const createEvent = async (price = 0) => {
+    const res = await request(app)
+      .post('/api/events')
+      .set('Authorization', staff.token)
+      .send({
+        title: 'Wine Tasting',
+        description: 'Local wines',
+        type: 'dining',
+        startDate: nextWeek(),
+        endDate: nextWeek(2),
+        location: { name: 'restaurant', location_id: new mongoose.Types.ObjectId() },
+        capacity: 1,
+        price
+      });
+    return res.body.data;
+  };
+
+  const registerAndFill = async (event) => {
+    const first = await createUserAndLogin('first@example.com');
+    const second = await createUserAndLogin('second@example.com');
+    const third = await createUserAndLogin('third@example.com');
+
+    await request(app)
+      .post(`/api/events/${event._id}/register`)
+      .set('Authorization', first.token);
+    for (const guest of [second, third]) {
+      await request(app)
+        .post(`/api/events/${event._id}/waitlist`)
+        .set('Authorization', guest.token);
+    }
+
+    return { first, second, third };
+  };
+
+  it('should only take guests on the waitlist once the event is full', async () => {
+    const event = await createEvent();
+    const guest = await createUserAndLogin('guest@example.com');
+
+    const early = await request(app)
+      .post(`/api/events/${event._id}/waitlist`)
+      .set('Authorization', guest.token);
+    expect(early.statusCode).toBe(400);
+
+    const { third } = await registerAndFill(event);
+    const twice = await request(app)
+      .post(`/api/events/${event._id}/waitlist`)
+      .set('Authorization', third.token);
+    expect(twice.statusCode).toBe(400);
+
+    const res = await request(app)
+      .post(`/api/events/${event._id}/waitlist`)
+      .set('Authorization', guest.token);
+    expect(res.statusCode).toBe(201);
+    expect(res.body.data.position).toBe(3);
+  });
+
+  it('should register the next guest of a free event when a spot frees up', async () => {
+    const event = await createEvent();
+    const { first, second } = await registerAndFill(event);
+
+    await request(app)
+      .delete(`/api/events/${event._id}/register`)
+      .set('Authorization', first.token);
+
+    const stored = await Event.findById(event._id);
+    const registered = stored.participants.find(participant => participant.status === 'registered');
+    expect(registered.guest.toString()).toBe(second.user._id.toString());
+    expect(stored.waitlist).toHaveLength(1);
+    expect(transport.sendMail).toHaveBeenCalledWith(expect.objectContaining({ to: 'second@example.com' }));
+
+    // Full again; new guests queue up behind the third guest
+    const late = await createUserAndLogin('late@example.com');
+    const res = await request(app)
+      .post(`/api/events/${event._id}/register`)
+      .set('Authorization', late.token);
+    expect(res.statusCode).toBe(409);
+  });
+
+  it('should offer spots of paid events until the claim deadline', async () => {
+    const event = await createEvent(40);
+    const { first, second, third } = await registerAndFill(event);
+
+    await request(app)
+      .delete(`/api/events/${event._id}/register`)
+      .set('Authorization', first.token);
+
+    let stored = await Event.findById(event._id);
+    const offer = stored.participants.find(participant => participant.status === 'offered');
+    expect(offer.guest.toString()).toBe(second.user._id.toString());
+    expect(offer.claimDeadline.getTime()).toBeGreaterThan(Date.now());
+
+    // Nobody claimed it in time; the next guest gets the offer
+    await Event.updateOne(
+      { _id: event._id, 'participants.status': 'offered' },
+      { $set: { 'participants.$.claimDeadline': new Date(Date.now() - 1000) } }
+    );
+    const expired = await request(app)
+      .post(`/api/events/${event._id}/waitlist/claim`)
+      .set('Authorization', second.token);
+    expect(expired.statusCode).toBe(400);
+
+    await expireOffers();
+
+    const claim = await request(app)
+      .post(`/api/events/${event._id}/waitlist/claim`)
+      .set('Authorization', third.token);
+    expect(claim.statusCode).toBe(200);
+    expect(claim.body.data.registration.status).toBe('registered');
+
+    stored = await Event.findById(event._id);
+    expect(stored.availableSpots).toBe(0);
+    expect(stored.waitlist).toHaveLength(0);
+  });
+
+  it('should let the organizer see and reorder the waitlist', async () => {
+    const event = await createEvent();
+    const { second, third } = await registerAndFill(event);
+
+    const forbidden = await request(app)
+      .get(`/api/events/${event._id}/waitlist`)
+      .set('Authorization', second.token);
+    expect(forbidden.statusCode).toBe(403);
+
+    const incomplete = await request(app)
+      .patch(`/api/events/${event._id}/waitlist`)
+      .set('Authorization', staff.token)
+      .send({ guests: [third.user._id] });
+    expect(incomplete.statusCode).toBe(400);
+
+    await request(app)
+      .patch(`/api/events/${event._id}/waitlist`)
+      .set('Authorization', staff.token)
+      .send({ guests: [third.user._id, second.user._id] });
+
+    const res = await request(app)
+      .get(`/api/events/${event._id}/waitlist`)
+      .set('Authorization', staff.token);
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.waitlist.map(entry => entry.guest.email)).toEqual([
+      'third@example.com',
+      'second@example.com'
+    ]);
+
+    // More capacity goes to the guests waiting, in the new order
+    await request(app)
+      .patch(`/api/events/${event._id}`)
+      .set('Authorization', staff.token)
+      .send({ capacity: 2 });
+
+    const stored = await Event.findById(event._id);
+    expect(stored.waitlist.map(entry => entry.guest.toString())).toEqual([second.user._id.toString()]);
+  });
+});
@@ -0,0 +1,98 @@
+const request = require('supertest');
+const app = require('../server');
+const Booking = require('../models/booking.model');
+const RoomNight = require('../models/roomNight.model');
+const GroupReservation = require('../models/groupReservation.model');
+const { releaseExpiredGroups } = require('../services/group.service');
+const { useTestDatabase, createUserAndLogin, createRooms } = require('./helpers');
+
+useTestDatabase({ indexes: [RoomNight] });
+
+describe('Group reservations', () => {
+  let staffToken;
+  let lead;
+
+  beforeEach(async () => {
+    ({ token: staffToken } = await createUserAndLogin('staff@example.com', 'staff'));
+    lead = await createUserAndLogin('lead@example.com');
+  });
+
+  const createGroup = (rooms, overrides = {}) => request(app)
+    .post('/api/bookings/groups')
+    .set('Authorization', staffToken)
+    .send({
+      name: 'Smith wedding',
+      leadGuest: lead.user._id,
+      checkIn: '2030-06-01',
+      checkOut: '2030-06-03',
+      cutoffDate: '2030-05-01',
+      rooms,
+      ...overrides
+    });
+
+  it('should book rooms of a type for the lead guest', async () => {
+    await createRooms(3);
+
+    const res = await createGroup([
+      { roomType: 'deluxe', quantity: 2 }
+    ]);
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.data.bookings).toHaveLength(2);
+    expect(res.body.data.roomingList).toHaveLength(2);
+    expect(res.body.data.bookings.every(booking => booking.guest._id === lead.user._id.toString())).toBe(true);
+
+    const mine = await request(app)
+      .get('/api/bookings/groups')
+      .set('Authorization', lead.token);
+    expect(mine.body.results).toBe(1);
+  });
+
+  it('should book nothing when one of the rooms is unavailable', async () => {
+    await createRooms(2);
+
+    const res = await createGroup([{ roomType: 'deluxe', quantity: 3 }]);
+
+    expect(res.statusCode).toBe(409);
+    expect(await Booking.countDocuments()).toBe(0);
+    expect(await RoomNight.countDocuments()).toBe(0);
+    expect(await GroupReservation.countDocuments()).toBe(0);
+  });
+
+  it('should confirm all rooms and cancel a single one', async () => {
+    const rooms = await createRooms(2);
+    const created = await createGroup(rooms.map(room => ({ room: room._id })));
+    const groupId = created.body.data._id;
+
+    const confirmed = await request(app)
+      .patch(`/api/bookings/groups/${groupId}/confirm`)
+      .set('Authorization', staffToken);
+
+    expect(confirmed.body.data.status).toBe('confirmed');
+
+    const cancelled = await request(app)
+      .patch(`/api/bookings/groups/${groupId}/cancel`)
+      .set('Authorization', lead.token)
+      .send({ bookings: [created.body.data.bookings[0]._id], reason: 'One couple can no longer come' });
+
+    expect(cancelled.statusCode).toBe(200);
+    expect(cancelled.body.data.bookings.map(booking => booking.status)).toEqual(['cancelled', 'confirmed']);
+    expect(cancelled.body.data.status).toBe('confirmed');
+  });
+
+  it('should release rooms without a guest after the cutoff', async () => {
+    const rooms = await createRooms(2);
+    const created = await createGroup([
+      { room: rooms[0]._id, guestName: 'Ann Smith' },
+      { room: rooms[1]._id }
+    ]);
+
+    await GroupReservation.updateOne({ _id: created.body.data._id }, { cutoffDate: new Date(Date.now() - 1000) });
+    await releaseExpiredGroups();
+
+    const bookings = await Booking.find({ group: created.body.data._id }).sort('_id');
+    expect(bookings.map(booking => booking.status)).toEqual(['pending', 'cancelled']);
+    expect(await RoomNight.countDocuments({ room: rooms[1]._id })).toBe(0);
+    expect((await GroupReservation.findById(created.body.data._id)).roomsReleasedAt).toBeDefined();
+  });
+});
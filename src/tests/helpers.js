@@ -0,0 +1,72 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../server');
+const User = require('../models/user.model');
+const Room = require('../models/room.model');
+
+// Run the suite against an in-memory MongoDB that is emptied before each
+// test. `indexes` lists the models whose unique indexes the suite relies on.
+const useTestDatabase = ({ indexes = [] } = {}) => {
+  let mongoServer;
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+    for (const Model of indexes) {
+      await Model.syncIndexes();
+    }
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  // Through the driver, as some models (invoices) refuse deletes
+  beforeEach(async () => {
+    const collections = Object.values(mongoose.connection.collections);
+    await Promise.all(collections.map(collection => collection.deleteMany({})));
+  });
+};
+
+// Create a user with a role and log them in
+const createUserAndLogin = async (email, role = 'guest') => {
+  const user = await User.create({
+    firstName: 'Test',
+    lastName: 'User',
+    email,
+    password: 'password123',
+    role
+  });
+  const res = await request(app)
+    .post('/api/auth/login')
+    .send({ email, password: 'password123' });
+  return { user, token: res.body.token };
+};
+
+// A deluxe room for two adults and a child at 100 a night
+const roomFields = (overrides = {}) => ({
+  roomNumber: '101',
+  type: 'deluxe',
+  capacity: { adults: 2, children: 1 },
+  pricePerNight: 100,
+  basePrice: 100,
+  description: 'Garden view',
+  floor: 1,
+  ...overrides
+});
+
+const createRoom = (overrides = {}) => Room.create(roomFields(overrides));
+
+// Rooms numbered from 101 up, all alike
+const createRooms = (count, overrides = {}) => Room.create(
+  Array.from({ length: count }, (value, index) => roomFields({ roomNumber: `${101 + index}`, ...overrides }))
+);
+
+module.exports = {
+  useTestDatabase,
+  createUserAndLogin,
+  createRoom,
+  createRooms
+};
@@ -0,0 +1,135 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const nodemailer = require('nodemailer');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../server');
+const User = require('../models/user.model');
+const Invitation = require('../models/invitation.model');
+const email = require('../utils/email');
+
+let mongoServer;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  const mongoUri = mongoServer.getUri();
+  await mongoose.connect(mongoUri);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  await User.deleteMany({});
+  await Invitation.deleteMany({});
+});
+
+describe('Invitation Endpoints', () => {
+  let transport;
+  let adminToken;
+
+  beforeEach(async () => {
+    transport = nodemailer.createTransport({ jsonTransport: true });
+    jest.spyOn(transport, 'sendMail');
+    email.setTransport(transport);
+
+    await User.create({
+      firstName: 'Ada',
+      lastName: 'Admin',
+      email: 'admin@example.com',
+      password: 'password123',
+      role: 'admin'
+    });
+
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'admin@example.com', password: 'password123' });
+    adminToken = res.body.token;
+  });
+
+  afterEach(() => {
+    email.setTransport();
+  });
+
+  const invite = (body) => request(app)
+    .post('/api/invitations')
+    .set('Authorization', adminToken)
+    .send(body);
+
+  const lastInvitationToken = () => {
+    const calls = transport.sendMail.mock.calls;
+    const { text } = calls[calls.length - 1][0];
+    return text.match(/token=([a-f0-9]+)/)[1];
+  };
+
+  it('should create an invitation and email the invitee', async () => {
+    const res = await invite({ email: 'manager@example.com', role: 'manager' });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.data.token).toBeUndefined();
+    expect(transport.sendMail.mock.calls[0][0].to).toBe('manager@example.com');
+  });
+
+  it('should not create guest invitations', async () => {
+    const res = await invite({ email: 'guest@example.com', role: 'guest' });
+
+    expect(res.statusCode).toBe(400);
+  });
+
+  it('should create the account with the invited role on acceptance', async () => {
+    await invite({ email: 'staff@example.com', role: 'staff' });
+
+    const res = await request(app)
+      .post('/api/invitations/accept')
+      .send({
+        token: lastInvitationToken(),
+        firstName: 'Sam',
+        lastName: 'Staff',
+        password: 'password123'
+      });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.data.user.role).toBe('staff');
+    expect(res.body.data.user.email).toBe('staff@example.com');
+  });
+
+  it('should only accept an invitation once', async () => {
+    await invite({ email: 'staff@example.com', role: 'staff' });
+    const token = lastInvitationToken();
+    const body = { token, firstName: 'Sam', lastName: 'Staff', password: 'password123' };
+
+    await request(app).post('/api/invitations/accept').send(body);
+    const res = await request(app).post('/api/invitations/accept').send(body);
+
+    expect(res.statusCode).toBe(400);
+  });
+
+  it('should not accept a revoked invitation', async () => {
+    const created = await invite({ email: 'staff@example.com', role: 'staff' });
+    const token = lastInvitationToken();
+
+    const revoke = await request(app)
+      .delete(`/api/invitations/${created.body.data._id}`)
+      .set('Authorization', adminToken);
+
+    const res = await request(app)
+      .post('/api/invitations/accept')
+      .send({ token, firstName: 'Sam', lastName: 'Staff', password: 'password123' });
+
+    expect(revoke.body.data.status).toBe('revoked');
+    expect(res.statusCode).toBe(400);
+  });
+
+  it('should list invitations by status', async () => {
+    await invite({ email: 'one@example.com', role: 'staff' });
+    await invite({ email: 'two@example.com', role: 'manager' });
+
+    const res = await request(app)
+      .get('/api/invitations?status=pending')
+      .set('Authorization', adminToken);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.results).toBe(2);
+  });
+});
@@ -0,0 +1,48 @@
+const { createMockPaymentProvider, DECLINED_PAYMENT_METHOD } = require('../services/mockPaymentProvider');
+
+describe('Mock payment provider', () => {
+  let provider;
+
+  beforeEach(() => {
+    provider = createMockPaymentProvider({ webhookSecret: 'test-secret' });
+  });
+
+  it('should create, capture and partly refund a payment', async () => {
+    const intent = await provider.createPaymentIntent({ amount: 300, currency: 'usd' });
+    expect(intent.clientSecret).toContain(intent.id);
+
+    const captured = await provider.capturePayment(intent.id);
+    expect(captured.status).toBe('succeeded');
+    expect(captured.amountCaptured).toBe(300);
+
+    const refund = await provider.refundPayment(intent.id, { amount: 100 });
+    expect(refund.amount).toBe(100);
+    await expect(provider.refundPayment(intent.id, { amount: 250 })).rejects.toThrow('200 left to refund');
+  });
+
+  it('should decline the test card', async () => {
+    const intent = await provider.createPaymentIntent({
+      amount: 50,
+      currency: 'usd',
+      paymentMethod: DECLINED_PAYMENT_METHOD
+    });
+
+    await expect(provider.capturePayment(intent.id)).rejects.toMatchObject({ statusCode: 402 });
+  });
+
+  it('should verify webhook signatures it produced', () => {
+    const { body, signature } = provider.signWebhookPayload({ id: 'evt_1', type: 'payment_intent.succeeded' });
+
+    expect(provider.verifyWebhookSignature(body, signature).id).toBe('evt_1');
+  });
+
+  it('should reject tampered or stale webhooks', () => {
+    const { body, signature } = provider.signWebhookPayload({ id: 'evt_1', amount: 10 });
+    expect(() => provider.verifyWebhookSignature(body.replace('10', '99'), signature))
+      .toThrow('Invalid webhook signature');
+
+    const stale = provider.signWebhookPayload({ id: 'evt_2' }, Math.floor(Date.now() / 1000) - 3600);
+    expect(() => provider.verifyWebhookSignature(stale.body, stale.signature))
+      .toThrow('Webhook signature has expired');
+  });
+});
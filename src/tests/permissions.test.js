@@ -0,0 +1,49 @@
+const {
+  configurePermissions,
+  resetPermissions,
+  roleHasPermission
+} = require('../config/permissions');
+
+afterEach(() => {
+  resetPermissions();
+});
+
+describe('Role permissions', () => {
+  it('should grant guests access to their own bookings only', () => {
+    expect(roleHasPermission('guest', 'booking:read:own')).toBe(true);
+    expect(roleHasPermission('guest', 'booking:read:any')).toBe(false);
+  });
+
+  it('should give managers pricing permissions but not staff', () => {
+    expect(roleHasPermission('manager', 'room:pricing:write')).toBe(true);
+    expect(roleHasPermission('staff', 'room:pricing:write')).toBe(false);
+  });
+
+  it('should give admins every permission', () => {
+    expect(roleHasPermission('admin', 'user:role:write')).toBe(true);
+    expect(roleHasPermission('admin', 'anything:at:all')).toBe(true);
+  });
+
+  it('should treat an :any grant as covering the unscoped permission', () => {
+    expect(roleHasPermission('staff', 'booking:read')).toBe(true);
+    expect(roleHasPermission('guest', 'booking:read')).toBe(false);
+  });
+
+  it('should support wildcard grants', () => {
+    configurePermissions({ staff: ['room:*'] });
+
+    expect(roleHasPermission('staff', 'room:pricing:write')).toBe(true);
+    expect(roleHasPermission('staff', 'booking:read:any')).toBe(false);
+  });
+
+  it('should keep unlisted roles when configuring overrides', () => {
+    configurePermissions({ staff: [] });
+
+    expect(roleHasPermission('staff', 'room:read')).toBe(false);
+    expect(roleHasPermission('guest', 'room:read')).toBe(true);
+  });
+
+  it('should deny unknown roles', () => {
+    expect(roleHasPermission('intruder', 'room:read')).toBe(false);
+  });
+});
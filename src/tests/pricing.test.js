@@ -0,0 +1,90 @@
+const { priceStay, getLeadDays } = require('../services/pricing.service');
+
+const room = (overrides = {}) => ({
+  _id: 'room-1',
+  pricePerNight: 100,
+  seasonalPricing: [],
+  discounts: [],
+  ...overrides
+});
+
+describe('Pricing service', () => {
+  it('should price each night at the base rate', () => {
+    const quote = priceStay(room(), '2030-06-01', '2030-06-04', { bookedAt: new Date('2030-05-20') });
+
+    expect(quote.numberOfNights).toBe(3);
+    expect(quote.nights.map(night => night.price)).toEqual([100, 100, 100]);
+    expect(quote.total).toBe(300);
+  });
+
+  it('should apply seasonal rates only to the nights inside the season', () => {
+    const seasonalRoom = room({
+      seasonalPricing: [{
+        startDate: new Date('2030-06-02'),
+        endDate: new Date('2030-06-02'),
+        price: 150,
+        description: 'Festival'
+      }]
+    });
+
+    const quote = priceStay(seasonalRoom, '2030-06-01', '2030-06-04', { bookedAt: new Date('2030-05-20') });
+
+    expect(quote.nights.map(night => night.rate)).toEqual([100, 150, 100]);
+    expect(quote.nights[1].seasonalPricing.description).toBe('Festival');
+    expect(quote.total).toBe(350);
+  });
+
+  it('should apply early-bird discounts only with enough lead time', () => {
+    const discountRoom = room({
+      discounts: [{ type: 'early-bird', percentage: 20, minimumLeadDays: 30 }]
+    });
+
+    const early = priceStay(discountRoom, '2030-06-01', '2030-06-02', { bookedAt: new Date('2030-04-01') });
+    const late = priceStay(discountRoom, '2030-06-01', '2030-06-02', { bookedAt: new Date('2030-05-25') });
+
+    expect(early.total).toBe(80);
+    expect(early.nights[0].discount.type).toBe('early-bird');
+    expect(late.total).toBe(100);
+  });
+
+  it('should apply last-minute discounts close to arrival', () => {
+    const discountRoom = room({
+      discounts: [{ type: 'last-minute', percentage: 15 }]
+    });
+
+    const quote = priceStay(discountRoom, '2030-06-01', '2030-06-02', { bookedAt: new Date('2030-05-30') });
+
+    expect(quote.total).toBe(85);
+  });
+
+  it('should apply long-stay discounts from the minimum stay', () => {
+    const discountRoom = room({
+      discounts: [{ type: 'long-stay', percentage: 10, minimumStay: 5 }]
+    });
+
+    const short = priceStay(discountRoom, '2030-06-01', '2030-06-05', { bookedAt: new Date('2030-05-20') });
+    const long = priceStay(discountRoom, '2030-06-01', '2030-06-06', { bookedAt: new Date('2030-05-20') });
+
+    expect(short.discountTotal).toBe(0);
+    expect(long.discountTotal).toBe(50);
+    expect(long.total).toBe(450);
+  });
+
+  it('should use the best eligible discount without stacking', () => {
+    const discountRoom = room({
+      discounts: [
+        { type: 'long-stay', percentage: 10, minimumStay: 2 },
+        { type: 'special', percentage: 25, validFrom: new Date('2030-06-02'), validUntil: new Date('2030-06-02') }
+      ]
+    });
+
+    const quote = priceStay(discountRoom, '2030-06-01', '2030-06-03', { bookedAt: new Date('2030-05-20') });
+
+    expect(quote.nights.map(night => night.discount.percentage)).toEqual([10, 25]);
+    expect(quote.total).toBe(165);
+  });
+
+  it('should count lead days in whole days', () => {
+    expect(getLeadDays('2030-06-10', new Date('2030-06-01T23:00:00Z'))).toBe(9);
+  });
+});
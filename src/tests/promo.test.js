@@ -0,0 +1,58 @@
+const { applyPromoDiscount, assertPromoEligible } = require('../services/promo.service');
+
+// Three nights at 100, the last one with a 20% room discount
+const stayPrice = {
+  numberOfNights: 3,
+  nights: [
+    { date: '2030-06-01', rate: 100, discount: null, discountAmount: 0, price: 100 },
+    { date: '2030-06-02', rate: 100, discount: null, discountAmount: 0, price: 100 },
+    { date: '2030-06-03', rate: 100, discount: { type: 'special', percentage: 20 }, discountAmount: 20, price: 80 }
+  ],
+  subtotal: 300,
+  discountTotal: 20,
+  total: 280
+};
+
+describe('Promo service', () => {
+  it('should apply a stackable percentage on top of room discounts', () => {
+    const priced = applyPromoDiscount({ discountType: 'percentage', value: 10, stackable: true }, stayPrice);
+
+    expect(priced.promoDiscountTotal).toBe(28);
+    expect(priced.discountTotal).toBe(20);
+    expect(priced.total).toBe(252);
+    expect(priced.nights.reduce((sum, night) => sum + night.price, 0)).toBe(252);
+  });
+
+  it('should replace room discounts with a non-stackable code when cheaper', () => {
+    const priced = applyPromoDiscount({ discountType: 'percentage', value: 15, stackable: false }, stayPrice);
+
+    expect(priced.promoDiscountTotal).toBe(45);
+    expect(priced.discountTotal).toBe(0);
+    expect(priced.total).toBe(255);
+  });
+
+  it('should leave the stay alone when the room discounts are better', () => {
+    const priced = applyPromoDiscount({ discountType: 'fixed', value: 10, stackable: false }, stayPrice);
+
+    expect(priced.promoDiscountTotal).toBe(0);
+    expect(priced.total).toBe(280);
+  });
+
+  it('should cap percentage discounts and spread fixed ones without losing cents', () => {
+    const capped = applyPromoDiscount({ discountType: 'percentage', value: 50, maxDiscount: 40, stackable: true }, stayPrice);
+    expect(capped.promoDiscountTotal).toBe(40);
+
+    const fixed = applyPromoDiscount({ discountType: 'fixed', value: 10, stackable: true }, stayPrice);
+    expect(fixed.nights.reduce((sum, night) => sum + night.promoDiscount, 0)).toBeCloseTo(10, 2);
+    expect(fixed.total).toBe(270);
+  });
+
+  it('should enforce minimum stay, room types and usage limits', () => {
+    const promo = { code: 'SUMMER', minimumStay: 4, roomTypes: ['suite'], usageLimit: 5, timesRedeemed: 5 };
+
+    expect(() => assertPromoEligible(promo, { roomType: 'suite', numberOfNights: 3 })).toThrow('at least 4 nights');
+    expect(() => assertPromoEligible(promo, { roomType: 'deluxe', numberOfNights: 4 })).toThrow('suite rooms');
+    expect(() => assertPromoEligible(promo, { roomType: 'suite', numberOfNights: 4 })).toThrow('usage limit');
+    expect(() => assertPromoEligible(promo, { roomType: 'suite', numberOfNights: 4, checkUsage: false })).not.toThrow();
+  });
+});
@@ -0,0 +1,77 @@
+const {
+  getStayNights,
+  validateStayDates,
+  assertRoomBookable
+} = require('../services/reservation.service');
+
+const room = (overrides = {}) => ({
+  roomNumber: '101',
+  isActive: true,
+  status: 'available',
+  maintenanceHistory: [],
+  ...overrides
+});
+
+describe('Reservation service', () => {
+  describe('getStayNights', () => {
+    it('should return every night except the check-out day', () => {
+      const nights = getStayNights('2025-06-01', '2025-06-04');
+
+      expect(nights.map(night => night.toISOString().slice(0, 10)))
+        .toEqual(['2025-06-01', '2025-06-02', '2025-06-03']);
+    });
+
+    it('should return no nights for same-day stays', () => {
+      expect(getStayNights('2025-06-01', '2025-06-01')).toEqual([]);
+    });
+  });
+
+  describe('validateStayDates', () => {
+    it('should reject invalid dates', () => {
+      expect(() => validateStayDates('not-a-date', '2025-06-04')).toThrow('Invalid date format');
+    });
+
+    it('should reject check-out before check-in', () => {
+      expect(() => validateStayDates('2025-06-04', '2025-06-01')).toThrow('Check-in date must be before');
+    });
+  });
+
+  describe('assertRoomBookable', () => {
+    it('should reject inactive and out-of-order rooms', () => {
+      expect(() => assertRoomBookable(room({ isActive: false }), '2025-06-01', '2025-06-02'))
+        .toThrow('not available');
+      expect(() => assertRoomBookable(room({ status: 'out-of-order' }), '2025-06-01', '2025-06-02'))
+        .toThrow('not available');
+    });
+
+    it('should list the nights blocked by maintenance', () => {
+      const maintenanceRoom = room({
+        maintenanceHistory: [{
+          status: 'scheduled',
+          startDate: new Date('2025-06-02'),
+          endDate: new Date('2025-06-03')
+        }]
+      });
+
+      try {
+        assertRoomBookable(maintenanceRoom, '2025-06-01', '2025-06-04');
+        throw new Error('expected a conflict');
+      } catch (error) {
+        expect(error.statusCode).toBe(409);
+        expect(error.details.maintenanceDates).toEqual(['2025-06-02']);
+      }
+    });
+
+    it('should ignore completed or cancelled maintenance', () => {
+      const maintenanceRoom = room({
+        maintenanceHistory: [{
+          status: 'completed',
+          startDate: new Date('2025-06-02'),
+          endDate: new Date('2025-06-03')
+        }]
+      });
+
+      expect(() => assertRoomBookable(maintenanceRoom, '2025-06-01', '2025-06-04')).not.toThrow();
+    });
+  });
+});
@@ -0,0 +1,87 @@
+const request = require('supertest');
+const app = require('../server');
+const Room = require('../models/room.model');
+const RoomNight = require('../models/roomNight.model');
+const { useTestDatabase, createUserAndLogin, createRoom } = require('./helpers');
+
+useTestDatabase({ indexes: [RoomNight] });
+
+describe('Room type bookings', () => {
+  let token;
+  let staffToken;
+
+  beforeEach(async () => {
+    ({ token } = await createUserAndLogin('guest@example.com'));
+    ({ token: staffToken } = await createUserAndLogin('staff@example.com', 'staff'));
+  });
+
+  const bookType = (checkIn, checkOut, extra = {}, authToken = token) => request(app)
+    .post('/api/bookings')
+    .set('Authorization', authToken)
+    .send({ roomType: 'deluxe', checkIn, checkOut, numberOfGuests: { adults: 2 }, ...extra });
+
+  const assign = (bookingId, body = {}) => request(app)
+    .patch(`/api/bookings/${bookingId}/assign-room`)
+    .set('Authorization', staffToken)
+    .send(body);
+
+  it('should sell a room type up to its rooms in service', async () => {
+    await createRoom({ roomNumber: '101' });
+    await createRoom({
+      roomNumber: '102',
+      maintenanceHistory: [{ type: 'repair', startDate: new Date('2030-06-02'), endDate: new Date('2030-06-03') }]
+    });
+
+    expect((await bookType('2030-06-01', '2030-06-03')).statusCode).toBe(201);
+
+    const res = await bookType('2030-06-01', '2030-06-03');
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.details.soldOutDates).toEqual(['2030-06-02']);
+  });
+
+  it('should assign the room of the guest\'s previous stay, then the preferred floor', async () => {
+    await createRoom({ roomNumber: '101' });
+    await createRoom({ roomNumber: '201', floor: 2, specialFeatures: ['quiet'] });
+    await createRoom({ roomNumber: '202', floor: 2 });
+
+    const first = await bookType('2030-06-01', '2030-06-03');
+    const firstAssigned = await assign(first.body.data._id, { room: (await Room.findOne({ roomNumber: '202' }))._id });
+    expect(firstAssigned.body.data.room.roomNumber).toBe('202');
+
+    const { token: otherToken } = await createUserAndLogin('other@example.com');
+    const next = await bookType('2030-06-03', '2030-06-05', { roomPreferences: { floor: 1 } });
+    const other = await bookType(
+      '2030-06-03',
+      '2030-06-05',
+      { roomPreferences: { floor: 2, specialFeatures: ['quiet'] } },
+      otherToken
+    );
+
+    const res = await request(app)
+      .post('/api/bookings/assign-rooms')
+      .set('Authorization', staffToken)
+      .send({ days: 10000 });
+
+    expect(res.statusCode).toBe(200);
+    const roomOf = (bookingId) => res.body.data.assigned.find(result => result.booking === bookingId).roomNumber;
+    expect(roomOf(next.body.data._id)).toBe('202');
+    expect(roomOf(other.body.data._id)).toBe('201');
+  });
+
+  it('should require a room before check-in', async () => {
+    await createRoom({ roomNumber: '101' });
+    const booking = await bookType('2030-06-01', '2030-06-03');
+
+    const confirm = (status) => request(app)
+      .patch(`/api/bookings/${booking.body.data._id}/status`)
+      .set('Authorization', staffToken)
+      .send({ status });
+
+    await confirm('confirmed');
+    expect((await confirm('checked-in')).statusCode).toBe(400);
+
+    await assign(booking.body.data._id);
+    expect((await confirm('checked-in')).statusCode).toBe(200);
+  });
+});
@@ -0,0 +1,71 @@
+const { applyTaxRules, combineTaxes } = require('../services/tax.service');
+
+const rule = (fields) => ({
+  _id: fields.name,
+  kind: 'tax',
+  ...fields
+});
+
+const nights = [
+  { date: new Date('2030-06-01'), price: 80 },
+  { date: new Date('2030-06-02'), price: 150 }
+];
+
+describe('Tax service', () => {
+  it('should charge a percentage of each price', () => {
+    const taxes = applyTaxRules([rule({ name: 'VAT', calculation: 'percentage', percentage: 10 })], 'room', nights);
+
+    expect(taxes.lines).toHaveLength(1);
+    expect(taxes.lines[0].amount).toBe(23);
+    expect(taxes.taxTotal).toBe(23);
+  });
+
+  it('should pick the slab for each nightly rate', () => {
+    const slabRule = rule({
+      name: 'Room tax',
+      calculation: 'slab',
+      slabs: [
+        { minRate: 0, maxRate: 100, percentage: 5 },
+        { minRate: 100, percentage: 12 }
+      ]
+    });
+
+    const taxes = applyTaxRules([slabRule], 'room', nights);
+
+    expect(taxes.total).toBe(22);
+  });
+
+  it('should only charge flat-per-night rules on room nights', () => {
+    const cityTax = rule({ name: 'City tax', calculation: 'flat-per-night', amount: 3 });
+
+    expect(applyTaxRules([cityTax], 'room', nights).total).toBe(6);
+    expect(applyTaxRules([cityTax], 'add-on', [{ date: nights[0].date, price: 50, quantity: 2 }]).lines).toHaveLength(0);
+  });
+
+  it('should keep fees apart from taxes', () => {
+    const serviceFee = rule({ name: 'Service fee', kind: 'fee', calculation: 'flat-per-unit', amount: 5 });
+
+    const taxes = applyTaxRules([serviceFee], 'add-on', [{ date: nights[0].date, price: 50, quantity: 2 }]);
+
+    expect(taxes.feeTotal).toBe(10);
+    expect(taxes.taxTotal).toBe(0);
+  });
+
+  it('should skip nights outside the effective dates', () => {
+    const newTax = rule({ name: 'New tax', calculation: 'percentage', percentage: 10, effectiveFrom: new Date('2030-06-02') });
+
+    expect(applyTaxRules([newTax], 'room', nights).total).toBe(15);
+  });
+
+  it('should merge lines of the same rule and category', () => {
+    const vat = rule({ name: 'VAT', calculation: 'percentage', percentage: 10 });
+
+    const taxes = combineTaxes(
+      applyTaxRules([vat], 'room', [nights[0]]),
+      applyTaxRules([vat], 'room', [nights[1]])
+    );
+
+    expect(taxes.lines).toHaveLength(1);
+    expect(taxes.total).toBe(23);
+  });
+});
@@ -0,0 +1,184 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../server');
+const User = require('../models/user.model');
+
+let mongoServer;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  const mongoUri = mongoServer.getUri();
+  await mongoose.connect(mongoUri);
+  await User.syncIndexes();
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  await User.deleteMany({});
+});
+
+const createUser = (overrides = {}) => User.create({
+  firstName: 'John',
+  lastName: 'Doe',
+  email: 'john@example.com',
+  password: 'password123',
+  ...overrides
+});
+
+const loginAs = async (email, password = 'password123') => {
+  const res = await request(app)
+    .post('/api/auth/login')
+    .send({ email, password });
+  return res.body.token;
+};
+
+describe('User Endpoints', () => {
+  let adminToken;
+  let guestToken;
+  let guest;
+
+  beforeEach(async () => {
+    await createUser({ email: 'admin@example.com', firstName: 'Ada', role: 'admin' });
+    guest = await createUser({ email: 'guest@example.com', firstName: 'Gus' });
+    await createUser({ email: 'staff@example.com', firstName: 'Sam', role: 'staff', isActive: false });
+
+    adminToken = await loginAs('admin@example.com');
+    guestToken = await loginAs('guest@example.com');
+  });
+
+  describe('GET /api/users', () => {
+    it('should list users for admins with pagination', async () => {
+      const res = await request(app)
+        .get('/api/users?limit=2')
+        .set('Authorization', adminToken);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.results).toBe(2);
+      expect(res.body.total).toBe(3);
+    });
+
+    it('should filter by role, isActive and search', async () => {
+      const res = await request(app)
+        .get('/api/users?role=staff&isActive=false&search=sam')
+        .set('Authorization', adminToken);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.results).toBe(1);
+      expect(res.body.data[0].email).toBe('staff@example.com');
+    });
+
+    it('should not allow guests to list users', async () => {
+      const res = await request(app)
+        .get('/api/users')
+        .set('Authorization', guestToken);
+
+      expect(res.statusCode).toBe(403);
+    });
+  });
+
+  describe('/api/users/me', () => {
+    it('should update own profile but ignore the role field', async () => {
+      const res = await request(app)
+        .patch('/api/users/me')
+        .set('Authorization', guestToken)
+        .send({ phoneNumber: '5550000', role: 'admin' });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.phoneNumber).toBe('5550000');
+      expect(res.body.data.role).toBe('guest');
+    });
+
+    it('should change password when the current password is correct', async () => {
+      const res = await request(app)
+        .patch('/api/users/me/password')
+        .set('Authorization', guestToken)
+        .send({ currentPassword: 'password123', password: 'newpassword123' });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.token).toBeDefined();
+    });
+
+    it('should reject invalid profile values with the field messages', async () => {
+      const res = await request(app)
+        .patch('/api/users/me')
+        .set('Authorization', guestToken)
+        .send({ firstName: '' });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.details.errors.firstName).toBe('First name is required');
+    });
+
+    it('should reject a wrong current password', async () => {
+      const res = await request(app)
+        .patch('/api/users/me/password')
+        .set('Authorization', guestToken)
+        .send({ currentPassword: 'wrongpassword', password: 'newpassword123' });
+
+      expect(res.statusCode).toBe(401);
+    });
+  });
+
+  describe('Admin user management', () => {
+    it('should change a user role', async () => {
+      const res = await request(app)
+        .patch(`/api/users/${guest._id}/role`)
+        .set('Authorization', adminToken)
+        .send({ role: 'staff' });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.role).toBe('staff');
+    });
+
+    it('should answer a malformed user id with a 400', async () => {
+      const get = await request(app)
+        .get('/api/users/not-an-id')
+        .set('Authorization', adminToken);
+      expect(get.statusCode).toBe(400);
+
+      const update = await request(app)
+        .patch('/api/users/not-an-id')
+        .set('Authorization', adminToken)
+        .send({ firstName: 'Gina' });
+      expect(update.statusCode).toBe(400);
+    });
+
+    it('should reject an email another user has with a 409', async () => {
+      const res = await request(app)
+        .patch(`/api/users/${guest._id}`)
+        .set('Authorization', adminToken)
+        .send({ email: 'admin@example.com' });
+
+      expect(res.statusCode).toBe(409);
+      expect(res.body.details.fields).toEqual(['email']);
+    });
+
+    it('should reject invalid updates with a 400', async () => {
+      const res = await request(app)
+        .patch(`/api/users/${guest._id}`)
+        .set('Authorization', adminToken)
+        .send({ lastName: '' });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.details.errors.lastName).toBe('Last name is required');
+    });
+
+    it('should deactivate a user and reject their existing token', async () => {
+      const res = await request(app)
+        .delete(`/api/users/${guest._id}`)
+        .set('Authorization', adminToken);
+
+      expect(res.statusCode).toBe(204);
+
+      const me = await request(app)
+        .get('/api/users/me')
+        .set('Authorization', guestToken);
+
+      expect(me.statusCode).toBe(401);
+    });
+  });
+});
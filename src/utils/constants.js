@@ -22,6 +22,14 @@ exports.MANAGEMENT_ROLES = [
   exports.USER_ROLES.ADMIN
 ];
 
+// Room Type
+exports.ROOM_TYPE = {
+  STANDARD: 'standard',
+  DELUXE: 'deluxe',
+  SUITE: 'suite',
+  PRESIDENTIAL: 'presidential'
+};
+
 // Booking Status
 exports.BOOKING_STATUS = {
   PENDING: 'pending',
@@ -31,6 +39,30 @@ exports.BOOKING_STATUS = {
   CANCELLED: 'cancelled'
 };
 
+// Allowed booking status changes (from -> to)
+exports.BOOKING_STATUS_TRANSITIONS = {
+  [exports.BOOKING_STATUS.PENDING]: [
+    exports.BOOKING_STATUS.CONFIRMED,
+    exports.BOOKING_STATUS.CANCELLED
+  ],
+  [exports.BOOKING_STATUS.CONFIRMED]: [
+    exports.BOOKING_STATUS.CHECKED_IN,
+    exports.BOOKING_STATUS.CANCELLED
+  ],
+  [exports.BOOKING_STATUS.CHECKED_IN]: [
+    exports.BOOKING_STATUS.CHECKED_OUT
+  ],
+  [exports.BOOKING_STATUS.CHECKED_OUT]: [],
+  [exports.BOOKING_STATUS.CANCELLED]: []
+};
+
+// Group Reservation Status (follows from the status of its room bookings)
+exports.GROUP_STATUS = {
+  PENDING: 'pending',
+  CONFIRMED: 'confirmed',
+  CANCELLED: 'cancelled'
+};
+
 // Payment Status
 exports.PAYMENT_STATUS = {
   PENDING: 'pending',
@@ -39,6 +71,151 @@ exports.PAYMENT_STATUS = {
   REFUNDED: 'refunded'
 }; 
 
+// Gateway Payment Status
+exports.GATEWAY_PAYMENT_STATUS = {
+  PENDING: 'pending',
+  CAPTURED: 'captured',
+  FAILED: 'failed'
+};
+
+// Refund owed for a cancelled booking. A refund the gateway failed stays
+// pending and is retried.
+exports.CANCELLATION_REFUND_STATUS = {
+  PENDING: 'pending',
+  PROCESSING: 'processing',
+  REFUNDED: 'refunded'
+};
+
+// Folio Entry Type
+exports.FOLIO_ENTRY_TYPE = {
+  CHARGE: 'charge',
+  PAYMENT: 'payment',
+  REFUND: 'refund'
+};
+
+// Folio Charge Category
+exports.FOLIO_CHARGE_CATEGORY = {
+  ROOM: 'room',
+  ADD_ON: 'add-on',
+  TAX: 'tax',
+  SERVICE: 'service',
+  FEE: 'fee',
+  ADJUSTMENT: 'adjustment'
+};
+
+// What a tax rule can apply to
+exports.TAX_CATEGORY = {
+  ROOM: 'room',
+  ADD_ON: 'add-on',
+  EVENT: 'event',
+  BANQUET: 'banquet'
+};
+
+// Tax rules are either taxes or service fees
+exports.TAX_KIND = {
+  TAX: 'tax',
+  FEE: 'fee'
+};
+
+// How a tax rule computes its amount
+exports.TAX_CALCULATION = {
+  PERCENTAGE: 'percentage',
+  FLAT_PER_NIGHT: 'flat-per-night',
+  FLAT_PER_UNIT: 'flat-per-unit',
+  SLAB: 'slab'
+};
+
+// Promo code discount types
+exports.PROMO_DISCOUNT_TYPE = {
+  PERCENTAGE: 'percentage',
+  FIXED: 'fixed'
+};
+
+// Promo redemption status; a cancelled booking gives its use back
+exports.PROMO_REDEMPTION_STATUS = {
+  REDEEMED: 'redeemed',
+  RELEASED: 'released'
+};
+
+// Invoice Type
+exports.INVOICE_TYPE = {
+  INVOICE: 'invoice',
+  CREDIT_NOTE: 'credit-note'
+};
+
+// Banquet Reservation Status
+exports.BANQUET_RESERVATION_STATUS = {
+  TENTATIVE: 'tentative',
+  CONFIRMED: 'confirmed',
+  RELEASED: 'released'
+};
+
+// Allowed banquet reservation status changes (from -> to)
+exports.BANQUET_RESERVATION_STATUS_TRANSITIONS = {
+  [exports.BANQUET_RESERVATION_STATUS.TENTATIVE]: [
+    exports.BANQUET_RESERVATION_STATUS.CONFIRMED,
+    exports.BANQUET_RESERVATION_STATUS.RELEASED
+  ],
+  [exports.BANQUET_RESERVATION_STATUS.CONFIRMED]: [
+    exports.BANQUET_RESERVATION_STATUS.RELEASED
+  ],
+  [exports.BANQUET_RESERVATION_STATUS.RELEASED]: []
+};
+
+// How a banquet hall is set up; each layout seats a different number of guests
+exports.SEATING_LAYOUT = {
+  THEATRE: 'theatre',
+  CLASSROOM: 'classroom',
+  BANQUET_ROUNDS: 'banquet-rounds',
+  COCKTAIL: 'cocktail',
+  U_SHAPE: 'u-shape'
+};
+
+// Optional extras of a banquet package
+exports.BANQUET_EXTRA_CATEGORY = {
+  DECOR: 'decor',
+  AV: 'av',
+  ENTERTAINMENT: 'entertainment',
+  OTHER: 'other'
+};
+
+// How an extra is charged: once, or for every guest
+exports.BANQUET_EXTRA_PRICING = {
+  FLAT: 'flat',
+  PER_GUEST: 'per-guest'
+};
+
+// Banquet Quotation Status
+exports.BANQUET_QUOTATION_STATUS = {
+  DRAFT: 'draft',
+  SENT: 'sent',
+  ACCEPTED: 'accepted',
+  CONVERTED: 'converted'
+};
+
+// Allowed banquet quotation status changes (from -> to). A revision takes a
+// sent quotation back to draft.
+exports.BANQUET_QUOTATION_STATUS_TRANSITIONS = {
+  [exports.BANQUET_QUOTATION_STATUS.DRAFT]: [
+    exports.BANQUET_QUOTATION_STATUS.SENT
+  ],
+  [exports.BANQUET_QUOTATION_STATUS.SENT]: [
+    exports.BANQUET_QUOTATION_STATUS.DRAFT,
+    exports.BANQUET_QUOTATION_STATUS.ACCEPTED
+  ],
+  [exports.BANQUET_QUOTATION_STATUS.ACCEPTED]: [
+    exports.BANQUET_QUOTATION_STATUS.CONVERTED
+  ],
+  [exports.BANQUET_QUOTATION_STATUS.CONVERTED]: []
+};
+
+// Deposits asked for when a quotation has no terms of its own: a share on
+// acceptance and the balance some days before the event
+exports.DEFAULT_BANQUET_DEPOSIT_TERMS = [
+  { label: 'Deposit', percentage: 30, daysBeforeEvent: null },
+  { label: 'Balance', percentage: 70, daysBeforeEvent: 14 }
+];
+
 // Event Location
 exports.EVENT_LOCATION = {
   BANQUET_HALL: 'banquet hall',
@@ -68,6 +245,13 @@ exports.EVENT_STATUS = {
   ONGOING: 'ongoing'
 };
 
+// How often a recurring event repeats
+exports.RECURRENCE_FREQUENCY = {
+  DAILY: 'daily',
+  WEEKLY: 'weekly',
+  MONTHLY: 'monthly'
+};
+
 // Event Payment Status
 exports.EVENT_PAYMENT_STATUS = {
   PENDING: 'pending',
@@ -76,9 +260,28 @@ exports.EVENT_PAYMENT_STATUS = {
   REFUNDED: 'refunded'
 };
 
-// Event Participant Status
+// Event Participant Status. A guest promoted from the waitlist of a paid
+// event holds an offered spot until they claim it.
 exports.EVENT_PARTICIPANT_STATUS = {
+  OFFERED: 'offered',
   REGISTERED: 'registered',
   ATTENDED: 'attended',
   CANCELLED: 'cancelled'
-};
\ No newline at end of file
+};
+
+// Invitation Status
+exports.INVITATION_STATUS = {
+  PENDING: 'pending',
+  ACCEPTED: 'accepted',
+  REVOKED: 'revoked'
+};
+
+// Booking add-on catalogue (service name -> unit price)
+exports.BOOKING_ADD_ONS = {
+  'breakfast': 25,
+  'airport transfer': 60,
+  'spa package': 120,
+  'late checkout': 40,
+  'extra bed': 35,
+  'dinner': 45
+};
@@ -0,0 +1,60 @@
+const nodemailer = require('nodemailer');
+const { logger } = require('./logger');
+
+let transport;
+
+// Build the transport from environment variables.
+// EMAIL_TRANSPORT=json (or NODE_ENV=test) uses nodemailer's in-memory JSON
+// transport, so nothing leaves the process.
+const createTransport = () => {
+  if (process.env.EMAIL_TRANSPORT === 'json' || process.env.NODE_ENV === 'test') {
+    return nodemailer.createTransport({ jsonTransport: true });
+  }
+
+  return nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? {
+          user: process.env.SMTP_USER,
+          pass: process.env.SMTP_PASS
+        }
+      : undefined
+  });
+};
+
+// Get the active transport, creating it on first use
+const getTransport = () => {
+  if (!transport) {
+    transport = createTransport();
+  }
+  return transport;
+};
+
+// Replace the active transport (e.g. a stub transport in tests).
+// Passing nothing resets it so the next send rebuilds it from the environment.
+const setTransport = (newTransport) => {
+  transport = newTransport;
+};
+
+// Send an email
+const sendEmail = async ({ to, subject, text, html, attachments }) => {
+  const info = await getTransport().sendMail({
+    from: process.env.EMAIL_FROM || 'Resort 360 <no-reply@resort360.local>',
+    to,
+    subject,
+    text,
+    html,
+    attachments
+  });
+
+  logger.info(`Email "${subject}" sent to ${to}`);
+  return info;
+};
+
+module.exports = {
+  sendEmail,
+  getTransport,
+  setTransport
+};